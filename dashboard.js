@@ -0,0 +1,527 @@
+/**
+ * Trauma Room Trainer - Instructor Dashboard
+ * Aggregates exported trainee attempt histories from several trainees or workstations
+ */
+
+// ============================================================================
+// GLOBAL VARIABLES
+// ============================================================================
+
+let CONFIG = null;          // Used to resolve scenario, item, cart and drawer names
+let configSource = '';
+let attempts = [];          // Every loaded attempt, tagged with its trainee
+const loadedSources = [];   // Files / profiles that contributed attempts
+
+const CSV_LIST_COLUMNS = ['wrongItems', 'missedEssential', 'missedOptional'];
+const CSV_NUMBER_COLUMNS = ['time', 'itemsFound', 'itemsTotal', 'errors', 'score'];
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+function loadConfiguration() {
+    try {
+        const saved = localStorage.getItem('traumaRoomConfig');
+        if (saved) {
+            CONFIG = JSON.parse(saved);
+            configSource = 'designer configuration in this browser';
+        }
+    } catch (error) {
+        console.error('Error loading configuration:', error);
+    }
+    updateConfigStatus();
+}
+
+function isConfiguration(data) {
+    return data && Array.isArray(data.carts) && Array.isArray(data.items);
+}
+
+function updateConfigStatus() {
+    const status = document.getElementById('config-status');
+    status.textContent = CONFIG
+        ? `Names from ${configSource} (${CONFIG.scenarios?.length || 0} scenarios, ${CONFIG.items.length} items)`
+        : 'No configuration found - showing ids. Load a configuration export to see names.';
+    status.classList.toggle('warning', !CONFIG);
+}
+
+// ---- Name lookup ----
+
+function getScenarioName(scenarioId, fallback) {
+    const scenario = CONFIG?.scenarios?.find(s => s.id === scenarioId);
+    return scenario ? scenario.name : (fallback || scenarioId);
+}
+
+function getItemName(itemId) {
+    const item = CONFIG?.items.find(i => i.id === itemId);
+    return item ? item.name : itemId;
+}
+
+function getItemLocation(itemId) {
+    const item = CONFIG?.items.find(i => i.id === itemId);
+    if (!item) return '';
+    const cart = CONFIG.carts.find(c => c.id === item.cart);
+    const drawer = CONFIG.drawers?.find(d => d.id === item.drawer);
+    return [cart?.name, drawer?.name].filter(Boolean).join(' · ');
+}
+
+// ============================================================================
+// LOADING HISTORIES
+// ============================================================================
+
+// Attempts are de-duplicated by trainee, date and scenario so the same export
+// can be loaded twice (or overlap with this browser's profiles) without double counting
+function addAttempts(trainee, list, source) {
+    const seen = new Set(attempts.map(getAttemptKey));
+    let added = 0;
+
+    list.forEach(attempt => {
+        const entry = { ...attempt, trainee: trainee || attempt.trainee || 'Unknown trainee' };
+        const key = getAttemptKey(entry);
+        if (seen.has(key)) return;
+        seen.add(key);
+        attempts.push(entry);
+        added++;
+    });
+
+    loadedSources.push({ source, trainee, added });
+    return added;
+}
+
+function getAttemptKey(attempt) {
+    return `${attempt.trainee.toLowerCase()}|${attempt.date}|${attempt.scenarioId}`;
+}
+
+function handleFiles(fileList) {
+    const files = [...fileList];
+    if (files.length === 0) return;
+
+    Promise.all(files.map(file => file.text().then(text => ({ file, text }))))
+        .then(results => {
+            const errors = [];
+            results.forEach(({ file, text }) => {
+                try {
+                    loadFileContents(file.name, text);
+                } catch (error) {
+                    console.error(`Could not read ${file.name}:`, error);
+                    errors.push(`${file.name}: ${error.message}`);
+                }
+            });
+            if (errors.length) alert('Some files could not be loaded:\n\n' + errors.join('\n'));
+            render();
+        });
+}
+
+function loadFileContents(filename, text) {
+    if (filename.toLowerCase().endsWith('.csv')) {
+        const rows = parseCSV(text);
+        const byTrainee = new Map();
+        rows.forEach(row => {
+            if (!byTrainee.has(row.trainee)) byTrainee.set(row.trainee, []);
+            byTrainee.get(row.trainee).push(row);
+        });
+        byTrainee.forEach((list, trainee) => addAttempts(trainee, list, filename));
+        return;
+    }
+
+    const data = JSON.parse(text);
+    if (isConfiguration(data)) {
+        // Designer configuration export - used for names only
+        CONFIG = data;
+        configSource = filename;
+        updateConfigStatus();
+    } else if (Array.isArray(data.history)) {
+        addAttempts(data.trainee, data.history, filename);
+    } else if (Array.isArray(data.profiles)) {
+        // Raw profile store (traumaTrainerProfiles) copied from another workstation
+        data.profiles.forEach(profile => addAttempts(profile.name, profile.history || [], filename));
+    } else {
+        throw new Error('not a trainee history or configuration export');
+    }
+}
+
+function loadLocalProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('traumaTrainerProfiles'));
+        if (!saved || !Array.isArray(saved.profiles) || saved.profiles.length === 0) {
+            alert('No trainee profiles found in this browser.');
+            return;
+        }
+        saved.profiles.forEach(profile => addAttempts(profile.name, profile.history || [], 'This browser'));
+        render();
+    } catch (error) {
+        console.error('Error loading local profiles:', error);
+        alert('Could not read the trainee profiles stored in this browser.');
+    }
+}
+
+function clearData() {
+    attempts = [];
+    loadedSources.length = 0;
+    render();
+}
+
+// Parses the trainer's history CSV export (quoted fields, ';'-joined item lists)
+function parseCSV(text) {
+    const records = [];
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(r => r.some(value => value !== ''));
+    if (!header || !header.includes('scenarioId')) {
+        throw new Error('missing scenarioId column');
+    }
+
+    return rows.map(values => {
+        const row = {};
+        header.forEach((column, index) => {
+            const value = values[index] ?? '';
+            if (column === 'hints') {
+                // itemId:level pairs
+                row[column] = value ? value.split(';').map(pair => {
+                    const [itemId, level] = pair.split(':');
+                    return { itemId, level };
+                }) : [];
+            } else if (CSV_LIST_COLUMNS.includes(column)) {
+                row[column] = value ? value.split(';') : [];
+            } else if (CSV_NUMBER_COLUMNS.includes(column)) {
+                row[column] = Number(value) || 0;
+            } else if (column === 'timedOut') {
+                row[column] = value === 'true';
+            } else {
+                row[column] = value;
+            }
+        });
+        return row;
+    });
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+// An attempt counts as completed unless the trainee failed (missed every
+// essential item or ran out of time); a perfect run is a success
+function isCompleted(attempt) {
+    return attempt.outcome !== 'failure' && !attempt.timedOut;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function getScenarioStats() {
+    const byScenario = new Map();
+    attempts.forEach(attempt => {
+        if (!byScenario.has(attempt.scenarioId)) byScenario.set(attempt.scenarioId, []);
+        byScenario.get(attempt.scenarioId).push(attempt);
+    });
+
+    return [...byScenario.entries()].map(([scenarioId, list]) => {
+        const completed = list.filter(isCompleted);
+        return {
+            scenarioId,
+            name: getScenarioName(scenarioId, list[0].scenarioName),
+            attempts: list.length,
+            trainees: new Set(list.map(a => a.trainee.toLowerCase())).size,
+            completionRate: completed.length / list.length,
+            successRate: list.filter(a => a.outcome === 'success').length / list.length,
+            // Median time only over completed runs, so timeouts don't skew it
+            medianTime: median(completed.map(a => a.time)),
+            medianScore: median(list.map(a => a.score)),
+            hintsPerRun: list.reduce((sum, a) => sum + (a.hints || []).length, 0) / list.length
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Essential item ids of a designer scenario; staged scenarios list them per stage
+function getScenarioEssentials(scenario) {
+    if (scenario.stages && scenario.stages.length > 0) {
+        return scenario.stages.flatMap(stage => stage.essential || []);
+    }
+    return scenario.essential || [];
+}
+
+// Miss rate is relative to the attempts of scenarios that require the item
+function getMissedEssentialStats() {
+    const missed = new Map();
+    const required = new Map();
+
+    attempts.forEach(attempt => {
+        (attempt.missedEssential || []).forEach(itemId => {
+            missed.set(itemId, (missed.get(itemId) || 0) + 1);
+        });
+
+        const scenario = CONFIG?.scenarios?.find(s => s.id === attempt.scenarioId);
+        const essentials = scenario ? getScenarioEssentials(scenario) : (attempt.missedEssential || []);
+        essentials.forEach(itemId => {
+            required.set(itemId, (required.get(itemId) || 0) + 1);
+        });
+    });
+
+    return [...missed.entries()].map(([itemId, count]) => ({
+        itemId,
+        name: getItemName(itemId),
+        location: getItemLocation(itemId),
+        count,
+        missRate: count / Math.max(count, required.get(itemId) || 0)
+    })).sort((a, b) => b.count - a.count || b.missRate - a.missRate);
+}
+
+function getTrainees() {
+    const byTrainee = new Map();
+    attempts.forEach(attempt => {
+        const key = attempt.trainee.toLowerCase();
+        if (!byTrainee.has(key)) byTrainee.set(key, { name: attempt.trainee, attempts: [] });
+        byTrainee.get(key).attempts.push(attempt);
+    });
+
+    return [...byTrainee.values()].map(trainee => {
+        trainee.attempts.sort((a, b) => new Date(a.date) - new Date(b.date));
+        return trainee;
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function render() {
+    const empty = attempts.length === 0;
+    document.getElementById('empty-state').classList.toggle('hidden', !empty);
+    document.getElementById('results').classList.toggle('hidden', empty);
+    renderSources();
+    if (empty) return;
+
+    renderSummary();
+    renderScenarioTable();
+    renderMissedItems();
+    renderTimelines();
+}
+
+function renderSources() {
+    const container = document.getElementById('loaded-sources');
+    container.innerHTML = loadedSources.map(s =>
+        `<span class="source-chip">${escapeHtml(s.source)}${s.trainee ? ` · ${escapeHtml(s.trainee)}` : ''} (+${s.added})</span>`
+    ).join('');
+}
+
+function renderSummary() {
+    const trainees = new Set(attempts.map(a => a.trainee.toLowerCase())).size;
+    const completed = attempts.filter(isCompleted);
+    const medianTime = median(completed.map(a => a.time));
+
+    document.getElementById('summary-cards').innerHTML = [
+        ['Trainees', trainees],
+        ['Attempts', attempts.length],
+        ['Completion Rate', formatPercent(completed.length / attempts.length)],
+        ['Median Time', medianTime === null ? '-' : formatTime(medianTime)]
+    ].map(([label, value]) => `
+        <div class="summary-card">
+            <div class="summary-value">${value}</div>
+            <div class="summary-label">${label}</div>
+        </div>
+    `).join('');
+}
+
+function renderScenarioTable() {
+    const rows = getScenarioStats().map(stats => `
+        <tr>
+            <td>${escapeHtml(stats.name)}</td>
+            <td class="num">${stats.attempts}</td>
+            <td class="num">${stats.trainees}</td>
+            <td>${renderRateBar(stats.completionRate)}</td>
+            <td class="num">${formatPercent(stats.successRate)}</td>
+            <td class="num">${stats.medianTime === null ? '-' : formatTime(stats.medianTime)}</td>
+            <td class="num">${Math.round(stats.medianScore)}</td>
+            <td class="num">${stats.hintsPerRun.toFixed(1)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('scenario-table').innerHTML = `
+        <thead>
+            <tr>
+                <th>Scenario</th>
+                <th class="num">Attempts</th>
+                <th class="num">Trainees</th>
+                <th>Completion</th>
+                <th class="num">Perfect</th>
+                <th class="num">Median Time</th>
+                <th class="num">Median Score</th>
+                <th class="num">Hints / Run</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+function renderMissedItems() {
+    const list = getMissedEssentialStats().slice(0, 10);
+    const container = document.getElementById('missed-items');
+
+    if (list.length === 0) {
+        container.innerHTML = '<div class="empty-note">No essential items missed 🎉</div>';
+        return;
+    }
+
+    container.innerHTML = list.map((stats, index) => `
+        <div class="missed-item">
+            <div class="missed-rank">${index + 1}</div>
+            <div class="missed-info">
+                <div class="missed-name">${escapeHtml(stats.name)}</div>
+                <div class="missed-location">${escapeHtml(stats.location)}</div>
+            </div>
+            <div class="missed-count">${stats.count}× · ${formatPercent(stats.missRate)} of runs</div>
+        </div>
+    `).join('');
+}
+
+function renderTimelines() {
+    document.getElementById('trainee-timelines').innerHTML = getTrainees().map(trainee => {
+        const rows = trainee.attempts.map(attempt => `
+            <tr>
+                <td>${new Date(attempt.date).toLocaleString()}</td>
+                <td>${escapeHtml(getScenarioName(attempt.scenarioId, attempt.scenarioName))}</td>
+                <td class="num">${attempt.itemsFound}/${attempt.itemsTotal}</td>
+                <td class="num">${formatTime(attempt.time)}</td>
+                <td class="num">${(attempt.hints || []).length}</td>
+                <td class="num">${attempt.score}</td>
+                <td><span class="outcome-badge ${attempt.timedOut ? 'failure' : attempt.outcome}">${attempt.timedOut ? 'timed out' : attempt.outcome}</span></td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="trainee-card">
+                <div class="trainee-header">
+                    <div class="trainee-name">${escapeHtml(trainee.name)}</div>
+                    <div class="trainee-meta">${trainee.attempts.length} attempt${trainee.attempts.length === 1 ? '' : 's'} · ${formatPercent(trainee.attempts.filter(isCompleted).length / trainee.attempts.length)} completed</div>
+                </div>
+                ${renderScoreSparkline(trainee.attempts)}
+                <table class="data-table compact">
+                    <thead>
+                        <tr><th>Date</th><th>Scenario</th><th class="num">Items</th><th class="num">Time</th><th class="num">Hints</th><th class="num">Score</th><th>Outcome</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+// Score over time, one dot per attempt coloured by outcome
+function renderScoreSparkline(list) {
+    if (list.length < 2) return '';
+
+    const width = 600;
+    const height = 60;
+    const max = Math.max(1, ...list.map(a => a.score));
+    const points = list.map((attempt, index) => ({
+        x: 6 + index * (width - 12) / (list.length - 1),
+        y: height - 6 - (Math.max(0, attempt.score) / max) * (height - 12),
+        outcome: attempt.timedOut ? 'failure' : attempt.outcome
+    }));
+
+    return `
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}" />
+            ${points.map(p => `<circle class="${p.outcome}" cx="${p.x}" cy="${p.y}" r="4" />`).join('')}
+        </svg>
+    `;
+}
+
+function renderRateBar(rate) {
+    return `
+        <div class="rate-bar">
+            <div class="rate-fill" style="width: ${Math.round(rate * 100)}%"></div>
+            <span>${formatPercent(rate)}</span>
+        </div>
+    `;
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+function formatTime(totalSeconds) {
+    const seconds = Math.round(totalSeconds);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+function formatPercent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+function init() {
+    loadConfiguration();
+
+    const input = document.getElementById('file-input');
+    input.addEventListener('change', () => {
+        handleFiles(input.files);
+        input.value = '';
+    });
+
+    // Drop exports anywhere on the page
+    document.addEventListener('dragover', event => {
+        event.preventDefault();
+        document.body.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', event => {
+        if (!event.relatedTarget) document.body.classList.remove('dragging');
+    });
+    document.addEventListener('drop', event => {
+        event.preventDefault();
+        document.body.classList.remove('dragging');
+        handleFiles(event.dataTransfer.files);
+    });
+
+    render();
+}
+
+window.addEventListener('DOMContentLoaded', init);
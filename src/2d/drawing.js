@@ -3,7 +3,7 @@
  *
  * This module contains all the rendering functions for the 2D canvas view,
  * including the main draw loop, room layout rendering, grid visualization,
- * cart drawing, and overview statistics display.
+ * fixture and cart drawing, and overview statistics display.
  *
  * The module supports two main rendering modes:
  * 1. Room Mode: Top-down view of the room layout with carts and grid
@@ -15,7 +15,7 @@
  * - Feet coordinates are relative to room center (0, 0)
  *
  * @module src/2d/drawing
- * @requires teacher.js (globals: CONFIG, STATE, canvas, ctx, CART_TYPES)
+ * @requires teacher.js (globals: CONFIG, STATE, canvas, ctx, getCartType)
  */
 
 /**
@@ -50,18 +50,21 @@ export function drawCanvas() {
  * Renders the top-down 2D view of the room including:
  * - Background color
  * - Optional grid overlay
+ * - Room fixtures (stretcher, doors, counters...)
  * - All carts positioned in the room
  * - Selection highlighting for the active cart
  *
  * The rendering order ensures proper layering:
  * 1. Background (solid color fill)
  * 2. Grid (if enabled)
- * 3. Carts (with selected cart highlighted)
+ * 3. Fixtures (under the carts, with selected fixture highlighted)
+ * 4. Carts (with selected cart highlighted)
  *
  * @function drawRoomCanvas
  * @requires canvas - Canvas DOM element
  * @requires ctx - 2D rendering context
  * @requires window.CONFIG.roomSettings.backgroundColor - Room background color
+ * @requires window.CONFIG.fixtures - Array of fixture objects to render
  * @requires window.CONFIG.carts - Array of cart objects to render
  * @requires window.STATE.selectedType - Currently selected entity type
  * @requires window.STATE.selectedId - Currently selected entity ID
@@ -92,11 +95,18 @@ export function drawRoomCanvas() {
         drawGrid();
     }
 
-    // Draw all carts
-    const carts = window.CONFIG?.carts || [];
     const selectedType = window.STATE?.selectedType;
     const selectedId = window.STATE?.selectedId;
 
+    // Draw fixtures first so carts parked beside them stay visible
+    const fixtures = window.CONFIG?.fixtures || [];
+    fixtures.forEach(fixture => {
+        drawFixture(fixture, selectedType === 'fixture' && selectedId === fixture.id);
+    });
+
+    // Draw all carts
+    const carts = window.CONFIG?.carts || [];
+
     carts.forEach(cart => {
         const isSelected = selectedType === 'cart' && selectedId === cart.id;
         drawCart(cart, isSelected);
@@ -170,14 +180,14 @@ export function drawGrid() {
  * Cart positioning:
  * - Cart position is stored in normalized coordinates (0-1)
  * - Position (0.5, 0.5) is the room center
- * - Cart dimensions come from CART_TYPES definition
+ * - Cart dimensions come from the cart's type in CONFIG.cartTypes
  * - Rendered dimensions account for pixels-per-foot scale
  *
  * @function drawCart
  * @param {Object} cart - Cart object to render
  * @param {string} cart.id - Unique cart identifier
  * @param {string} cart.name - Display name for the cart
- * @param {string} cart.type - Cart type (maps to CART_TYPES)
+ * @param {string} cart.type - Cart type id (maps to CONFIG.cartTypes)
  * @param {number} cart.x - Normalized X position (0-1)
  * @param {number} cart.y - Normalized Y position (0-1)
  * @param {string} cart.color - Cart color (hex or CSS color)
@@ -195,7 +205,7 @@ export function drawGrid() {
  * };
  * drawCart(cart, true);
  *
- * @see {@link CART_TYPES} for cart dimension definitions
+ * @see {@link getCartType} for cart dimension lookup
  */
 export function drawCart(cart, isSelected) {
     const canvas = document.getElementById('room-canvas');
@@ -206,9 +216,8 @@ export function drawCart(cart, isSelected) {
     const x = cart.x * canvas.width;
     const y = cart.y * canvas.height;
 
-    // Get cart dimensions from CART_TYPES definition
-    const cartTypes = window.CART_TYPES || {};
-    const cartType = cartTypes[cart.type] || cartTypes.crash || { width: 2, depth: 1.5 };
+    // Get cart dimensions from the cart type (standard cart body when untyped)
+    const cartType = window.getCartType(cart.type) || { width: 2, depth: 1.5 };
     const widthFeet = cartType.width;
     const depthFeet = cartType.depth;
 
@@ -295,6 +304,73 @@ export function drawCart(cart, isSelected) {
     }
 }
 
+/**
+ * Draw a single room fixture on the canvas
+ *
+ * Fixtures are drawn as outlined rectangles rotated with the fixture, so a
+ * door turned to 270° lies along the right wall. Fixtures hung above the
+ * floor (wall monitors, ceiling booms) are drawn dashed and semi-transparent.
+ *
+ * @function drawFixture
+ * @param {Object} fixture - Fixture object to render
+ * @param {string} fixture.name - Display name for the fixture
+ * @param {number} fixture.x - Normalized X position (0-1)
+ * @param {number} fixture.y - Normalized Y position (0-1)
+ * @param {number} fixture.rotation - Rotation in degrees
+ * @param {number} fixture.width - Width in feet
+ * @param {number} fixture.depth - Depth in feet
+ * @param {number} fixture.elevation - Height of the underside in feet
+ * @param {string} fixture.color - Fixture color
+ * @param {boolean} isSelected - Whether this fixture is currently selected
+ *
+ * @example
+ * drawFixture(CONFIG.fixtures[0], false);
+ */
+export function drawFixture(fixture, isSelected) {
+    const canvas = document.getElementById('room-canvas');
+    const ctx = canvas?.getContext('2d');
+    if (!canvas || !ctx) return;
+
+    const pixelsPerFoot = window.CONFIG?.roomSettings?.pixelsPerFoot || 10;
+    const widthPixels = fixture.width * pixelsPerFoot;
+    const depthPixels = fixture.depth * pixelsPerFoot;
+    const raised = fixture.elevation > 0;
+
+    ctx.save();
+    ctx.translate(fixture.x * canvas.width, fixture.y * canvas.height);
+    // 3D rotation turns +Z toward +X; on the canvas that is counter-clockwise
+    ctx.rotate(-((fixture.rotation || 0) * Math.PI) / 180);
+
+    // Selection highlight
+    if (isSelected) {
+        ctx.fillStyle = 'rgba(14, 99, 156, 0.2)';
+        ctx.fillRect(-widthPixels / 2 - 4, -depthPixels / 2 - 4, widthPixels + 8, depthPixels + 8);
+        ctx.strokeStyle = '#0e639c';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(-widthPixels / 2 - 4, -depthPixels / 2 - 4, widthPixels + 8, depthPixels + 8);
+    }
+
+    // Fixture body
+    ctx.globalAlpha = raised ? 0.5 : 0.85;
+    ctx.fillStyle = fixture.color;
+    ctx.fillRect(-widthPixels / 2, -depthPixels / 2, widthPixels, depthPixels);
+    ctx.globalAlpha = 1;
+
+    ctx.setLineDash(raised ? [4, 3] : []);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(-widthPixels / 2, -depthPixels / 2, widthPixels, depthPixels);
+    ctx.setLineDash([]);
+    ctx.restore();
+
+    // Name label (unrotated so it stays readable)
+    ctx.fillStyle = '#333';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(fixture.name, fixture.x * canvas.width, fixture.y * canvas.height);
+}
+
 /**
  * Draw the overview statistics canvas
  *
@@ -304,6 +380,7 @@ export function drawCart(cart, isSelected) {
  * - Number of drawers
  * - Number of items
  * - Number of achievements
+ * - Number of fixtures
  *
  * Each statistic is displayed in a colored box with:
  * - Icon emoji
@@ -325,6 +402,7 @@ export function drawCart(cart, isSelected) {
  * @requires window.CONFIG.drawers - Array of drawer objects
  * @requires window.CONFIG.items - Array of item objects
  * @requires window.CONFIG.achievements - Array of achievement objects
+ * @requires window.CONFIG.fixtures - Array of fixture objects
  *
  * @example
  * // Render the overview statistics view
@@ -372,6 +450,12 @@ export function drawOverviewCanvas() {
             value: config.achievements?.length || 0,
             icon: '🏆',
             color: '#7d3c98'
+        },
+        {
+            label: 'Fixtures',
+            value: config.fixtures?.length || 0,
+            icon: '🚪',
+            color: '#5d6d7e'
         }
     ];
 
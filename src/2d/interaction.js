@@ -2,21 +2,21 @@
  * @fileoverview 2D Canvas Mouse Interaction Module
  *
  * This module handles all mouse interactions with the 2D canvas including:
- * - Cart selection via mouse clicks
- * - Cart dragging and repositioning
+ * - Cart and fixture selection via mouse clicks
+ * - Cart and fixture dragging and repositioning
  * - Grid snapping during drag operations
  * - Boundary constraints to keep carts within room bounds
  *
  * The interaction system uses a simple state machine:
- * 1. Mouse Down: Check for cart hit, initiate drag if found
- * 2. Mouse Move: Update dragged cart position if dragging
+ * 1. Mouse Down: Check for cart hit, then fixture hit, initiate drag if found
+ * 2. Mouse Move: Update dragged cart or fixture position if dragging
  * 3. Mouse Up: Complete drag operation
  *
  * All position calculations work with normalized coordinates (0-1)
  * where (0.5, 0.5) represents the room center.
  *
  * @module src/2d/interaction
- * @requires teacher.js (globals: CONFIG, STATE, CART_TYPES, canvas)
+ * @requires teacher.js (globals: CONFIG, STATE, getCartType, canvas)
  */
 
 /**
@@ -26,12 +26,13 @@
  * - Detect if a cart was clicked (hit testing)
  * - Initiate drag operation if cart was clicked
  * - Select the clicked cart
+ * - Otherwise select (and start dragging) a clicked fixture
  * - Deselect if clicking on empty space
  *
  * Hit testing:
  * - Converts mouse position to normalized coordinates
  * - Checks each cart's bounding box
- * - Accounts for cart dimensions from CART_TYPES
+ * - Accounts for cart dimensions from the cart's type (CONFIG.cartTypes)
  * - Selects first cart found under cursor
  *
  * Only active in 'room' canvas mode - no interaction in 'overview' mode.
@@ -40,7 +41,7 @@
  * @param {MouseEvent} e - Mouse event object
  * @requires window.STATE.canvasMode - Current canvas mode
  * @requires window.CONFIG.carts - Array of cart objects
- * @requires CART_TYPES - Cart dimension definitions
+ * @requires getCartType - Cart type lookup for dimensions
  * @requires selectEntity - Function to select a cart (from teacher.js)
  * @requires deselectEntity - Function to deselect current selection (from teacher.js)
  *
@@ -67,14 +68,13 @@ export function handleCanvasMouseDown(e) {
 
     // Check if clicking on a cart (iterate in reverse for top-to-bottom hit testing)
     const carts = window.CONFIG?.carts || [];
-    const cartTypes = window.CART_TYPES || {};
     const pixelsPerFoot = window.CONFIG?.roomSettings?.pixelsPerFoot || 10;
 
     for (let i = carts.length - 1; i >= 0; i--) {
         const cart = carts[i];
 
         // Get cart dimensions
-        const cartType = cartTypes[cart.type] || cartTypes.crash || { width: 2, depth: 1.5 };
+        const cartType = window.getCartType(cart.type) || { width: 2, depth: 1.5 };
 
         // Calculate cart's bounding box in normalized coordinates
         const sizeX = (cartType.width * pixelsPerFoot) / canvas.width;
@@ -99,6 +99,18 @@ export function handleCanvasMouseDown(e) {
         }
     }
 
+    // Fixtures lie under the carts, so they are only hit when no cart is
+    const fixture = getFixtureAtPosition(clickX, clickY);
+    if (fixture) {
+        if (window.STATE) {
+            window.STATE.draggedFixture = fixture;
+        }
+        if (window.selectEntity) {
+            window.selectEntity('fixture', fixture.id);
+        }
+        return;
+    }
+
     // Clicking on empty space - deselect current selection
     if (window.deselectEntity) {
         window.deselectEntity();
@@ -130,6 +142,7 @@ export function handleCanvasMouseDown(e) {
  * @function handleCanvasMouseMove
  * @param {MouseEvent} e - Mouse event object
  * @requires window.STATE.draggedCart - Currently dragged cart object (null if not dragging)
+ * @requires window.STATE.draggedFixture - Currently dragged fixture (null if not dragging)
  * @requires window.STATE.snapToGrid - Whether grid snapping is enabled
  * @requires window.STATE.gridSize - Grid spacing in feet
  * @requires window.CONFIG.roomSettings.pixelsPerFoot - Scale factor
@@ -144,10 +157,10 @@ export function handleCanvasMouseDown(e) {
  * @see {@link handleCanvasMouseUp} for drag completion
  */
 export function handleCanvasMouseMove(e) {
-    const draggedCart = window.STATE?.draggedCart;
+    const dragged = window.STATE?.draggedCart || window.STATE?.draggedFixture;
 
-    // Only process if actively dragging a cart
-    if (!draggedCart) return;
+    // Only process if actively dragging a cart or fixture
+    if (!dragged) return;
 
     const canvas = document.getElementById('room-canvas');
     if (!canvas) return;
@@ -172,9 +185,10 @@ export function handleCanvasMouseMove(e) {
     }
 
     // Clamp to canvas bounds (with margin)
-    // Using 0.1-0.9 range keeps cart away from edges
-    draggedCart.x = Math.max(0.1, Math.min(0.9, newX));
-    draggedCart.y = Math.max(0.1, Math.min(0.9, newY));
+    // Using 0.1-0.9 range keeps cart away from edges; fixtures may sit against the walls
+    const margin = window.STATE.draggedFixture ? 0 : 0.1;
+    dragged.x = Math.max(margin, Math.min(1 - margin, newX));
+    dragged.y = Math.max(margin, Math.min(1 - margin, newY));
 
     // Mark as having unsaved changes
     if (window.STATE) {
@@ -195,8 +209,9 @@ export function handleCanvasMouseMove(e) {
 /**
  * Handle mouse up event on canvas
  *
- * Completes a cart drag operation by:
- * - Clearing the draggedCart reference
+ * Completes a cart or fixture drag operation by:
+ * - Clearing the draggedCart and draggedFixture references
+ * - Rebuilding the 3D fixtures after a fixture was moved
  * - Ending the drag state
  *
  * This function is called both on mouseup (normal completion)
@@ -221,6 +236,13 @@ export function handleCanvasMouseUp() {
     // Clear drag state
     if (window.STATE) {
         window.window.STATE.draggedCart = null;
+
+        if (window.STATE.draggedFixture) {
+            window.STATE.draggedFixture = null;
+            if (window.buildAll3DFixtures) {
+                window.buildAll3DFixtures();
+            }
+        }
     }
 }
 
@@ -250,8 +272,7 @@ export function isPointInCart(x, y, cart) {
     const canvas = document.getElementById('room-canvas');
     if (!canvas) return false;
 
-    const cartTypes = window.CART_TYPES || {};
-    const cartType = cartTypes[cart.type] || cartTypes.crash || { width: 2, depth: 1.5 };
+    const cartType = window.getCartType(cart.type) || { width: 2, depth: 1.5 };
     const pixelsPerFoot = window.CONFIG?.roomSettings?.pixelsPerFoot || 10;
 
     // Calculate cart bounding box in normalized coordinates
@@ -296,6 +317,60 @@ export function getCartAtPosition(x, y) {
     return null;
 }
 
+/**
+ * Check if a point intersects with a fixture
+ *
+ * The point is turned into the fixture's own frame first, so rotated
+ * fixtures (e.g. a door on a side wall) are hit on their drawn outline.
+ *
+ * @function isPointInFixture
+ * @param {number} x - Point X coordinate (normalized 0-1)
+ * @param {number} y - Point Y coordinate (normalized 0-1)
+ * @param {Object} fixture - Fixture object to test ({ x, y, rotation, width, depth })
+ * @returns {boolean} True if point is within the fixture outline
+ *
+ * @example
+ * isPointInFixture(0.99, 0.5, CONFIG.fixtures[1]); // true for the bay door
+ */
+export function isPointInFixture(x, y, fixture) {
+    const canvas = document.getElementById('room-canvas');
+    if (!canvas) return false;
+
+    const pixelsPerFoot = window.CONFIG?.roomSettings?.pixelsPerFoot || 10;
+    const angle = ((fixture.rotation || 0) * Math.PI) / 180;
+
+    // Offset from the fixture center in pixels, then rotated into the fixture's frame
+    const dx = (x - fixture.x) * canvas.width;
+    const dy = (y - fixture.y) * canvas.height;
+    const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+    const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+
+    return (
+        Math.abs(localX) < (fixture.width * pixelsPerFoot) / 2 &&
+        Math.abs(localY) < (fixture.depth * pixelsPerFoot) / 2
+    );
+}
+
+/**
+ * Get fixture at mouse position
+ *
+ * @function getFixtureAtPosition
+ * @param {number} x - Mouse X coordinate (normalized 0-1)
+ * @param {number} y - Mouse Y coordinate (normalized 0-1)
+ * @returns {Object|null} Top-most fixture at position, or null if none found
+ */
+export function getFixtureAtPosition(x, y) {
+    const fixtures = window.CONFIG?.fixtures || [];
+
+    for (let i = fixtures.length - 1; i >= 0; i--) {
+        if (isPointInFixture(x, y, fixtures[i])) {
+            return fixtures[i];
+        }
+    }
+
+    return null;
+}
+
 /**
  * Convert mouse event to normalized coordinates
  *
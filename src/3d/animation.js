@@ -4,7 +4,8 @@
  * ==============================================================================
  *
  * This module handles 3D animations for interactive elements:
- * - Drawer open/close animations
+ * - Drawer open/close animations (and the doors, baskets and bags of the
+ *   other storage kinds, which open the same way)
  * - Smooth lerp-based movement
  * - Animation state tracking
  *
@@ -19,7 +20,7 @@
  *
  * Dependencies:
  * - Three.js library (THREE global)
- * - DRAWER_PROPERTIES, DRAWER_ANIMATION from constants module
+ * - DRAWER_ANIMATION from constants module
  *
  * Exports:
  * - openDrawer(): Animate drawer opening
@@ -29,7 +30,7 @@
  * @module 3d/animation
  */
 
-import { DRAWER_PROPERTIES, DRAWER_ANIMATION } from '../config/constants.js';
+import { DRAWER_ANIMATION } from '../config/constants.js';
 
 // ===== DRAWER ANIMATION =====
 
@@ -37,13 +38,15 @@ import { DRAWER_PROPERTIES, DRAWER_ANIMATION } from '../config/constants.js';
  * Open a drawer with smooth animation
  *
  * This function initiates a drawer opening animation:
- * - Sets target position for drawer (pulled out)
+ * - Sets target value for the drawer's motion (pulled out)
  * - Marks drawer as open in userData
  * - Starts animation loop
  *
- * The drawer slides forward (positive Z direction) by the openDistance
- * amount (default 0.5 feet / 6 inches). Animation uses lerp for smooth
- * easing that automatically slows as it approaches the target.
+ * A drawer slides forward (positive Z direction) by the openDistance
+ * amount (default 0.5 feet / 6 inches); cabinet doors, rail baskets and IV
+ * bags turn by their motion's open angle instead. Animation uses lerp for
+ * smooth easing that automatically slows as it approaches the target.
+ * Open shelves have no motion and only change state.
  *
  * If drawer is already open, no action is taken.
  *
@@ -62,8 +65,10 @@ export function openDrawer(drawerGroup) {
     // Mark as open
     drawerGroup.userData.isOpen = true;
 
-    // Set target position (pull out 6 inches)
-    drawerGroup.userData.targetZ = drawerGroup.position.z + DRAWER_PROPERTIES.openDistance;
+    // Set target to the motion's open value
+    const motion = drawerGroup.userData.motion;
+    if (!motion) return;
+    drawerGroup.userData.target = motion.open;
 
     // Start animation loop
     animateDrawer(drawerGroup);
@@ -77,8 +82,9 @@ export function openDrawer(drawerGroup) {
  * - Marks drawer as closed in userData
  * - Starts animation loop
  *
- * The drawer slides backward to its original position (z=0 in local space).
- * Animation uses the same smooth lerp as opening.
+ * The drawer slides backward to its original position (z=0 in local space);
+ * other storage kinds turn back to 0. Animation uses the same smooth lerp as
+ * opening.
  *
  * If drawer is already closed, no action is taken.
  *
@@ -98,7 +104,8 @@ export function closeDrawer(drawerGroup) {
     drawerGroup.userData.isOpen = false;
 
     // Set target position (push back to original)
-    drawerGroup.userData.targetZ = 0;
+    if (!drawerGroup.userData.motion) return;
+    drawerGroup.userData.target = 0;
 
     // Start animation loop
     animateDrawer(drawerGroup);
@@ -124,8 +131,11 @@ export function closeDrawer(drawerGroup) {
  * - ~90% distance covered in 15 frames (~250ms)
  * - Complete in ~30 frames (~500ms)
  *
- * The animation automatically stops when within threshold (0.01 feet = 0.12 inches)
- * of the target, snapping to exact position.
+ * The animation automatically stops when within threshold (0.01 feet = 0.12 inches,
+ * or 0.01 radians) of the target, snapping to exact position.
+ *
+ * The value animated is userData.motion: the `property` ('position' or
+ * 'rotation') of `object` along `axis`.
  *
  * @param {THREE.Group} drawerGroup - The drawer group to animate
  * @returns {void}
@@ -142,28 +152,30 @@ export function animateDrawer(drawerGroup) {
      */
     const animate = () => {
         // Check if target is set
-        if (!drawerGroup.userData.targetZ && drawerGroup.userData.targetZ !== 0) return;
+        const target = drawerGroup.userData.target;
+        if (target === null || target === undefined) return;
 
-        // Get current and target positions
-        const current = drawerGroup.position.z;
-        const target = drawerGroup.userData.targetZ;
+        // Get current and target values
+        const motion = drawerGroup.userData.motion;
+        const value = motion.object[motion.property];
+        const current = value[motion.axis];
         const diff = target - current;
 
         // Check if animation is complete
         if (Math.abs(diff) < DRAWER_ANIMATION.threshold) {
-            // Snap to exact target position
-            drawerGroup.position.z = target;
+            // Snap to exact target value
+            value[motion.axis] = target;
 
             // Clear target to mark animation complete
-            drawerGroup.userData.targetZ = null;
+            drawerGroup.userData.target = null;
 
             // Animation done - stop loop
             return;
         }
 
         // Lerp toward target
-        // New position = current + (distance * lerp factor)
-        drawerGroup.position.z += diff * DRAWER_ANIMATION.lerpFactor;
+        // New value = current + (distance * lerp factor)
+        value[motion.axis] += diff * DRAWER_ANIMATION.lerpFactor;
 
         // Continue animating - request next frame
         requestAnimationFrame(animate);
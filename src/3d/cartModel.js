@@ -10,6 +10,8 @@
  * Key responsibilities:
  * - Creating 3D cart models from cart data
  * - Building drawer geometries with handles
+ * - Stacking drawers, cabinets and shelves, and hanging rail baskets and IV
+ *   bags (built by the storage model module)
  * - Adding cart-specific features (IV poles, procedure surfaces)
  * - Managing cart mesh lifecycle (creation, disposal)
  * - Converting between 2D canvas coordinates and 3D space
@@ -17,7 +19,9 @@
  * Dependencies:
  * - Three.js library (THREE global)
  * - CONFIG object from config module
- * - CART_TYPES and constants from constants module
+ * - Cart types from CONFIG.cartTypes (via getCartType)
+ * - Constants from constants module
+ * - Storage builders from storageModel module
  * - scene, cartMeshes from scene module
  *
  * Exports:
@@ -31,11 +35,11 @@
 
 
 import {
-    CART_TYPES,
     DRAWER_COLOR_MAP,
     DEFAULT_DRAWER_COLOR,
     WHEEL_DIMENSIONS,
     DRAWER_PROPERTIES,
+    STORAGE_KINDS,
     HANDLE_DIMENSIONS,
     IV_POLE_DIMENSIONS,
     PROCEDURE_SURFACE,
@@ -45,6 +49,16 @@ import {
     WHEEL_MATERIAL
 } from '../config/constants.js';
 import { scene, cartMeshes } from './scene.js';
+import {
+    getStorageKind,
+    addDrawerTray,
+    createCartBody,
+    createCabinet,
+    createShelf,
+    addRailBaskets,
+    addIVBags,
+    getHookPosition
+} from './storageModel.js';
 
 // ===== DRAWER COLOR LOGIC =====
 
@@ -89,11 +103,12 @@ export function getDrawerColor(drawer) {
  * Constructs a complete drawer group including:
  * - Drawer front face (colored based on contents)
  * - Cylindrical handle (horizontal bar)
+ * - Tray behind the front, split into bins by the drawer's layout
  * - Proper positioning within cart
  * - User data for interaction
  *
- * The drawer is positioned vertically based on its index,
- * with appropriate gaps between drawers.
+ * The drawer is positioned vertically from the bottom of its slot;
+ * create3DCart() stacks the slots with gaps between drawers.
  *
  * @param {Object} drawer - Drawer data object from CONFIG
  * @param {string} drawer.id - Unique drawer identifier
@@ -101,8 +116,7 @@ export function getDrawerColor(drawer) {
  * @param {number} cartWidth - Parent cart width in feet
  * @param {number} drawerHeight - Height of this drawer in feet
  * @param {number} cartDepth - Parent cart depth in feet
- * @param {number} index - Zero-based index for vertical positioning
- * @param {number} startY - Y-coordinate to start drawer stack
+ * @param {number} bottomY - Y-coordinate of the bottom of the drawer
  * @returns {THREE.Group} Group containing drawer meshes
  *
  * @example
@@ -111,12 +125,11 @@ export function getDrawerColor(drawer) {
  *   2.0,  // cart width
  *   0.5,  // drawer height
  *   1.5,  // cart depth
- *   0,    // first drawer (index 0)
- *   0.5   // start position
+ *   0.5   // bottom of the drawer
  * );
  * cartGroup.add(drawer);
  */
-export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index, startY) {
+export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, bottomY) {
     // Create group to hold all drawer parts
     const drawerGroup = new THREE.Group();
     drawerGroup.userData = {
@@ -148,8 +161,8 @@ export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index,
 
     const front = new THREE.Mesh(frontGeometry, frontMaterial);
 
-    // Position drawer vertically with gaps between drawers
-    const yPosition = startY + index * (drawerHeight + DRAWER_PROPERTIES.gap) + drawerHeight / 2;
+    // Position drawer vertically within its slot
+    const yPosition = bottomY + drawerHeight / 2;
     front.position.y = yPosition;
     front.position.z = (cartDepth / 2) - 0.05; // Just inside the cart front
 
@@ -184,6 +197,10 @@ export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index,
 
     drawerGroup.add(handle);
 
+    // Tray behind the front, hidden in the cart body until the drawer opens
+    const frontBackZ = front.position.z - DRAWER_PROPERTIES.frontThickness / 2;
+    addDrawerTray(drawerGroup, drawer, drawerWidth, drawerHeight, drawerDepth, bottomY, frontBackZ);
+
     // Store reference to clickable mesh for raycasting
     front.userData = {
         drawerId: drawer.id,
@@ -191,11 +208,34 @@ export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index,
     };
     drawerGroup.userData.clickable = front;
 
+    // Slides straight out when opened
+    drawerGroup.userData.motion = {
+        object: drawerGroup,
+        property: 'position',
+        axis: 'z',
+        open: DRAWER_PROPERTIES.openDistance
+    };
+
     return drawerGroup;
 }
 
 // ===== CART CREATION =====
 
+/**
+ * Get the height of a cart's drawer from its cart type
+ *
+ * Drawers beyond the type's drawer count use the type's last drawer height,
+ * so a cart with an extra drawer still lines up with its neighbours.
+ *
+ * @param {Object|null} cartType - Cart type from CONFIG.cartTypes
+ * @param {number} index - Zero-based drawer index (sorted by drawer number)
+ * @returns {number} Drawer height in feet
+ */
+function getDrawerHeight(cartType, index) {
+    const heights = (cartType && cartType.drawerHeights) || [];
+    return heights[index] ?? heights[heights.length - 1] ?? DRAWER_PROPERTIES.defaultHeight;
+}
+
 /**
  * Create a complete 3D cart model
  *
@@ -204,7 +244,7 @@ export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index,
  * - Main cart body with material and lighting
  * - Edge wireframe for definition
  * - Four wheels at corners for mobility
- * - All drawers with handles
+ * - All drawers with handles, plus cabinets, shelves, rail baskets and IV bags
  * - Special features (IV pole, procedure surface) if applicable
  *
  * The cart is positioned in 3D space based on its 2D coordinates,
@@ -212,7 +252,7 @@ export function createDrawer(drawer, cartWidth, drawerHeight, cartDepth, index,
  *
  * @param {Object} cartData - Cart data object from CONFIG
  * @param {string} cartData.id - Unique cart identifier
- * @param {string} cartData.type - Cart type key (matches CART_TYPES)
+ * @param {string} cartData.type - Cart type id (matches CONFIG.cartTypes)
  * @param {number} cartData.x - Normalized X position (0-1)
  * @param {number} cartData.y - Normalized Y position (0-1)
  * @param {number} [cartData.rotation=0] - Rotation in degrees
@@ -239,15 +279,34 @@ export function create3DCart(cartData) {
     };
 
     // Get cart type definition or use defaults
-    const cartType = cartData.type ? CART_TYPES[cartData.type] : null;
+    const cartType = cartData.type ? window.getCartType(cartData.type) : null;
     const width = cartType ? cartType.width : (cartData.width3D || 2.0);
     const height = cartType ? cartType.height : (cartData.height3D || 4.0);
     const depth = cartType ? cartType.depth : (cartData.depth3D || 1.5);
 
-    // ===== CART BODY =====
+    // ===== STORAGE LAYOUT =====
+
+    // Storage locations belonging to this cart, sorted by number (top to bottom)
+    const cartDrawers = window.CONFIG.drawers
+        .filter(d => d.cart === cartData.id)
+        .sort((a, b) => a.number - b.number);
+
+    // Drawers, cabinets and shelves share the stack; rail baskets and IV bags hang outside it
+    const stackDrawers = cartDrawers.filter(drawer => STORAGE_KINDS[getStorageKind(drawer)].inStack);
+
+    // Calculate stack layout from the cart type's per-drawer heights
+    const drawerHeights = stackDrawers.map((drawer, index) => getDrawerHeight(cartType, index));
+    const totalDrawerHeight = drawerHeights.reduce((total, drawerHeight) => total + drawerHeight + DRAWER_PROPERTIES.gap, 0);
+    // Drawer 1 is at the top of the stack, which is centered on the body
+    let topY = (height / 2) + (totalDrawerHeight / 2) - DRAWER_PROPERTIES.gap;
+    const slots = stackDrawers.map((drawer, index) => {
+        topY -= drawerHeights[index];
+        const slot = { drawer: drawer, bottomY: topY, height: drawerHeights[index] };
+        topY -= DRAWER_PROPERTIES.gap;
+        return slot;
+    });
 
-    // Create main cart body geometry
-    const bodyGeometry = new THREE.BoxGeometry(width, height, depth);
+    // ===== CART BODY =====
 
     // Create material with cart color
     const bodyMaterial = new THREE.MeshStandardMaterial({
@@ -256,26 +315,22 @@ export function create3DCart(cartData) {
         metalness: CART_MATERIAL.metalness
     });
 
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-
-    // Position cart body - lift to sit on floor
-    body.position.y = height / 2;
-
-    // Enable shadows for realistic lighting
-    body.castShadow = true;
-    body.receiveShadow = true;
-    cartGroup.add(body);
+    // Solid body, open at the front where cabinets and shelves sit
+    const openings = slots.filter(slot => getStorageKind(slot.drawer) !== 'drawer').reverse(); // Bottom first
+    const bodyParts = createCartBody(cartData.id, width, height, depth, openings, bodyMaterial);
+    bodyParts.forEach(part => cartGroup.add(part));
+    const body = bodyParts[0];
 
     // ===== CART EDGES =====
 
     // Add edge wireframe for better visual definition
-    const edges = new THREE.EdgesGeometry(bodyGeometry);
+    const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(width, height, depth));
     const lineMaterial = new THREE.LineBasicMaterial({
         color: 0x333333, // Dark gray
         linewidth: 2
     });
     const wireframe = new THREE.LineSegments(edges, lineMaterial);
-    wireframe.position.copy(body.position);
+    wireframe.position.y = height / 2;
     cartGroup.add(wireframe);
 
     // ===== WHEELS =====
@@ -317,8 +372,9 @@ export function create3DCart(cartData) {
 
     // Add IV pole for IV cart type
     if (cartType && cartType.hasIVPole) {
-        // Main pole (tall cylinder at back)
+        // Main pole (tall cylinder at back, rising above the cart top)
         const poleHeight = height * IV_POLE_DIMENSIONS.heightRatio;
+        const poleZ = -depth / 3;
         const poleGeometry = new THREE.CylinderGeometry(
             IV_POLE_DIMENSIONS.radius,
             IV_POLE_DIMENSIONS.radius,
@@ -333,11 +389,18 @@ export function create3DCart(cartData) {
         });
 
         const pole = new THREE.Mesh(poleGeometry, poleMaterial);
-        pole.position.y = height - (poleHeight / 2);
-        pole.position.z = -depth / 3;
+        pole.position.y = height;
+        pole.position.z = poleZ;
         cartGroup.add(pole);
 
-        // IV hooks at top (ring-shaped hooks for hanging IV bags)
+        // IV hooks at top (an arm out from the pole ending in a ring for hanging IV bags)
+        const hookY = height + poleHeight / 2 - 0.1;
+        const armGeometry = new THREE.CylinderGeometry(
+            IV_POLE_DIMENSIONS.hookTubeRadius,
+            IV_POLE_DIMENSIONS.hookTubeRadius,
+            IV_POLE_DIMENSIONS.hookSpacing,
+            8
+        );
         const hookGeometry = new THREE.TorusGeometry(
             IV_POLE_DIMENSIONS.hookRadius,
             IV_POLE_DIMENSIONS.hookTubeRadius,
@@ -351,15 +414,24 @@ export function create3DCart(cartData) {
             metalness: 0.8
         });
 
-        // Create multiple hooks along the top
+        // Create hooks spaced around the top of the pole
         for (let i = 0; i < IV_POLE_DIMENSIONS.hookCount; i++) {
+            const position = getHookPosition(i, hookY, poleZ);
+
+            const arm = new THREE.Mesh(armGeometry, hookMaterial);
+            arm.position.set(position.x / 2, hookY, (poleZ + position.z) / 2);
+            arm.rotation.set(0, -position.angle, Math.PI / 2, 'YXZ'); // Lay flat, then point away from the pole
+            cartGroup.add(arm);
+
             const hook = new THREE.Mesh(hookGeometry, hookMaterial);
-            hook.position.y = height - 0.3;
-            hook.position.x = (i - (IV_POLE_DIMENSIONS.hookCount - 1) / 2) * IV_POLE_DIMENSIONS.hookSpacing;
-            hook.position.z = -depth / 3;
+            hook.position.set(position.x, hookY, position.z);
             hook.rotation.x = Math.PI / 2; // Horizontal ring
             cartGroup.add(hook);
         }
+
+        // Bags on the hooks
+        const bags = cartDrawers.filter(drawer => getStorageKind(drawer) === 'hook');
+        addIVBags(cartGroup, bags, hookY, poleZ, getDrawerColor);
     }
 
     // Add enhanced top surface for procedure table
@@ -377,37 +449,31 @@ export function create3DCart(cartData) {
         });
 
         const topSurface = new THREE.Mesh(topGeometry, topMaterial);
-        topSurface.position.y = height / 2 + PROCEDURE_SURFACE.offset;
+        topSurface.position.y = height + PROCEDURE_SURFACE.offset; // Rests on top of the body
         topSurface.castShadow = true;
         cartGroup.add(topSurface);
     }
 
     // ===== DRAWERS =====
 
-    // Get drawers belonging to this cart
-    const cartDrawers = window.CONFIG.drawers.filter(d => d.cart === cartData.id);
-
-    if (cartDrawers.length > 0) {
-        // Sort drawers by number (top to bottom)
-        cartDrawers.sort((a, b) => a.number - b.number);
-
-        // Calculate drawer layout
-        const drawerHeight = cartType ? cartType.drawerHeight : 0.5;
-        const totalDrawerHeight = cartDrawers.length * (drawerHeight + DRAWER_PROPERTIES.gap);
-        const startY = (height / 2) - (totalDrawerHeight / 2); // Start from top
-
-        // Create each drawer
-        cartDrawers.forEach((drawer, index) => {
-            const drawerGroup = createDrawer(
-                drawer,
-                width,
-                drawerHeight,
-                depth,
-                index,
-                startY
-            );
-            cartGroup.add(drawerGroup);
-        });
+    // Create each drawer, cabinet and shelf in its stack slot
+    slots.forEach(slot => {
+        const kind = getStorageKind(slot.drawer);
+        let storageGroup;
+        if (kind === 'door') {
+            storageGroup = createCabinet(slot.drawer, width, slot.height, depth, slot.bottomY, getDrawerColor(slot.drawer));
+        } else if (kind === 'shelf') {
+            storageGroup = createShelf(slot.drawer, width, slot.height, depth, slot.bottomY, getDrawerColor(slot.drawer));
+        } else {
+            storageGroup = createDrawer(slot.drawer, width, slot.height, depth, slot.bottomY);
+        }
+        cartGroup.add(storageGroup);
+    });
+
+    // Rail baskets across the cart front
+    const baskets = cartDrawers.filter(drawer => getStorageKind(drawer) === 'rail');
+    if (baskets.length > 0) {
+        addRailBaskets(cartGroup, baskets, width, height, depth, getDrawerColor);
     }
 
     // ===== POSITIONING =====
@@ -428,11 +494,9 @@ export function create3DCart(cartData) {
 
     // ===== INTERACTION SETUP =====
 
-    // Store cart ID in body mesh for raycasting
-    body.userData = { cartId: cartData.id };
-
-    // Store reference to clickable mesh
+    // Store reference to clickable mesh (every body part carries the cart ID for raycasting)
     cartGroup.userData.clickable = body;
+    cartGroup.userData.bodyParts = bodyParts;
 
     return cartGroup;
 }
@@ -0,0 +1,214 @@
+/**
+ * ==============================================================================
+ * 3D FIXTURE MODEL MODULE
+ * ==============================================================================
+ *
+ * This module builds the fixed furniture of the trauma room (stretcher, doors,
+ * wall counters, sinks, ceiling booms and wall monitors) for the designer's 3D
+ * preview. Fixtures hold no items and can't be opened; they give the room its
+ * layout and match what the trainee walks around in the trainer.
+ *
+ * Each fixture is a group positioned like a cart: x/y are normalized room
+ * coordinates, rotation is in degrees, and wall fixtures face +Z at rotation 0.
+ * The parts are sized from the fixture's own width, depth and height, and the
+ * whole group is lifted by its elevation (wall monitors, ceiling booms).
+ *
+ * Dependencies:
+ * - Three.js library (THREE global)
+ * - CONFIG object (fixtures, roomSettings)
+ * - FIXTURE_TYPES from constants module
+ * - scene, fixtureMeshes from scene module
+ *
+ * Exports:
+ * - create3DFixture(): Create the 3D model of one fixture
+ * - buildAll3DFixtures(): Build all fixtures from CONFIG and add to scene
+ *
+ * @module 3d/fixtureModel
+ */
+
+import { FIXTURE_TYPES } from '../config/constants.js';
+import { scene, fixtureMeshes } from './scene.js';
+
+// ===== FIXTURE PARTS =====
+
+/**
+ * Add a box part to a fixture group
+ *
+ * @param {THREE.Group} group - The fixture group
+ * @param {Object} size - { width, height, depth } in feet
+ * @param {Object} position - { x, y, z } of the box center in feet
+ * @param {string|number} color - Part color
+ * @param {Object} [material={}] - Extra MeshStandardMaterial options
+ * @returns {THREE.Mesh} The added mesh
+ */
+function addBox(group, size, position, color, material = {}) {
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(size.width, size.height, size.depth),
+        new THREE.MeshStandardMaterial({ color: color, roughness: 0.6, metalness: 0.2, ...material })
+    );
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    return mesh;
+}
+
+/**
+ * Add a vertical cylinder part to a fixture group
+ *
+ * @param {THREE.Group} group - The fixture group
+ * @param {number} radius - Radius in feet
+ * @param {number} height - Height in feet
+ * @param {Object} position - { x, y, z } of the cylinder center in feet
+ * @param {string|number} color - Part color
+ * @returns {THREE.Mesh} The added mesh
+ */
+function addCylinder(group, radius, height, position, color) {
+    const mesh = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius, radius, height, 16),
+        new THREE.MeshStandardMaterial({ color: color, roughness: 0.3, metalness: 0.7 })
+    );
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.castShadow = true;
+    group.add(mesh);
+    return mesh;
+}
+
+// ===== FIXTURE MODEL =====
+
+/**
+ * Create the 3D model of a fixture
+ *
+ * Parts by type:
+ * - stretcher: frame on four legs with a mattress
+ * - door: two leaves with handles on the room side
+ * - counter: base cabinet with a worktop
+ * - sink: cabinet, stainless top, basin and faucet
+ * - boom: pendant head with a column up to the ceiling
+ * - monitor: bezel with a lit screen
+ *
+ * @param {Object} fixture - Fixture from CONFIG.fixtures
+ * @param {string} fixture.id - Unique fixture identifier
+ * @param {string} fixture.type - Fixture type (see FIXTURE_TYPES)
+ * @param {number} fixture.x - Normalized X position (0-1)
+ * @param {number} fixture.y - Normalized Y position (0-1)
+ * @param {number} fixture.rotation - Rotation in degrees
+ * @param {number} fixture.width - Width in feet
+ * @param {number} fixture.depth - Depth in feet
+ * @param {number} fixture.height - Height in feet
+ * @param {number} fixture.elevation - Height of the underside in feet
+ * @param {string} fixture.color - Body color
+ * @returns {THREE.Group} The fixture group
+ *
+ * @example
+ * scene.add(create3DFixture(CONFIG.fixtures[0]));
+ */
+export function create3DFixture(fixture) {
+    const group = new THREE.Group();
+    group.userData = { fixtureId: fixture.id, fixtureData: fixture };
+
+    const type = FIXTURE_TYPES[fixture.type] || FIXTURE_TYPES.counter;
+    const width = fixture.width || type.width;
+    const depth = fixture.depth || type.depth;
+    const height = fixture.height || type.height;
+    const elevation = fixture.elevation ?? type.elevation;
+    const color = fixture.color || type.color;
+
+    switch (fixture.type) {
+        case 'stretcher': {
+            const mattress = 0.4;
+            const frameTop = height - mattress;
+            addBox(group, { width: width, height: 0.25, depth: depth }, { x: 0, y: frameTop - 0.125, z: 0 }, color, { metalness: 0.6 });
+            addBox(group, { width: width - 0.1, height: mattress, depth: depth - 0.2 }, { x: 0, y: height - mattress / 2, z: 0 }, '#FFFFFF', { roughness: 0.9, metalness: 0 });
+            [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sz]) => {
+                addCylinder(group, 0.08, frameTop, { x: sx * (width / 2 - 0.2), y: frameTop / 2, z: sz * (depth / 2 - 0.3) }, color);
+            });
+            break;
+        }
+
+        case 'door': {
+            const leaf = width / 2 - 0.03;
+            [-1, 1].forEach(side => {
+                addBox(group, { width: leaf, height: height, depth: depth }, { x: side * (leaf / 2 + 0.03), y: height / 2, z: 0 }, color, { roughness: 0.8, metalness: 0 });
+                addBox(group, { width: 0.08, height: 0.8, depth: 0.1 }, { x: side * 0.25, y: 3.5, z: depth / 2 + 0.05 }, '#B0BEC5', { roughness: 0.2, metalness: 0.8 });
+            });
+            break;
+        }
+
+        case 'sink': {
+            addBox(group, { width: width, height: height - 0.15, depth: depth - 0.1 }, { x: 0, y: (height - 0.15) / 2, z: -0.05 }, '#BCAAA4');
+            addBox(group, { width: width, height: 0.15, depth: depth }, { x: 0, y: height - 0.075, z: 0 }, color, { roughness: 0.2, metalness: 0.8 });
+            addBox(group, { width: width * 0.6, height: 0.02, depth: depth * 0.5 }, { x: 0, y: height + 0.01, z: 0.1 }, '#78909C', { roughness: 0.2, metalness: 0.8 });
+            addCylinder(group, 0.05, 0.8, { x: 0, y: height + 0.4, z: -depth / 2 + 0.2 }, color);
+            break;
+        }
+
+        case 'boom': {
+            const ceiling = window.CONFIG?.roomSettings?.height || 12;
+            const column = ceiling - elevation - height;
+            addBox(group, { width: width, height: height, depth: depth }, { x: 0, y: height / 2, z: 0 }, color);
+            if (column > 0) {
+                addCylinder(group, 0.25, column, { x: 0, y: height + column / 2, z: 0 }, '#B0BEC5');
+            }
+            break;
+        }
+
+        case 'monitor': {
+            addBox(group, { width: width, height: height, depth: depth }, { x: 0, y: height / 2, z: 0 }, color);
+            addBox(group, { width: width - 0.15, height: height - 0.15, depth: 0.02 }, { x: 0, y: height / 2, z: depth / 2 + 0.01 }, '#0B3D2E', { emissive: 0x0A3D2A, roughness: 0.1, metalness: 0 });
+            break;
+        }
+
+        default: {
+            // Wall counter (also used for unknown types)
+            addBox(group, { width: width, height: height - 0.15, depth: depth - 0.1 }, { x: 0, y: (height - 0.15) / 2, z: -0.05 }, color);
+            addBox(group, { width: width, height: 0.15, depth: depth }, { x: 0, y: height - 0.075, z: 0 }, '#EEEEEE', { roughness: 0.4 });
+            break;
+        }
+    }
+
+    // Position in room (same mapping as carts)
+    const roomWidth = window.CONFIG.roomSettings.width;
+    const roomDepth = window.CONFIG.roomSettings.depth;
+    group.position.x = (fixture.x - 0.5) * roomWidth;
+    group.position.z = (fixture.y - 0.5) * roomDepth;
+    group.position.y = elevation; // Parts are built up from the fixture's underside
+    group.rotation.y = ((fixture.rotation || 0) * Math.PI) / 180;
+
+    return group;
+}
+
+// ===== FIXTURE MANAGEMENT =====
+
+/**
+ * Build all 3D fixtures from CONFIG and add to scene
+ *
+ * Disposes the previous fixture meshes first, like buildAll3DCarts().
+ * Call it whenever fixtures are added, removed or edited, and after the
+ * configuration or room size changes.
+ *
+ * @returns {void}
+ *
+ * @example
+ * buildAll3DFixtures();
+ */
+export function buildAll3DFixtures() {
+    if (!scene) return;
+
+    fixtureMeshes.forEach((group) => {
+        group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        scene.remove(group);
+    });
+    fixtureMeshes.clear();
+
+    (window.CONFIG.fixtures || []).forEach(fixture => {
+        const fixture3D = create3DFixture(fixture);
+        scene.add(fixture3D);
+        fixtureMeshes.set(fixture.id, fixture3D);
+    });
+
+    console.log(`✓ Built ${fixtureMeshes.size} 3D fixtures`);
+}
@@ -182,12 +182,14 @@ export function onThreeMouseDown(event) {
     // Collect all clickable meshes (carts and drawers)
     const clickableMeshes = [];
     cartMeshes.forEach((cartGroup) => {
-        // Add cart body
-        if (cartGroup.userData.clickable) {
+        // Add cart body (split into parts around cabinet and shelf openings)
+        if (cartGroup.userData.bodyParts) {
+            clickableMeshes.push(...cartGroup.userData.bodyParts);
+        } else if (cartGroup.userData.clickable) {
             clickableMeshes.push(cartGroup.userData.clickable);
         }
 
-        // Add drawers
+        // Add drawers and other storage locations
         cartGroup.children.forEach((child) => {
             if (child.userData && child.userData.drawerId && child.userData.clickable) {
                 clickableMeshes.push(child.userData.clickable);
@@ -71,6 +71,12 @@ export let floorGrid;
  */
 export let cartMeshes = new Map();
 
+/**
+ * Map of fixture IDs to their Three.js group objects
+ * @type {Map<string, THREE.Group>}
+ */
+export let fixtureMeshes = new Map();
+
 /**
  * Raycaster for mouse picking in 3D space
  * @type {THREE.Raycaster}
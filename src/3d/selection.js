@@ -96,6 +96,11 @@ export function selectCart3D(cartId) {
         // Add emissive glow effect
         body.material.emissive = new THREE.Color(SELECTION_COLOR);
         body.material.emissiveIntensity = SELECTION_INTENSITY;
+
+        // The other body parts glow with it
+        (cartGroup.userData.bodyParts || []).forEach(part => {
+            part.material = body.material;
+        });
     }
 
     // Add visual helpers (bounding box and facing arrow)
@@ -0,0 +1,491 @@
+/**
+ * ==============================================================================
+ * 3D STORAGE MODEL MODULE
+ * ==============================================================================
+ *
+ * This module builds the storage locations on a cart other than sliding
+ * drawers (see STORAGE_KINDS): swing-door cabinets and open shelves in the
+ * drawer stack, baskets hanging on a rail across the cart front, and bags on
+ * the IV pole hooks. It also builds the bin tray shared by every kind that
+ * has bins, and the cart body, which needs an opening for each cabinet and
+ * shelf.
+ *
+ * Every storage location is a group carrying the same userData as a drawer
+ * group, so selection and interaction treat them alike:
+ * - drawerId, drawerData: The location from CONFIG.drawers
+ * - isOpen: Open/closed state
+ * - clickable: Mesh used for raycasting (userData { drawerId, type: 'drawer' })
+ * - motion: { object, property, axis, open } - the part that moves when the
+ *   location opens, and its open value (closed is 0); open shelves have none
+ *
+ * Dependencies:
+ * - Three.js library (THREE global)
+ * - getDrawerLayout (global) for bin grids
+ * - STORAGE_KINDS, STORAGE_PROPERTIES, DRAWER_TRAY, IV_POLE_DIMENSIONS from constants module
+ *
+ * Exports:
+ * - getStorageKind(): Kind key of a storage location
+ * - addDrawerTray(): Tray and bin dividers of a drawer, cabinet, shelf or basket
+ * - createCartBody(): Cart body with openings for cabinets and shelves
+ * - createCabinet(): Swing-door cabinet in the drawer stack
+ * - createShelf(): Open shelf in the drawer stack
+ * - addRailBaskets(): Rails across the cart front with their baskets
+ * - getHookPosition(): Where an IV pole hook is
+ * - addIVBags(): Bags hanging from the IV pole hooks
+ *
+ * @module 3d/storageModel
+ */
+
+import {
+    STORAGE_KINDS,
+    STORAGE_PROPERTIES,
+    DRAWER_TRAY,
+    DRAWER_MATERIAL,
+    IV_POLE_DIMENSIONS
+} from '../config/constants.js';
+
+// ===== STORAGE KINDS =====
+
+/**
+ * Get the kind of a storage location
+ *
+ * @param {Object} drawer - Storage location from CONFIG.drawers
+ * @returns {string} Key in STORAGE_KINDS ('drawer' when missing or unknown)
+ */
+export function getStorageKind(drawer) {
+    return STORAGE_KINDS[drawer.kind] ? drawer.kind : 'drawer';
+}
+
+/**
+ * Create the group for a storage location
+ *
+ * @param {Object} drawer - Storage location from CONFIG.drawers
+ * @returns {THREE.Group} Group with the shared storage userData
+ */
+function createStorageGroup(drawer) {
+    const group = new THREE.Group();
+    group.userData = {
+        drawerId: drawer.id,
+        drawerData: drawer,
+        isOpen: false,
+        motion: null
+    };
+    return group;
+}
+
+/**
+ * Mark a mesh as the clickable part of a storage location
+ *
+ * @param {THREE.Group} group - Storage location group
+ * @param {THREE.Mesh} mesh - Mesh the user clicks to select the location
+ */
+function setClickable(group, mesh) {
+    mesh.userData = {
+        drawerId: group.userData.drawerId,
+        type: 'drawer'
+    };
+    group.userData.clickable = mesh;
+}
+
+/**
+ * Add a box mesh to a group
+ *
+ * @param {THREE.Object3D} parent - Group to add to
+ * @param {Object} size - { x, y, z } in feet
+ * @param {Object} position - { x, y, z } of the box center in feet
+ * @param {THREE.Material} material - Shared material
+ * @returns {THREE.Mesh} The added mesh
+ */
+function addBox(parent, size, position, material) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), material);
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    parent.add(mesh);
+    return mesh;
+}
+
+// ===== BIN TRAY =====
+
+/**
+ * Add a tray and its bin dividers to a group
+ *
+ * The tray is a floor, two sides and a back. Dividers follow the location's
+ * layout: column dividers run front to back and row dividers run side to
+ * side, with row 0 at the back.
+ *
+ * @param {THREE.Object3D} parent - Group to add the tray to
+ * @param {Object} drawer - Storage location from CONFIG.drawers
+ * @param {number} width - Tray width in feet
+ * @param {number} height - Height of the location in feet
+ * @param {number} depth - Tray depth in feet
+ * @param {number} bottomY - Y-coordinate of the tray floor
+ * @param {number} frontZ - Z-coordinate of the front of the tray
+ */
+export function addDrawerTray(parent, drawer, width, height, depth, bottomY, frontZ) {
+    const layout = window.getDrawerLayout(drawer);
+    const thickness = DRAWER_TRAY.wallThickness;
+    const wallHeight = height * DRAWER_TRAY.dividerHeightRatio;
+    const centerZ = frontZ - depth / 2;
+    const material = new THREE.MeshStandardMaterial({
+        color: DRAWER_TRAY.color,
+        roughness: DRAWER_MATERIAL.roughness,
+        metalness: 0.1
+    });
+
+    const addPanel = (sizeX, sizeY, sizeZ, x, y, z) => {
+        const panel = new THREE.Mesh(new THREE.BoxGeometry(sizeX, sizeY, sizeZ), material);
+        panel.position.set(x, y, z);
+        panel.receiveShadow = true;
+        parent.add(panel);
+    };
+
+    const wallY = bottomY + thickness + wallHeight / 2;
+
+    // Floor, sides and back
+    addPanel(width, thickness, depth, 0, bottomY + thickness / 2, centerZ);
+    addPanel(thickness, wallHeight, depth, -width / 2 + thickness / 2, wallY, centerZ);
+    addPanel(thickness, wallHeight, depth, width / 2 - thickness / 2, wallY, centerZ);
+    addPanel(width, wallHeight, thickness, 0, wallY, frontZ - depth + thickness / 2);
+
+    // Column dividers, front to back
+    for (let column = 1; column < layout.columns; column++) {
+        const x = -width / 2 + (width * column) / layout.columns;
+        addPanel(thickness, wallHeight, depth, x, wallY, centerZ);
+    }
+
+    // Row dividers, side to side
+    for (let row = 1; row < layout.rows; row++) {
+        const z = frontZ - depth + (depth * row) / layout.rows;
+        addPanel(width, wallHeight, thickness, 0, wallY, z);
+    }
+}
+
+// ===== CART BODY =====
+
+/**
+ * Create the cart body
+ *
+ * A cart without cabinets or shelves is a single box. Each cabinet and shelf
+ * slot is left open at the front: the body there is only its side and back
+ * panels, so the slot's contents can be seen when the door is open.
+ *
+ * The first part is the cart's main clickable body; all parts carry the
+ * cart id for raycasting and share one material for the selection glow.
+ *
+ * @param {string} cartId - Cart id stored on each part
+ * @param {number} width - Cart width in feet
+ * @param {number} height - Cart height in feet
+ * @param {number} depth - Cart depth in feet
+ * @param {Object[]} openings - Slots to leave open, { bottomY, height }, bottom first
+ * @param {THREE.Material} material - Cart body material
+ * @returns {THREE.Mesh[]} Body parts
+ */
+export function createCartBody(cartId, width, height, depth, openings, material) {
+    const parts = [];
+    const addPart = (size, position) => {
+        const part = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), material);
+        part.position.set(position.x, position.y, position.z);
+        part.castShadow = true;
+        part.receiveShadow = true;
+        part.userData = { cartId: cartId };
+        parts.push(part);
+    };
+
+    const thickness = STORAGE_PROPERTIES.shellThickness;
+    let solidBottom = 0;
+    openings.forEach(opening => {
+        if (opening.bottomY > solidBottom) {
+            addPart({ x: width, y: opening.bottomY - solidBottom, z: depth }, { x: 0, y: (solidBottom + opening.bottomY) / 2, z: 0 });
+        }
+
+        // Sides and back around the opening
+        const y = opening.bottomY + opening.height / 2;
+        addPart({ x: thickness, y: opening.height, z: depth }, { x: -width / 2 + thickness / 2, y: y, z: 0 });
+        addPart({ x: thickness, y: opening.height, z: depth }, { x: width / 2 - thickness / 2, y: y, z: 0 });
+        addPart({ x: width - thickness * 2, y: opening.height, z: thickness }, { x: 0, y: y, z: -depth / 2 + thickness / 2 });
+
+        solidBottom = opening.bottomY + opening.height;
+    });
+
+    if (solidBottom < height) {
+        addPart({ x: width, y: height - solidBottom, z: depth }, { x: 0, y: (solidBottom + height) / 2, z: 0 });
+    }
+
+    // Keep the largest part first so it is the one used as the cart's body
+    parts.sort((a, b) => b.geometry.parameters.height - a.geometry.parameters.height);
+    return parts;
+}
+
+// ===== CABINETS AND SHELVES =====
+
+/**
+ * Create a swing-door cabinet in the drawer stack
+ *
+ * The door turns on its hinge side (drawer.hinge, 'left' by default) and
+ * swings out toward the viewer; the bins sit on the cabinet floor.
+ *
+ * @param {Object} drawer - Storage location from CONFIG.drawers
+ * @param {number} cartWidth - Parent cart width in feet
+ * @param {number} slotHeight - Height of the cabinet in feet
+ * @param {number} cartDepth - Parent cart depth in feet
+ * @param {number} bottomY - Y-coordinate of the bottom of the cabinet
+ * @param {string|number} color - Door color
+ * @returns {THREE.Group} Cabinet group
+ */
+export function createCabinet(drawer, cartWidth, slotHeight, cartDepth, bottomY, color) {
+    const group = createStorageGroup(drawer);
+    const thickness = STORAGE_PROPERTIES.shellThickness;
+
+    addDrawerTray(group, drawer, cartWidth - thickness * 2, slotHeight, cartDepth - thickness - 0.02, bottomY, cartDepth / 2 - 0.01);
+
+    // Door on a pivot at its hinge edge
+    const doorWidth = cartWidth - 0.02;
+    const hingeSide = drawer.hinge === 'right' ? 1 : -1;
+    const pivot = new THREE.Group();
+    pivot.position.set(hingeSide * doorWidth / 2, bottomY + slotHeight / 2, cartDepth / 2 + STORAGE_PROPERTIES.doorThickness / 2);
+    group.add(pivot);
+
+    const doorMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: DRAWER_MATERIAL.roughness,
+        metalness: DRAWER_MATERIAL.metalness
+    });
+    const door = addBox(pivot, { x: doorWidth, y: slotHeight - 0.02, z: STORAGE_PROPERTIES.doorThickness }, { x: -hingeSide * doorWidth / 2, y: 0, z: 0 }, doorMaterial);
+
+    // Vertical pull near the free edge
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.03, 0.03, Math.min(0.6, slotHeight * 0.5), 8),
+        new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.3, metalness: 0.8 })
+    );
+    handle.position.set(-hingeSide * (doorWidth - 0.15), 0, STORAGE_PROPERTIES.doorThickness / 2 + 0.05);
+    pivot.add(handle);
+
+    setClickable(group, door);
+    group.userData.motion = {
+        object: pivot,
+        property: 'rotation',
+        axis: 'y',
+        open: hingeSide * STORAGE_PROPERTIES.doorSwing
+    };
+
+    return group;
+}
+
+/**
+ * Create an open shelf in the drawer stack
+ *
+ * Shelves have no door, so they never move; the colored lip along the front
+ * of the shelf is the part the user clicks.
+ *
+ * @param {Object} drawer - Storage location from CONFIG.drawers
+ * @param {number} cartWidth - Parent cart width in feet
+ * @param {number} slotHeight - Height of the shelf slot in feet
+ * @param {number} cartDepth - Parent cart depth in feet
+ * @param {number} bottomY - Y-coordinate of the shelf
+ * @param {string|number} color - Lip color
+ * @returns {THREE.Group} Shelf group
+ */
+export function createShelf(drawer, cartWidth, slotHeight, cartDepth, bottomY, color) {
+    const group = createStorageGroup(drawer);
+    const thickness = STORAGE_PROPERTIES.shellThickness;
+    const shelfWidth = cartWidth - thickness * 2;
+
+    addDrawerTray(group, drawer, shelfWidth, slotHeight, cartDepth - thickness - 0.02, bottomY, cartDepth / 2 - 0.01);
+
+    const lip = addBox(
+        group,
+        { x: shelfWidth, y: 0.12, z: 0.04 },
+        { x: 0, y: bottomY + 0.06, z: cartDepth / 2 + 0.01 },
+        new THREE.MeshStandardMaterial({ color: color, roughness: DRAWER_MATERIAL.roughness, metalness: DRAWER_MATERIAL.metalness })
+    );
+    setClickable(group, lip);
+
+    return group;
+}
+
+// ===== RAIL BASKETS =====
+
+/**
+ * Add rails and their baskets to a cart
+ *
+ * Baskets at the same elevation share one rail across the cart front and
+ * are spread along it in drawer-number order. A rail above the cart top is
+ * held up by two posts. Each basket tips forward on its bottom front edge
+ * to open.
+ *
+ * @param {THREE.Group} cartGroup - Cart group to add the rails and baskets to
+ * @param {Object[]} baskets - Rail basket locations, sorted by number
+ * @param {number} width - Cart width in feet
+ * @param {number} height - Cart height in feet
+ * @param {number} depth - Cart depth in feet
+ * @param {function(Object): (string|number)} getColor - Basket color for a location
+ */
+export function addRailBaskets(cartGroup, baskets, width, height, depth, getColor) {
+    const railMaterial = new THREE.MeshStandardMaterial({
+        color: IV_POLE_DIMENSIONS.poleColor,
+        roughness: 0.3,
+        metalness: 0.7
+    });
+    const railZ = depth / 2 + 0.02 + STORAGE_PROPERTIES.railRadius;
+
+    // One rail per elevation
+    const rails = new Map();
+    baskets.forEach(basket => {
+        const elevation = Math.round((basket.elevation ?? STORAGE_KINDS.rail.defaults.elevation) * 100) / 100;
+        if (!rails.has(elevation)) rails.set(elevation, []);
+        rails.get(elevation).push(basket);
+    });
+
+    rails.forEach((railBaskets, elevation) => {
+        const rail = new THREE.Mesh(
+            new THREE.CylinderGeometry(STORAGE_PROPERTIES.railRadius, STORAGE_PROPERTIES.railRadius, width, 8),
+            railMaterial
+        );
+        rail.rotation.z = Math.PI / 2;
+        rail.position.set(0, elevation, railZ);
+        cartGroup.add(rail);
+
+        if (elevation > height) {
+            [-1, 1].forEach(side => {
+                const post = new THREE.Mesh(
+                    new THREE.CylinderGeometry(STORAGE_PROPERTIES.railRadius, STORAGE_PROPERTIES.railRadius, elevation - height, 8),
+                    railMaterial
+                );
+                post.position.set(side * (width / 2 - 0.05), (height + elevation) / 2, railZ);
+                cartGroup.add(post);
+            });
+        }
+
+        const slotWidth = width / railBaskets.length;
+        const basketWidth = Math.min(STORAGE_PROPERTIES.basketWidth, slotWidth * 0.9);
+        railBaskets.forEach((basket, index) => {
+            const x = -width / 2 + (index + 0.5) * slotWidth;
+            cartGroup.add(createRailBasket(basket, x, elevation, basketWidth, railZ, getColor(basket)));
+        });
+    });
+}
+
+/**
+ * Create one basket hanging from a rail
+ *
+ * @param {Object} drawer - Rail basket location from CONFIG.drawers
+ * @param {number} x - Basket center along the rail
+ * @param {number} elevation - Rail height in feet
+ * @param {number} basketWidth - Basket width in feet
+ * @param {number} railZ - Z-coordinate of the rail
+ * @param {string|number} color - Basket front color
+ * @returns {THREE.Group} Basket group
+ */
+function createRailBasket(drawer, x, elevation, basketWidth, railZ, color) {
+    const group = createStorageGroup(drawer);
+    const basketHeight = STORAGE_PROPERTIES.basketHeight;
+    const basketDepth = STORAGE_PROPERTIES.basketDepth;
+
+    // Pivot on the bottom front edge; the basket hangs just below the rail
+    const pivot = new THREE.Group();
+    pivot.position.set(x, elevation - 0.05 - basketHeight, railZ + basketDepth);
+    group.add(pivot);
+
+    addDrawerTray(pivot, drawer, basketWidth, basketHeight, basketDepth, 0, 0);
+
+    const wallHeight = basketHeight * DRAWER_TRAY.dividerHeightRatio;
+    const front = addBox(
+        pivot,
+        { x: basketWidth, y: wallHeight, z: DRAWER_TRAY.wallThickness },
+        { x: 0, y: DRAWER_TRAY.wallThickness + wallHeight / 2, z: -DRAWER_TRAY.wallThickness / 2 },
+        new THREE.MeshStandardMaterial({ color: color, roughness: DRAWER_MATERIAL.roughness, metalness: DRAWER_MATERIAL.metalness })
+    );
+
+    setClickable(group, front);
+    group.userData.motion = {
+        object: pivot,
+        property: 'rotation',
+        axis: 'x',
+        open: STORAGE_PROPERTIES.basketTilt
+    };
+
+    return group;
+}
+
+// ===== IV POLE HOOKS =====
+
+/**
+ * Get where an IV pole hook is
+ *
+ * Hooks are spaced evenly around the top of the pole, the first one facing
+ * the front of the cart.
+ *
+ * @param {number} index - Hook index (0-based)
+ * @param {number} hookY - Height of the hooks in feet
+ * @param {number} poleZ - Z-coordinate of the pole
+ * @returns {Object} { x, y, z, angle } - angle is the hook's direction around the pole
+ */
+export function getHookPosition(index, hookY, poleZ) {
+    const angle = Math.PI / 2 + (index / IV_POLE_DIMENSIONS.hookCount) * Math.PI * 2;
+    return {
+        x: Math.cos(angle) * IV_POLE_DIMENSIONS.hookSpacing,
+        y: hookY,
+        z: poleZ + Math.sin(angle) * IV_POLE_DIMENSIONS.hookSpacing,
+        angle: angle
+    };
+}
+
+/**
+ * Add the bags hanging from a cart's IV pole hooks
+ *
+ * Each bag hangs below its hook facing away from the pole and swings out
+ * when opened. Hooks past the pole's hook count use the last hook; bags
+ * sharing a hook hang one behind the other, the first closest to the pole.
+ *
+ * @param {THREE.Group} cartGroup - Cart group to add the bags to
+ * @param {Object[]} bags - IV hook locations
+ * @param {number} hookY - Height of the hooks in feet
+ * @param {number} poleZ - Z-coordinate of the pole
+ * @param {function(Object): (string|number)} getColor - Label color for a location
+ */
+export function addIVBags(cartGroup, bags, hookY, poleZ, getColor) {
+    const bagsPerHook = new Map();
+    bags.forEach(drawer => {
+        const hookIndex = Math.min(IV_POLE_DIMENSIONS.hookCount - 1, Math.max(0, drawer.hook || 0));
+        const hook = getHookPosition(hookIndex, hookY, poleZ);
+        const group = createStorageGroup(drawer);
+        const bagIndex = bagsPerHook.get(hookIndex) || 0;
+        bagsPerHook.set(hookIndex, bagIndex + 1);
+
+        // Turn to face away from the pole, then swing about the hook
+        const pivot = new THREE.Group();
+        pivot.position.set(hook.x, hook.y, hook.z);
+        pivot.rotation.y = Math.PI / 2 - hook.angle;
+        group.add(pivot);
+
+        const swing = new THREE.Group();
+        swing.position.z = bagIndex * STORAGE_PROPERTIES.bagSpacing;
+        pivot.add(swing);
+
+        const bag = addBox(
+            swing,
+            { x: STORAGE_PROPERTIES.bagWidth, y: STORAGE_PROPERTIES.bagHeight, z: STORAGE_PROPERTIES.bagDepth },
+            { x: 0, y: -0.05 - STORAGE_PROPERTIES.bagHeight / 2, z: STORAGE_PROPERTIES.bagDepth / 2 },
+            new THREE.MeshStandardMaterial({ color: STORAGE_PROPERTIES.bagColor, roughness: 0.2, metalness: 0, transparent: true, opacity: 0.85 })
+        );
+
+        // Printed label in the location's color
+        addBox(
+            swing,
+            { x: STORAGE_PROPERTIES.bagWidth * 0.6, y: STORAGE_PROPERTIES.bagHeight * 0.3, z: 0.005 },
+            { x: 0, y: -0.05 - STORAGE_PROPERTIES.bagHeight * 0.4, z: STORAGE_PROPERTIES.bagDepth + 0.003 },
+            new THREE.MeshStandardMaterial({ color: getColor(drawer), roughness: 0.6, metalness: 0 })
+        );
+
+        setClickable(group, bag);
+        group.userData.motion = {
+            object: swing,
+            property: 'rotation',
+            axis: 'x',
+            open: -STORAGE_PROPERTIES.bagSwing
+        };
+
+        cartGroup.add(group);
+    });
+}
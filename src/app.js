@@ -25,7 +25,7 @@
 // ========================================
 
 import {
-    CART_TYPES,
+    FIXTURE_TYPES,
     DRAWER_COLOR_MAP,
     DEFAULT_DRAWER_COLOR,
     SELECTION_COLOR,
@@ -46,12 +46,14 @@ import {
 } from './config/constants.js';
 
 import {
+    DEFAULT_CART_TYPES,
     DEFAULT_CARTS,
     DEFAULT_DRAWERS,
     DEFAULT_ITEMS,
     DEFAULT_SCENARIOS,
     DEFAULT_ACHIEVEMENTS,
     DEFAULT_CAMERA_VIEWS,
+    DEFAULT_FIXTURES,
     DEFAULT_ROOM_SETTINGS,
     DEFAULT_SCORING_RULES,
     DEFAULT_GENERAL_SETTINGS,
@@ -91,9 +93,15 @@ import {
 } from './persistence/storage.js';
 
 import {
-    exportConfiguration
+    exportConfiguration,
+    exportInventoryReport
 } from './persistence/export.js';
 
+import {
+    openScormExport,
+    exportScormPackage
+} from './persistence/scormExport.js';
+
 import {
     importConfiguration,
     processImport
@@ -152,6 +160,14 @@ import {
     buildScenarioInspector
 } from './ui/inspector/scenarioInspector.js';
 
+import {
+    buildFixtureInspector
+} from './ui/inspector/fixtureInspector.js';
+
+import {
+    buildCartTypeInspector
+} from './ui/inspector/cartTypeInspector.js';
+
 import {
     buildCameraViewInspector,
     calculateCameraRotationData
@@ -161,6 +177,23 @@ import {
     buildAchievementInspector
 } from './ui/inspector/achievementInspector.js';
 
+import {
+    buildScoringRulesInspector,
+    buildScoringRulesFields
+} from './ui/inspector/scoringRulesInspector.js';
+
+import {
+    buildLrsSettingsInspector
+} from './ui/inspector/lrsSettingsInspector.js';
+
+import {
+    buildDrillSettingsInspector
+} from './ui/inspector/drillSettingsInspector.js';
+
+import {
+    buildInventoryReportInspector
+} from './ui/inspector/inventoryReportInspector.js';
+
 // ========================================
 // IMPORT ENTITY MANAGERS
 // ========================================
@@ -168,24 +201,74 @@ import {
 import {
     updateCartProperty,
     updateCartPositionFeet,
-    createNewCart
+    createNewCart,
+    addCheckScript,
+    removeCheckScript,
+    updateCheckScript,
+    addCheckDiscrepancy,
+    removeCheckDiscrepancy,
+    updateCheckDiscrepancy
 } from './entities/cartManager.js';
 
 import {
     updateDrawerProperty,
+    getDrawerLayout,
+    getBinLabel,
+    updateDrawerLayout,
+    updateDrawerBinLabel,
     createNewDrawer
 } from './entities/drawerManager.js';
 
 import {
     updateItemProperty,
+    updateItemCart,
+    updateItemDrawer,
+    updateItemBin,
     createNewItem
 } from './entities/itemManager.js';
 
 import {
     updateScenarioProperty,
+    updateScenarioHint,
+    addScenarioStage,
+    removeScenarioStage,
+    moveScenarioStage,
+    updateScenarioStage,
+    toggleStageItem,
+    addScenarioEvent,
+    removeScenarioEvent,
+    updateScenarioEvent,
+    toggleEventItem,
     createNewScenario
 } from './entities/scenarioManager.js';
 
+import {
+    toggleScenarioItem
+} from './entities/itemManager.js';
+
+import {
+    updateScoringRule,
+    toggleScenarioScoringOverride,
+    updateScenarioScoringRule
+} from './entities/scoringRulesManager.js';
+
+import {
+    updateLrsSetting
+} from './entities/lrsSettingsManager.js';
+
+import {
+    updateDrillSetting,
+    addDrillRule,
+    removeDrillRule,
+    updateDrillRule,
+    generateDrillAsScenario
+} from './entities/drillSettingsManager.js';
+
+import {
+    updateGeneralSetting,
+    updateTutorialStep
+} from './entities/generalSettingsManager.js';
+
 import {
     updateCameraViewProperty,
     createNewCameraView
@@ -196,6 +279,21 @@ import {
     createNewAchievement
 } from './entities/achievementManager.js';
 
+import {
+    updateFixtureProperty,
+    updateFixturePositionFeet,
+    createNewFixture
+} from './entities/fixtureManager.js';
+
+import {
+    getCartType,
+    getCartsOfType,
+    updateCartTypeProperty,
+    updateCartTypeDrawerCount,
+    updateCartTypeDrawerHeight,
+    createNewCartType
+} from './entities/cartTypeManager.js';
+
 import {
     deleteCurrentEntity
 } from './entities/entityDeletion.js';
@@ -230,6 +328,11 @@ import {
     buildAll3DCarts
 } from './3d/cartModel.js';
 
+import {
+    create3DFixture,
+    buildAll3DFixtures
+} from './3d/fixtureModel.js';
+
 import {
     init3DInteraction,
     onThreeMouseDown,
@@ -336,9 +439,13 @@ import {
  * @property {Array} scenarios - All scenario configurations
  * @property {Array} achievements - All achievement definitions
  * @property {Array} cameraViews - All camera view configurations
+ * @property {Array} fixtures - All room fixtures
+ * @property {Array} cartTypes - All cart types (carts refer to them by id)
  * @property {Object} roomSettings - Room dimensions and appearance
  * @property {Object} scoringRules - Game scoring configuration
  * @property {Object} generalSettings - General app settings
+ * @property {Object} lrsSettings - xAPI Learning Record Store connection
+ * @property {Object} drillSettings - Item pool rules for generated random drills
  */
 export let CONFIG = {
     carts: [],
@@ -347,6 +454,8 @@ export let CONFIG = {
     scenarios: [],
     achievements: [],
     cameraViews: [],
+    fixtures: [],
+    cartTypes: [],
     roomSettings: {
         backgroundColor: '#fafafa',
         width: 30,  // feet
@@ -366,7 +475,25 @@ export let CONFIG = {
         appTitle: 'Trauma Room Trainer',
         enableTutorial: true,
         enableSound: true,
-        enableHaptics: true
+        enableHaptics: true,
+        expiryWarningDays: 30
+    },
+    lrsSettings: {
+        enabled: false,
+        endpoint: '',
+        username: '',
+        password: '',
+        activityBaseId: 'https://example.org/trauma-room-trainer'
+    },
+    drillSettings: {
+        rules: [
+            { count: 3, filter: 'cartType', value: 'airway' },
+            { count: 2, filter: 'cartType', value: 'medication' },
+            { count: 1, filter: 'cartType', value: 'crash' }
+        ],
+        optionalCount: 1,
+        missedWeight: 2,
+        timeLimit: 180
     }
 };
 
@@ -377,6 +504,7 @@ export let CONFIG = {
  * @property {string|null} selectedId - Currently selected entity ID
  * @property {string} canvasMode - Canvas display mode ('room' or 'overview')
  * @property {Object|null} draggedCart - Cart being dragged (if any)
+ * @property {Object|null} draggedFixture - Fixture being dragged (if any)
  * @property {Object} mousePos - Current mouse position in feet
  * @property {boolean} unsavedChanges - Whether there are unsaved changes
  * @property {boolean} snapToGrid - Whether grid snapping is enabled
@@ -387,6 +515,7 @@ export let STATE = {
     selectedId: null,
     canvasMode: 'room',
     draggedCart: null,
+    draggedFixture: null,
     mousePos: { x: 0, y: 0 },
     unsavedChanges: false,
     snapToGrid: true,
@@ -631,6 +760,7 @@ export function init() {
     createOrbitControls();
     init3DInteraction();
     buildAll3DCarts();
+    buildAll3DFixtures();
     animateThreeScene();
 
     // Sync 3D objects to window for cross-module access
@@ -686,6 +816,22 @@ export function previewGame() {
     }
 }
 
+/**
+ * Open the instructor dashboard in a new tab
+ *
+ * Saves the current configuration first so the dashboard can show scenario,
+ * item and cart names for the trainee histories it loads.
+ */
+export function openDashboard() {
+    saveConfiguration();
+
+    const dashboardWindow = window.open('dashboard.html?v=' + Date.now(), '_blank');
+
+    if (!dashboardWindow) {
+        showAlert('Please allow popups to open the dashboard', 'error');
+    }
+}
+
 // ========================================
 // GLOBAL API EXPORT
 // ========================================
@@ -703,7 +849,7 @@ const App = {
     HISTORY,
 
     // ===== CONSTANTS =====
-    CART_TYPES,
+    FIXTURE_TYPES,
     DRAWER_COLOR_MAP,
     CanvasMode,
     CameraViewMode,
@@ -727,6 +873,9 @@ const App = {
     saveAll,
     loadConfiguration,
     exportConfiguration,
+    exportInventoryReport,
+    openScormExport,
+    exportScormPackage,
     importConfiguration,
     processImport,
     resetToDefaults,
@@ -750,18 +899,59 @@ const App = {
     createNewScenario,
     createNewCameraView,
     createNewAchievement,
+    createNewFixture,
+    createNewCartType,
+    getCartType,
     updateCartProperty,
     updateCartPositionFeet,
+    addCheckScript,
+    removeCheckScript,
+    updateCheckScript,
+    addCheckDiscrepancy,
+    removeCheckDiscrepancy,
+    updateCheckDiscrepancy,
     updateDrawerProperty,
+    updateDrawerLayout,
+    updateDrawerBinLabel,
     updateItemProperty,
+    updateItemCart,
+    updateItemDrawer,
+    updateItemBin,
     updateScenarioProperty,
+    updateScenarioHint,
+    addScenarioStage,
+    removeScenarioStage,
+    moveScenarioStage,
+    updateScenarioStage,
+    toggleStageItem,
+    addScenarioEvent,
+    removeScenarioEvent,
+    updateScenarioEvent,
+    toggleEventItem,
     updateCameraViewProperty,
     updateAchievementProperty,
+    updateFixtureProperty,
+    updateFixturePositionFeet,
+    updateCartTypeProperty,
+    updateCartTypeDrawerCount,
+    updateCartTypeDrawerHeight,
+    updateScoringRule,
+    toggleScenarioScoringOverride,
+    updateScenarioScoringRule,
+    updateLrsSetting,
+    updateDrillSetting,
+    addDrillRule,
+    removeDrillRule,
+    updateDrillRule,
+    generateDrillAsScenario,
+    updateGeneralSetting,
+    updateTutorialStep,
     deleteCurrentEntity,
 
     // ===== 3D SCENE =====
     initThreeJS,
     buildAll3DCarts,
+    buildAll3DFixtures,
     selectCart3D,
     deselectCart3D,
     selectDrawer3D,
@@ -779,6 +969,7 @@ const App = {
 
     // ===== PREVIEW =====
     previewGame,
+    openDashboard,
 
     // ===== UTILITIES =====
     snapToGrid,
@@ -794,7 +985,7 @@ if (typeof window !== 'undefined') {
     window.CONFIG = CONFIG;
     window.STATE = STATE;
     window.HISTORY = HISTORY;
-    window.CART_TYPES = CART_TYPES;
+    window.FIXTURE_TYPES = FIXTURE_TYPES;
     window.DRAWER_COLOR_MAP = DRAWER_COLOR_MAP;
 
     // Expose 3D scene objects for module access
@@ -829,6 +1020,9 @@ if (typeof window !== 'undefined') {
     window.redo = redo;
     window.saveAll = saveAll;
     window.exportConfiguration = exportConfiguration;
+    window.exportInventoryReport = exportInventoryReport;
+    window.openScormExport = openScormExport;
+    window.exportScormPackage = exportScormPackage;
     window.importConfiguration = importConfiguration;
     window.processImport = processImport;
     window.resetToDefaults = resetToDefaults;
@@ -836,6 +1030,7 @@ if (typeof window !== 'undefined') {
     window.setCanvasMode = setCanvasMode;
     window.toggleCameraView = toggleCameraView;
     window.previewGame = previewGame;
+    window.openDashboard = openDashboard;
     window.closeModal = closeModal;
     window.updateRoomSize = updateRoomSize;
     window.updateRoomBackground = updateRoomBackground;
@@ -847,6 +1042,11 @@ if (typeof window !== 'undefined') {
     window.buildHierarchy = buildHierarchy;
     window.getEntity = getEntity;
     window.buildAll3DCarts = buildAll3DCarts;
+    window.buildAll3DFixtures = buildAll3DFixtures;
+    window.getCartType = getCartType;
+    window.getCartsOfType = getCartsOfType;
+    window.getDrawerLayout = getDrawerLayout;
+    window.getBinLabel = getBinLabel;
     window.showAlert = showAlert;
     window.updateStatusBar = updateStatusBar;
 
@@ -857,6 +1057,70 @@ if (typeof window !== 'undefined') {
     window.createNewScenario = createNewScenario;
     window.createNewCameraView = createNewCameraView;
     window.createNewAchievement = createNewAchievement;
+    window.createNewFixture = createNewFixture;
+    window.createNewCartType = createNewCartType;
+
+    // Expose fixture handlers for the fixture inspector
+    window.updateFixtureProperty = updateFixtureProperty;
+    window.updateFixturePositionFeet = updateFixturePositionFeet;
+
+    // Expose cart type handlers for the cart type inspector
+    window.updateCartTypeProperty = updateCartTypeProperty;
+    window.updateCartTypeDrawerCount = updateCartTypeDrawerCount;
+    window.updateCartTypeDrawerHeight = updateCartTypeDrawerHeight;
+
+    // Expose drawer and item handlers for their inspectors
+    window.updateDrawerProperty = updateDrawerProperty;
+    window.updateDrawerLayout = updateDrawerLayout;
+    window.updateDrawerBinLabel = updateDrawerBinLabel;
+    window.updateItemProperty = updateItemProperty;
+    window.updateItemCart = updateItemCart;
+    window.updateItemDrawer = updateItemDrawer;
+    window.updateItemBin = updateItemBin;
+
+    // Expose daily check script handlers for the cart inspector
+    window.addCheckScript = addCheckScript;
+    window.removeCheckScript = removeCheckScript;
+    window.updateCheckScript = updateCheckScript;
+    window.addCheckDiscrepancy = addCheckDiscrepancy;
+    window.removeCheckDiscrepancy = removeCheckDiscrepancy;
+    window.updateCheckDiscrepancy = updateCheckDiscrepancy;
+
+    // Expose scenario inspector handlers
+    window.updateScenarioProperty = updateScenarioProperty;
+    window.updateScenarioHint = updateScenarioHint;
+    window.addScenarioStage = addScenarioStage;
+    window.removeScenarioStage = removeScenarioStage;
+    window.moveScenarioStage = moveScenarioStage;
+    window.updateScenarioStage = updateScenarioStage;
+    window.toggleStageItem = toggleStageItem;
+    window.addScenarioEvent = addScenarioEvent;
+    window.removeScenarioEvent = removeScenarioEvent;
+    window.updateScenarioEvent = updateScenarioEvent;
+    window.toggleEventItem = toggleEventItem;
+    window.toggleScenarioItem = toggleScenarioItem;
+
+    // Expose achievement inspector handlers
+    window.updateAchievementProperty = updateAchievementProperty;
+
+    // Expose scoring rules handlers for inspector panels
+    window.updateScoringRule = updateScoringRule;
+    window.toggleScenarioScoringOverride = toggleScenarioScoringOverride;
+    window.updateScenarioScoringRule = updateScenarioScoringRule;
+
+    // Expose LRS settings handler for the inspector panel
+    window.updateLrsSetting = updateLrsSetting;
+
+    // Expose random drill handlers for the inspector panel
+    window.updateDrillSetting = updateDrillSetting;
+    window.addDrillRule = addDrillRule;
+    window.removeDrillRule = removeDrillRule;
+    window.updateDrillRule = updateDrillRule;
+    window.generateDrillAsScenario = generateDrillAsScenario;
+
+    // Expose general settings handlers for the inspector panel
+    window.updateGeneralSetting = updateGeneralSetting;
+    window.updateTutorialStep = updateTutorialStep;
 
     // Expose selection and inspector functions
     window.selectEntity = selectEntity;
@@ -25,9 +25,13 @@
  * @property {Array} scenarios - Array of training scenario definitions
  * @property {Array} achievements - Array of achievement definitions for gamification
  * @property {Array} cameraViews - Array of predefined camera perspectives for the 3D view
+ * @property {Array} fixtures - Array of room fixtures (stretcher, doors, counters, sinks, booms, monitors)
+ * @property {Array} cartTypes - Array of cart types (size, color, drawer heights and features of each cart model)
  * @property {Object} roomSettings - Physical room dimensions and rendering settings
  * @property {Object} scoringRules - Point values and thresholds for scenario scoring
  * @property {Object} generalSettings - Application-wide settings and preferences
+ * @property {Object} lrsSettings - xAPI Learning Record Store connection for the trainer
+ * @property {Object} drillSettings - Item pool rules for generated random drills
  */
 export let CONFIG = {
     carts: [],
@@ -36,6 +40,8 @@ export let CONFIG = {
     scenarios: [],
     achievements: [],
     cameraViews: [], // Camera views for different room perspectives
+    fixtures: [], // Fixed room furniture drawn around the carts
+    cartTypes: [], // Cart models the carts refer to through cart.type
     roomSettings: {
         backgroundColor: '#fafafa',
         width: 30,  // feet
@@ -55,7 +61,25 @@ export let CONFIG = {
         appTitle: 'Trauma Room Trainer',
         enableTutorial: true,
         enableSound: true,
-        enableHaptics: true
+        enableHaptics: true,
+        expiryWarningDays: 30
+    },
+    lrsSettings: {
+        enabled: false,
+        endpoint: '',
+        username: '',
+        password: '',
+        activityBaseId: 'https://example.org/trauma-room-trainer'
+    },
+    drillSettings: {
+        rules: [
+            { count: 3, filter: 'cartType', value: 'airway' },
+            { count: 2, filter: 'cartType', value: 'medication' },
+            { count: 1, filter: 'cartType', value: 'crash' }
+        ],
+        optionalCount: 1,
+        missedWeight: 2,
+        timeLimit: 180
     }
 };
 
@@ -71,6 +95,7 @@ export let CONFIG = {
  * @property {string|null} selectedId - ID of the currently selected entity
  * @property {string} canvasMode - Current canvas view mode ('room' or 'overview')
  * @property {Object|null} draggedCart - Reference to cart being dragged, if any
+ * @property {Object|null} draggedFixture - Reference to fixture being dragged, if any
  * @property {Object} mousePos - Current mouse position {x, y} in canvas coordinates
  * @property {boolean} unsavedChanges - Flag indicating if there are unsaved modifications
  * @property {boolean} snapToGrid - Whether cart positioning should snap to grid
@@ -81,6 +106,7 @@ export let STATE = {
     selectedId: null,
     canvasMode: 'room', // 'room' or 'overview'
     draggedCart: null,
+    draggedFixture: null,
     mousePos: {x: 0, y: 0},
     unsavedChanges: false,
     snapToGrid: true, // Default to snap to grid enabled
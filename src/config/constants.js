@@ -3,14 +3,16 @@
  * CONSTANTS MODULE
  * ==============================================================================
  *
- * This module contains constant definitions for cart types, color mappings,
+ * This module contains constant definitions for fixture types, color mappings,
  * and room specifications used throughout the 3D visualization system.
  *
- * These constants define the physical properties and visual characteristics
- * of different medical cart types that can be placed in the trauma room.
+ * Cart types are project data rather than constants: they live in
+ * CONFIG.cartTypes (seeded from DEFAULT_CART_TYPES in config/defaultData.js)
+ * so each hospital can describe its own carts.
  *
  * Exports:
- * - CART_TYPES: Object defining all available cart types and their properties
+ * - FIXTURE_TYPES: Default size and color of each kind of room fixture
+ * - STORAGE_KINDS: Kinds of storage location (drawer, cabinet, shelf, rail basket, IV hook)
  * - DRAWER_COLOR_MAP: Color mapping for different item categories
  * - DEFAULT_DRAWER_COLOR: Fallback color for empty or unknown drawers
  * - SELECTION_COLOR: Color used for selection highlights
@@ -19,106 +21,143 @@
  * @module config/constants
  */
 
-// ===== CART TYPE DEFINITIONS =====
+// ===== FIXTURE TYPE DEFINITIONS =====
 
 /**
- * Cart type definitions
+ * Fixture type definitions
  *
- * Each cart type defines physical dimensions, visual appearance, and special
- * features for a specific category of medical cart.
+ * Fixtures are the fixed furniture of the room (stretcher, doors, counters...).
+ * A new fixture copies its type's defaults; the designer can then resize it,
+ * so each fixture stores its own dimensions.
  *
- * @typedef {Object} CartType
- * @property {string} name - Display name for the cart type
- * @property {number} width - Cart width in feet
- * @property {number} height - Cart height in feet
- * @property {number} depth - Cart depth in feet
- * @property {string} color - Hex color code for cart body
- * @property {number} drawers - Number of drawers in the cart
- * @property {number} drawerHeight - Height of each drawer in feet
- * @property {boolean} [hasIVPole] - Whether cart has an IV pole attachment
- * @property {boolean} [hasTopSurface] - Whether cart has a procedure surface
+ * @typedef {Object} FixtureType
+ * @property {string} name - Display name for the fixture type
+ * @property {number} width - Width in feet
+ * @property {number} depth - Depth in feet
+ * @property {number} height - Height in feet
+ * @property {number} elevation - Height of the underside above the floor in feet
+ *                                (wall monitors and ceiling booms hang above it)
+ * @property {string} color - Hex color code for the fixture body
  */
 
 /**
- * Available cart types with their physical and visual properties
+ * Available fixture types with their default dimensions
  *
- * Standard dimensions:
- * - Most carts: 2ft wide × 4ft tall × 1.5ft deep
- * - Drawer heights vary based on cart type and number of drawers
+ * Wall fixtures (doors, counters, sinks, monitors) face +Z at rotation 0,
+ * so a fixture on the back wall faces into the room.
  *
- * Special features:
- * - IV Cart: Includes tall pole with hooks for IV bags
- * - Procedure Table: Wide surface with no drawers for procedures
- *
- * @type {Object.<string, CartType>}
+ * @type {Object.<string, FixtureType>}
  */
-export const CART_TYPES = {
-    crash: {
-        name: 'Crash Cart (Code Cart)',
-        width: 2.0,   // 2 feet
-        height: 4.0,  // 4 feet
-        depth: 1.5,   // 1.5 feet
-        color: '#F44336', // Red - emergency/critical
-        drawers: 5,
-        drawerHeight: 0.75 // 9 inches per drawer
-    },
-    airway: {
-        name: 'Airway Cart',
-        width: 2.0,
-        height: 4.0,
-        depth: 1.5,
-        color: '#4CAF50', // Green - airway management
-        drawers: 4,
-        drawerHeight: 0.9 // ~11 inches per drawer
+export const FIXTURE_TYPES = {
+    stretcher: {
+        name: 'Stretcher',
+        width: 2.5,
+        depth: 7.0,   // Length of the bed
+        height: 3.0,  // Mattress height
+        elevation: 0,
+        color: '#90A4AE' // Blue-gray frame
     },
-    medication: {
-        name: 'Medication Cart',
-        width: 2.0,
-        height: 4.0,
-        depth: 1.5,
-        color: '#FF9800', // Orange - medications
-        drawers: 3,
-        drawerHeight: 1.2 // ~14 inches per drawer
+    door: {
+        name: 'Door',
+        width: 4.0,   // Double-width trauma bay door
+        depth: 0.3,
+        height: 7.0,
+        elevation: 0,
+        color: '#8D6E63' // Wood
     },
-    iv: {
-        name: 'IV Cart',
-        width: 1.5,   // Narrow base for stability
-        height: 5.0,  // Tall for IV pole
-        depth: 1.5,
-        color: '#9C27B0', // Purple - IV/fluids
-        drawers: 1,   // Small base drawer
-        drawerHeight: 0.5, // 6 inches
-        hasIVPole: true // Special feature: IV pole with hooks
+    counter: {
+        name: 'Wall Counter',
+        width: 6.0,
+        depth: 2.0,
+        height: 3.0,
+        elevation: 0,
+        color: '#BCAAA4'
     },
-    procedure: {
-        name: 'Procedure Table',
-        width: 4.0,   // Wide surface for procedures
+    sink: {
+        name: 'Sink',
+        width: 2.5,
+        depth: 2.0,
         height: 3.0,
-        depth: 2.5,
-        color: '#757575', // Gray - neutral procedure surface
-        drawers: 0,   // Flat surface, no drawers
-        hasTopSurface: true // Special feature: enhanced top surface
+        elevation: 0,
+        color: '#CFD8DC' // Stainless steel
     },
-    trauma: {
-        name: 'Trauma Cart',
-        width: 2.0,
-        height: 4.0,
+    boom: {
+        name: 'Ceiling Boom',
+        width: 1.5,
         depth: 1.5,
-        color: '#E91E63', // Pink/magenta - trauma supplies
-        drawers: 4,
-        drawerHeight: 0.9 // ~11 inches per drawer
+        height: 2.5,  // Pendant head; a column runs from it to the ceiling
+        elevation: 4.5,
+        color: '#ECEFF1'
     },
-    supply: {
-        name: 'Supply Cart',
+    monitor: {
+        name: 'Wall Monitor',
         width: 2.0,
-        height: 4.0,
-        depth: 1.5,
-        color: '#2196F3', // Blue - general supplies
-        drawers: 3,
-        drawerHeight: 1.2 // ~14 inches per drawer
+        depth: 0.3,
+        height: 1.5,
+        elevation: 5.0,
+        color: '#263238' // Dark bezel
     }
 };
 
+// ===== STORAGE LOCATION KINDS =====
+
+/**
+ * Storage location kind definitions
+ *
+ * Every place an item can be stored is a storage location in CONFIG.drawers;
+ * its kind decides where it sits on the cart, how it opens and which
+ * inspector fields it has. Locations without a kind are drawers.
+ *
+ * @typedef {Object} StorageKind
+ * @property {string} name - Display name for the kind
+ * @property {string} icon - Hierarchy icon
+ * @property {boolean} inStack - Takes a slot (and its height) in the cart's drawer stack
+ * @property {boolean} hasBins - Can be divided into bins (see DEFAULT_DRAWER_LAYOUT)
+ * @property {Object} defaults - Kind-specific fields given to a location switched to the kind
+ */
+
+/**
+ * Available storage location kinds
+ *
+ * - drawer: Slides out of the cart front
+ * - door: Swing-door cabinet; the door turns on its hinge side (drawer.hinge)
+ * - shelf: Open shelf, always visible
+ * - rail: Basket hanging on a rail across the cart front at drawer.elevation
+ *   feet; it tips forward to open. A shallow cart type makes a wall rail.
+ * - hook: Bag hanging from one of the IV pole hooks (drawer.hook); the bag
+ *   swings out when taken. Only shown on cart types with an IV pole.
+ *
+ * @type {Object.<string, StorageKind>}
+ */
+export const STORAGE_KINDS = {
+    drawer: { name: 'Drawer', icon: '🗄️', inStack: true, hasBins: true, defaults: {} },
+    door: { name: 'Cabinet (Swing Door)', icon: '🚪', inStack: true, hasBins: true, defaults: { hinge: 'left' } },
+    shelf: { name: 'Open Shelf', icon: '📚', inStack: true, hasBins: true, defaults: {} },
+    rail: { name: 'Rail Basket', icon: '🧺', inStack: false, hasBins: true, defaults: { elevation: 4.5 } },
+    hook: { name: 'IV Pole Hook', icon: '💧', inStack: false, hasBins: false, defaults: { hook: 0 } }
+};
+
+/**
+ * Sizes and open motions of the storage kinds other than drawers
+ * @type {Object}
+ */
+export const STORAGE_PROPERTIES = {
+    doorThickness: 0.06,  // Cabinet door thickness in feet
+    doorSwing: 1.9,       // How far a cabinet door swings open (radians, ~110°)
+    shellThickness: 0.05, // Cart side and back panels around a cabinet or shelf
+    basketWidth: 0.8,     // Rail basket size in feet
+    basketHeight: 0.4,
+    basketDepth: 0.45,
+    basketTilt: 0.5,      // How far a rail basket tips forward (radians)
+    railRadius: 0.02,     // Rail bar radius
+    bagWidth: 0.35,       // IV bag size in feet
+    bagHeight: 0.55,
+    bagDepth: 0.08,
+    bagSwing: 0.6,        // How far a bag swings out (radians)
+    bagSpacing: 0.1,      // Front-to-back step between bags sharing a hook
+    bagColor: 0xe3f2fd    // Clear plastic, tinted blue
+};
+
 // ===== COLOR MAPPINGS =====
 
 /**
@@ -201,7 +240,18 @@ export const DRAWER_PROPERTIES = {
     depthRatio: 0.85,   // Drawer depth as ratio of cart depth
     gap: 0.05,          // Gap between drawers in feet
     frontThickness: 0.08, // Thickness of drawer front in feet
-    openDistance: 0.5   // How far drawer opens in feet (6 inches)
+    openDistance: 0.5,  // How far drawer opens in feet (6 inches)
+    defaultHeight: 0.5  // Drawer height when the cart type doesn't give one (6 inches)
+};
+
+/**
+ * Drawer tray and bin dividers (seen when a drawer is open)
+ * @type {Object}
+ */
+export const DRAWER_TRAY = {
+    wallThickness: 0.03,   // Tray floor, walls and divider thickness in feet
+    dividerHeightRatio: 0.7, // Divider height as ratio of drawer height
+    color: 0xe8e8e8        // Light gray plastic
 };
 
 /**
@@ -222,10 +272,10 @@ export const HANDLE_DIMENSIONS = {
 export const IV_POLE_DIMENSIONS = {
     radius: 0.04,      // Pole diameter
     heightRatio: 0.7,  // Pole height as ratio of cart height
-    hookRadius: 0.15,  // IV hook ring radius
+    hookRadius: 0.05,  // IV hook ring radius
     hookTubeRadius: 0.02, // Hook tube thickness
-    hookCount: 4,      // Number of hooks
-    hookSpacing: 0.15, // Spacing between hooks
+    hookCount: 4,      // Number of hooks (spaced evenly around the pole)
+    hookSpacing: 0.25, // Distance from the pole to each hook
     poleColor: 0xcccccc, // Light gray
     hookColor: 0xaaaaaa  // Medium gray
 };
@@ -5,15 +5,115 @@
  * when the application starts or when reset to defaults is triggered.
  *
  * Data includes:
+ * - Default cart types (dimensions, color, drawer heights and features)
  * - Default carts (emergency medical carts with positioning)
  * - Default drawers (storage compartments within each cart)
  * - Default items (medical equipment and supplies)
  * - Default scenarios (emergency medical situations for training)
  * - Default achievements (gamification rewards)
  * - Default camera views (3D camera perspectives)
+ * - Default fixtures (stretcher, door, counter, sink, boom and monitor)
  * - Default settings (room, scoring, and general application settings)
  */
 
+/**
+ * Default Cart Types Configuration
+ *
+ * The cart models available in the project. Carts refer to a type by id, and
+ * the type decides the cart's size, default color, drawer heights and special
+ * features. Designers can edit these or add their own (e.g. a six-drawer
+ * Broselow cart or a tall supply tower).
+ *
+ * Properties:
+ * - id: Unique identifier, stored in cart.type
+ * - name: Display name (also the default name of new carts of this type)
+ * - width, height, depth: Cart body size in feet
+ * - color: Default cart color
+ * - drawerHeights: Height of each drawer in feet, in drawer-number order
+ *   (drawer 1 at the top); its length is the type's drawer count
+ * - hasIVPole: Adds an IV pole with hooks
+ * - hasTopSurface: Adds a procedure work surface
+ */
+export const DEFAULT_CART_TYPES = [
+    {
+        id: 'crash',
+        name: 'Crash Cart (Code Cart)',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#F44336', // Red - emergency/critical
+        drawerHeights: [0.75, 0.75, 0.75, 0.75, 0.75], // 9 inches per drawer
+        hasIVPole: false,
+        hasTopSurface: false
+    },
+    {
+        id: 'airway',
+        name: 'Airway Cart',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#4CAF50', // Green - airway management
+        drawerHeights: [0.9, 0.9, 0.9, 0.9], // ~11 inches per drawer
+        hasIVPole: false,
+        hasTopSurface: false
+    },
+    {
+        id: 'medication',
+        name: 'Medication Cart',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#FF9800', // Orange - medications
+        drawerHeights: [1.2, 1.2, 1.2], // ~14 inches per drawer
+        hasIVPole: false,
+        hasTopSurface: false
+    },
+    {
+        id: 'iv',
+        name: 'IV Cart',
+        width: 1.5, // Narrow base for stability
+        height: 5.0, // Tall for IV pole
+        depth: 1.5,
+        color: '#9C27B0', // Purple - IV/fluids
+        drawerHeights: [0.5], // Small base drawer
+        hasIVPole: true,
+        hasTopSurface: false
+    },
+    {
+        id: 'procedure',
+        name: 'Procedure Table',
+        width: 4.0, // Wide surface for procedures
+        height: 3.0,
+        depth: 2.5,
+        color: '#757575', // Gray - neutral procedure surface
+        drawerHeights: [], // Flat surface, no drawers
+        hasIVPole: false,
+        hasTopSurface: true
+    },
+    {
+        id: 'trauma',
+        name: 'Trauma Cart',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#E91E63', // Pink/magenta - trauma supplies
+        drawerHeights: [0.9, 0.9, 0.9, 0.9],
+        hasIVPole: false,
+        hasTopSurface: false
+    },
+    {
+        id: 'supply',
+        name: 'Supply Cart',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#2196F3', // Blue - general supplies
+        drawerHeights: [1.2, 1.2, 1.2],
+        hasIVPole: false,
+        hasTopSurface: false
+    }
+];
+
 /**
  * Default Carts Configuration
  *
@@ -64,7 +164,20 @@ export const DEFAULT_CARTS = [
         width: 80,
         height: 80,
         rotation: 180,
-        color: '#F44336' // Red - emergency/code situations
+        color: '#F44336', // Red - emergency/code situations
+        // Daily check-off practice: one seeded example of each discrepancy type
+        checkScripts: [
+            {
+                id: 'check-monday',
+                name: 'Monday Morning Check',
+                discrepancies: [
+                    { id: 'check-monday-1', type: 'missing', itemId: 'ecg', drawerId: '' },
+                    { id: 'check-monday-2', type: 'expired', itemId: 'saline', drawerId: '' },
+                    { id: 'check-monday-3', type: 'misplaced', itemId: 'iv-start', drawerId: 'd9' },
+                    { id: 'check-monday-4', type: 'seal', itemId: '', drawerId: '' }
+                ]
+            }
+        ]
     },
     {
         id: 'trauma',
@@ -102,15 +215,19 @@ export const DEFAULT_CARTS = [
  * - cart: Parent cart ID this drawer belongs to
  * - name: Display name of the drawer
  * - number: Drawer position (1=top, 2=middle, 3=bottom)
+ * - layout: Grid of bins (see DEFAULT_DRAWER_LAYOUT); drawers without one are a single bin
+ * - kind: Storage kind from STORAGE_KINDS (default 'drawer'), with that kind's
+ *   fields: hinge ('left'/'right') for cabinets, elevation (feet) for rail
+ *   baskets, hook (0-based hook index) for IV pole hooks
  */
 export const DEFAULT_DRAWERS = [
     // Airway Cart Drawers (d1-d3)
-    { id: 'd1', cart: 'airway', name: 'Top Drawer', number: 1 },
+    { id: 'd1', cart: 'airway', name: 'Top Drawer', number: 1, layout: { columns: 2, rows: 1, labels: ['Tubes', 'Blades'] } },
     { id: 'd2', cart: 'airway', name: 'Middle Drawer', number: 2 },
     { id: 'd3', cart: 'airway', name: 'Bottom Drawer', number: 3 },
 
     // Medication Cart Drawers (d4-d6)
-    { id: 'd4', cart: 'med', name: 'Top Drawer', number: 1 },
+    { id: 'd4', cart: 'med', name: 'Top Drawer', number: 1, layout: { columns: 3, rows: 2, labels: ['Epinephrine', 'Atropine', 'Adenosine', '', '', 'Spare'] } },
     { id: 'd5', cart: 'med', name: 'Middle Drawer', number: 2 },
     { id: 'd6', cart: 'med', name: 'Bottom Drawer', number: 3 },
 
@@ -119,12 +236,31 @@ export const DEFAULT_DRAWERS = [
     { id: 'd8', cart: 'code', name: 'Middle Drawer', number: 2 },
     { id: 'd9', cart: 'code', name: 'Bottom Drawer', number: 3 },
 
-    // Trauma Cart Drawers (d10-d12)
+    // Trauma Cart Storage (d10-d13): two drawers, a swing-door cabinet and a basket on a rail above the cart
     { id: 'd10', cart: 'trauma', name: 'Top Drawer', number: 1 },
     { id: 'd11', cart: 'trauma', name: 'Middle Drawer', number: 2 },
-    { id: 'd12', cart: 'trauma', name: 'Bottom Drawer', number: 3 }
+    { id: 'd12', cart: 'trauma', name: 'Bottom Cabinet', number: 3, kind: 'door', hinge: 'left' },
+    { id: 'd13', cart: 'trauma', name: 'Rail Basket', number: 4, kind: 'rail', elevation: 4.5 }
 ];
 
+/**
+ * Default Drawer Layout
+ *
+ * A drawer is divided into a grid of bins, columns counted from the left and
+ * rows from the back of the drawer (as seen from the front of the cart).
+ * Bins are numbered row by row: bin 0 is back-left.
+ *
+ * Properties:
+ * - columns: Bins across the drawer
+ * - rows: Bins from back to front
+ * - labels: One label per bin ('' = the default label, e.g. "Bin 3" or "B2")
+ */
+export const DEFAULT_DRAWER_LAYOUT = {
+    columns: 1,
+    rows: 1,
+    labels: ['']
+};
+
 /**
  * Default Items Configuration
  *
@@ -136,19 +272,22 @@ export const DEFAULT_DRAWERS = [
  * - name: Display name of the item
  * - cart: Parent cart ID where this item is stored
  * - drawer: Specific drawer ID where this item is located
+ * - bin: Bin index in the drawer's layout (omitted = loose in the drawer)
+ *
+ * Inventory fields (DEFAULT_ITEM_INVENTORY) are added when the defaults are loaded.
  */
 export const DEFAULT_ITEMS = [
     // Airway Cart Items - Airway management equipment
-    { id: 'ett', name: 'Endotracheal Tube', cart: 'airway', drawer: 'd1' },
-    { id: 'laryngoscope', name: 'Laryngoscope', cart: 'airway', drawer: 'd1' },
+    { id: 'ett', name: 'Endotracheal Tube', cart: 'airway', drawer: 'd1', bin: 0 },
+    { id: 'laryngoscope', name: 'Laryngoscope', cart: 'airway', drawer: 'd1', bin: 1 },
     { id: 'bvm', name: 'Bag-Valve-Mask', cart: 'airway', drawer: 'd2' },
     { id: 'oropharyngeal', name: 'Oropharyngeal Airway', cart: 'airway', drawer: 'd2' },
     { id: 'suction', name: 'Suction Catheter', cart: 'airway', drawer: 'd3' },
     { id: 'oxygen', name: 'Oxygen Mask', cart: 'airway', drawer: 'd3' },
 
     // Medication Cart Items - Emergency medications
-    { id: 'epinephrine', name: 'Epinephrine', cart: 'med', drawer: 'd4' },
-    { id: 'atropine', name: 'Atropine', cart: 'med', drawer: 'd4' },
+    { id: 'epinephrine', name: 'Epinephrine', cart: 'med', drawer: 'd4', bin: 0 },
+    { id: 'atropine', name: 'Atropine', cart: 'med', drawer: 'd4', bin: 1 },
     { id: 'amiodarone', name: 'Amiodarone', cart: 'med', drawer: 'd5' },
     { id: 'lidocaine', name: 'Lidocaine', cart: 'med', drawer: 'd5' },
     { id: 'morphine', name: 'Morphine', cart: 'med', drawer: 'd6' },
@@ -166,11 +305,31 @@ export const DEFAULT_ITEMS = [
     { id: 'chest-tube', name: 'Chest Tube Kit', cart: 'trauma', drawer: 'd10' },
     { id: 'scalpel', name: 'Scalpel', cart: 'trauma', drawer: 'd10' },
     { id: 'gauze', name: 'Gauze Pads', cart: 'trauma', drawer: 'd11' },
-    { id: 'tourniquet', name: 'Tourniquet', cart: 'trauma', drawer: 'd11' },
+    { id: 'tourniquet', name: 'Tourniquet', cart: 'trauma', drawer: 'd13' },
     { id: 'splint', name: 'Splint', cart: 'trauma', drawer: 'd12' },
     { id: 'cervical-collar', name: 'Cervical Collar', cart: 'trauma', drawer: 'd12' }
 ];
 
+/**
+ * Default Item Inventory Fields
+ *
+ * Stock fields given to new items and filled in for items saved before they existed.
+ *
+ * Properties:
+ * - quantity: Quantity on hand
+ * - par: Par level; the item is reported below par when quantity < par (0 = no par level)
+ * - unit: Unit the quantity is counted in (e.g. 'each', 'vial', 'box')
+ * - lot: Lot number
+ * - expiration: Expiration date as YYYY-MM-DD ('' = does not expire)
+ */
+export const DEFAULT_ITEM_INVENTORY = {
+    quantity: 1,
+    par: 0,
+    unit: 'each',
+    lot: '',
+    expiration: ''
+};
+
 /**
  * Default Scenarios Configuration
  *
@@ -370,6 +529,104 @@ export const DEFAULT_CAMERA_VIEWS = [
     }
 ];
 
+/**
+ * Default Fixtures Configuration
+ *
+ * Defines the fixed furniture of the trauma bay. Fixtures are drawn in both
+ * views and block the trainee's movement, but hold no items.
+ *
+ * Properties:
+ * - id: Unique identifier for the fixture
+ * - name: Display name of the fixture
+ * - type: Fixture type (see FIXTURE_TYPES)
+ * - x: Horizontal position in room (0.0-1.0, relative to room width)
+ * - y: Vertical position in room (0.0-1.0, relative to room depth)
+ * - rotation: Rotation in degrees (wall fixtures face +Z at 0)
+ * - width, depth, height: Size in feet
+ * - elevation: Height of the underside above the floor in feet
+ * - color: Body color
+ */
+export const DEFAULT_FIXTURES = [
+    {
+        id: 'stretcher',
+        name: 'Stretcher',
+        type: 'stretcher',
+        x: 0.5,
+        y: 0.22,
+        rotation: 0,
+        width: 2.5,
+        depth: 7.0,
+        height: 3.0,
+        elevation: 0,
+        color: '#90A4AE'
+    },
+    {
+        id: 'bay-door',
+        name: 'Bay Door',
+        type: 'door',
+        x: 0.995,
+        y: 0.5,
+        rotation: 270, // Right wall, facing into the room
+        width: 4.0,
+        depth: 0.3,
+        height: 7.0,
+        elevation: 0,
+        color: '#8D6E63'
+    },
+    {
+        id: 'back-counter',
+        name: 'Back Counter',
+        type: 'counter',
+        x: 0.3,
+        y: 0.04,
+        rotation: 0,
+        width: 6.0,
+        depth: 2.0,
+        height: 3.0,
+        elevation: 0,
+        color: '#BCAAA4'
+    },
+    {
+        id: 'scrub-sink',
+        name: 'Scrub Sink',
+        type: 'sink',
+        x: 0.65,
+        y: 0.04,
+        rotation: 0,
+        width: 2.5,
+        depth: 2.0,
+        height: 3.0,
+        elevation: 0,
+        color: '#CFD8DC'
+    },
+    {
+        id: 'anesthesia-boom',
+        name: 'Anesthesia Boom',
+        type: 'boom',
+        x: 0.42,
+        y: 0.22,
+        rotation: 0,
+        width: 1.5,
+        depth: 1.5,
+        height: 2.5,
+        elevation: 4.5,
+        color: '#ECEFF1'
+    },
+    {
+        id: 'vitals-monitor',
+        name: 'Vitals Monitor',
+        type: 'monitor',
+        x: 0.5,
+        y: 0.01,
+        rotation: 0,
+        width: 2.0,
+        depth: 0.3,
+        height: 1.5,
+        elevation: 5.0,
+        color: '#263238'
+    }
+];
+
 /**
  * Default Room Settings Configuration
  *
@@ -412,6 +669,23 @@ export const DEFAULT_SCORING_RULES = {
     speedBonus: 300
 };
 
+/**
+ * Default Tutorial Step Texts
+ *
+ * Instructions shown by the trainer's onboarding tutorial, one per step. Each
+ * step advances only when the trainee performs the action. {item} in the
+ * findItem text is replaced with the practice item and its drawer and cart.
+ */
+export const DEFAULT_TUTORIAL_STEPS = {
+    look: 'Move the mouse (or drag on the right side of the screen) to look around the room.',
+    move: 'Walk around with W, A, S and D (or the joystick).',
+    sprint: 'Hold Shift while walking to move faster.',
+    openDrawer: 'Walk up to a cart, aim at a drawer and press E or click to open it.',
+    readContents: "The drawer's contents are listed on screen. Read them, then close the list.",
+    findItem: 'Find the {item} and press Pick to take it.',
+    complete: 'Press Enter or click Finish Scenario to complete the scenario.'
+};
+
 /**
  * Default General Settings Configuration
  *
@@ -419,17 +693,75 @@ export const DEFAULT_SCORING_RULES = {
  *
  * Properties:
  * - appTitle: Application title displayed in UI
- * - enableTutorial: Whether to show tutorial/help on first launch
+ * - enableTutorial: Whether the trainer offers the onboarding tutorial
  * - enableSound: Whether sound effects are enabled
  * - enableHaptics: Whether haptic feedback is enabled (for supported devices)
+ * - expiryWarningDays: Days before expiration an item is listed as expiring in the inventory report
  */
 export const DEFAULT_GENERAL_SETTINGS = {
     appTitle: 'Trauma Room Trainer',
     enableTutorial: true,
     enableSound: true,
-    enableHaptics: true
+    enableHaptics: true,
+    expiryWarningDays: 30,
+    tutorialSteps: { ...DEFAULT_TUTORIAL_STEPS }
+};
+
+/**
+ * Default LRS Settings Configuration
+ *
+ * Defines the xAPI Learning Record Store connection used by the trainer.
+ * Disabled by default so nothing leaves the workstation until configured.
+ *
+ * Properties:
+ * - enabled: Whether the trainer sends xAPI statements
+ * - endpoint: Base URL of the LRS xAPI endpoint
+ * - username: Basic auth username (LRS key)
+ * - password: Basic auth password (LRS secret)
+ * - activityBaseId: IRI prefix for scenario, drawer and item activities
+ */
+export const DEFAULT_LRS_SETTINGS = {
+    enabled: false,
+    endpoint: '',
+    username: '',
+    password: '',
+    activityBaseId: 'https://example.org/trauma-room-trainer'
 };
 
+/**
+ * Default Random Drill Settings
+ *
+ * Rules used to generate random drill scenarios (trainer "Random Drill" and the
+ * designer's "Generate & Save as Scenario").
+ *
+ * Properties:
+ * - rules: Essential item pools, each { count, filter, value } where filter is
+ *   'any', 'cartType' (value = cart type), 'cart' (value = cart id) or 'drawer' (value = drawer id)
+ * - optionalCount: Optional items drawn from everything left over
+ * - missedWeight: Extra draw weight per time a trainee missed an item (0 = uniform)
+ * - timeLimit: Seconds allowed for a drill (0 = no limit)
+ */
+export const DEFAULT_DRILL_SETTINGS = {
+    rules: [
+        { count: 3, filter: 'cartType', value: 'airway' },
+        { count: 2, filter: 'cartType', value: 'medication' },
+        { count: 1, filter: 'cartType', value: 'crash' }
+    ],
+    optionalCount: 1,
+    missedWeight: 2,
+    timeLimit: 180
+};
+
+/**
+ * Copies a drawer layout (the default single bin when none is given)
+ *
+ * @param {Object} [layout] - { columns, rows, labels }
+ * @returns {Object} A layout the drawer can own
+ */
+function copyDrawerLayout(layout = DEFAULT_DRAWER_LAYOUT) {
+    return { ...layout, labels: [...layout.labels] };
+}
+
 /**
  * Load Default Configuration Function
  *
@@ -439,15 +771,19 @@ export const DEFAULT_GENERAL_SETTINGS = {
  * @param {Object} CONFIG - The global configuration object to populate
  */
 export function loadDefaultConfiguration(CONFIG) {
+    window.CONFIG.cartTypes = DEFAULT_CART_TYPES.map(cartType => ({ ...cartType, drawerHeights: [...cartType.drawerHeights] }));
     window.CONFIG.carts = [...DEFAULT_CARTS];
-    window.CONFIG.drawers = [...DEFAULT_DRAWERS];
-    window.CONFIG.items = [...DEFAULT_ITEMS];
+    window.CONFIG.drawers = DEFAULT_DRAWERS.map(drawer => ({ ...drawer, layout: copyDrawerLayout(drawer.layout) }));
+    window.CONFIG.items = DEFAULT_ITEMS.map(item => ({ ...DEFAULT_ITEM_INVENTORY, ...item }));
     window.CONFIG.scenarios = [...DEFAULT_SCENARIOS];
     window.CONFIG.achievements = [...DEFAULT_ACHIEVEMENTS];
     window.CONFIG.cameraViews = [...DEFAULT_CAMERA_VIEWS];
+    window.CONFIG.fixtures = DEFAULT_FIXTURES.map(fixture => ({ ...fixture }));
     window.CONFIG.roomSettings = { ...DEFAULT_ROOM_SETTINGS };
     window.CONFIG.scoringRules = { ...DEFAULT_SCORING_RULES };
     window.CONFIG.generalSettings = { ...DEFAULT_GENERAL_SETTINGS };
+    window.CONFIG.lrsSettings = { ...DEFAULT_LRS_SETTINGS };
+    window.CONFIG.drillSettings = { ...DEFAULT_DRILL_SETTINGS, rules: DEFAULT_DRILL_SETTINGS.rules.map(rule => ({ ...rule })) };
 }
 
 /**
@@ -460,14 +796,18 @@ export function loadDefaultConfiguration(CONFIG) {
  */
 export function getDefaultConfiguration() {
     return {
+        cartTypes: DEFAULT_CART_TYPES.map(cartType => ({ ...cartType, drawerHeights: [...cartType.drawerHeights] })),
         carts: [...DEFAULT_CARTS],
-        drawers: [...DEFAULT_DRAWERS],
-        items: [...DEFAULT_ITEMS],
+        drawers: DEFAULT_DRAWERS.map(drawer => ({ ...drawer, layout: copyDrawerLayout(drawer.layout) })),
+        items: DEFAULT_ITEMS.map(item => ({ ...DEFAULT_ITEM_INVENTORY, ...item })),
         scenarios: [...DEFAULT_SCENARIOS],
         achievements: [...DEFAULT_ACHIEVEMENTS],
         cameraViews: [...DEFAULT_CAMERA_VIEWS],
+        fixtures: DEFAULT_FIXTURES.map(fixture => ({ ...fixture })),
         roomSettings: { ...DEFAULT_ROOM_SETTINGS },
         scoringRules: { ...DEFAULT_SCORING_RULES },
-        generalSettings: { ...DEFAULT_GENERAL_SETTINGS }
+        generalSettings: { ...DEFAULT_GENERAL_SETTINGS },
+        lrsSettings: { ...DEFAULT_LRS_SETTINGS },
+        drillSettings: { ...DEFAULT_DRILL_SETTINGS, rules: DEFAULT_DRILL_SETTINGS.rules.map(rule => ({ ...rule })) }
     };
 }
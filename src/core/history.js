@@ -9,7 +9,7 @@
  * - redoStack: Stores actions that have been undone and can be redone
  *
  * Supported action types:
- * - CREATE/DELETE operations for carts, drawers, and items
+ * - CREATE/DELETE operations for carts, drawers, items, fixtures and cart types
  * - MOVE operations for cart positioning and rotation
  * - UPDATE operations for properties of any entity type
  *
@@ -22,6 +22,7 @@
 // - buildHierarchy() - Rebuilds the UI hierarchy after data changes
 // - drawCanvas() - Redraws the 2D canvas after visual changes
 // - buildAll3DCarts() - Rebuilds the 3D scene after cart/drawer changes
+// - buildAll3DFixtures() - Rebuilds the 3D fixtures after fixture changes
 // These dependencies will be injected when integrating into the modular system.
 
 
@@ -57,11 +58,19 @@ export const HISTORY = {
  * @param {Object} [data.cart] - Complete cart object for CREATE/DELETE operations
  * @param {Object} [data.drawer] - Complete drawer object for CREATE/DELETE operations
  * @param {Object} [data.item] - Complete item object for CREATE/DELETE operations
+ * @param {string} [data.fixtureId] - Fixture ID for fixture-related actions
+ * @param {Object} [data.fixture] - Complete fixture object for CREATE/DELETE operations
+ * @param {string} [data.cartTypeId] - Cart type ID for cart type actions
+ * @param {Object} [data.cartType] - Complete cart type object for CREATE/DELETE operations
  * @param {Object} [data.oldPosition] - Previous position for MOVE operations
  * @param {Object} [data.newPosition] - New position for MOVE operations
  * @param {string} [data.property] - Property name for UPDATE operations
  * @param {*} [data.oldValue] - Previous value for UPDATE operations
  * @param {*} [data.newValue] - New value for UPDATE operations
+ * @param {Object} [data.oldDefaults] - Fixture fields a type change replaced (UPDATE_FIXTURE_PROPERTY)
+ * @param {Object} [data.newDefaults] - Fixture fields a type change applied (UPDATE_FIXTURE_PROPERTY)
+ * @param {number|null} [data.oldBin] - Item bin a drawer change emptied (UPDATE_ITEM_PROPERTY)
+ * @param {number|null} [data.newBin] - Item bin after a drawer change (UPDATE_ITEM_PROPERTY)
  *
  * @example
  * // Record a cart creation
@@ -266,6 +275,8 @@ export function applyAction(action) {
             if (updatedDrawer) {
                 updatedDrawer[action.data.property] = action.data.newValue;
                 buildHierarchy();
+                drawCanvas();
+                buildAll3DCarts();
             }
             break;
 
@@ -273,6 +284,8 @@ export function applyAction(action) {
             const updatedItem = window.CONFIG.items.find(i => i.id === action.data.itemId);
             if (updatedItem) {
                 updatedItem[action.data.property] = action.data.newValue;
+                // A drawer change also emptied the item's bin
+                if (action.data.newBin !== undefined) updatedItem.bin = action.data.newBin;
                 buildHierarchy();
             }
             break;
@@ -300,6 +313,66 @@ export function applyAction(action) {
                 buildHierarchy();
             }
             break;
+
+        case 'CREATE_FIXTURE':
+            window.CONFIG.fixtures.push(action.data.fixture);
+            buildHierarchy();
+            drawCanvas();
+            buildAll3DFixtures();
+            break;
+
+        case 'DELETE_FIXTURE':
+            const fixtureIndex = window.CONFIG.fixtures.findIndex(f => f.id === action.data.fixtureId);
+            if (fixtureIndex !== -1) {
+                window.CONFIG.fixtures.splice(fixtureIndex, 1);
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DFixtures();
+            }
+            break;
+
+        case 'UPDATE_FIXTURE_PROPERTY':
+            const updatedFixture = window.CONFIG.fixtures.find(f => f.id === action.data.fixtureId);
+            if (updatedFixture) {
+                updatedFixture[action.data.property] = action.data.newValue;
+                // A type change also applied the new type's defaults
+                if (action.data.newDefaults) Object.assign(updatedFixture, action.data.newDefaults);
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DFixtures();
+            }
+            break;
+
+        case 'CREATE_CART_TYPE':
+            window.CONFIG.cartTypes.push(action.data.cartType);
+            buildHierarchy();
+            break;
+
+        case 'DELETE_CART_TYPE':
+            const cartTypeIndex = window.CONFIG.cartTypes.findIndex(t => t.id === action.data.cartTypeId);
+            if (cartTypeIndex !== -1) {
+                window.CONFIG.cartTypes.splice(cartTypeIndex, 1);
+                buildHierarchy();
+            }
+            break;
+
+        case 'UPDATE_CART_TYPE_PROPERTY':
+            const updatedCartType = window.CONFIG.cartTypes.find(t => t.id === action.data.cartTypeId);
+            if (updatedCartType) {
+                updatedCartType[action.data.property] = action.data.newValue;
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DCarts();
+            }
+            break;
+
+        case 'UPDATE_SCORING_RULE':
+            window.CONFIG.scoringRules[action.data.property] = action.data.newValue;
+            break;
+
+        case 'UPDATE_PROJECT_SETTING':
+            window.CONFIG[action.data.section][action.data.property] = action.data.newValue;
+            break;
     }
 }
 
@@ -419,6 +492,8 @@ export function applyReverseAction(action) {
             const updatedItem = window.CONFIG.items.find(i => i.id === action.data.itemId);
             if (updatedItem) {
                 updatedItem[action.data.property] = action.data.oldValue;
+                // A drawer change also brings back the bin it emptied
+                if (action.data.oldBin !== undefined) updatedItem.bin = action.data.oldBin;
                 buildHierarchy();
                 drawCanvas();
                 buildAll3DCarts();
@@ -451,6 +526,74 @@ export function applyReverseAction(action) {
                 buildHierarchy();
             }
             break;
+
+        case 'CREATE_FIXTURE':
+            // Reverse of create is delete
+            const fixtureIndex = window.CONFIG.fixtures.findIndex(f => f.id === action.data.fixture.id);
+            if (fixtureIndex !== -1) {
+                window.CONFIG.fixtures.splice(fixtureIndex, 1);
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DFixtures();
+            }
+            break;
+
+        case 'DELETE_FIXTURE':
+            // Reverse of delete is create - restore the fixture
+            window.CONFIG.fixtures.push(action.data.fixture);
+            buildHierarchy();
+            drawCanvas();
+            buildAll3DFixtures();
+            break;
+
+        case 'UPDATE_FIXTURE_PROPERTY':
+            // Restore the old property value
+            const updatedFixture = window.CONFIG.fixtures.find(f => f.id === action.data.fixtureId);
+            if (updatedFixture) {
+                updatedFixture[action.data.property] = action.data.oldValue;
+                // A type change also brings back the size, color and name it replaced
+                if (action.data.oldDefaults) Object.assign(updatedFixture, action.data.oldDefaults);
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DFixtures();
+            }
+            break;
+
+        case 'CREATE_CART_TYPE':
+            // Reverse of create is delete
+            const cartTypeIndex = window.CONFIG.cartTypes.findIndex(t => t.id === action.data.cartType.id);
+            if (cartTypeIndex !== -1) {
+                window.CONFIG.cartTypes.splice(cartTypeIndex, 1);
+                buildHierarchy();
+            }
+            break;
+
+        case 'DELETE_CART_TYPE':
+            // Reverse of delete is create - restore the cart type
+            window.CONFIG.cartTypes.push(action.data.cartType);
+            buildHierarchy();
+            break;
+
+        case 'UPDATE_CART_TYPE_PROPERTY':
+            // Restore the old property value (every cart of the type changes with it)
+            const updatedCartType = window.CONFIG.cartTypes.find(t => t.id === action.data.cartTypeId);
+            if (updatedCartType) {
+                updatedCartType[action.data.property] = action.data.oldValue;
+                buildHierarchy();
+                drawCanvas();
+                buildAll3DCarts();
+            }
+            break;
+
+        case 'UPDATE_SCORING_RULE':
+            // Restore the old rule value
+            window.CONFIG.scoringRules[action.data.property] = action.data.oldValue;
+            break;
+
+        case 'UPDATE_PROJECT_SETTING':
+            // Restore the old value in the settings section (e.g. lrsSettings)
+            window.CONFIG[action.data.section][action.data.property] = action.data.oldValue;
+            break;
     }
 }
 
@@ -24,6 +24,8 @@
  * - 'scenario': Training scenarios
  * - 'item': Medical items that can be placed in drawers
  * - 'achievement': Gamification achievements
+ * - 'fixture': Room fixtures (stretcher, doors, counters...)
+ * - 'carttype': Cart types (size, drawer heights and features of a cart model)
  *
  * @module core/state
  * @requires config/config - CONFIG and STATE objects
@@ -66,7 +68,7 @@ import { buildHierarchy } from '../ui/hierarchy.js';
  * - Viewing entity details and relationships
  *
  * @function selectEntity
- * @param {string} type - The type of entity to select ('cart', 'drawer', 'cameraview', 'scenario', 'item', 'achievement')
+ * @param {string} type - The type of entity to select ('cart', 'drawer', 'cameraview', 'scenario', 'item', 'achievement', 'fixture', 'carttype')
  * @param {string} id - The unique ID of the entity to select
  * @returns {void}
  *
@@ -209,6 +211,8 @@ export function deselectEntity() {
  * - 'scenario' → CONFIG.scenarios
  * - 'item' → CONFIG.items
  * - 'achievement' → CONFIG.achievements
+ * - 'fixture' → CONFIG.fixtures
+ * - 'carttype' → CONFIG.cartTypes
  *
  * The function is safe to call with invalid types or IDs - it will
  * return undefined rather than throwing an error.
@@ -218,7 +222,7 @@ export function deselectEntity() {
  * and select an entity.
  *
  * @function getEntity
- * @param {string} type - The type of entity ('cart', 'drawer', 'cameraview', 'scenario', 'item', 'achievement')
+ * @param {string} type - The type of entity ('cart', 'drawer', 'cameraview', 'scenario', 'item', 'achievement', 'fixture', 'carttype')
  * @param {string} id - The unique ID of the entity to retrieve
  * @returns {Object|undefined} The entity object if found, undefined if not found or invalid type
  *
@@ -268,7 +272,9 @@ export function getEntity(type, id) {
         'scenario': window.CONFIG.scenarios,
         'drawer': window.CONFIG.drawers,
         'item': window.CONFIG.items,
-        'achievement': window.CONFIG.achievements
+        'achievement': window.CONFIG.achievements,
+        'fixture': window.CONFIG.fixtures,
+        'carttype': window.CONFIG.cartTypes
     };
 
     // Use optional chaining to safely access the collection and find the entity
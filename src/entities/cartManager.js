@@ -2,12 +2,14 @@
  * @fileoverview Cart Manager Module
  * @description Manages cart entities including creation, updates, and property management.
  * Handles cart positioning (both normalized and feet-based coordinates), rotation,
- * type/color configuration, and 3D visualization updates.
+ * type/color configuration, 3D visualization updates, and the daily check
+ * scripts used by the trainer's check-off mode.
  *
  * @module entities/cartManager
- * @requires globals (CONFIG, STATE, CART_TYPES)
+ * @requires globals (CONFIG, STATE)
  * @requires helpers (getEntity, recordAction, buildHierarchy, drawCanvas,
- *                    buildAll3DCarts, updateInspector, selectEntity, showAlert)
+ *                    buildAll3DCarts, updateInspector, selectEntity, showAlert,
+ *                    getCartType)
  * @requires 3d (cartMeshes)
  */
 
@@ -72,9 +74,10 @@ export function updateCartProperty(prop, value) {
         // If type, color, or name changed, rebuild 3D cart
         if (prop === 'type' || prop === 'color' || prop === 'name') {
             // If type changed, update color to match type default
-            if (prop === 'type' && value && window.CART_TYPES[value]) {
-                cart.color = window.CART_TYPES[value].color;
-                cart.name = window.CART_TYPES[value].name;
+            const cartType = prop === 'type' && value ? window.getCartType(value) : null;
+            if (cartType) {
+                cart.color = cartType.color;
+                cart.name = cartType.name;
             }
             window.buildAll3DCarts();
             window.updateInspector(); // Refresh inspector to show updated values
@@ -166,6 +169,7 @@ export function updateCartPositionFeet(axis, valueFeet) {
  * - Default size: 80x80
  * - Default rotation: 0 degrees
  * - Not an inventory cart by default
+ * - No daily check scripts
  *
  * The function:
  * 1. Creates the cart object
@@ -193,7 +197,8 @@ export function createNewCart() {
         width: 80,
         height: 80,
         rotation: 0, // Default rotation
-        isInventory: false
+        isInventory: false,
+        checkScripts: []
     };
 
     window.CONFIG.carts.push(newCart);
@@ -209,3 +214,174 @@ export function createNewCart() {
     window.buildAll3DCarts(); // Rebuild 3D scene
     window.showAlert('New cart created', 'success');
 }
+
+// ========================================
+// DAILY CHECK SCRIPTS
+// ========================================
+
+/**
+ * Copies the selected cart's check scripts so they can be edited and saved back
+ * through updateCartProperty.
+ *
+ * @param {Object} cart - The cart
+ * @returns {Object[]} Deep copy of cart.checkScripts
+ */
+function cloneCheckScripts(cart) {
+    return (cart.checkScripts || []).map(script => ({
+        ...script,
+        discrepancies: script.discrepancies.map(discrepancy => ({ ...discrepancy }))
+    }));
+}
+
+/**
+ * Adds a daily check script to the selected cart
+ *
+ * @description
+ * A check script seeds discrepancies into the cart for the trainer's daily
+ * check-off mode; the trainee walks the cart's drawers and flags them against
+ * the par list. Each script has:
+ * - id: Unique identifier
+ * - name: Shown to the designer (the trainee only sees the cart)
+ * - discrepancies: [{ id, type, itemId, drawerId }] where type is
+ *   'missing', 'expired', 'misplaced' (itemId is found in drawerId) or 'seal'
+ *
+ * The trainer picks one of the cart's scripts at random for each check.
+ *
+ * @example
+ * addCheckScript();
+ */
+export function addCheckScript() {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    scripts.push({
+        id: `check_${Date.now()}`,
+        name: `Check ${scripts.length + 1}`,
+        discrepancies: []
+    });
+
+    updateCartProperty('checkScripts', scripts);
+    window.updateInspector();
+}
+
+/**
+ * Removes a daily check script from the selected cart
+ *
+ * @param {number} index - Position of the script
+ *
+ * @example
+ * removeCheckScript(0);
+ */
+export function removeCheckScript(index) {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    scripts.splice(index, 1);
+
+    updateCartProperty('checkScripts', scripts);
+    window.updateInspector();
+}
+
+/**
+ * Updates a property of one of the selected cart's check scripts
+ *
+ * @param {number} index - Position of the script
+ * @param {string} prop - Property name ('name')
+ * @param {*} value - New value
+ *
+ * @example
+ * updateCheckScript(0, 'name', 'Monday - expired meds');
+ */
+export function updateCheckScript(index, prop, value) {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    if (!scripts[index]) return;
+    scripts[index][prop] = value;
+
+    updateCartProperty('checkScripts', scripts);
+}
+
+/**
+ * Adds a discrepancy to one of the selected cart's check scripts
+ *
+ * New discrepancies are a missing item with no item chosen yet.
+ *
+ * @param {number} scriptIndex - Position of the script
+ *
+ * @example
+ * addCheckDiscrepancy(0);
+ */
+export function addCheckDiscrepancy(scriptIndex) {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    if (!scripts[scriptIndex]) return;
+    scripts[scriptIndex].discrepancies.push({
+        id: `discrepancy_${Date.now()}`,
+        type: 'missing',
+        itemId: '',
+        drawerId: ''
+    });
+
+    updateCartProperty('checkScripts', scripts);
+    window.updateInspector();
+}
+
+/**
+ * Removes a discrepancy from one of the selected cart's check scripts
+ *
+ * @param {number} scriptIndex - Position of the script
+ * @param {number} index - Position of the discrepancy
+ *
+ * @example
+ * removeCheckDiscrepancy(0, 1);
+ */
+export function removeCheckDiscrepancy(scriptIndex, index) {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    if (!scripts[scriptIndex]) return;
+    scripts[scriptIndex].discrepancies.splice(index, 1);
+
+    updateCartProperty('checkScripts', scripts);
+    window.updateInspector();
+}
+
+/**
+ * Updates a property of a discrepancy
+ *
+ * @description
+ * Changing the type or the item clears the drawer, since only misplaced
+ * items use it and it must differ from the item's own drawer. A broken
+ * seal applies to the whole cart, so it has no item either.
+ *
+ * @param {number} scriptIndex - Position of the script
+ * @param {number} index - Position of the discrepancy
+ * @param {string} prop - Property name ('type', 'itemId', 'drawerId')
+ * @param {*} value - New value
+ *
+ * @example
+ * updateCheckDiscrepancy(0, 1, 'type', 'misplaced');
+ * updateCheckDiscrepancy(0, 1, 'drawerId', 'd9');
+ */
+export function updateCheckDiscrepancy(scriptIndex, index, prop, value) {
+    const cart = window.getEntity('cart', window.STATE.selectedId);
+    if (!cart) return;
+
+    const scripts = cloneCheckScripts(cart);
+    const discrepancy = scripts[scriptIndex] ? scripts[scriptIndex].discrepancies[index] : null;
+    if (!discrepancy) return;
+
+    discrepancy[prop] = value;
+    if (prop === 'type' || prop === 'itemId') discrepancy.drawerId = '';
+    if (prop === 'type' && value === 'seal') discrepancy.itemId = '';
+
+    updateCartProperty('checkScripts', scripts);
+    window.updateInspector();
+}
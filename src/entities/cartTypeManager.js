@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Cart Type Manager Module
+ * @description Manages the project's cart types: the size, default color,
+ * drawer heights and special features (IV pole, procedure surface) shared by
+ * every cart of a type. Cart types are stored in CONFIG.cartTypes and carts
+ * refer to them through cart.type.
+ *
+ * @module entities/cartTypeManager
+ * @requires globals (CONFIG, STATE)
+ * @requires helpers (getEntity, recordAction, buildHierarchy, drawCanvas,
+ *                    buildAll3DCarts, updateInspector, updateStatusBar,
+ *                    selectEntity, showAlert)
+ */
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// CART TYPE LOOKUP
+// ========================================
+
+/**
+ * Finds a cart type by id
+ *
+ * @param {string} typeId - Cart type id (the value of cart.type)
+ * @returns {Object|null} The cart type from CONFIG.cartTypes, or null for
+ *                        carts without a type or with a removed type
+ *
+ * @example
+ * const cartType = getCartType(cart.type);
+ * const widthFeet = cartType ? cartType.width : 2;
+ */
+export function getCartType(typeId) {
+    return (window.CONFIG.cartTypes || []).find(cartType => cartType.id === typeId) || null;
+}
+
+/**
+ * Lists the carts that use a cart type
+ *
+ * @param {string} typeId - Cart type id
+ * @returns {Object[]} Carts from CONFIG.carts whose type is typeId
+ */
+export function getCartsOfType(typeId) {
+    return window.CONFIG.carts.filter(cart => cart.type === typeId);
+}
+
+// ========================================
+// CART TYPE PROPERTY UPDATES
+// ========================================
+
+/**
+ * Updates a property on the currently selected cart type
+ *
+ * @description
+ * Cart Type Properties:
+ * - name: Display name (new carts of this type take it as their name)
+ * - width, height, depth: Cart body size in feet
+ * - color: Default color of carts of this type
+ * - drawerHeights: Height of each drawer in feet, in drawer-number order (drawer 1 at the top)
+ * - hasIVPole, hasTopSurface: Special features
+ *
+ * Every cart of the type changes with it, so the 2D layout and the 3D carts
+ * are redrawn. Records the change for undo/redo.
+ *
+ * @param {string} prop - The property name to update
+ * @param {*} value - The new value for the property
+ *
+ * @example
+ * updateCartTypeProperty('height', 5.5);
+ *
+ * @example
+ * updateCartTypeProperty('hasIVPole', true);
+ */
+export function updateCartTypeProperty(prop, value) {
+    const cartType = window.getEntity('carttype', window.STATE.selectedId);
+    if (!cartType) return;
+
+    const oldValue = cartType[prop];
+    cartType[prop] = value;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_CART_TYPE_PROPERTY', {
+        cartTypeId: cartType.id,
+        property: prop,
+        oldValue: oldValue,
+        newValue: value
+    });
+
+    window.buildHierarchy();
+    window.drawCanvas();
+    window.buildAll3DCarts();
+
+    if (prop !== 'name' && prop !== 'color') {
+        window.updateInspector(); // Refresh the drawer list and the fit check
+    }
+}
+
+/**
+ * Sets how many drawers the selected cart type has
+ *
+ * @description
+ * Extra drawers copy the height of the last drawer (9 inches when the type
+ * had none); removing drawers drops them from the bottom of the list.
+ *
+ * @param {number} count - The new drawer count (0 or more)
+ *
+ * @example
+ * // A six-drawer Broselow cart
+ * updateCartTypeDrawerCount(6);
+ */
+export function updateCartTypeDrawerCount(count) {
+    const cartType = window.getEntity('carttype', window.STATE.selectedId);
+    if (!cartType) return;
+
+    const heights = cartType.drawerHeights.slice(0, Math.max(0, count));
+    const newHeight = heights[heights.length - 1] || 0.75;
+    while (heights.length < count) {
+        heights.push(newHeight);
+    }
+
+    updateCartTypeProperty('drawerHeights', heights);
+}
+
+/**
+ * Sets the height of one drawer of the selected cart type
+ *
+ * @param {number} index - Drawer index (0 = drawer number 1)
+ * @param {number} height - Drawer height in feet
+ *
+ * @example
+ * // Deep bottom drawer on a three-drawer supply cart (drawer 1 is at the top)
+ * updateCartTypeDrawerHeight(2, 1.5);
+ */
+export function updateCartTypeDrawerHeight(index, height) {
+    const cartType = window.getEntity('carttype', window.STATE.selectedId);
+    if (!cartType) return;
+
+    const heights = [...cartType.drawerHeights];
+    heights[index] = height;
+
+    updateCartTypeProperty('drawerHeights', heights);
+}
+
+// ========================================
+// CART TYPE CREATION
+// ========================================
+
+/**
+ * Creates a new cart type with a standard four-drawer cart body
+ *
+ * @returns {void}
+ *
+ * @example
+ * createNewCartType();
+ */
+export function createNewCartType() {
+    const id = `carttype_${Date.now()}`;
+    const newCartType = {
+        id: id,
+        name: 'New Cart Type',
+        width: 2.0,
+        height: 4.0,
+        depth: 1.5,
+        color: '#607D8B',
+        drawerHeights: [0.75, 0.75, 0.75, 0.75],
+        hasIVPole: false,
+        hasTopSurface: false
+    };
+
+    window.CONFIG.cartTypes.push(newCartType);
+
+    // Record for undo/redo
+    window.recordAction('CREATE_CART_TYPE', { cartType: newCartType });
+
+    window.STATE.unsavedChanges = true;
+    window.buildHierarchy();
+    window.updateStatusBar();
+    window.selectEntity('carttype', id);
+    window.showAlert('New cart type created', 'success');
+}
@@ -4,12 +4,21 @@
  * Drawers are components that belong to carts and contain items. This module handles
  * drawer property updates and ensures 3D visualization stays synchronized.
  *
+ * A "drawer" is any storage location on a cart: a sliding drawer, a swing-door
+ * cabinet, an open shelf, a rail basket or an IV pole hook (see STORAGE_KINDS).
+ *
  * @module entities/drawerManager
+ * @requires config/defaultData (DEFAULT_DRAWER_LAYOUT)
+ * @requires config/constants (STORAGE_KINDS)
  * @requires globals (CONFIG, STATE)
  * @requires helpers (getEntity, recordAction, buildHierarchy, drawCanvas,
- *                    buildAll3DCarts, selectEntity, showAlert)
+ *                    buildAll3DCarts, updateInspector, selectEntity, showAlert,
+ *                    getCartType)
  */
 
+import { DEFAULT_DRAWER_LAYOUT } from '../config/defaultData.js';
+import { STORAGE_KINDS } from '../config/constants.js';
+
 // Import required globals and helper functions
 // Note: These are accessed via window to avoid undefined values during module load
 // when window properties haven not been set yet
@@ -42,6 +51,15 @@ const buildAll3DCarts = window.buildAll3DCarts;
  * - name: Display name of the drawer
  * - cart: ID of the parent cart this drawer belongs to
  * - number: Drawer number (position in cart, starting from 1)
+ * - layout: Bin grid { columns, rows, labels } (see updateDrawerLayout)
+ * - kind: Storage kind (see STORAGE_KINDS); switching kind fills in the new
+ *   kind's fields from its defaults
+ * - hinge: Cabinet door hinge side ('left' or 'right')
+ * - elevation: Height of a rail basket's rail above the floor in feet
+ * - hook: Which IV pole hook a bag hangs from (0-based)
+ *
+ * IV hooks need an IV pole: making a location a hook on a cart whose type has
+ * no pole, or moving a hook to such a cart, is refused with an alert.
  *
  * @param {string} prop - The property name to update (e.g., 'name', 'cart', 'number')
  * @param {*} value - The new value for the property
@@ -61,8 +79,28 @@ const buildAll3DCarts = window.buildAll3DCarts;
 export function updateDrawerProperty(prop, value) {
     const drawer = window.getEntity('drawer', window.STATE.selectedId);
     if (drawer) {
+        const hookCart = prop === 'kind' && value === 'hook' ? drawer.cart
+            : prop === 'cart' && drawer.kind === 'hook' ? value
+            : null;
+        if (hookCart && !cartHasIVPole(hookCart)) {
+            window.showAlert('IV hooks need a cart with an IV pole', 'error');
+            window.updateInspector(); // Put the select back
+            return;
+        }
+
         const oldValue = drawer[prop];
         drawer[prop] = value;
+
+        // A new kind brings its own fields; values the location already has are kept
+        const storageKind = prop === 'kind' ? STORAGE_KINDS[value] : null;
+        if (storageKind) {
+            Object.entries(storageKind.defaults).forEach(([field, fieldValue]) => {
+                if (drawer[field] === undefined) {
+                    drawer[field] = fieldValue;
+                }
+            });
+        }
+
         window.STATE.unsavedChanges = true;
 
         // Record action for undo/redo
@@ -76,11 +114,120 @@ export function updateDrawerProperty(prop, value) {
         window.buildHierarchy();
         drawCanvas(); // Update 2D room layout view
 
-        // If cart, number, or name changed, rebuild 3D carts to show updated drawer
-        if (prop === 'cart' || prop === 'number' || prop === 'name') {
+        // If cart, number, name, bins or storage kind changed, rebuild 3D carts to show updated drawer
+        if (['cart', 'number', 'name', 'layout', 'kind', 'hinge', 'elevation', 'hook'].includes(prop)) {
             buildAll3DCarts();
         }
+
+        if (storageKind) {
+            window.updateInspector(); // Show the new kind's fields
+        }
+    }
+}
+
+/**
+ * Checks whether a cart's type has an IV pole to hang bags from
+ *
+ * @param {string} cartId - Cart id
+ * @returns {boolean} True when the cart exists and its type has an IV pole
+ */
+function cartHasIVPole(cartId) {
+    const cart = window.CONFIG.carts.find(c => c.id === cartId);
+    const cartType = cart ? window.getCartType(cart.type) : null;
+    return !!(cartType && cartType.hasIVPole);
+}
+
+// ========================================
+// DRAWER BINS
+// ========================================
+
+/**
+ * Gets a drawer's bin grid
+ *
+ * @param {Object} drawer - Drawer from CONFIG.drawers
+ * @returns {Object} { columns, rows, labels }; a single bin for drawers without a layout
+ */
+export function getDrawerLayout(drawer) {
+    return (drawer && drawer.layout) || DEFAULT_DRAWER_LAYOUT;
+}
+
+/**
+ * Gets the label shown for one of a drawer's bins
+ *
+ * @description
+ * Unlabeled bins are named by position: "Bin 2" in a single-row drawer,
+ * otherwise row letter (A = back row) and column number, e.g. "B3".
+ *
+ * @param {Object} drawer - Drawer from CONFIG.drawers
+ * @param {number} index - Bin index (row by row from the back-left bin)
+ * @returns {string} The bin label
+ *
+ * @example
+ * getBinLabel(drawer, item.bin); // "Tubes"
+ */
+export function getBinLabel(drawer, index) {
+    const layout = getDrawerLayout(drawer);
+    if (layout.labels[index]) {
+        return layout.labels[index];
+    }
+
+    const row = Math.floor(index / layout.columns);
+    const column = index % layout.columns;
+    return layout.rows === 1
+        ? `Bin ${column + 1}`
+        : `${String.fromCharCode(65 + row)}${column + 1}`;
+}
+
+/**
+ * Resizes the bin grid of the currently selected drawer
+ *
+ * @description
+ * Bins that are still in the grid keep their labels. Items in bins that no
+ * longer exist become loose in the drawer until they are given a new bin.
+ *
+ * @param {number} columns - Bins across the drawer (1-6)
+ * @param {number} rows - Bins from back to front (1-4)
+ *
+ * @example
+ * // Six medication bins, three across
+ * updateDrawerLayout(3, 2);
+ */
+export function updateDrawerLayout(columns, rows) {
+    const drawer = window.getEntity('drawer', window.STATE.selectedId);
+    if (!drawer) return;
+
+    const layout = getDrawerLayout(drawer);
+    const labels = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const keepsLabel = row < layout.rows && column < layout.columns;
+            labels.push(keepsLabel ? layout.labels[row * layout.columns + column] || '' : '');
+        }
     }
+
+    updateDrawerProperty('layout', { columns, rows, labels });
+    window.updateInspector(); // Rebuild the bin grid
+}
+
+/**
+ * Renames one bin of the currently selected drawer
+ *
+ * @param {number} index - Bin index
+ * @param {string} label - New label ('' = default label)
+ *
+ * @example
+ * updateDrawerBinLabel(0, 'Tubes');
+ */
+export function updateDrawerBinLabel(index, label) {
+    const drawer = window.getEntity('drawer', window.STATE.selectedId);
+    if (!drawer) return;
+
+    const layout = getDrawerLayout(drawer);
+    const labels = [...layout.labels];
+    labels[index] = label.trim();
+
+    updateDrawerProperty('layout', { ...layout, labels });
+    window.updateInspector(); // Show the default label again when cleared
 }
 
 // ========================================
@@ -95,6 +242,7 @@ export function updateDrawerProperty(prop, value) {
  * - Default name: 'New Drawer'
  * - No cart assignment initially (empty string)
  * - Default drawer number: 1
+ * - A single bin
  *
  * The function:
  * 1. Creates the drawer object
@@ -118,7 +266,9 @@ export function createNewDrawer() {
         id: id,
         name: 'New Drawer',
         cart: '',
-        number: 1
+        number: 1,
+        kind: 'drawer',
+        layout: { ...DEFAULT_DRAWER_LAYOUT, labels: [...DEFAULT_DRAWER_LAYOUT.labels] }
     };
 
     window.CONFIG.drawers.push(newDrawer);
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Drill Settings Manager Module
+ * @description Manages the item pool rules used to generate random drill scenarios.
+ * Settings are stored project-wide in CONFIG.drillSettings; the trainer uses them for
+ * its "Random Drill" menu entry and the designer can turn a generated drill into a
+ * regular scenario.
+ *
+ * @module entities/drillSettingsManager
+ * @requires utils/drillGenerator - generateDrillScenario
+ * @requires globals (CONFIG, STATE)
+ * @requires helpers (recordAction, updateInspector, buildHierarchy, selectEntity, showAlert)
+ */
+
+import { generateDrillScenario } from '../utils/drillGenerator.js';
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// DRILL SETTINGS UPDATES
+// ========================================
+
+/**
+ * Updates a random drill setting
+ *
+ * @description
+ * Drill Settings:
+ * - rules: Essential item pools, each { count, filter, value } (see addDrillRule)
+ * - optionalCount: Optional items drawn from everything left over
+ * - missedWeight: Extra draw weight per time a trainee missed an item (0 = uniform)
+ * - timeLimit: Seconds allowed for a drill (0 = no limit)
+ *
+ * @param {string} prop - The setting name to update
+ * @param {*} value - The new value for the setting
+ *
+ * @example
+ * // Strongly favour items trainees keep missing
+ * updateDrillSetting('missedWeight', 5);
+ */
+export function updateDrillSetting(prop, value) {
+    if (typeof value === 'number' && isNaN(value)) return;
+
+    const settings = window.CONFIG.drillSettings;
+    const oldValue = settings[prop];
+    settings[prop] = value;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_PROJECT_SETTING', {
+        section: 'drillSettings',
+        property: prop,
+        oldValue: oldValue,
+        newValue: value
+    });
+}
+
+/**
+ * Copies the drill rules so they can be edited and saved back through
+ * updateDrillSetting (undo then restores the previous rules).
+ *
+ * @returns {Object[]} Copy of CONFIG.drillSettings.rules
+ */
+function cloneRules() {
+    return (window.CONFIG.drillSettings.rules || []).map(rule => ({ ...rule }));
+}
+
+/**
+ * Adds an item pool rule
+ *
+ * @description
+ * Each rule draws `count` essential items from one pool:
+ * - filter 'any': every item
+ * - filter 'cartType': items in carts of type `value` (e.g. 'airway')
+ * - filter 'cart': items in the cart with id `value`
+ * - filter 'drawer': items in the drawer with id `value`
+ *
+ * @example
+ * addDrillRule();
+ */
+export function addDrillRule() {
+    const rules = cloneRules();
+    rules.push({ count: 1, filter: 'any', value: '' });
+
+    updateDrillSetting('rules', rules);
+    window.updateInspector();
+}
+
+/**
+ * Removes an item pool rule
+ *
+ * @param {number} index - Position of the rule
+ *
+ * @example
+ * removeDrillRule(2);
+ */
+export function removeDrillRule(index) {
+    const rules = cloneRules();
+    if (!rules[index]) return;
+    rules.splice(index, 1);
+
+    updateDrillSetting('rules', rules);
+    window.updateInspector();
+}
+
+/**
+ * Updates one field (count, filter, value) of an item pool rule
+ *
+ * @description
+ * Changing the filter clears the value, since a cart type, cart id and drawer id
+ * are not interchangeable; the inspector is refreshed to show the new choices.
+ *
+ * @param {number} index - Position of the rule
+ * @param {string} prop - 'count', 'filter' or 'value'
+ * @param {*} value - The new value
+ *
+ * @example
+ * updateDrillRule(0, 'filter', 'cartType');
+ * updateDrillRule(0, 'value', 'airway');
+ */
+export function updateDrillRule(index, prop, value) {
+    if (typeof value === 'number' && isNaN(value)) return;
+
+    const rules = cloneRules();
+    if (!rules[index]) return;
+    rules[index][prop] = value;
+    if (prop === 'filter') rules[index].value = '';
+
+    updateDrillSetting('rules', rules);
+    if (prop === 'filter') window.updateInspector();
+}
+
+// ========================================
+// DRILL GENERATION
+// ========================================
+
+/**
+ * Reads the attempt history of every trainee profile saved in this browser.
+ *
+ * @returns {Object[]} All attempts, or an empty list when there are none
+ */
+function loadLocalHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('traumaTrainerProfiles'));
+        return (saved?.profiles || []).flatMap(profile => profile.history || []);
+    } catch (error) {
+        console.warn('Could not read trainee profiles', error);
+        return [];
+    }
+}
+
+/**
+ * Generates a random drill and saves it as a new scenario
+ *
+ * @description
+ * Items are drawn using the current drill settings, weighted toward the items
+ * trainees on this browser have missed. The scenario is added to
+ * window.CONFIG.scenarios and selected so it can be reviewed and edited.
+ *
+ * @returns {void}
+ *
+ * @example
+ * // Called from the "Generate & Save as Scenario" button
+ * generateDrillAsScenario();
+ */
+export function generateDrillAsScenario() {
+    const scenario = generateDrillScenario(window.CONFIG, window.CONFIG.drillSettings, loadLocalHistory());
+    if (!scenario) {
+        window.showAlert('No items match the drill rules', 'error');
+        return;
+    }
+
+    const drillCount = window.CONFIG.scenarios.filter(s => s.id.startsWith('drill_')).length;
+    scenario.name = `Random Drill ${drillCount + 1}`;
+
+    window.CONFIG.scenarios.push(scenario);
+    window.STATE.unsavedChanges = true;
+    window.buildHierarchy();
+    window.updateStatusBar();
+    window.selectEntity('scenario', scenario.id);
+    window.showAlert(`${scenario.name} created with ${scenario.essential.length + scenario.optional.length} items`, 'success');
+}
@@ -6,7 +6,8 @@
  * @module entities/entityDeletion
  * @requires globals (CONFIG, STATE)
  * @requires helpers (getEntity, recordAction, deselectEntity, buildHierarchy,
- *                    updateStatusBar, drawCanvas, buildAll3DCarts, showAlert)
+ *                    updateStatusBar, drawCanvas, buildAll3DCarts, buildAll3DFixtures,
+ *                    showAlert, getCartsOfType)
  */
 
 // ========================================
@@ -24,6 +25,8 @@
  * - drawers
  * - items
  * - achievements
+ * - fixtures
+ * - cart types
  *
  * Deletion Process:
  * 1. Validates that an entity is selected
@@ -33,7 +36,7 @@
  * 4. Records the action for undo/redo functionality
  * 5. Removes the entity from its collection
  * 6. Updates all affected UI elements
- * 7. Rebuilds 3D scene if necessary (for cart deletions)
+ * 7. Rebuilds 3D scene if necessary (for cart and fixture deletions)
  *
  * Special Handling by Entity Type:
  *
@@ -53,6 +56,14 @@
  * - Removes item from any scenarios that reference it
  *   (essential/optional lists are not automatically cleaned)
  *
+ * **Fixtures:**
+ * - Records fixture data for undo
+ * - Rebuilds the 3D fixtures after deletion
+ *
+ * **Cart Types:**
+ * - Refused while any cart still uses the type
+ * - Records cart type data for undo
+ *
  * **Camera Views, Scenarios, Achievements:**
  * - Simple deletion with undo support
  * - No cascade effects
@@ -83,6 +94,12 @@ export function deleteCurrentEntity() {
 
     // Get the entity to show its name in confirmation
     const entity = getEntity(window.STATE.selectedType, window.STATE.selectedId);
+
+    // Carts take their size and drawers from their type, so a type in use stays
+    if (window.STATE.selectedType === 'carttype' && getCartsOfType(window.STATE.selectedId).length > 0) {
+        showAlert('Cart type is still used by carts', 'error');
+        return;
+    }
     if (!confirm(`Are you sure you want to delete ${entity?.name || window.STATE.selectedId}?`)) {
         return;
     }
@@ -94,7 +111,9 @@ export function deleteCurrentEntity() {
         'scenario': window.CONFIG.scenarios,
         'drawer': window.CONFIG.drawers,
         'item': window.CONFIG.items,
-        'achievement': window.CONFIG.achievements
+        'achievement': window.CONFIG.achievements,
+        'fixture': window.CONFIG.fixtures,
+        'carttype': window.CONFIG.cartTypes
     };
 
     // Get the collection for this entity type
@@ -103,6 +122,7 @@ export function deleteCurrentEntity() {
 
     if (index > -1) {
         const deletedEntity = collection[index];
+        const deletedType = window.STATE.selectedType; // deselectEntity() below clears the selection
 
         // Record for undo/redo with special handling for specific entity types
         if (window.STATE.selectedType === 'cart') {
@@ -124,6 +144,16 @@ export function deleteCurrentEntity() {
                 itemId: window.STATE.selectedId,
                 item: deletedEntity
             });
+        } else if (window.STATE.selectedType === 'fixture') {
+            recordAction('DELETE_FIXTURE', {
+                fixtureId: window.STATE.selectedId,
+                fixture: deletedEntity
+            });
+        } else if (window.STATE.selectedType === 'carttype') {
+            recordAction('DELETE_CART_TYPE', {
+                cartTypeId: window.STATE.selectedId,
+                cartType: deletedEntity
+            });
         }
         // Note: Camera views, scenarios, and achievements don't have special undo logic yet
 
@@ -137,12 +167,14 @@ export function deleteCurrentEntity() {
         updateStatusBar();
         drawCanvas();
 
-        // If cart was deleted, rebuild 3D scene to remove its visualization
-        if (window.STATE.selectedType === 'cart') {
+        // If a cart or fixture was deleted, rebuild 3D scene to remove its visualization
+        if (deletedType === 'cart') {
             buildAll3DCarts();
+        } else if (deletedType === 'fixture') {
+            buildAll3DFixtures();
         }
 
         // Show success message
-        showAlert(`${window.STATE.selectedType} deleted`, 'success');
+        showAlert(`${deletedType} deleted`, 'success');
     }
 }
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Fixture Manager Module
+ * @description Manages room fixtures: the stretcher, doors, wall counters, sinks,
+ * ceiling booms and wall monitors that surround the carts. Fixtures hold no
+ * items; they are drawn in the 2D layout and both 3D views, and block the
+ * trainee's movement in the trainer.
+ *
+ * @module entities/fixtureManager
+ * @requires globals (CONFIG, STATE, FIXTURE_TYPES)
+ * @requires helpers (getEntity, recordAction, buildHierarchy, drawCanvas,
+ *                    buildAll3DFixtures, updateInspector, selectEntity, showAlert)
+ */
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// FIXTURE PROPERTY UPDATES
+// ========================================
+
+/**
+ * Updates a property on the currently selected fixture
+ *
+ * @description
+ * Fixture Properties:
+ * - id, name: Identifier and display name
+ * - type: Fixture type (see FIXTURE_TYPES); changing it applies the type's
+ *   default name, color, size and elevation
+ * - x, y: Normalized room position (0-1)
+ * - rotation: Degrees; wall fixtures face +Z at 0
+ * - width, depth, height, elevation: Size and underside height in feet
+ * - color: Body color
+ *
+ * Records the change for undo/redo, then redraws the hierarchy, the 2D
+ * layout and the 3D fixtures.
+ *
+ * @param {string} prop - The property name to update
+ * @param {*} value - The new value for the property
+ *
+ * @example
+ * updateFixtureProperty('rotation', 90);
+ *
+ * @example
+ * // Switch to a sink (resets size and color to the sink defaults)
+ * updateFixtureProperty('type', 'sink');
+ */
+export function updateFixtureProperty(prop, value) {
+    const fixture = window.getEntity('fixture', window.STATE.selectedId);
+    if (!fixture) return;
+
+    const oldValue = fixture[prop];
+    fixture[prop] = value;
+
+    // A new type brings its own defaults; the values they replace go in the same
+    // action so one undo restores the whole fixture
+    const fixtureType = prop === 'type' ? window.FIXTURE_TYPES[value] : null;
+    let oldDefaults = null;
+    let newDefaults = null;
+    if (fixtureType) {
+        oldDefaults = {
+            name: fixture.name,
+            color: fixture.color,
+            width: fixture.width,
+            depth: fixture.depth,
+            height: fixture.height,
+            elevation: fixture.elevation
+        };
+        newDefaults = {
+            name: fixtureType.name,
+            color: fixtureType.color,
+            width: fixtureType.width,
+            depth: fixtureType.depth,
+            height: fixtureType.height,
+            elevation: fixtureType.elevation
+        };
+        Object.assign(fixture, newDefaults);
+    }
+
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_FIXTURE_PROPERTY', {
+        fixtureId: fixture.id,
+        property: prop,
+        oldValue: oldValue,
+        newValue: value,
+        oldDefaults: oldDefaults,
+        newDefaults: newDefaults
+    });
+
+    window.buildHierarchy();
+    window.drawCanvas();
+    window.buildAll3DFixtures();
+
+    if (fixtureType || prop === 'rotation') {
+        window.updateInspector(); // Refresh to show the new defaults
+    }
+}
+
+/**
+ * Updates fixture position using feet-based coordinates from room center
+ *
+ * @description
+ * Same coordinate system as updateCartPositionFeet(): feet from the room
+ * center, clamped to the room.
+ *
+ * @param {string} axis - The axis to update ('x' or 'y')
+ * @param {number} valueFeet - The position in feet from room center
+ *
+ * @example
+ * // Put the fixture against the back wall
+ * updateFixturePositionFeet('y', -12);
+ */
+export function updateFixturePositionFeet(axis, valueFeet) {
+    const roomSize = axis === 'x' ? window.CONFIG.roomSettings.width : window.CONFIG.roomSettings.depth;
+    const normalizedValue = Math.max(0, Math.min(1, (valueFeet / roomSize) + 0.5));
+    updateFixtureProperty(axis, normalizedValue);
+}
+
+// ========================================
+// FIXTURE CREATION
+// ========================================
+
+/**
+ * Creates a new fixture in the middle of the room
+ *
+ * @description
+ * New fixtures are wall counters with the counter type's default size; pick
+ * another type in the inspector to switch to its defaults.
+ *
+ * @returns {void}
+ *
+ * @example
+ * createNewFixture();
+ */
+export function createNewFixture() {
+    const fixtureType = window.FIXTURE_TYPES.counter;
+    const id = `fixture_${Date.now()}`;
+    const newFixture = {
+        id: id,
+        name: fixtureType.name,
+        type: 'counter',
+        x: 0.5,
+        y: 0.5,
+        rotation: 0,
+        width: fixtureType.width,
+        depth: fixtureType.depth,
+        height: fixtureType.height,
+        elevation: fixtureType.elevation,
+        color: fixtureType.color
+    };
+
+    window.CONFIG.fixtures.push(newFixture);
+
+    // Record for undo/redo
+    window.recordAction('CREATE_FIXTURE', { fixture: newFixture });
+
+    window.STATE.unsavedChanges = true;
+    window.buildHierarchy();
+    window.updateStatusBar();
+    window.selectEntity('fixture', id);
+    window.drawCanvas();
+    window.buildAll3DFixtures();
+    window.showAlert('New fixture created', 'success');
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview General Settings Manager Module
+ * @description Manages the application-wide settings in CONFIG.generalSettings:
+ * the app title, feature toggles (tutorial, sound, haptics) and the texts of the
+ * trainer's onboarding tutorial steps.
+ *
+ * @module entities/generalSettingsManager
+ * @requires globals (CONFIG, STATE)
+ * @requires config/defaultData (DEFAULT_TUTORIAL_STEPS)
+ * @requires helpers (recordAction)
+ */
+
+import { DEFAULT_TUTORIAL_STEPS } from '../config/defaultData.js';
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// GENERAL SETTINGS UPDATES
+// ========================================
+
+/**
+ * Updates a general setting
+ *
+ * @description
+ * General Settings:
+ * - appTitle: Application title (also the default SCORM course title)
+ * - enableTutorial: Whether the trainer offers the onboarding tutorial
+ * - enableSound: Whether sound effects are enabled
+ * - enableHaptics: Whether haptic feedback is enabled (supported devices)
+ * - expiryWarningDays: Days before expiration an item is reported as expiring
+ *
+ * @param {string} prop - The setting name to update
+ * @param {*} value - The new value for the setting
+ *
+ * @example
+ * // Hide the tutorial for experienced staff
+ * updateGeneralSetting('enableTutorial', false);
+ */
+export function updateGeneralSetting(prop, value) {
+    const settings = window.CONFIG.generalSettings;
+    const oldValue = settings[prop];
+    settings[prop] = value;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_PROJECT_SETTING', {
+        section: 'generalSettings',
+        property: prop,
+        oldValue: oldValue,
+        newValue: value
+    });
+}
+
+/**
+ * Updates the text of one tutorial step
+ *
+ * @param {string} stepId - Step id (look, move, sprint, openDrawer, readContents, findItem, complete)
+ * @param {string} text - Instruction shown to the trainee
+ *
+ * @example
+ * updateTutorialStep('openDrawer', 'Aim at the top drawer of the airway cart and press E.');
+ */
+export function updateTutorialStep(stepId, text) {
+    // Configs saved before the tutorial existed have no texts yet; start from the defaults
+    const steps = { ...DEFAULT_TUTORIAL_STEPS, ...window.CONFIG.generalSettings.tutorialSteps };
+
+    // Replace the object (rather than mutating it) so undo restores the previous texts
+    updateGeneralSetting('tutorialSteps', { ...steps, [stepId]: text });
+}
@@ -5,11 +5,16 @@
  * players interact with during training scenarios.
  *
  * @module entities/itemManager
+ * @requires config/defaultData (DEFAULT_ITEM_INVENTORY)
+ * @requires config/constants (STORAGE_KINDS)
  * @requires globals (CONFIG, STATE)
  * @requires helpers (getEntity, recordAction, buildHierarchy, drawCanvas,
  *                    buildAll3DCarts, updateInspector, selectEntity, showAlert)
  */
 
+import { DEFAULT_ITEM_INVENTORY } from '../config/defaultData.js';
+import { STORAGE_KINDS } from '../config/constants.js';
+
 // Import required globals and helper functions
 // Note: These are accessed via window to avoid undefined values during module load
 // when window properties haven not been set yet
@@ -42,7 +47,11 @@
  * - name: Display name of the item
  * - cart: ID of the cart containing this item
  * - drawer: ID of the drawer containing this item
+ * - bin: Bin index in the drawer's layout (null = loose in the drawer)
  * - description: Detailed description of the item
+ * - quantity / par: Quantity on hand and par level (0 = no par level)
+ * - unit, lot: Counting unit and lot number
+ * - expiration: Expiration date (YYYY-MM-DD, '' = none)
  * - image: Base64-encoded image data (optional)
  *
  * @param {string} prop - The property name to update (e.g., 'name', 'cart', 'drawer', 'description')
@@ -103,17 +112,92 @@ export function updateItemCart(cartId) {
     if (item) {
         item.cart = cartId;
         item.drawer = ''; // Reset drawer when cart changes
+        item.bin = null;
         window.STATE.unsavedChanges = true;
 
         // Update drawer dropdown to show only drawers from the selected cart
         const drawerSelect = document.getElementById('item-drawer-select');
         const drawerOptions = window.CONFIG.drawers.filter(d => d.cart === cartId).map(d =>
-            `<option value="${d.id}">${d.name}</option>`
+            `<option value="${d.id}">${(STORAGE_KINDS[d.kind] || STORAGE_KINDS.drawer).icon} ${d.name}</option>`
         ).join('');
-        drawerSelect.innerHTML = '<option value="">Select drawer...</option>' + drawerOptions;
+        drawerSelect.innerHTML = '<option value="">Select location...</option>' + drawerOptions;
     }
 }
 
+/**
+ * Moves the currently selected item to another drawer
+ *
+ * @description
+ * Bin numbers belong to a drawer's layout, so the item starts out loose in
+ * the new drawer. The move and the bin reset are one action, so a single
+ * undo puts the item back in its old drawer and bin. The inspector is
+ * rebuilt to list the new drawer's bins.
+ *
+ * @param {string} drawerId - The ID of the drawer to move the item to
+ *
+ * @example
+ * updateItemDrawer('d2');
+ */
+export function updateItemDrawer(drawerId) {
+    const item = window.getEntity('item', window.STATE.selectedId);
+    if (!item) return;
+
+    const oldValue = item.drawer;
+    const oldBin = item.bin ?? null;
+    item.drawer = drawerId;
+    item.bin = null;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_ITEM_PROPERTY', {
+        itemId: item.id,
+        property: 'drawer',
+        oldValue: oldValue,
+        newValue: drawerId,
+        oldBin: oldBin,
+        newBin: null
+    });
+
+    window.buildHierarchy();
+    window.drawCanvas();
+    window.buildAll3DCarts();
+    window.updateInspector();
+}
+
+/**
+ * Puts an item in one of its drawer's bins
+ *
+ * @description
+ * Takes the item id rather than using the selection, so the drawer inspector
+ * can place every item in the drawer without selecting each one.
+ *
+ * @param {string} itemId - The ID of the item to place
+ * @param {number|null} bin - Bin index, or null to leave the item loose in the drawer
+ *
+ * @example
+ * // Put the item in the drawer's second bin
+ * updateItemBin('ett', 1);
+ */
+export function updateItemBin(itemId, bin) {
+    const item = window.CONFIG.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const oldValue = item.bin;
+    item.bin = bin;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_ITEM_PROPERTY', {
+        itemId: item.id,
+        property: 'bin',
+        oldValue: oldValue,
+        newValue: bin
+    });
+
+    window.buildAll3DCarts(); // Update 3D view
+    window.updateInspector(); // Refresh bin counts
+}
+
 // ========================================
 // SCENARIO ITEM MANAGEMENT
 // ========================================
@@ -222,6 +306,7 @@ export function handleItemImageUpload(event) {
  * - No cart assignment initially (empty string)
  * - No drawer assignment initially (empty string)
  * - Empty description
+ * - Default inventory (1 each on hand, no par level, lot or expiration)
  *
  * The function:
  * 1. Creates the item object
@@ -245,7 +330,8 @@ export function createNewItem() {
         name: 'New Item',
         cart: '',
         drawer: '',
-        description: ''
+        description: '',
+        ...DEFAULT_ITEM_INVENTORY
     };
 
     window.CONFIG.items.push(newItem);
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview LRS Settings Manager Module
+ * @description Manages the Learning Record Store (LRS) connection used by the trainer
+ * to emit xAPI statements. Settings are stored project-wide in CONFIG.lrsSettings and
+ * travel with the configuration to the trainer.
+ *
+ * @module entities/lrsSettingsManager
+ * @requires globals (CONFIG, STATE)
+ * @requires helpers (recordAction)
+ */
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// LRS SETTINGS UPDATES
+// ========================================
+
+/**
+ * Updates a Learning Record Store setting
+ *
+ * @description
+ * LRS Settings:
+ * - enabled: Whether the trainer sends xAPI statements
+ * - endpoint: Base URL of the LRS xAPI endpoint (e.g. https://lrs.example.org/xapi/)
+ * - username: Basic auth username (LRS key)
+ * - password: Basic auth password (LRS secret)
+ * - activityBaseId: IRI prefix used for scenario, drawer and item activity ids
+ *
+ * @param {string} prop - The setting name to update
+ * @param {*} value - The new value for the setting
+ *
+ * @example
+ * // Point the trainer at a local mock LRS
+ * updateLrsSetting('endpoint', 'http://localhost:8080/xapi/');
+ */
+export function updateLrsSetting(prop, value) {
+    const settings = window.CONFIG.lrsSettings;
+    const oldValue = settings[prop];
+    settings[prop] = value;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_PROJECT_SETTING', {
+        section: 'lrsSettings',
+        property: prop,
+        oldValue: oldValue,
+        newValue: value
+    });
+}
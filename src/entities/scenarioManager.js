@@ -38,6 +38,12 @@
  * - description: Detailed description of the medical emergency or training situation
  * - essential: Array of item IDs that are required for success
  * - optional: Array of item IDs that provide bonus points
+ * - difficulty: 'beginner', 'intermediate' or 'advanced'
+ * - timeLimit: Seconds allowed before the attempt fails (0 = no limit)
+ * - hints: Hint settings object ({ level, delay, penalty }), see updateScenarioHint
+ * - stages: Ordered stages; when present they replace essential/optional, see addScenarioStage
+ * - vitals: Vitals text shown on the trainer HUD when the scenario starts
+ * - events: Timed clinical events, see addScenarioEvent
  * - successFeedback: Message shown when player collects all essential items
  * - partialFeedback: Message shown when player collects some but not all essential items
  * - failureFeedback: Message shown when player misses critical items
@@ -76,6 +82,311 @@ export function updateScenarioProperty(prop, value) {
     }
 }
 
+/**
+ * Updates a single hint setting on the currently selected scenario
+ *
+ * @description
+ * Hint Settings:
+ * - level: Strongest cue the trainer may give - 'off', 'cart' (highlight the cart)
+ *   or 'drawer' (highlight the cart, then pulse the drawer)
+ * - delay: Seconds without progress before each cue escalates
+ * - penalty: Points deducted per hint shown
+ *
+ * @param {string} prop - The hint setting to update
+ * @param {string|number} value - The new value
+ *
+ * @example
+ * // Start hinting after 45 seconds without progress
+ * updateScenarioHint('delay', 45);
+ */
+export function updateScenarioHint(prop, value) {
+    if (typeof value === 'number' && isNaN(value)) return;
+
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario) return;
+
+    // Replace the object (rather than mutating it) so undo restores the previous settings
+    const hints = scenario.hints || { level: 'off', delay: 30, penalty: 10 };
+    updateScenarioProperty('hints', { ...hints, [prop]: value });
+}
+
+// ========================================
+// SCENARIO STAGES
+// ========================================
+
+/**
+ * Copies the selected scenario's stages so they can be edited and saved back
+ * through updateScenarioProperty (undo then restores the previous stages).
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {Object[]} Deep copy of scenario.stages
+ */
+function cloneStages(scenario) {
+    return (scenario.stages || []).map(stage => ({
+        ...stage,
+        essential: [...stage.essential],
+        optional: [...stage.optional]
+    }));
+}
+
+/**
+ * Adds a stage to the end of the selected scenario
+ *
+ * @description
+ * Stages split a scenario into ordered phases (e.g. airway, breathing, circulation).
+ * Each stage has:
+ * - id: Unique identifier
+ * - name: Short title shown when the stage starts
+ * - narrative: Text describing what is happening in this phase
+ * - timeLimit: Seconds allowed for the stage (0 = no stage limit)
+ * - essential / optional: Item IDs for this stage
+ *
+ * When the first stage is added, the scenario's existing essential and optional
+ * items are moved into it. Once a scenario has stages, the trainer uses them instead
+ * of the flat lists.
+ *
+ * @example
+ * addScenarioStage();
+ */
+export function addScenarioStage() {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario) return;
+
+    const stages = cloneStages(scenario);
+    const isFirst = stages.length === 0;
+    stages.push({
+        id: `stage_${Date.now()}`,
+        name: `Stage ${stages.length + 1}`,
+        narrative: '',
+        timeLimit: 0,
+        essential: isFirst ? [...(scenario.essential || [])] : [],
+        optional: isFirst ? [...(scenario.optional || [])] : []
+    });
+
+    updateScenarioProperty('stages', stages);
+    window.updateInspector();
+}
+
+/**
+ * Removes a stage from the selected scenario
+ *
+ * @param {number} index - Position of the stage
+ *
+ * @example
+ * removeScenarioStage(1);
+ */
+export function removeScenarioStage(index) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.stages || !scenario.stages[index]) return;
+
+    const stages = cloneStages(scenario);
+    stages.splice(index, 1);
+
+    updateScenarioProperty('stages', stages);
+    window.updateInspector();
+}
+
+/**
+ * Moves a stage earlier or later in the selected scenario
+ *
+ * @param {number} index - Position of the stage
+ * @param {number} direction - -1 to move up, 1 to move down
+ *
+ * @example
+ * // Run breathing before airway
+ * moveScenarioStage(1, -1);
+ */
+export function moveScenarioStage(index, direction) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.stages) return;
+
+    const target = index + direction;
+    if (target < 0 || target >= scenario.stages.length) return;
+
+    const stages = cloneStages(scenario);
+    [stages[index], stages[target]] = [stages[target], stages[index]];
+
+    updateScenarioProperty('stages', stages);
+    window.updateInspector();
+}
+
+/**
+ * Updates a property (name, narrative, timeLimit) of one stage
+ *
+ * @param {number} index - Position of the stage
+ * @param {string} prop - The stage property to update
+ * @param {*} value - The new value
+ *
+ * @example
+ * updateScenarioStage(0, 'narrative', 'The patient is unresponsive with noisy breathing.');
+ */
+export function updateScenarioStage(index, prop, value) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.stages || !scenario.stages[index]) return;
+
+    const stages = cloneStages(scenario);
+    stages[index][prop] = value;
+    updateScenarioProperty('stages', stages);
+}
+
+/**
+ * Adds or removes an item from one stage's essential or optional list
+ *
+ * @param {number} index - Position of the stage
+ * @param {string} type - 'essential' or 'optional'
+ * @param {string} itemId - The item to toggle
+ *
+ * @example
+ * toggleStageItem(0, 'essential', 'laryngoscope');
+ */
+export function toggleStageItem(index, type, itemId) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.stages || !scenario.stages[index]) return;
+
+    const stages = cloneStages(scenario);
+    const list = stages[index][type === 'essential' ? 'essential' : 'optional'];
+    const position = list.indexOf(itemId);
+    if (position > -1) {
+        list.splice(position, 1);
+    } else {
+        list.push(itemId);
+    }
+
+    updateScenarioProperty('stages', stages);
+    window.updateInspector();
+}
+
+// ========================================
+// SCENARIO EVENTS
+// ========================================
+
+/**
+ * Copies the selected scenario's events so they can be edited and saved back
+ * through updateScenarioProperty.
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {Object[]} Deep copy of scenario.events
+ */
+function cloneEvents(scenario) {
+    return (scenario.events || []).map(event => ({
+        ...event,
+        addItems: [...event.addItems]
+    }));
+}
+
+/**
+ * Adds a timed event to the selected scenario
+ *
+ * @description
+ * Events are scripted changes in the patient's condition, fired by the trainer's
+ * timer (e.g. "at 90s the patient desaturates: suction now required").
+ * Each event has:
+ * - id: Unique identifier
+ * - time: Seconds after the scenario starts
+ * - banner: Narrative text shown to the trainee when the event fires
+ * - vitals: New HUD vitals text (empty = unchanged)
+ * - addItems: Item IDs that become required; the trainee responded once all are picked
+ *
+ * New events are placed 30 seconds after the last one.
+ *
+ * @example
+ * addScenarioEvent();
+ */
+export function addScenarioEvent() {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario) return;
+
+    const events = cloneEvents(scenario);
+    const lastTime = events.length > 0 ? events[events.length - 1].time : 30;
+    events.push({
+        id: `event_${Date.now()}`,
+        time: lastTime + 30,
+        banner: '',
+        vitals: '',
+        addItems: []
+    });
+
+    updateScenarioProperty('events', events);
+    window.updateInspector();
+}
+
+/**
+ * Removes a timed event from the selected scenario
+ *
+ * @param {number} index - Position of the event
+ *
+ * @example
+ * removeScenarioEvent(0);
+ */
+export function removeScenarioEvent(index) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.events || !scenario.events[index]) return;
+
+    const events = cloneEvents(scenario);
+    events.splice(index, 1);
+
+    updateScenarioProperty('events', events);
+    window.updateInspector();
+}
+
+/**
+ * Updates a property (time, banner, vitals) of one event
+ *
+ * @description
+ * Events are kept in time order, so changing an event's time re-sorts the list
+ * and refreshes the inspector.
+ *
+ * @param {number} index - Position of the event
+ * @param {string} prop - The event property to update
+ * @param {*} value - The new value
+ *
+ * @example
+ * updateScenarioEvent(0, 'vitals', 'HR 128 · BP 84/50 · SpO2 86%');
+ */
+export function updateScenarioEvent(index, prop, value) {
+    if (typeof value === 'number' && isNaN(value)) return;
+
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.events || !scenario.events[index]) return;
+
+    const events = cloneEvents(scenario);
+    events[index][prop] = value;
+
+    if (prop === 'time') {
+        events.sort((a, b) => a.time - b.time);
+        updateScenarioProperty('events', events);
+        window.updateInspector();
+        return;
+    }
+    updateScenarioProperty('events', events);
+}
+
+/**
+ * Adds or removes an item from the items an event makes required
+ *
+ * @param {number} index - Position of the event
+ * @param {string} itemId - The item to toggle
+ *
+ * @example
+ * toggleEventItem(0, 'yankauer-suction');
+ */
+export function toggleEventItem(index, itemId) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.events || !scenario.events[index]) return;
+
+    const events = cloneEvents(scenario);
+    const list = events[index].addItems;
+    const position = list.indexOf(itemId);
+    if (position > -1) {
+        list.splice(position, 1);
+    } else {
+        list.push(itemId);
+    }
+
+    updateScenarioProperty('events', events);
+    window.updateInspector();
+}
+
 // ========================================
 // SCENARIO CREATION
 // ========================================
@@ -118,6 +429,12 @@ export function createNewScenario() {
         description: 'Describe the medical emergency here...',
         essential: [],
         optional: [],
+        difficulty: 'intermediate',
+        timeLimit: 300,
+        hints: { level: 'off', delay: 30, penalty: 10 },
+        stages: [],
+        vitals: '',
+        events: [],
         successFeedback: 'Perfect!',
         partialFeedback: 'Good, but incomplete.',
         failureFeedback: 'Missing critical items.'
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Scoring Rules Manager Module
+ * @description Manages the scoring rules used by the trainer to score scenario attempts.
+ * Rules exist at two levels: project-wide rules in CONFIG.scoringRules, and an optional
+ * per-scenario override stored on the scenario as `scoringRules`. The trainer merges
+ * the two, with scenario values taking precedence.
+ *
+ * @module entities/scoringRulesManager
+ * @requires globals (CONFIG, STATE)
+ * @requires helpers (getEntity, recordAction, updateScenarioProperty, updateInspector)
+ */
+
+// Import required globals and helper functions
+// Note: These are accessed via window to avoid undefined values during module load
+// when window properties haven't been set yet
+
+// ========================================
+// PROJECT SCORING RULES
+// ========================================
+
+/**
+ * Updates a project-wide scoring rule
+ *
+ * @description
+ * Scoring Rules:
+ * - essentialPoints: Points awarded per essential item found
+ * - optionalPoints: Points awarded per optional item found
+ * - penaltyPoints: Points deducted per wrong item picked
+ * - perfectBonus: Bonus for finding all essential items with no mistakes
+ * - speedThreshold: Time in seconds to qualify for the speed bonus
+ * - speedBonus: Bonus for finishing under the speed threshold
+ *
+ * @param {string} prop - The rule name to update
+ * @param {number} value - The new value for the rule
+ *
+ * @example
+ * // Make speed bonus easier to earn
+ * updateScoringRule('speedThreshold', 90);
+ */
+export function updateScoringRule(prop, value) {
+    if (isNaN(value)) return;
+
+    const rules = window.CONFIG.scoringRules;
+    const oldValue = rules[prop];
+    rules[prop] = value;
+    window.STATE.unsavedChanges = true;
+
+    // Record action for undo/redo
+    window.recordAction('UPDATE_SCORING_RULE', {
+        property: prop,
+        oldValue: oldValue,
+        newValue: value
+    });
+}
+
+// ========================================
+// SCENARIO SCORING OVERRIDES
+// ========================================
+
+/**
+ * Enables or disables the scoring rule override on the selected scenario
+ *
+ * @description
+ * When enabled, the scenario starts with a copy of the current project rules so
+ * the instructor only has to change the values that differ. When disabled, the
+ * override is removed and the scenario falls back to the project rules.
+ *
+ * @param {boolean} enabled - Whether the scenario should use its own rules
+ *
+ * @example
+ * // Give the selected scenario its own rules
+ * toggleScenarioScoringOverride(true);
+ */
+export function toggleScenarioScoringOverride(enabled) {
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario) return;
+
+    const newRules = enabled ? { ...window.CONFIG.scoringRules } : null;
+    window.updateScenarioProperty('scoringRules', newRules);
+    window.updateInspector();
+}
+
+/**
+ * Updates a single rule in the selected scenario's scoring override
+ *
+ * @param {string} prop - The rule name to update
+ * @param {number} value - The new value for the rule
+ *
+ * @example
+ * // Double the essential item value for a hard scenario
+ * updateScenarioScoringRule('essentialPoints', 120);
+ */
+export function updateScenarioScoringRule(prop, value) {
+    if (isNaN(value)) return;
+
+    const scenario = window.getEntity('scenario', window.STATE.selectedId);
+    if (!scenario || !scenario.scoringRules) return;
+
+    // Replace the object (rather than mutating it) so undo restores the previous rules
+    window.updateScenarioProperty('scoringRules', { ...scenario.scoringRules, [prop]: value });
+}
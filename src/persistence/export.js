@@ -3,10 +3,10 @@
  *
  * Provides functionality to export the application configuration to a JSON file.
  * This module allows users to download their entire configuration for backup,
- * sharing, or migration purposes.
+ * sharing, or migration purposes. It also exports the inventory report as CSV.
  *
  * @module persistence/export
- * @requires None - Uses browser Blob and URL APIs
+ * @requires utils/inventoryReport - buildInventoryReport, inventoryReportToCSV
  *
  * Dependencies:
  * - Global CONFIG object (must be in scope when imported)
@@ -16,6 +16,8 @@
  * @version 1.0.0
  */
 
+import { buildInventoryReport, inventoryReportToCSV } from '../utils/inventoryReport.js';
+
 /**
  * Exports the current configuration to a JSON file.
  *
@@ -45,6 +47,8 @@
  *   "scenarios": [...],
  *   "achievements": [...],
  *   "cameraViews": [...],
+ *   "fixtures": [...],
+ *   "cartTypes": [...],
  *   "roomSettings": {...},
  *   "scoringRules": {...},
  *   "generalSettings": {...}
@@ -84,6 +88,36 @@ export function exportConfiguration() {
     // URL.revokeObjectURL(url);
 }
 
+/**
+ * Exports the inventory report (below-par and expiring items per cart) as CSV.
+ *
+ * One row per flagged item with its cart, drawer, quantity, par level, shortfall,
+ * unit, lot, expiration date and status, for the staff who restock the carts.
+ * The file is named inventory-report-{YYYY-MM-DD}.csv.
+ *
+ * @function exportInventoryReport
+ * @returns {void}
+ *
+ * @example
+ * // Called from the "Export CSV" button of the Inventory Report panel
+ * exportInventoryReport();
+ *
+ * @requires showAlert from ui/alerts.js
+ */
+export function exportInventoryReport() {
+    const warningDays = CONFIG.generalSettings.expiryWarningDays ?? 30;
+    const report = buildInventoryReport(CONFIG, warningDays);
+    const flagged = report.reduce((sum, group) => sum + group.items.length, 0);
+
+    const dataBlob = new Blob([inventoryReportToCSV(report)], {type: 'text/csv'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `inventory-report-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+
+    showAlert(`Inventory report exported (${flagged} item${flagged === 1 ? '' : 's'})`, 'success');
+}
+
 /**
  * File Format Specification
  * -------------------------
@@ -96,6 +130,8 @@ export function exportConfiguration() {
  * @property {Array<Object>} scenarios - Training scenario definitions
  * @property {Array<Object>} achievements - Achievement unlock conditions
  * @property {Array<Object>} cameraViews - 3D camera view presets
+ * @property {Array<Object>} fixtures - Room fixtures (stretcher, doors, counters...)
+ * @property {Array<Object>} cartTypes - Cart types (dimensions, drawer heights, features)
  * @property {Object} roomSettings - Room appearance settings (colors, dimensions)
  * @property {Object} scoringRules - Point values and scoring thresholds
  * @property {Object} generalSettings - Application-wide settings (title, features)
@@ -121,7 +157,8 @@ export function exportConfiguration() {
  *       "id": "d1",
  *       "cart": "airway",
  *       "name": "Top Drawer",
- *       "number": 1
+ *       "number": 1,
+ *       "layout": { "columns": 2, "rows": 1, "labels": ["Tubes", "Blades"] }
  *     }
  *   ],
  *   "roomSettings": {
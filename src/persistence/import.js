@@ -16,6 +16,7 @@
  * - updateStatusBar() from ui/statusBar.js
  * - drawCanvas() from teacher.js (redraws 2D canvas)
  * - buildAll3DCarts() from teacher.js (rebuilds 3D scene)
+ * - buildAll3DFixtures() from 3d/fixtureModel.js (rebuilds 3D fixtures)
  * - showAlert() from ui/alerts.js
  * - closeModal() from ui/alerts.js
  *
@@ -79,6 +80,7 @@ export function importConfiguration() {
  * @requires updateStatusBar from ui/statusBar.js
  * @requires drawCanvas from teacher.js
  * @requires buildAll3DCarts from teacher.js
+ * @requires buildAll3DFixtures from 3d/fixtureModel.js
  * @requires showAlert from ui/alerts.js
  * @requires closeModal from ui/alerts.js
  */
@@ -117,6 +119,7 @@ export function processImport() {
             updateStatusBar();       // Update status bar counts
             drawCanvas();            // Redraw the 2D canvas view
             buildAll3DCarts();       // Rebuild the 3D scene
+            buildAll3DFixtures();    // Rebuild the 3D fixtures
 
             // Step 10: Close the import modal
             closeModal('import-modal');
@@ -148,6 +151,8 @@ export function processImport() {
  * @property {Array<Object>} [scenarios] - Optional. Scenario definitions
  * @property {Array<Object>} [achievements] - Optional. Achievement definitions
  * @property {Array<Object>} [cameraViews] - Optional. Camera view presets
+ * @property {Array<Object>} [fixtures] - Optional. Room fixtures
+ * @property {Array<Object>} [cartTypes] - Optional. Cart types (built-in set when missing)
  * @property {Object} [roomSettings] - Optional. Room appearance settings
  * @property {Object} [scoringRules] - Optional. Scoring configuration
  * @property {Object} [generalSettings] - Optional. General app settings
@@ -19,6 +19,7 @@
  * - updateStatusBar() from ui/statusBar.js (for reset)
  * - drawCanvas() from teacher.js (for reset)
  * - buildAll3DCarts() from teacher.js (for reset)
+ * - buildAll3DFixtures() from 3d/fixtureModel.js (for reset)
  *
  * Version History:
  * - v1.0: Initial 2D configuration format
@@ -28,7 +29,7 @@
  * @version 2.0.0
  */
 
-import { loadDefaultConfiguration } from '../config/defaultData.js';
+import { loadDefaultConfiguration, DEFAULT_CART_TYPES, DEFAULT_TUTORIAL_STEPS, DEFAULT_DRILL_SETTINGS, DEFAULT_ITEM_INVENTORY, DEFAULT_DRAWER_LAYOUT } from '../config/defaultData.js';
 
 /**
  * Validates and migrates a configuration to the current version format.
@@ -40,9 +41,14 @@ import { loadDefaultConfiguration } from '../config/defaultData.js';
  * 2. Migrates 2D configurations to 3D by adding:
  *    - rotation property (defaults to 0)
  *    - type property (inferred from cart name or defaults to 'supply')
+ *    - checkScripts array (no daily check scripts)
  * 3. Ensures all optional arrays exist with empty defaults
- * 4. Ensures all settings objects exist with sensible defaults
- * 5. Logs migration status and shows user feedback if migration occurred
+ * 4. Adds the built-in cart types to projects saved before cart types were
+ *    editable, and restores any built-in type a cart uses but the project lacks
+ * 5. Fills in scenario timing (timeLimit: 300, difficulty: 'intermediate'), hints (off), stages and events (none)
+ * 6. Fills in item inventory fields (quantity 1, no par level, unit 'each', no lot or expiration)
+ * 7. Ensures all settings objects exist with sensible defaults
+ * 8. Logs migration status and shows user feedback if migration occurred
  *
  * The function is designed to be non-destructive - it adds missing properties
  * but doesn't remove or alter existing valid properties.
@@ -55,9 +61,13 @@ import { loadDefaultConfiguration } from '../config/defaultData.js';
  * @param {Array<Object>} [config.scenarios] - Optional. Array of scenarios
  * @param {Array<Object>} [config.achievements] - Optional. Array of achievements
  * @param {Array<Object>} [config.cameraViews] - Optional. Array of camera views
+ * @param {Array<Object>} [config.fixtures] - Optional. Array of room fixtures
+ * @param {Array<Object>} [config.cartTypes] - Optional. Array of cart types
  * @param {Object} [config.roomSettings] - Optional. Room appearance settings
  * @param {Object} [config.scoringRules] - Optional. Scoring configuration
  * @param {Object} [config.generalSettings] - Optional. General settings
+ * @param {Object} [config.lrsSettings] - Optional. xAPI LRS connection
+ * @param {Object} [config.drillSettings] - Optional. Random drill item pool rules
  * @returns {Object} The validated and migrated configuration object
  * @throws {Error} If required properties are missing or invalid
  *
@@ -125,6 +135,11 @@ export function validateAndMigrateConfig(config) {
             }
             migrated = true;
         }
+
+        // Migration 3: Daily check scripts are optional; older carts have none
+        if (!cart.checkScripts) {
+            cart.checkScripts = [];
+        }
     });
 
     // ===== ENSURE OPTIONAL ARRAYS EXIST =====
@@ -134,6 +149,69 @@ export function validateAndMigrateConfig(config) {
     config.items = config.items || [];
     config.scenarios = config.scenarios || [];
     config.achievements = config.achievements || [];
+    config.fixtures = config.fixtures || []; // Rooms saved before fixtures existed are empty
+
+    // ===== MIGRATION: Cart Types =====
+    // Cart types used to be built in; older projects get the built-in set, and
+    // a cart whose built-in type is missing from the project gets it back
+    config.cartTypes = config.cartTypes || [];
+    const copyCartType = cartType => ({ ...cartType, drawerHeights: [...cartType.drawerHeights] });
+    if (config.cartTypes.length === 0) {
+        config.cartTypes = DEFAULT_CART_TYPES.map(copyCartType);
+    }
+    config.carts.forEach(cart => {
+        if (cart.type && !config.cartTypes.some(cartType => cartType.id === cart.type)) {
+            const builtInType = DEFAULT_CART_TYPES.find(cartType => cartType.id === cart.type);
+            if (builtInType) {
+                config.cartTypes.push(copyCartType(builtInType));
+            }
+        }
+    });
+
+    // ===== MIGRATION: Drawer Layouts & Storage Kinds =====
+    // Drawers saved before bins existed are a single bin; items without a bin stay loose.
+    // Every storage location saved before cabinets, shelves, rails and hooks is a drawer.
+    config.drawers.forEach(drawer => {
+        if (!drawer.layout) {
+            drawer.layout = { ...DEFAULT_DRAWER_LAYOUT, labels: [...DEFAULT_DRAWER_LAYOUT.labels] };
+        }
+        if (!drawer.kind) {
+            drawer.kind = 'drawer';
+        }
+    });
+
+    // ===== MIGRATION: Scenario Timing, Hints & Stages =====
+    // Older scenarios have no difficulty, time limit, hint settings, stages or events; give them the trainer's defaults
+    config.scenarios.forEach(scenario => {
+        if (scenario.timeLimit === undefined) {
+            scenario.timeLimit = 300; // 5 minutes
+        }
+        if (!scenario.difficulty) {
+            scenario.difficulty = 'intermediate';
+        }
+        if (!scenario.hints) {
+            scenario.hints = { level: 'off', delay: 30, penalty: 10 };
+        }
+        if (!scenario.stages) {
+            scenario.stages = [];
+        }
+        if (!scenario.events) {
+            scenario.events = [];
+        }
+        if (scenario.vitals === undefined) {
+            scenario.vitals = '';
+        }
+    });
+
+    // ===== MIGRATION: Item Inventory =====
+    // Older items have no stock fields; keep any that exist and fill in the rest
+    config.items.forEach(item => {
+        Object.entries(DEFAULT_ITEM_INVENTORY).forEach(([field, value]) => {
+            if (item[field] === undefined) {
+                item[field] = value;
+            }
+        });
+    });
 
     // ===== ENSURE SETTINGS OBJECTS EXIST =====
     // Room Settings: Visual appearance of the training room
@@ -161,6 +239,34 @@ export function validateAndMigrateConfig(config) {
         enableHaptics: true                // Enable haptic feedback (mobile)
     };
 
+    // Inventory report: days before expiration an item counts as expiring
+    if (config.generalSettings.expiryWarningDays === undefined) {
+        config.generalSettings.expiryWarningDays = 30;
+    }
+
+    // Tutorial step texts: keep the designer's edits, fill in any missing steps
+    config.generalSettings.tutorialSteps = {
+        ...DEFAULT_TUTORIAL_STEPS,
+        ...config.generalSettings.tutorialSteps
+    };
+
+    // LRS Settings: xAPI statement delivery (off until configured)
+    config.lrsSettings = config.lrsSettings || {
+        enabled: false,                                       // Send xAPI statements
+        endpoint: '',                                         // LRS xAPI base URL
+        username: '',                                         // Basic auth key
+        password: '',                                         // Basic auth secret
+        activityBaseId: 'https://example.org/trauma-room-trainer' // Activity IRI prefix
+    };
+
+    // Drill Settings: item pool rules for generated random drills
+    config.drillSettings = config.drillSettings || {
+        rules: DEFAULT_DRILL_SETTINGS.rules.map(rule => ({ ...rule })), // Essential item pools
+        optionalCount: DEFAULT_DRILL_SETTINGS.optionalCount,             // Optional items
+        missedWeight: DEFAULT_DRILL_SETTINGS.missedWeight,               // Bias toward missed items
+        timeLimit: DEFAULT_DRILL_SETTINGS.timeLimit                      // Seconds per drill
+    };
+
     // ===== MIGRATION FEEDBACK =====
     if (migrated) {
         console.log('✓ Configuration migrated from 2D to 3D format');
@@ -198,6 +304,7 @@ export function validateAndMigrateConfig(config) {
  * @requires updateStatusBar from ui/statusBar.js
  * @requires drawCanvas from teacher.js
  * @requires buildAll3DCarts from teacher.js
+ * @requires buildAll3DFixtures from 3d/fixtureModel.js
  * @requires showAlert from ui/alerts.js
  *
  * @see {@link loadDefaultConfiguration} for the default configuration structure
@@ -224,6 +331,7 @@ export function resetToDefaults() {
     updateStatusBar();       // Update status bar counts
     drawCanvas();            // Redraw 2D canvas view
     buildAll3DCarts();       // Rebuild 3D scene
+    buildAll3DFixtures();    // Rebuild 3D fixtures
 
     // Step 6: Provide user feedback
     showAlert('Reset to defaults complete', 'success');
@@ -275,4 +383,13 @@ export function resetToDefaults() {
  * @property {boolean} generalSettings.enableTutorial - true
  * @property {boolean} generalSettings.enableSound - true
  * @property {boolean} generalSettings.enableHaptics - true
+ * @property {number} generalSettings.expiryWarningDays - 30
+ * @property {Object} generalSettings.tutorialSteps - DEFAULT_TUTORIAL_STEPS (step id → text)
+ * @property {Object} lrsSettings
+ * @property {boolean} lrsSettings.enabled - false
+ * @property {string} lrsSettings.endpoint - ""
+ * @property {string} lrsSettings.activityBaseId - "https://example.org/trauma-room-trainer"
+ * @property {Object} drillSettings - DEFAULT_DRILL_SETTINGS (airway/medication/crash cart pools)
+ * @property {Object} items - DEFAULT_ITEM_INVENTORY fields on every item (quantity 1, par 0, unit "each")
+ * @property {Object} drawers - DEFAULT_DRAWER_LAYOUT on every drawer (one bin), kind "drawer"
  */
@@ -0,0 +1,237 @@
+/**
+ * SCORM Export Module
+ *
+ * Packages the trainer as a SCORM content package that can be uploaded to an
+ * LMS. The zip contains:
+ * - imsmanifest.xml (SCORM 1.2 or SCORM 2004 4th Edition)
+ * - trainer.html (with the packaged configuration script added)
+ * - trainer.js
+ * - src/utils/drillGenerator.js (random drill generator, loaded as a module)
+ * - config.js (the current CONFIG, assigned to window.TRAINER_CONFIG); the LRS
+ *   username and password are left out unless the author opts in
+ *
+ * Inside the LMS the trainer finds the SCORM API adapter and reports completion
+ * status, score and session time through the cmi data model.
+ *
+ * @module persistence/scormExport
+ * @requires utils/zip - createZip function
+ *
+ * Dependencies:
+ * - Global CONFIG object (must be in scope when imported)
+ * - showAlert() from ui/alerts.js (for user feedback)
+ * - closeModal() from ui/alerts.js
+ *
+ * @author CabinetQuest Team
+ * @version 1.0.0
+ */
+
+import { createZip } from '../utils/zip.js';
+
+/**
+ * Trainer files copied into the package, relative to index.html.
+ * trainer.html is listed first because it is the SCO launch page.
+ *
+ * @constant {string[]}
+ */
+export const TRAINER_PACKAGE_FILES = [
+    'trainer.html',
+    'trainer.js',
+    'src/utils/drillGenerator.js'
+];
+
+/**
+ * Opens the SCORM export dialog.
+ *
+ * @function openScormExport
+ * @returns {void}
+ *
+ * @example
+ * // Called from the toolbar "SCORM" button
+ * openScormExport();
+ */
+export function openScormExport() {
+    document.getElementById('scorm-title').value = window.CONFIG.generalSettings?.appTitle || 'Trauma Room Trainer';
+    document.getElementById('scorm-include-lrs-credentials').checked = false;
+    document.getElementById('scorm-modal').classList.add('active');
+}
+
+/**
+ * Escapes text for use inside XML elements and attributes.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} XML-safe text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the imsmanifest.xml for the package.
+ *
+ * @function buildManifest
+ * @param {string} version - '1.2' or '2004'
+ * @param {string} title - Course title shown in the LMS
+ * @param {string[]} files - Every file in the package
+ * @returns {string} Manifest XML
+ *
+ * @example
+ * const xml = buildManifest('2004', 'Trauma Room Trainer', ['trainer.html', 'trainer.js', 'config.js']);
+ */
+export function buildManifest(version, title, files) {
+    const identifier = `trauma_room_trainer_${Date.now()}`;
+    const safeTitle = escapeXml(title);
+    const fileEntries = files.map(file => `            <file href="${escapeXml(file)}"/>`).join('\n');
+
+    if (version === '2004') {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+    xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+    xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+    xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>2004 4th Edition</schemaversion>
+    </metadata>
+    <organizations default="org_1">
+        <organization identifier="org_1">
+            <title>${safeTitle}</title>
+            <item identifier="item_1" identifierref="res_1">
+                <title>${safeTitle}</title>
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="res_1" type="webcontent" adlcp:scormType="sco" href="trainer.html">
+${fileEntries}
+        </resource>
+    </resources>
+</manifest>
+`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.0"
+    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>1.2</schemaversion>
+    </metadata>
+    <organizations default="org_1">
+        <organization identifier="org_1">
+            <title>${safeTitle}</title>
+            <item identifier="item_1" identifierref="res_1">
+                <title>${safeTitle}</title>
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="res_1" type="webcontent" adlcp:scormtype="sco" href="trainer.html">
+${fileEntries}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+/**
+ * Copies the configuration for a package
+ *
+ * Anyone with the zip can read config.js, so the LRS username and password
+ * are blanked unless the author explicitly includes them.
+ *
+ * @function getPackagedConfig
+ * @param {Object} config - The current CONFIG
+ * @param {boolean} includeLrsCredentials - Keep the LRS username and password
+ * @returns {Object} Configuration to write into config.js
+ *
+ * @example
+ * const packaged = getPackagedConfig(window.CONFIG, false);
+ * // packaged.lrsSettings.password === ''
+ */
+export function getPackagedConfig(config, includeLrsCredentials) {
+    if (!config.lrsSettings || includeLrsCredentials) return config;
+    return {
+        ...config,
+        lrsSettings: { ...config.lrsSettings, username: '', password: '' }
+    };
+}
+
+/**
+ * Builds and downloads the SCORM zip.
+ *
+ * This function performs the following operations:
+ * 1. Reads the chosen SCORM version, course title and credential option from the dialog
+ * 2. Fetches the trainer files from the server
+ * 3. Adds a config.js script tag to trainer.html (before trainer.js)
+ * 4. Writes the manifest and zips everything
+ * 5. Triggers the download and shows feedback
+ *
+ * The editor must be served over HTTP(S); browsers block fetch() of local files
+ * when index.html is opened directly from disk.
+ *
+ * @async
+ * @function exportScormPackage
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // Called from the "Export Package" button in the SCORM dialog
+ * await exportScormPackage();
+ */
+export async function exportScormPackage() {
+    // Step 1: Read options
+    const version = document.getElementById('scorm-version').value;
+    const title = document.getElementById('scorm-title').value.trim() || 'Trauma Room Trainer';
+    const includeLrsCredentials = document.getElementById('scorm-include-lrs-credentials').checked;
+
+    try {
+        // Step 2: Fetch the trainer sources (cache-busted so the package matches what's deployed)
+        const sources = await Promise.all(TRAINER_PACKAGE_FILES.map(async file => {
+            const response = await fetch(`${file}?v=${Date.now()}`);
+            if (!response.ok) throw new Error(`Could not read ${file} (${response.status})`);
+            return { name: file, content: await response.text() };
+        }));
+
+        // Step 3: Load the packaged configuration before trainer.js
+        const html = sources.find(f => f.name === 'trainer.html');
+        html.content = html.content.replace(
+            /<script src="trainer\.js[^"]*"><\/script>/,
+            '<script src="config.js"></script>\n    <script src="trainer.js"></script>'
+        );
+        sources.push({
+            name: 'config.js',
+            content: `// Packaged configuration - exported ${new Date().toISOString()}\nwindow.TRAINER_CONFIG = ${JSON.stringify(getPackagedConfig(window.CONFIG, includeLrsCredentials), null, 2)};\n`
+        });
+
+        // Step 4: Manifest + zip
+        const files = [
+            { name: 'imsmanifest.xml', content: buildManifest(version, title, sources.map(f => f.name)) },
+            ...sources
+        ];
+        const blob = createZip(files);
+
+        // Step 5: Download
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-scorm${version.replace('.', '')}.zip`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        closeModal('scorm-modal');
+        showAlert(`SCORM ${version} package exported`, 'success');
+    } catch (error) {
+        console.error('SCORM export error:', error);
+        showAlert('SCORM export failed: ' + error.message, 'error');
+    }
+}
@@ -20,7 +20,7 @@
  * @version 1.0.0
  */
 
-import { loadDefaultConfiguration } from '../config/defaultData.js';
+import { loadDefaultConfiguration, DEFAULT_CART_TYPES } from '../config/defaultData.js';
 
 /**
  * Saves the current configuration to localStorage.
@@ -116,11 +116,15 @@ export function loadConfiguration() {
         window.CONFIG.scenarios = loadedConfig.scenarios || [];
         window.CONFIG.achievements = loadedConfig.achievements || [];
         window.CONFIG.cameraViews = loadedConfig.cameraViews || [];
+        window.CONFIG.fixtures = loadedConfig.fixtures || [];
+        window.CONFIG.cartTypes = loadedConfig.cartTypes || DEFAULT_CART_TYPES.map(cartType => ({ ...cartType, drawerHeights: [...cartType.drawerHeights] }));
 
         // Settings objects with fallbacks to current CONFIG values
         window.CONFIG.roomSettings = loadedConfig.roomSettings || window.CONFIG.roomSettings;
         window.CONFIG.scoringRules = loadedConfig.scoringRules || window.CONFIG.scoringRules;
         window.CONFIG.generalSettings = loadedConfig.generalSettings || window.CONFIG.generalSettings;
+        window.CONFIG.lrsSettings = loadedConfig.lrsSettings || window.CONFIG.lrsSettings;
+        window.CONFIG.drillSettings = loadedConfig.drillSettings || window.CONFIG.drillSettings;
     } else {
         // No saved configuration found - initialize with defaults
         loadDefaultConfiguration(window.CONFIG);
@@ -7,7 +7,7 @@
  *
  * The hierarchy tree has a special structure:
  * - Carts category contains nested drawers (parent-child relationship)
- * - Other categories (Camera Views, Scenarios, Items, Achievements) are flat lists
+ * - Other categories (Fixtures, Camera Views, Scenarios, Items, Achievements) are flat lists
  * - Each category shows a count of items
  * - Each category can be collapsed/expanded
  * - Selected items are visually highlighted
@@ -24,6 +24,12 @@
  * │   │   ├── Middle Drawer
  * │   │   └── Bottom Drawer
  * │   └── Trauma Cart 2
+ * ├── Cart Types (7)
+ * │   ├── + Create New
+ * │   └── Crash Cart (Code Cart)
+ * ├── Fixtures (6)
+ * │   ├── + Create New
+ * │   └── Stretcher
  * ├── Camera Views (3)
  * │   ├── + Create New
  * │   ├── Overview
@@ -34,15 +40,18 @@
  * ├── Items (12)
  * │   ├── + Create New
  * │   └── ...
- * └── Achievements (5)
- *     ├── + Create New
- *     └── ...
+ * ├── Achievements (5)
+ * │   ├── + Create New
+ * │   └── ...
+ * └── Settings
+ *     └── Scoring Rules
  * ```
  *
  * Functions:
  * - buildHierarchy(): Main function that rebuilds the entire tree from CONFIG data
  * - createCartsWithDrawersNode(): Creates the special Carts category with nested drawers
  * - createCategoryNode(): Creates a standard category node for other entity types
+ * - createSettingsNode(): Creates the Settings category for project-wide settings panels
  * - refreshHierarchy(): Rebuilds the tree and shows a success message
  * - filterHierarchy(): Filters tree items based on search input
  *
@@ -54,6 +63,8 @@
  * External Dependencies (still in teacher.js, to be refactored):
  * - createNewCart() - Creates a new cart entity
  * - createNewDrawer() - Creates a new drawer entity
+ * - createNewCartType() - Creates a new cart type
+ * - createNewFixture() - Creates a new room fixture
  * - createNewCameraView() - Creates a new camera view
  * - createNewScenario() - Creates a new scenario
  * - createNewItem() - Creates a new item
@@ -72,7 +83,7 @@
  * - .tree-item-container: Container for cart+drawers grouping
  * - .tree-nested-items: Container for nested drawer items
  * - .tree-nested-item: Individual nested drawer item
- * - .tree-item-icon: Icon for each item (🛒, 🗄️, 📷, 📋, 📦, 🏆)
+ * - .tree-item-icon: Icon for each item (🛒, 🗄️, 🧰, 🚪, 📷, 📋, 📦, 🏆)
  * - .tree-item-name: Text name of the item
  * - .tree-item-count: Count badge for categories or drawers
  * - .collapsed: State class to hide items when category is collapsed
@@ -85,6 +96,7 @@
 
 import { showAlert } from './alerts.js';
 import { selectEntity } from '../core/state.js';
+import { STORAGE_KINDS } from '../config/constants.js';
 
 // ===== HIERARCHY TREE BUILDING =====
 
@@ -102,10 +114,13 @@ import { selectEntity } from '../core/state.js';
  *
  * The tree is built in a specific order:
  * 1. Carts category (special handling for nested drawers)
- * 2. Camera Views category
- * 3. Scenarios category
- * 4. Items category
- * 5. Achievements category
+ * 2. Cart Types category
+ * 3. Fixtures category
+ * 4. Camera Views category
+ * 5. Scenarios category
+ * 6. Items category
+ * 7. Achievements category
+ * 8. Settings category (project-wide panels)
  *
  * Each category displays:
  * - Category icon and name
@@ -176,6 +191,20 @@ export function buildHierarchy() {
     // Step 4: Build standard categories for other entity types
     // Note: Drawers are excluded here because they're nested under Carts
     const categories = [
+        {
+            id: 'carttypes',
+            name: 'Cart Types',
+            icon: '🧰',
+            items: window.CONFIG.cartTypes,
+            createNew: typeof window.createNewCartType === 'function' ? window.createNewCartType : null
+        },
+        {
+            id: 'fixtures',
+            name: 'Fixtures',
+            icon: '🚪',
+            items: window.CONFIG.fixtures,
+            createNew: typeof window.createNewFixture === 'function' ? window.createNewFixture : null
+        },
         {
             id: 'cameraviews',        // ID used for selection type (minus the 's')
             name: 'Camera Views',      // Display name
@@ -208,6 +237,7 @@ export function buildHierarchy() {
 
     // Log function availability
     console.log('📋 [Hierarchy] Checking entity creation functions:');
+    console.log('  - createNewFixture:', typeof window.createNewFixture);
     console.log('  - createNewCameraView:', typeof window.createNewCameraView);
     console.log('  - createNewScenario:', typeof window.createNewScenario);
     console.log('  - createNewItem:', typeof window.createNewItem);
@@ -229,6 +259,14 @@ export function buildHierarchy() {
         }
     });
 
+    // Step 6: Build the Settings category (project-wide panels, always last)
+    try {
+        tree.appendChild(createSettingsNode());
+        console.log('✓ [Hierarchy] Settings category built');
+    } catch (error) {
+        console.error('❌ [Hierarchy] ERROR building settings category:', error);
+    }
+
     console.log('✅ [Hierarchy] Hierarchy tree build complete');
 }
 
@@ -429,8 +467,10 @@ export function createCartsWithDrawersNode() {
                     drawerItem.classList.add('selected');
                 }
 
+                // Icon shows the storage kind (drawer, cabinet, shelf, rail basket, IV hook)
+                const storageKind = STORAGE_KINDS[drawer.kind] || STORAGE_KINDS.drawer;
                 drawerItem.innerHTML = `
-                    <span class="tree-item-icon">🗄️</span>
+                    <span class="tree-item-icon">${storageKind.icon}</span>
                     <span class="tree-item-name">${drawer.name || drawer.id}</span>
                 `;
 
@@ -608,6 +648,76 @@ export function createCategoryNode(category) {
     return div;
 }
 
+/**
+ * Creates the Settings category node for project-wide settings panels.
+ *
+ * Unlike the other categories, settings are singletons: there is nothing to
+ * create or delete, and each entry opens a fixed inspector panel. Selection
+ * uses the panel key as the type (e.g. 'scoringrules') with id 'project'.
+ *
+ * Structure created:
+ * ```
+ * Settings                     ← Category header
+ *   ⚙️ General Settings        ← Settings panel
+ *   ⚙️ Scoring Rules           ← Settings panel
+ *   ⚙️ Learning Record Store   ← Settings panel
+ * ```
+ *
+ * @function createSettingsNode
+ * @returns {HTMLDivElement} The complete Settings category DOM node
+ *
+ * @see buildHierarchy - Main function that calls this
+ */
+export function createSettingsNode() {
+    const div = document.createElement('div');
+    div.className = 'tree-category';
+
+    const header = document.createElement('div');
+    header.className = 'tree-category-header';
+    header.innerHTML = `
+        <span class="tree-category-icon">▼</span>
+        <span class="tree-item-icon">⚙️</span>
+        <span class="tree-item-name">Settings</span>
+    `;
+    header.onclick = () => {
+        div.classList.toggle('collapsed');
+    };
+
+    const itemsDiv = document.createElement('div');
+    itemsDiv.className = 'tree-category-items';
+
+    // Each entry maps a display name to the inspector panel it opens
+    const panels = [
+        { type: 'generalsettings', name: 'General Settings' },
+        { type: 'scoringrules', name: 'Scoring Rules' },
+        { type: 'lrssettings', name: 'Learning Record Store' },
+        { type: 'drillsettings', name: 'Random Drills' },
+        { type: 'inventoryreport', name: 'Inventory Report' }
+    ];
+
+    panels.forEach(panel => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'tree-item';
+
+        if (window.STATE.selectedType === panel.type) {
+            itemDiv.classList.add('selected');
+        }
+
+        itemDiv.innerHTML = `
+            <span class="tree-item-icon">⚙️</span>
+            <span class="tree-item-name">${panel.name}</span>
+        `;
+        itemDiv.onclick = () => selectEntity(panel.type, 'project');
+
+        itemsDiv.appendChild(itemDiv);
+    });
+
+    div.appendChild(header);
+    div.appendChild(itemsDiv);
+
+    return div;
+}
+
 // ===== HIERARCHY ACTIONS =====
 
 /**
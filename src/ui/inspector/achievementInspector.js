@@ -10,7 +10,7 @@
  * - Achievement identification (ID, Title, Description)
  * - Icon customization (emoji or character)
  * - Trigger type selection (first scenario, perfect score, speed, efficient, count, all)
- * - Trigger value configuration (for count-based achievements)
+ * - Trigger value configuration (meaning depends on the trigger type)
  * - Delete action
  *
  * Achievements provide gamification and motivation for students. They unlock when
@@ -50,9 +50,12 @@
  * - all: Unlocks after completing all available scenarios
  *
  * The value field is used differently depending on trigger type:
- * - speed: Maximum time in seconds
+ * - speed: Maximum time in seconds (0 = use the scoring speed threshold)
  * - count: Number of scenarios to complete
- * - Others: Value is ignored (can be 0)
+ * - perfect-score: Minimum total score required (0 = any perfect run)
+ * - efficient: Extra (non-essential) items allowed (0 = essentials only)
+ * - all: Number of distinct scenarios to clear (0 = every scenario)
+ * - first-scenario: Value is ignored (can be 0)
  *
  * @function buildAchievementInspector
  * @param {Object} achievement - The achievement entity to display properties for
@@ -172,6 +175,9 @@ export function buildAchievementInspector(achievement, container) {
                 <label>Trigger Value</label>
                 <input type="number" min="0" value="${achievement.value || 0}" onchange="updateAchievementProperty('value', parseInt(this.value))">
             </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Speed: max seconds · Count/All: scenarios required · Perfect: min score · Efficient: extras allowed
+            </div>
         </div>
 
         <div class="inspector-section">
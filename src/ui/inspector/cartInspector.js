@@ -7,24 +7,97 @@
  *
  * Features:
  * - Cart identification (ID, Name)
- * - Cart type selection (Crash Cart, Airway Cart, Medication Cart, etc.)
+ * - Cart type selection from the project's cart types (CONFIG.cartTypes)
  * - Color picker for cart customization
  * - Position controls (X/Y coordinates in feet from room center)
  * - Rotation controls with quick-set buttons (0°, 90°, 180°, 270°)
- * - Read-only dimension display (width, depth, height based on cart type)
+ * - Read-only dimension display (width, depth, height from the cart type)
  * - Inventory cart flag
+ * - Daily check scripts (seeded discrepancies for the trainer's check-off mode)
  * - Delete action
  *
  * The panel uses feet-based measurements for user-friendly positioning relative
  * to the room center, which are converted to normalized 0-1 coordinates internally.
  *
  * @module ui/inspector/cartInspector
- * @requires globals - CONFIG, STATE, CART_TYPES
+ * @requires globals - CONFIG, STATE, getCartType
  *
  * @author CabinetQuest Teacher
  * @version 1.0.0
  */
 
+const DISCREPANCY_TYPES = [
+    { value: 'missing', label: 'Missing item' },
+    { value: 'expired', label: 'Expired item' },
+    { value: 'misplaced', label: 'Misplaced item' },
+    { value: 'seal', label: 'Broken seal' }
+];
+
+/**
+ * Builds one discrepancy row: type, item and (for misplaced items) the drawer it turns up in.
+ *
+ * @param {Object} cart - The cart the script belongs to
+ * @param {Object} discrepancy - The discrepancy ({ type, itemId, drawerId })
+ * @param {number} scriptIndex - Position of the script
+ * @param {number} index - Position of the discrepancy
+ * @returns {string} HTML string for the discrepancy row
+ */
+function buildDiscrepancyRow(cart, discrepancy, scriptIndex, index) {
+    const args = `${scriptIndex}, ${index}`;
+    const items = window.CONFIG.items.filter(item => item.cart === cart.id);
+    const item = items.find(i => i.id === discrepancy.itemId);
+    const drawers = window.CONFIG.drawers.filter(drawer => drawer.cart === cart.id && (!item || drawer.id !== item.drawer));
+
+    const itemSelect = discrepancy.type === 'seal' ? '' : `
+        <select onchange="updateCheckDiscrepancy(${args}, 'itemId', this.value)">
+            <option value="" ${item ? '' : 'selected'} disabled>Choose item...</option>
+            ${items.map(i => `<option value="${i.id}" ${i.id === discrepancy.itemId ? 'selected' : ''}>${i.name}</option>`).join('')}
+        </select>
+    `;
+    const drawerSelect = discrepancy.type !== 'misplaced' ? '' : `
+        <select style="margin-top: 4px;" onchange="updateCheckDiscrepancy(${args}, 'drawerId', this.value)">
+            <option value="" ${discrepancy.drawerId ? '' : 'selected'} disabled>Found in drawer...</option>
+            ${drawers.map(d => `<option value="${d.id}" ${d.id === discrepancy.drawerId ? 'selected' : ''}>${d.name}</option>`).join('')}
+        </select>
+    `;
+
+    return `
+        <div style="border-top: 1px solid #3e3e42; padding-top: 6px; margin-top: 6px;">
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 4px;">
+                <select style="flex: 1;" onchange="updateCheckDiscrepancy(${args}, 'type', this.value)">
+                    ${DISCREPANCY_TYPES.map(type => `<option value="${type.value}" ${type.value === discrepancy.type ? 'selected' : ''}>${type.label}</option>`).join('')}
+                </select>
+                <button class="btn btn-danger" style="padding: 2px 8px; font-size: 11px;" onclick="removeCheckDiscrepancy(${args})">✕</button>
+            </div>
+            ${itemSelect}
+            ${drawerSelect}
+        </div>
+    `;
+}
+
+/**
+ * Builds the card for one daily check script.
+ *
+ * @param {Object} cart - The cart the script belongs to
+ * @param {Object} script - The script ({ name, discrepancies })
+ * @param {number} index - Position of the script
+ * @returns {string} HTML string for the script card
+ */
+function buildCheckScriptCard(cart, script, index) {
+    const rowsHTML = script.discrepancies.map((discrepancy, i) => buildDiscrepancyRow(cart, discrepancy, index, i)).join('');
+
+    return `
+        <div style="border: 1px solid #3e3e42; border-radius: 4px; padding: 10px; margin-bottom: 10px;">
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 8px;">
+                <input type="text" style="flex: 1;" value="${script.name}" onchange="updateCheckScript(${index}, 'name', this.value)">
+                <button class="btn btn-danger" style="padding: 2px 8px; font-size: 11px;" onclick="removeCheckScript(${index})">🗑️</button>
+            </div>
+            ${rowsHTML || '<div style="font-size: 12px; color: #888;">No discrepancies - the cart is in order</div>'}
+            <button class="btn btn-secondary btn-block" style="margin-top: 8px;" onclick="addCheckDiscrepancy(${index})">➕ Add Discrepancy</button>
+        </div>
+    `;
+}
+
 /**
  * Builds and displays the cart property panel in the inspector.
  *
@@ -34,11 +107,12 @@
  * - Rotation controls with preset angle buttons
  * - Dimension display (read-only, based on cart type)
  * - Configuration options (inventory cart flag)
+ * - Daily check scripts (not shown for the inventory cart)
  * - Delete action button
  *
  * The panel displays position in feet from the room center, making it more intuitive
- * for users than normalized 0-1 coordinates. Dimensions are automatically set based
- * on the selected cart type from CART_TYPES.
+ * for users than normalized 0-1 coordinates. Dimensions come from the selected
+ * cart type in CONFIG.cartTypes and are edited on the cart type itself.
  *
  * Position Coordinate System:
  * - X axis: Negative values = left of center, Positive = right of center
@@ -49,12 +123,13 @@
  * @param {Object} cart - The cart entity to display properties for
  * @param {string} cart.id - Unique identifier for the cart
  * @param {string} cart.name - Display name of the cart
- * @param {string} [cart.type] - Cart type key from CART_TYPES (e.g., 'crash', 'airway')
+ * @param {string} [cart.type] - Cart type id from CONFIG.cartTypes (e.g., 'crash', 'airway')
  * @param {string} cart.color - Hex color code for the cart (e.g., '#FF0000')
  * @param {number} cart.x - Normalized X position (0-1, where 0.5 is center)
  * @param {number} cart.y - Normalized Y position (0-1, where 0.5 is center)
  * @param {number} [cart.rotation=0] - Rotation in degrees (0-360)
  * @param {boolean} [cart.isInventory=false] - Whether this is the inventory cart
+ * @param {Object[]} [cart.checkScripts=[]] - Daily check scripts ({ id, name, discrepancies })
  * @param {HTMLElement} container - The DOM element to render the panel into
  * @returns {void}
  *
@@ -90,12 +165,16 @@
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/input/color|HTML Color Input}
  */
 export function buildCartInspector(cart, container) {
-    // Get cart dimensions from CART_TYPES (measurements in feet)
-    // Falls back to 'crash' type if cart type is undefined or not found
-    const cartType = CART_TYPES[cart.type] || CART_TYPES.crash;
-    const widthFeet = cartType.width;
-    const depthFeet = cartType.depth;
-    const heightFeet = cartType.height;
+    // Get cart dimensions from the cart type (measurements in feet)
+    // Carts without a type use the standard 2 × 4 × 1.5 ft cart body
+    const cartType = window.getCartType(cart.type);
+    const widthFeet = cartType ? cartType.width : 2.0;
+    const depthFeet = cartType ? cartType.depth : 1.5;
+    const heightFeet = cartType ? cartType.height : 4.0;
+
+    const typeOptions = (window.CONFIG.cartTypes || [])
+        .map(type => `<option value="${type.id}" ${cart.type === type.id ? 'selected' : ''}>${type.name}</option>`)
+        .join('');
 
     // Calculate position in feet from room center
     // Room center is (0.5, 0.5) in normalized coordinates
@@ -111,6 +190,18 @@ export function buildCartInspector(cart, container) {
     const minY = (-roomDepth / 2).toFixed(2);
     const maxY = (roomDepth / 2).toFixed(2);
 
+    // Daily checks need drawers to walk, so the inventory cart doesn't get them
+    const checkScriptsHTML = cart.isInventory ? '' : `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Daily Check Scripts</div>
+            ${(cart.checkScripts || []).map((script, index) => buildCheckScriptCard(cart, script, index)).join('')}
+            <button class="btn btn-secondary btn-block" onclick="addCheckScript()">➕ Add Check Script</button>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * The trainer's daily check picks one script at random; the trainee flags each discrepancy against the par list
+            </div>
+        </div>
+    `;
+
     // Build the inspector panel HTML with inline event handlers
     // Note: Event handlers call global functions defined in teacher.js
     container.innerHTML = `
@@ -131,13 +222,7 @@ export function buildCartInspector(cart, container) {
                 <label>Cart Type</label>
                 <select onchange="updateCartProperty('type', this.value)">
                     <option value="">Default/Custom</option>
-                    <option value="crash" ${cart.type === 'crash' ? 'selected' : ''}>Crash Cart (Code Cart)</option>
-                    <option value="airway" ${cart.type === 'airway' ? 'selected' : ''}>Airway Cart</option>
-                    <option value="medication" ${cart.type === 'medication' ? 'selected' : ''}>Medication Cart</option>
-                    <option value="iv" ${cart.type === 'iv' ? 'selected' : ''}>IV Cart</option>
-                    <option value="procedure" ${cart.type === 'procedure' ? 'selected' : ''}>Procedure Table</option>
-                    <option value="trauma" ${cart.type === 'trauma' ? 'selected' : ''}>Trauma Cart</option>
-                    <option value="supply" ${cart.type === 'supply' ? 'selected' : ''}>Supply Cart</option>
+                    ${typeOptions}
                 </select>
             </div>
 
@@ -201,8 +286,9 @@ export function buildCartInspector(cart, container) {
             </div>
 
             <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
-                * Dimensions are based on cart type
+                * Dimensions are based on cart type${cartType ? ` (${cartType.drawerHeights.length} drawers)` : ''}
             </div>
+            ${cartType ? `<button class="btn btn-secondary btn-block" style="margin-top: 8px;" onclick="selectEntity('carttype', '${cartType.id}')">🧰 Edit Cart Type</button>` : ''}
         </div>
 
         <div class="inspector-section">
@@ -214,6 +300,8 @@ export function buildCartInspector(cart, container) {
             </div>
         </div>
 
+        ${checkScriptsHTML}
+
         <div class="inspector-section">
             <div class="inspector-section-title">Actions</div>
             <button class="btn btn-danger btn-block" onclick="deleteCurrentEntity()">🗑️ Delete Cart</button>
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Cart Type Inspector Panel Module
+ *
+ * This module builds the cart type property panel in the inspector. A cart
+ * type is the model shared by every cart that uses it, so changes here resize
+ * and rebuild all of those carts in the 2D layout and both 3D views.
+ *
+ * Features:
+ * - Cart type identification (ID, Name) and default color
+ * - Editable width, height and depth
+ * - Drawer count with a height for each drawer, and a check that the drawer
+ *   stack fits in the cart body
+ * - Special features (IV pole, procedure surface)
+ * - List of the carts using the type
+ * - Delete action (only for unused types)
+ *
+ * @module ui/inspector/cartTypeInspector
+ * @requires globals - CONFIG, getCartsOfType
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+// Gap between drawers in the 3D models, in feet (matches DRAWER_PROPERTIES.gap)
+const DRAWER_GAP = 0.05;
+
+/**
+ * Builds and displays the cart type property panel in the inspector.
+ *
+ * @function buildCartTypeInspector
+ * @param {Object} cartType - The cart type from CONFIG.cartTypes
+ * @param {string} cartType.id - Unique identifier, stored in cart.type
+ * @param {string} cartType.name - Display name
+ * @param {number} cartType.width - Cart width in feet
+ * @param {number} cartType.height - Cart height in feet
+ * @param {number} cartType.depth - Cart depth in feet
+ * @param {string} cartType.color - Default cart color
+ * @param {number[]} cartType.drawerHeights - Height of each drawer in feet
+ * @param {boolean} [cartType.hasIVPole] - Adds an IV pole with hooks
+ * @param {boolean} [cartType.hasTopSurface] - Adds a procedure work surface
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildCartTypeInspector(CONFIG.cartTypes[0], document.getElementById('inspector-content'));
+ */
+export function buildCartTypeInspector(cartType, container) {
+    const carts = window.getCartsOfType(cartType.id);
+    const stackHeight = cartType.drawerHeights.reduce((total, height) => total + height + DRAWER_GAP, 0);
+
+    const drawersHTML = cartType.drawerHeights.map((height, index) => `
+        <div class="form-field">
+            <label>Drawer ${index + 1} Height (ft)</label>
+            <input type="number" step="0.05" min="0.1" value="${height}" onchange="updateCartTypeDrawerHeight(${index}, Math.max(0.1, parseFloat(this.value) || 0.1))">
+        </div>
+    `).join('');
+
+    const fitHTML = stackHeight > cartType.height
+        ? `<div style="font-size: 12px; color: #f44336; margin-top: 5px;">⚠️ Drawers need ${stackHeight.toFixed(2)} ft but the cart is ${cartType.height} ft tall</div>`
+        : `<div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">* Drawers take ${stackHeight.toFixed(2)} of ${cartType.height} ft. Drawer 1 is at the top and uses the first height; extra drawers on a cart use the last one. Cabinets and shelves take drawer slots too; rail baskets and IV hooks do not.</div>`;
+
+    const cartsHTML = carts.length > 0
+        ? carts.map(cart => `
+            <div class="tree-item" onclick="selectEntity('cart', '${cart.id}')">
+                <span class="tree-item-icon">🛒</span>
+                <span class="tree-item-name">${cart.name}</span>
+            </div>
+        `).join('')
+        : '<div style="font-size: 12px; color: #888;">No carts use this type yet</div>';
+
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Cart Type Properties</div>
+
+            <div class="form-field">
+                <label>ID</label>
+                <input type="text" value="${cartType.id}" readonly style="background-color: #f5f5f5; cursor: not-allowed;">
+            </div>
+
+            <div class="form-field">
+                <label>Name</label>
+                <input type="text" value="${cartType.name}" onchange="updateCartTypeProperty('name', this.value)">
+            </div>
+
+            <div class="form-field">
+                <label>Default Color</label>
+                <div class="color-picker-field">
+                    <input type="color" value="${cartType.color}" onchange="updateCartTypeProperty('color', this.value)">
+                    <input type="text" value="${cartType.color}" readonly>
+                </div>
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Dimensions (feet)</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Width (ft)</label>
+                    <input type="number" step="0.1" min="0.5" value="${cartType.width}" onchange="updateCartTypeProperty('width', Math.max(0.5, parseFloat(this.value) || 0.5))">
+                </div>
+                <div class="form-field">
+                    <label>Depth (ft)</label>
+                    <input type="number" step="0.1" min="0.5" value="${cartType.depth}" onchange="updateCartTypeProperty('depth', Math.max(0.5, parseFloat(this.value) || 0.5))">
+                </div>
+            </div>
+
+            <div class="form-field">
+                <label>Height (ft)</label>
+                <input type="number" step="0.1" min="0.5" value="${cartType.height}" onchange="updateCartTypeProperty('height', Math.max(0.5, parseFloat(this.value) || 0.5))">
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Drawers</div>
+
+            <div class="form-field">
+                <label>Drawer Count</label>
+                <input type="number" step="1" min="0" max="20" value="${cartType.drawerHeights.length}" onchange="updateCartTypeDrawerCount(Math.min(20, Math.max(0, parseInt(this.value) || 0)))">
+            </div>
+
+            ${drawersHTML}
+            ${fitHTML}
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Features</div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="cart-type-iv-pole" ${cartType.hasIVPole ? 'checked' : ''} onchange="updateCartTypeProperty('hasIVPole', this.checked)">
+                <label for="cart-type-iv-pole">IV pole with hooks</label>
+            </div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="cart-type-top-surface" ${cartType.hasTopSurface ? 'checked' : ''} onchange="updateCartTypeProperty('hasTopSurface', this.checked)">
+                <label for="cart-type-top-surface">Procedure work surface</label>
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Carts of This Type (${carts.length})</div>
+            ${cartsHTML}
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Actions</div>
+            <button class="btn btn-danger btn-block" onclick="deleteCurrentEntity()" ${carts.length > 0 ? 'disabled' : ''}>🗑️ Delete Cart Type</button>
+            ${carts.length > 0 ? '<div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">* Move its carts to another type before deleting</div>' : ''}
+        </div>
+    `;
+}
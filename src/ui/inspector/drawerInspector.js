@@ -8,7 +8,10 @@
  * Features:
  * - Drawer identification (ID, Name)
  * - Cart assignment dropdown (excludes inventory cart)
+ * - Storage kind (drawer, swing-door cabinet, open shelf, rail basket, IV pole
+ *   hook) with the kind's own fields: hinge side, rail height or hook
  * - Drawer number (position within the cart, counting from top or left)
+ * - Compartments: bin grid size, bin labels, and which bin each item is in
  * - Delete action
  *
  * Drawers are container entities that organize items within carts. Each drawer
@@ -16,12 +19,15 @@
  * number is used for 3D rendering and interaction in the game view.
  *
  * @module ui/inspector/drawerInspector
- * @requires globals - CONFIG
+ * @requires config/constants - STORAGE_KINDS, IV_POLE_DIMENSIONS
+ * @requires globals - CONFIG, getDrawerLayout, getBinLabel, getCartType
  *
  * @author CabinetQuest Teacher
  * @version 1.0.0
  */
 
+import { STORAGE_KINDS, IV_POLE_DIMENSIONS } from '../../config/constants.js';
+
 /**
  * Builds and displays the drawer property panel in the inspector.
  *
@@ -29,6 +35,9 @@
  * - Basic properties (ID, name)
  * - Cart assignment dropdown (populated with non-inventory carts)
  * - Drawer number input (min value: 1)
+ * - Compartment editor: columns and rows, a label for each bin laid out as
+ *   seen from the front of the cart (back row on top), and a bin picker for
+ *   each item in the drawer
  * - Delete action button
  *
  * The cart dropdown is filtered to exclude the inventory cart, as inventory
@@ -46,6 +55,11 @@
  * @param {string} drawer.name - Display name of the drawer (e.g., "Top Drawer", "Airway Supplies")
  * @param {string} drawer.cart - ID of the cart this drawer belongs to
  * @param {number} [drawer.number=1] - Position number within the cart (1-based index)
+ * @param {Object} [drawer.layout] - Bin grid { columns, rows, labels }; one bin when missing
+ * @param {string} [drawer.kind='drawer'] - Storage kind from STORAGE_KINDS
+ * @param {string} [drawer.hinge='left'] - Cabinet door hinge side
+ * @param {number} [drawer.elevation] - Rail height above the floor in feet (rail baskets)
+ * @param {number} [drawer.hook=0] - IV pole hook index (IV pole hooks)
  * @param {HTMLElement} container - The DOM element to render the panel into
  * @returns {void}
  *
@@ -88,6 +102,118 @@ export function buildDrawerInspector(drawer, container) {
         `<option value="${c.id}" ${drawer.cart === c.id ? 'selected' : ''}>${c.name}</option>`
     ).join('');
 
+    // Storage kind selection and the fields that only some kinds have
+    const cart = window.CONFIG.carts.find(c => c.id === drawer.cart);
+    const cartType = cart ? window.getCartType(cart.type) : null;
+    const hasIVPole = !!(cartType && cartType.hasIVPole);
+
+    // IV hooks can only be picked on carts with an IV pole
+    const kind = STORAGE_KINDS[drawer.kind] ? drawer.kind : 'drawer';
+    const storageKind = STORAGE_KINDS[kind];
+    const kindOptions = Object.entries(STORAGE_KINDS)
+        .map(([key, type]) => `<option value="${key}" ${kind === key ? 'selected' : ''} ${key === 'hook' && !hasIVPole && kind !== 'hook' ? 'disabled' : ''}>${type.icon} ${type.name}</option>`)
+        .join('');
+
+    const hookOptions = Array.from({ length: IV_POLE_DIMENSIONS.hookCount }, (_, index) =>
+        `<option value="${index}" ${(drawer.hook || 0) === index ? 'selected' : ''}>Hook ${index + 1}</option>`
+    ).join('');
+
+    const numberLabel = storageKind.inStack ? 'Number (position in the stack)' : 'Number (order on the cart)';
+    let kindFieldsHTML = '';
+    if (kind === 'door') {
+        kindFieldsHTML = `
+            <div class="form-field">
+                <label>Hinge Side</label>
+                <select onchange="updateDrawerProperty('hinge', this.value)">
+                    <option value="left" ${drawer.hinge !== 'right' ? 'selected' : ''}>Left</option>
+                    <option value="right" ${drawer.hinge === 'right' ? 'selected' : ''}>Right</option>
+                </select>
+            </div>
+        `;
+    } else if (kind === 'rail') {
+        kindFieldsHTML = `
+            <div class="form-field">
+                <label>Rail Height (ft)</label>
+                <input type="number" step="0.1" min="0.5" value="${drawer.elevation ?? 4.5}" onchange="updateDrawerProperty('elevation', Math.max(0.5, parseFloat(this.value) || 0.5))">
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Baskets at the same height share a rail across the cart front. Give the cart a shallow cart type to mount the rail on a wall.
+            </div>
+        `;
+    } else if (kind === 'hook') {
+        kindFieldsHTML = `
+            <div class="form-field">
+                <label>IV Pole Hook</label>
+                <select onchange="updateDrawerProperty('hook', parseInt(this.value))">
+                    ${hookOptions}
+                </select>
+            </div>
+            ${hasIVPole ? '' : '<div style="font-size: 12px; color: #f44336; margin-top: 5px;">⚠️ This cart\'s type has no IV pole, so the bag is not shown and its items are left out of the trainer\'s drills and quizzes</div>'}
+        `;
+    }
+
+    // Build the compartment grid: one label input per bin, back row first
+    const layout = window.getDrawerLayout(drawer);
+    const binCount = layout.columns * layout.rows;
+    const drawerItems = window.CONFIG.items.filter(i => i.drawer === drawer.id);
+    const inBin = item => Number.isInteger(item.bin) && item.bin < binCount;
+
+    const binsHTML = Array.from({ length: binCount }, (_, index) => {
+        const count = drawerItems.filter(i => inBin(i) && i.bin === index).length;
+        return `
+            <div>
+                <input type="text" value="${layout.labels[index] || ''}" placeholder="${window.getBinLabel(drawer, index)}" onchange="updateDrawerBinLabel(${index}, this.value)" style="width: 100%;">
+                <div style="font-size: 11px; color: #888; text-align: center;">${count} item${count === 1 ? '' : 's'}</div>
+            </div>
+        `;
+    }).join('');
+
+    // Each item in the drawer gets a bin picker
+    const binOptions = item => `<option value="">Loose in drawer</option>` +
+        Array.from({ length: binCount }, (_, index) =>
+            `<option value="${index}" ${inBin(item) && item.bin === index ? 'selected' : ''}>${window.getBinLabel(drawer, index)}</option>`
+        ).join('');
+
+    const itemsHTML = drawerItems.length > 0
+        ? drawerItems.map(item => !storageKind.hasBins ? `
+            <div class="tree-item" onclick="selectEntity('item', '${item.id}')">
+                <span class="tree-item-icon">📦</span>
+                <span class="tree-item-name">${item.name}</span>
+            </div>
+        ` : `
+            <div class="form-field">
+                <label>${item.name}</label>
+                <select onchange="updateItemBin('${item.id}', this.value === '' ? null : parseInt(this.value))">
+                    ${binOptions(item)}
+                </select>
+            </div>
+        `).join('')
+        : '<div style="font-size: 12px; color: #888;">No items in this drawer yet</div>';
+
+    // IV bags hold their items as a single bag, so only the other kinds have bins
+    const compartmentsHTML = storageKind.hasBins ? `<div class="inspector-section">
+            <div class="inspector-section-title">Compartments</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Columns</label>
+                    <input type="number" step="1" min="1" max="6" value="${layout.columns}" onchange="updateDrawerLayout(Math.min(6, Math.max(1, parseInt(this.value) || 1)), ${layout.rows})">
+                </div>
+                <div class="form-field">
+                    <label>Rows</label>
+                    <input type="number" step="1" min="1" max="4" value="${layout.rows}" onchange="updateDrawerLayout(${layout.columns}, Math.min(4, Math.max(1, parseInt(this.value) || 1)))">
+                </div>
+            </div>
+
+            <div style="display: grid; grid-template-columns: repeat(${layout.columns}, 1fr); gap: 4px; margin-top: 8px;">
+                ${binsHTML}
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Back of the drawer at the top, front at the bottom. Leave a label blank to use the bin's position.
+            </div>
+        </div>
+    ` : '';
+
     // Build the inspector panel HTML with inline event handlers
     // Note: Event handlers call global functions defined in teacher.js
     container.innerHTML = `
@@ -113,9 +239,27 @@ export function buildDrawerInspector(drawer, container) {
             </div>
 
             <div class="form-field">
-                <label>Number</label>
+                <label>Storage Kind</label>
+                <select onchange="updateDrawerProperty('kind', this.value)">
+                    ${kindOptions}
+                </select>
+            </div>
+
+            ${kind === 'hook' ? '' : `
+            <div class="form-field">
+                <label>${numberLabel}</label>
                 <input type="number" min="1" value="${drawer.number || 1}" onchange="updateDrawerProperty('number', parseInt(this.value))">
             </div>
+            `}
+
+            ${kindFieldsHTML}
+        </div>
+
+        ${compartmentsHTML}
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Item Placement (${drawerItems.length})</div>
+            ${itemsHTML}
         </div>
 
         <div class="inspector-section">
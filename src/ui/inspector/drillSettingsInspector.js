@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Drill Settings Inspector Panel Module
+ *
+ * This module builds the random drill property panel in the inspector.
+ * It is selected from the Settings category of the hierarchy.
+ *
+ * Each rule draws a number of essential items from one pool (any cart, a cart
+ * type, one cart or one drawer). The trainer's "Random Drill" menu entry uses
+ * these rules, weighted toward the items the active trainee has missed; the
+ * "Generate & Save as Scenario" button turns one drill into a regular scenario.
+ *
+ * @module ui/inspector/drillSettingsInspector
+ * @requires utils/drillGenerator - matchesDrillRule, isDrillItemReachable (pool sizes)
+ * @requires globals - CONFIG
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+import { matchesDrillRule, isDrillItemReachable } from '../../utils/drillGenerator.js';
+
+/**
+ * Builds the value dropdown for a rule's filter.
+ *
+ * @param {Object} rule - The rule ({ count, filter, value })
+ * @param {number} index - Position of the rule
+ * @returns {string} HTML string for the select, or '' for the 'any' filter
+ */
+function buildRuleValueSelect(rule, index) {
+    let options = [];
+    if (rule.filter === 'cartType') {
+        options = window.CONFIG.cartTypes.map(type => ({ value: type.id, label: type.name }));
+    } else if (rule.filter === 'cart') {
+        options = window.CONFIG.carts.map(cart => ({ value: cart.id, label: cart.name }));
+    } else if (rule.filter === 'drawer') {
+        options = window.CONFIG.drawers.map(drawer => {
+            const cart = window.CONFIG.carts.find(c => c.id === drawer.cart);
+            return { value: drawer.id, label: `${cart ? cart.name : '?'} · ${drawer.name}` };
+        });
+    } else {
+        return '';
+    }
+
+    return `
+        <select onchange="updateDrillRule(${index}, 'value', this.value)">
+            <option value="" ${rule.value ? '' : 'selected'} disabled>Choose...</option>
+            ${options.map(option => `<option value="${option.value}" ${option.value === rule.value ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>
+    `;
+}
+
+/**
+ * Builds one rule row: count, filter, value and pool size.
+ *
+ * @param {Object} rule - The rule ({ count, filter, value })
+ * @param {number} index - Position of the rule
+ * @returns {string} HTML string for the rule row
+ */
+function buildRuleRow(rule, index) {
+    const poolSize = window.CONFIG.items.filter(item =>
+        isDrillItemReachable(item, window.CONFIG) && matchesDrillRule(item, rule, window.CONFIG)).length;
+    const short = poolSize < rule.count;
+
+    return `
+        <div style="border: 1px solid #3e3e42; border-radius: 4px; padding: 8px; margin-bottom: 8px;">
+            <div class="form-field-row">
+                <div class="form-field" style="max-width: 70px;">
+                    <label>Items</label>
+                    <input type="number" min="1" value="${rule.count}" onchange="updateDrillRule(${index}, 'count', Math.max(1, parseInt(this.value)))">
+                </div>
+                <div class="form-field">
+                    <label>From</label>
+                    <select onchange="updateDrillRule(${index}, 'filter', this.value)">
+                        <option value="any" ${rule.filter === 'any' ? 'selected' : ''}>Any cart</option>
+                        <option value="cartType" ${rule.filter === 'cartType' ? 'selected' : ''}>Cart type</option>
+                        <option value="cart" ${rule.filter === 'cart' ? 'selected' : ''}>Cart</option>
+                        <option value="drawer" ${rule.filter === 'drawer' ? 'selected' : ''}>Drawer</option>
+                    </select>
+                </div>
+            </div>
+            ${buildRuleValueSelect(rule, index)}
+            <div style="display: flex; align-items: center; margin-top: 6px;">
+                <span style="flex: 1; font-size: 11px; color: ${short ? '#ffc107' : '#666'};">
+                    ${poolSize} matching item${poolSize === 1 ? '' : 's'}${short ? ' - fewer than requested' : ''}
+                </span>
+                <button class="btn btn-danger" style="padding: 2px 8px; font-size: 11px;" onclick="removeDrillRule(${index})">🗑️</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Builds and displays the random drill settings panel in the inspector.
+ *
+ * @function buildDrillSettingsInspector
+ * @param {Object} settings - The drill settings (CONFIG.drillSettings)
+ * @param {Object[]} settings.rules - Essential item pools ({ count, filter, value })
+ * @param {number} settings.optionalCount - Optional items drawn from the remaining items
+ * @param {number} settings.missedWeight - Extra draw weight per previous miss
+ * @param {number} settings.timeLimit - Seconds per drill (0 = no limit)
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildDrillSettingsInspector(window.CONFIG.drillSettings, document.getElementById('inspector-content'));
+ */
+export function buildDrillSettingsInspector(settings, container) {
+    const rulesHTML = (settings.rules || []).map((rule, index) => buildRuleRow(rule, index)).join('');
+
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Essential Item Pools</div>
+            ${rulesHTML || '<div style="font-size: 12px; color: #888; margin-bottom: 8px;">No rules - drills only contain optional items</div>'}
+            <button class="btn btn-secondary btn-block" onclick="addDrillRule()">➕ Add Rule</button>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Drill Options</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Optional Items</label>
+                    <input type="number" min="0" value="${settings.optionalCount}" onchange="updateDrillSetting('optionalCount', Math.max(0, parseInt(this.value)))">
+                </div>
+                <div class="form-field">
+                    <label>Time Limit (sec)</label>
+                    <input type="number" min="0" step="30" value="${settings.timeLimit}" onchange="updateDrillSetting('timeLimit', Math.max(0, parseInt(this.value)))">
+                </div>
+            </div>
+
+            <div class="form-field">
+                <label>Missed Item Weight</label>
+                <input type="number" min="0" step="1" value="${settings.missedWeight}" onchange="updateDrillSetting('missedWeight', Math.max(0, parseFloat(this.value)))">
+            </div>
+
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Each previous miss adds this much to an item's chance of being drawn (0 = every item equally likely).
+                Trainees get a fresh drill from the trainer's "Random Drill" menu entry.
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Actions</div>
+            <button class="btn btn-primary btn-block" onclick="generateDrillAsScenario()">🎲 Generate & Save as Scenario</button>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Weighted by the histories of the trainees saved in this browser
+            </div>
+        </div>
+    `;
+}
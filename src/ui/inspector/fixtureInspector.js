@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Fixture Inspector Panel Module
+ *
+ * This module builds the fixture property panel in the inspector. Fixtures are
+ * the fixed furniture of the room (stretcher, doors, wall counters, sinks,
+ * ceiling booms, wall monitors); unlike carts they can be resized, so every
+ * dimension is editable.
+ *
+ * Features:
+ * - Fixture identification (ID, Name)
+ * - Fixture type selection (applies the type's default size and color)
+ * - Color picker
+ * - Position controls (X/Y coordinates in feet from room center)
+ * - Rotation controls with quick-set buttons (0°, 90°, 180°, 270°)
+ * - Editable width, depth, height and elevation
+ * - Delete action
+ *
+ * @module ui/inspector/fixtureInspector
+ * @requires globals - CONFIG, FIXTURE_TYPES
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+/**
+ * Builds and displays the fixture property panel in the inspector.
+ *
+ * @function buildFixtureInspector
+ * @param {Object} fixture - The fixture entity to display properties for
+ * @param {string} fixture.id - Unique identifier for the fixture
+ * @param {string} fixture.name - Display name of the fixture
+ * @param {string} fixture.type - Fixture type key from FIXTURE_TYPES
+ * @param {string} fixture.color - Hex color code for the fixture
+ * @param {number} fixture.x - Normalized X position (0-1, where 0.5 is center)
+ * @param {number} fixture.y - Normalized Y position (0-1, where 0.5 is center)
+ * @param {number} [fixture.rotation=0] - Rotation in degrees (wall fixtures face +Z at 0)
+ * @param {number} fixture.width - Width in feet
+ * @param {number} fixture.depth - Depth in feet
+ * @param {number} fixture.height - Height in feet
+ * @param {number} fixture.elevation - Height of the underside above the floor in feet
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildFixtureInspector(CONFIG.fixtures[0], document.getElementById('inspector-content'));
+ */
+export function buildFixtureInspector(fixture, container) {
+    const roomWidth = window.CONFIG.roomSettings.width;
+    const roomDepth = window.CONFIG.roomSettings.depth;
+    const posXFeet = ((fixture.x - 0.5) * roomWidth).toFixed(2);
+    const posYFeet = ((fixture.y - 0.5) * roomDepth).toFixed(2);
+
+    const typeOptions = Object.entries(window.FIXTURE_TYPES)
+        .map(([key, type]) => `<option value="${key}" ${fixture.type === key ? 'selected' : ''}>${type.name}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Fixture Properties</div>
+
+            <div class="form-field">
+                <label>ID</label>
+                <input type="text" value="${fixture.id}" onchange="updateFixtureProperty('id', this.value)">
+            </div>
+
+            <div class="form-field">
+                <label>Name</label>
+                <input type="text" value="${fixture.name}" onchange="updateFixtureProperty('name', this.value)">
+            </div>
+
+            <div class="form-field">
+                <label>Fixture Type</label>
+                <select onchange="updateFixtureProperty('type', this.value)">
+                    ${typeOptions}
+                </select>
+            </div>
+
+            <div class="form-field">
+                <label>Color</label>
+                <div class="color-picker-field">
+                    <input type="color" value="${fixture.color}" onchange="updateFixtureProperty('color', this.value)">
+                    <input type="text" value="${fixture.color}" readonly>
+                </div>
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Position (feet from center)</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>X Position (ft)</label>
+                    <input type="number" step="0.1" min="${(-roomWidth / 2).toFixed(2)}" max="${(roomWidth / 2).toFixed(2)}" value="${posXFeet}" onchange="updateFixturePositionFeet('x', parseFloat(this.value))">
+                </div>
+                <div class="form-field">
+                    <label>Y Position (ft)</label>
+                    <input type="number" step="0.1" min="${(-roomDepth / 2).toFixed(2)}" max="${(roomDepth / 2).toFixed(2)}" value="${posYFeet}" onchange="updateFixturePositionFeet('y', parseFloat(this.value))">
+                </div>
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Rotation</div>
+
+            <div class="form-field">
+                <label>Rotation (degrees)</label>
+                <input type="number" step="1" min="0" max="360" value="${fixture.rotation || 0}" onchange="updateFixtureProperty('rotation', parseFloat(this.value))">
+            </div>
+
+            <div class="form-field" style="display: flex; gap: 5px; margin-top: 8px;">
+                <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="updateFixtureProperty('rotation', 0)">0°</button>
+                <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="updateFixtureProperty('rotation', 90)">90°</button>
+                <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="updateFixtureProperty('rotation', 180)">180°</button>
+                <button class="btn btn-secondary" style="flex: 1; padding: 4px 8px; font-size: 11px;" onclick="updateFixtureProperty('rotation', 270)">270°</button>
+            </div>
+
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Wall fixtures face into the room from the back wall at 0°, the left wall at 90° and the right wall at 270°
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Dimensions (feet)</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Width (ft)</label>
+                    <input type="number" step="0.1" min="0.1" value="${fixture.width}" onchange="updateFixtureProperty('width', Math.max(0.1, parseFloat(this.value) || 0.1))">
+                </div>
+                <div class="form-field">
+                    <label>Depth (ft)</label>
+                    <input type="number" step="0.1" min="0.1" value="${fixture.depth}" onchange="updateFixtureProperty('depth', Math.max(0.1, parseFloat(this.value) || 0.1))">
+                </div>
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Height (ft)</label>
+                    <input type="number" step="0.1" min="0.1" value="${fixture.height}" onchange="updateFixtureProperty('height', Math.max(0.1, parseFloat(this.value) || 0.1))">
+                </div>
+                <div class="form-field">
+                    <label>Elevation (ft)</label>
+                    <input type="number" step="0.1" min="0" value="${fixture.elevation}" onchange="updateFixtureProperty('elevation', Math.max(0, parseFloat(this.value) || 0))">
+                </div>
+            </div>
+
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Elevation lifts wall monitors and ceiling booms off the floor. Fixtures that start below head height block the trainee.
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Actions</div>
+            <button class="btn btn-danger btn-block" onclick="deleteCurrentEntity()">🗑️ Delete Fixture</button>
+        </div>
+    `;
+}
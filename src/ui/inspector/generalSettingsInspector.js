@@ -0,0 +1,107 @@
+/**
+ * @fileoverview General Settings Inspector Panel Module
+ *
+ * This module builds the general settings property panel in the inspector.
+ * It is selected from the Settings category of the hierarchy and covers the
+ * app title, feature toggles and the trainer's onboarding tutorial texts.
+ *
+ * @module ui/inspector/generalSettingsInspector
+ * @requires config/defaultData - DEFAULT_TUTORIAL_STEPS (texts for steps not yet edited)
+ * @requires globals - CONFIG
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+import { DEFAULT_TUTORIAL_STEPS } from '../../config/defaultData.js';
+
+/**
+ * Tutorial steps in the order the trainer runs them, with the action that
+ * advances each one.
+ *
+ * @constant {Array<{id: string, label: string}>}
+ */
+const TUTORIAL_STEP_FIELDS = [
+    { id: 'look', label: '1. Look around (mouse / touch look)' },
+    { id: 'move', label: '2. Move (WASD / joystick)' },
+    { id: 'sprint', label: '3. Sprint (Shift)' },
+    { id: 'openDrawer', label: '4. Open a drawer' },
+    { id: 'readContents', label: '5. Read and close the contents list' },
+    { id: 'findItem', label: '6. Pick the practice item' },
+    { id: 'complete', label: '7. Finish the scenario' }
+];
+
+/**
+ * Escapes text for use inside a textarea or attribute value.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds and displays the general settings panel in the inspector.
+ *
+ * @function buildGeneralSettingsInspector
+ * @param {Object} settings - The general settings (CONFIG.generalSettings)
+ * @param {string} settings.appTitle - Application title
+ * @param {boolean} settings.enableTutorial - Whether the trainer offers the tutorial
+ * @param {boolean} settings.enableSound - Whether sound effects play
+ * @param {boolean} settings.enableHaptics - Whether haptic feedback is used
+ * @param {Object} settings.tutorialSteps - Tutorial text per step id
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildGeneralSettingsInspector(window.CONFIG.generalSettings, document.getElementById('inspector-content'));
+ */
+export function buildGeneralSettingsInspector(settings, container) {
+    const steps = { ...DEFAULT_TUTORIAL_STEPS, ...settings.tutorialSteps };
+    const stepsHTML = TUTORIAL_STEP_FIELDS.map(step => `
+        <div class="form-field">
+            <label>${step.label}</label>
+            <textarea onchange="updateTutorialStep('${step.id}', this.value)">${escapeHtml(steps[step.id])}</textarea>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">General Settings</div>
+
+            <div class="form-field">
+                <label>App Title</label>
+                <input type="text" value="${escapeHtml(settings.appTitle || '')}" onchange="updateGeneralSetting('appTitle', this.value)">
+            </div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="general-enable-sound" ${settings.enableSound ? 'checked' : ''} onchange="updateGeneralSetting('enableSound', this.checked)">
+                <label for="general-enable-sound">Enable sound effects</label>
+            </div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="general-enable-haptics" ${settings.enableHaptics ? 'checked' : ''} onchange="updateGeneralSetting('enableHaptics', this.checked)">
+                <label for="general-enable-haptics">Enable haptic feedback</label>
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Tutorial</div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="general-enable-tutorial" ${settings.enableTutorial ? 'checked' : ''} onchange="updateGeneralSetting('enableTutorial', this.checked)">
+                <label for="general-enable-tutorial">Offer the tutorial in the trainer</label>
+            </div>
+
+            ${stepsHTML}
+
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Each step advances when the trainee performs the action. {item} is replaced with the practice item and where it is kept
+            </div>
+        </div>
+    `;
+}
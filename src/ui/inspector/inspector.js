@@ -11,7 +11,12 @@
  * - Items (name, cart/drawer assignment, image)
  * - Scenarios (essential/optional items, feedback messages)
  * - Camera Views (position, look-at target, FOV)
+ * - Fixtures (type, position, rotation, size)
+ * - Cart Types (dimensions, drawer heights, features)
  * - Achievements (title, description, trigger conditions)
+ * - Scoring Rules (project-wide point values and bonuses)
+ * - Learning Record Store (xAPI endpoint and credentials)
+ * - Inventory Report (below-par and expiring items per cart)
  *
  * @module ui/inspector/inspector
  * @requires ui/inspector/cartInspector
@@ -19,7 +24,13 @@
  * @requires ui/inspector/itemInspector
  * @requires ui/inspector/scenarioInspector
  * @requires ui/inspector/cameraViewInspector
+ * @requires ui/inspector/fixtureInspector
+ * @requires ui/inspector/cartTypeInspector
  * @requires ui/inspector/achievementInspector
+ * @requires ui/inspector/scoringRulesInspector
+ * @requires ui/inspector/lrsSettingsInspector
+ * @requires ui/inspector/drillSettingsInspector
+ * @requires ui/inspector/inventoryReportInspector
  *
  * @author CabinetQuest Teacher
  * @version 1.0.0
@@ -30,7 +41,14 @@ import { buildDrawerInspector } from './drawerInspector.js';
 import { buildItemInspector } from './itemInspector.js';
 import { buildScenarioInspector } from './scenarioInspector.js';
 import { buildCameraViewInspector } from './cameraViewInspector.js';
+import { buildFixtureInspector } from './fixtureInspector.js';
+import { buildCartTypeInspector } from './cartTypeInspector.js';
 import { buildAchievementInspector } from './achievementInspector.js';
+import { buildScoringRulesInspector } from './scoringRulesInspector.js';
+import { buildLrsSettingsInspector } from './lrsSettingsInspector.js';
+import { buildDrillSettingsInspector } from './drillSettingsInspector.js';
+import { buildGeneralSettingsInspector } from './generalSettingsInspector.js';
+import { buildInventoryReportInspector } from './inventoryReportInspector.js';
 
 /**
  * Retrieves an entity from the appropriate collection based on type and ID.
@@ -40,7 +58,7 @@ import { buildAchievementInspector } from './achievementInspector.js';
  * entity data before displaying it.
  *
  * @function getEntity
- * @param {string} type - The entity type ('cart', 'cameraview', 'scenario', 'drawer', 'item', 'achievement')
+ * @param {string} type - The entity type ('cart', 'cameraview', 'scenario', 'drawer', 'item', 'achievement', 'fixture', 'carttype')
  * @param {string} id - The unique identifier of the entity to retrieve
  * @returns {Object|undefined} The entity object if found, undefined otherwise
  *
@@ -69,7 +87,9 @@ export function getEntity(type, id) {
         'scenario': window.CONFIG.scenarios,
         'drawer': window.CONFIG.drawers,
         'item': window.CONFIG.items,
-        'achievement': window.CONFIG.achievements
+        'achievement': window.CONFIG.achievements,
+        'fixture': window.CONFIG.fixtures,
+        'carttype': window.CONFIG.cartTypes
     };
 
     // Find and return the entity from the appropriate collection
@@ -124,6 +144,28 @@ export function updateInspector() {
         return;
     }
 
+    // Project settings panels are singletons rather than entities in a collection
+    if (window.STATE.selectedType === 'scoringrules') {
+        buildScoringRulesInspector(window.CONFIG.scoringRules, container);
+        return;
+    }
+    if (window.STATE.selectedType === 'generalsettings') {
+        buildGeneralSettingsInspector(window.CONFIG.generalSettings, container);
+        return;
+    }
+    if (window.STATE.selectedType === 'lrssettings') {
+        buildLrsSettingsInspector(window.CONFIG.lrsSettings, container);
+        return;
+    }
+    if (window.STATE.selectedType === 'drillsettings') {
+        buildDrillSettingsInspector(window.CONFIG.drillSettings, container);
+        return;
+    }
+    if (window.STATE.selectedType === 'inventoryreport') {
+        buildInventoryReportInspector(window.CONFIG, container);
+        return;
+    }
+
     // Retrieve the selected entity from the appropriate collection
     const entity = getEntity(window.STATE.selectedType, window.STATE.selectedId);
 
@@ -153,6 +195,12 @@ export function updateInspector() {
         case 'achievement':
             buildAchievementInspector(entity, container);
             break;
+        case 'fixture':
+            buildFixtureInspector(entity, container);
+            break;
+        case 'carttype':
+            buildCartTypeInspector(entity, container);
+            break;
         default:
             // Handle unknown entity type
             container.innerHTML = '<div class="inspector-empty">Unknown entity type</div>';
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Inventory Report Inspector Panel Module
+ *
+ * This module builds the inventory report panel in the inspector. It is
+ * selected from the Settings category of the hierarchy and lists, per cart,
+ * the items that are below their par level, expired or expiring soon. The
+ * report can be exported as CSV for restocking the real carts.
+ *
+ * @module ui/inspector/inventoryReportInspector
+ * @requires utils/inventoryReport - buildInventoryReport, describeStockStatus
+ * @requires globals - CONFIG
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+import { buildInventoryReport, describeStockStatus } from '../../utils/inventoryReport.js';
+
+/**
+ * Builds one flagged item row; clicking it selects the item.
+ *
+ * @param {Object} item - Report row ({ id, name, drawerName, quantity, par, unit, lot, expiration, status })
+ * @returns {string} HTML string for the row
+ */
+function buildReportRow(item) {
+    const color = item.status.expired ? '#f44336' : '#ffc107';
+    const stock = item.par > 0 ? `${item.quantity}/${item.par} ${item.unit}` : `${item.quantity} ${item.unit}`;
+    const lot = item.lot ? ` · Lot ${item.lot}` : '';
+
+    return `
+        <div class="tree-item" style="display: block; padding: 6px 8px; border-left: 3px solid ${color};" onclick="selectEntity('item', '${item.id}')">
+            <div style="font-size: 12px;">${item.name}</div>
+            <div style="font-size: 11px; color: #888;">${item.drawerName || 'No drawer'} · ${stock}${lot}</div>
+            <div style="font-size: 11px; color: ${color};">${describeStockStatus(item.status, item.unit)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Builds and displays the inventory report panel in the inspector.
+ *
+ * @function buildInventoryReportInspector
+ * @param {Object} config - The configuration (carts, drawers, items, generalSettings)
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildInventoryReportInspector(window.CONFIG, document.getElementById('inspector-content'));
+ */
+export function buildInventoryReportInspector(config, container) {
+    const warningDays = config.generalSettings.expiryWarningDays ?? 30;
+    const report = buildInventoryReport(config, warningDays);
+    const flaggedItems = report.flatMap(group => group.items);
+    const belowPar = flaggedItems.filter(item => item.status.belowPar).length;
+    const expired = flaggedItems.filter(item => item.status.expired).length;
+    const expiring = flaggedItems.filter(item => item.status.expiringSoon).length;
+
+    const cartsHTML = report.map(group => `
+        <div class="inspector-section">
+            <div class="inspector-section-title">${group.cartName} (${group.items.length})</div>
+            ${group.items.length > 0
+                ? group.items.map(item => buildReportRow(item)).join('')
+                : '<div style="font-size: 12px; color: #4ec9b0;">✓ Nothing to report</div>'}
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Summary</div>
+            <div style="font-size: 12px; line-height: 1.6;">
+                ${belowPar} below par · ${expired} expired · ${expiring} expiring within ${warningDays} days
+            </div>
+
+            <div class="form-field">
+                <label>Expiring Window (days)</label>
+                <input type="number" min="0" value="${warningDays}" onchange="updateGeneralSetting('expiryWarningDays', Math.max(0, parseInt(this.value) || 0)); updateInspector()">
+            </div>
+        </div>
+
+        ${cartsHTML}
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Actions</div>
+            <button class="btn btn-primary btn-block" onclick="exportInventoryReport()">📄 Export CSV</button>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * One row per below-par, expired or expiring item. Edit quantities, par levels and dates on each item.
+            </div>
+        </div>
+    `;
+}
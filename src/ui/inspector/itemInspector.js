@@ -7,8 +7,11 @@
  *
  * Features:
  * - Item identification (ID, Name)
- * - Cart and drawer assignment with cascading dropdowns
+ * - Cart and storage location (drawer, cabinet, shelf, rail basket, IV hook)
+ *   assignment with cascading dropdowns
+ * - Bin within the drawer (from the drawer's compartment layout)
  * - Item description text area
+ * - Inventory: quantity on hand, par level, unit, lot number and expiration date
  * - Image upload with drag-and-drop support
  * - Image preview display
  * - Delete action
@@ -17,18 +20,25 @@
  * to select essential and optional items for scenarios.
  *
  * @module ui/inspector/itemInspector
- * @requires globals - CONFIG
+ * @requires utils/inventoryReport - getItemStockStatus, describeStockStatus
+ * @requires config/constants - STORAGE_KINDS
+ * @requires globals - CONFIG, getDrawerLayout, getBinLabel
  *
  * @author CabinetQuest Teacher
  * @version 1.0.0
  */
 
+import { getItemStockStatus, describeStockStatus } from '../../utils/inventoryReport.js';
+import { STORAGE_KINDS } from '../../config/constants.js';
+
 /**
  * Builds and displays the item property panel in the inspector.
  *
  * This function generates a comprehensive property panel for item entities with:
  * - Basic properties (ID, name, description)
  * - Cascading cart/drawer selection (drawer options update based on cart)
+ * - Bin selection listing the drawer's bins, or loose in the drawer
+ * - Inventory fields with the item's below-par / expiry status
  * - Image upload interface with preview
  * - Delete action button
  *
@@ -48,7 +58,13 @@
  * @param {string} item.name - Display name of the item (e.g., "Epinephrine 1mg/mL")
  * @param {string} item.cart - ID of the cart this item belongs to
  * @param {string} item.drawer - ID of the drawer this item is stored in
+ * @param {number|null} [item.bin] - Bin index in the drawer (missing = loose in the drawer)
  * @param {string} [item.description=''] - Optional description of the item
+ * @param {number} [item.quantity=1] - Quantity on hand
+ * @param {number} [item.par=0] - Par level (0 = no par level)
+ * @param {string} [item.unit='each'] - Unit the quantity is counted in
+ * @param {string} [item.lot=''] - Lot number
+ * @param {string} [item.expiration=''] - Expiration date (YYYY-MM-DD)
  * @param {string} [item.image] - Optional data URL or path to item image
  * @param {HTMLElement} container - The DOM element to render the panel into
  * @returns {void}
@@ -101,9 +117,23 @@ export function buildItemInspector(item, container) {
     // Only show drawers that belong to the currently selected cart
     // This creates a cascading selection: pick cart first, then drawer
     const drawerOptions = window.CONFIG.drawers.filter(d => d.cart === item.cart).map(d =>
-        `<option value="${d.id}" ${item.drawer === d.id ? 'selected' : ''}>${d.name}</option>`
+        `<option value="${d.id}" ${item.drawer === d.id ? 'selected' : ''}>${(STORAGE_KINDS[d.kind] || STORAGE_KINDS.drawer).icon} ${d.name}</option>`
+    ).join('');
+
+    // Build bin selection dropdown from the item's drawer layout
+    // Items without a bin (or with a bin the layout no longer has) are loose
+    const drawer = window.CONFIG.drawers.find(d => d.id === item.drawer);
+    const hasBins = !!drawer && (STORAGE_KINDS[drawer.kind] || STORAGE_KINDS.drawer).hasBins;
+    const layout = window.getDrawerLayout(drawer);
+    const binOptions = Array.from({ length: layout.columns * layout.rows }, (_, index) =>
+        `<option value="${index}" ${item.bin === index ? 'selected' : ''}>${window.getBinLabel(drawer, index)}</option>`
     ).join('');
 
+    // Stock status uses the report's expiry window
+    const warningDays = window.CONFIG.generalSettings.expiryWarningDays ?? 30;
+    const stockStatus = getItemStockStatus(item, warningDays);
+    const stockText = describeStockStatus(stockStatus, item.unit) || 'In stock';
+
     // Prepare image HTML for preview
     // Show actual image if available, otherwise show upload placeholder
     const imageHTML = item.image ? `<img src="${item.image}" alt="${item.name}">` :
@@ -134,19 +164,64 @@ export function buildItemInspector(item, container) {
             </div>
 
             <div class="form-field">
-                <label>Drawer</label>
-                <select id="item-drawer-select" onchange="updateItemProperty('drawer', this.value)">
-                    <option value="">Select drawer...</option>
+                <label>Storage Location</label>
+                <select id="item-drawer-select" onchange="updateItemDrawer(this.value)">
+                    <option value="">Select location...</option>
                     ${drawerOptions}
                 </select>
             </div>
 
+            <div class="form-field">
+                <label>Bin</label>
+                <select onchange="updateItemBin('${item.id}', this.value === '' ? null : parseInt(this.value))" ${hasBins ? '' : 'disabled'}>
+                    <option value="">Loose in drawer</option>
+                    ${binOptions}
+                </select>
+            </div>
+
             <div class="form-field">
                 <label>Description</label>
                 <textarea onchange="updateItemProperty('description', this.value)">${item.description || ''}</textarea>
             </div>
         </div>
 
+        <div class="inspector-section">
+            <div class="inspector-section-title">Inventory</div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>On Hand</label>
+                    <input type="number" min="0" value="${item.quantity ?? 1}" onchange="updateItemProperty('quantity', Math.max(0, parseInt(this.value) || 0)); updateInspector()">
+                </div>
+                <div class="form-field">
+                    <label>Par Level</label>
+                    <input type="number" min="0" value="${item.par ?? 0}" onchange="updateItemProperty('par', Math.max(0, parseInt(this.value) || 0)); updateInspector()">
+                </div>
+                <div class="form-field">
+                    <label>Unit</label>
+                    <input type="text" value="${item.unit ?? 'each'}" onchange="updateItemProperty('unit', this.value)">
+                </div>
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Lot Number</label>
+                    <input type="text" value="${item.lot || ''}" onchange="updateItemProperty('lot', this.value)">
+                </div>
+                <div class="form-field">
+                    <label>Expiration</label>
+                    <input type="date" value="${item.expiration || ''}" onchange="updateItemProperty('expiration', this.value); updateInspector()">
+                </div>
+            </div>
+
+            <div style="font-size: 12px; color: ${stockStatus.flagged ? '#ffc107' : '#4ec9b0'};">
+                ${stockStatus.flagged ? '⚠️' : '✓'} ${stockText}
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Par level 0 means no par level. Below-par and expiring items are listed in Settings → Inventory Report.
+            </div>
+        </div>
+
         <div class="inspector-section">
             <div class="inspector-section-title">Item Image</div>
             <div class="image-upload-field">
@@ -184,6 +259,8 @@ export function buildItemInspector(item, container) {
  * @function buildItemMultiselect
  * @param {string[]} selectedIds - Array of item IDs that are currently selected
  * @param {string} type - The selection type ('essential' or 'optional')
+ * @param {string} [toggleCall] - Start of the onclick call; the item id is appended as the
+ *   last argument. Defaults to toggleScenarioItem('<type>' (stages use toggleStageItem)
  * @returns {string} HTML string for the multiselect component
  *
  * @example
@@ -211,8 +288,12 @@ export function buildItemInspector(item, container) {
  * };
  * const essentialHTML = buildItemMultiselect(scenario.essential, 'essential');
  * const optionalHTML = buildItemMultiselect(scenario.optional, 'optional');
+ *
+ * @example
+ * // Essential items of the second stage
+ * const stageHTML = buildItemMultiselect(stage.essential, 'essential', "toggleStageItem(1, 'essential'");
  */
-export function buildItemMultiselect(selectedIds, type) {
+export function buildItemMultiselect(selectedIds, type, toggleCall = `toggleScenarioItem('${type}'`) {
     // Check if there are any items available to select
     if (window.CONFIG.items.length === 0) {
         return '<div class="item-multiselect-empty">No items available. Create items first!</div>';
@@ -220,11 +301,11 @@ export function buildItemMultiselect(selectedIds, type) {
 
     // Map each item to a clickable chip element
     // Apply 'selected' class if item is in selectedIds array
-    // Each chip calls toggleScenarioItem when clicked to toggle selection
+    // Each chip calls toggleScenarioItem (or the given toggle call) when clicked to toggle selection
     return window.CONFIG.items.map(item => {
         const isSelected = selectedIds.includes(item.id);
         return `<div class="item-multiselect-item ${isSelected ? 'selected' : ''}"
-                     onclick="toggleScenarioItem('${type}', '${item.id}')">
+                     onclick="${toggleCall}, '${item.id}')">
                     ${item.name}
                 </div>`;
     }).join('');
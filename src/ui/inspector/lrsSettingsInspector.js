@@ -0,0 +1,71 @@
+/**
+ * @fileoverview LRS Settings Inspector Panel Module
+ *
+ * This module builds the Learning Record Store property panel in the inspector.
+ * It is selected from the Settings category of the hierarchy.
+ *
+ * When enabled, the trainer sends xAPI statements (launched, experienced drawer,
+ * found item, completed/failed, scored) to the configured endpoint. Statements
+ * that cannot be delivered are queued in the browser and retried later.
+ *
+ * @module ui/inspector/lrsSettingsInspector
+ * @requires globals - CONFIG
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+/**
+ * Builds and displays the LRS settings panel in the inspector.
+ *
+ * @function buildLrsSettingsInspector
+ * @param {Object} settings - The LRS settings (CONFIG.lrsSettings)
+ * @param {boolean} settings.enabled - Whether statements are sent
+ * @param {string} settings.endpoint - xAPI endpoint base URL
+ * @param {string} settings.username - Basic auth username (LRS key)
+ * @param {string} settings.password - Basic auth password (LRS secret)
+ * @param {string} settings.activityBaseId - IRI prefix for activity ids
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildLrsSettingsInspector(window.CONFIG.lrsSettings, document.getElementById('inspector-content'));
+ */
+export function buildLrsSettingsInspector(settings, container) {
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Learning Record Store (xAPI)</div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="lrs-enabled" ${settings.enabled ? 'checked' : ''} onchange="updateLrsSetting('enabled', this.checked)">
+                <label for="lrs-enabled">Send xAPI statements from the trainer</label>
+            </div>
+
+            <div class="form-field">
+                <label>Endpoint</label>
+                <input type="text" placeholder="https://lrs.example.org/xapi/" value="${settings.endpoint}" onchange="updateLrsSetting('endpoint', this.value.trim())">
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Username / Key</label>
+                    <input type="text" value="${settings.username}" onchange="updateLrsSetting('username', this.value)">
+                </div>
+                <div class="form-field">
+                    <label>Password / Secret</label>
+                    <input type="password" value="${settings.password}" onchange="updateLrsSetting('password', this.value)">
+                </div>
+            </div>
+
+            <div class="form-field">
+                <label>Activity Base IRI</label>
+                <input type="text" value="${settings.activityBaseId}" onchange="updateLrsSetting('activityBaseId', this.value.trim())">
+            </div>
+
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Credentials are saved with the configuration. For local testing run
+                <code>node tools/mock-lrs.js</code> and use http://localhost:8080/xapi/
+            </div>
+        </div>
+    `;
+}
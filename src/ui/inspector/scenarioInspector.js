@@ -7,9 +7,14 @@
  *
  * Features:
  * - Scenario identification (ID, Name, Description)
+ * - Difficulty and time limit (0 = untimed)
+ * - Hint settings (strongest cue, delay before each cue, penalty per hint)
  * - Essential items multiselect (required items for scenario completion)
  * - Optional items multiselect (bonus items that improve score)
+ * - Ordered stages, each with a narrative, optional time limit and its own items
+ * - Starting HUD vitals and a timeline of clinical events (banner, vitals, newly required items)
  * - Customizable feedback messages (success, partial success, failure)
+ * - Optional scoring rule override (otherwise the project rules apply)
  * - Delete action
  *
  * Scenarios define learning challenges where students must gather specific items
@@ -26,12 +31,14 @@
  */
 
 import { buildItemMultiselect } from './itemInspector.js';
+import { buildScoringRulesFields } from './scoringRulesInspector.js';
 
 /**
  * Builds and displays the scenario property panel in the inspector.
  *
  * This function generates a comprehensive property panel for scenario entities with:
  * - Basic properties (ID, name, description)
+ * - Difficulty and time limit
  * - Essential items multiselect grid (clickable item chips)
  * - Optional items multiselect grid (clickable item chips)
  * - Feedback message customization (success, partial, failure)
@@ -52,11 +59,18 @@ import { buildItemMultiselect } from './itemInspector.js';
  * @param {string} scenario.id - Unique identifier for the scenario
  * @param {string} scenario.name - Display name of the scenario (e.g., "Cardiac Arrest Response")
  * @param {string} scenario.description - Detailed description of the scenario
+ * @param {string} [scenario.difficulty='intermediate'] - Difficulty shown in the trainer (beginner, intermediate, advanced)
+ * @param {number} [scenario.timeLimit=300] - Time limit in seconds; 0 disables the countdown
+ * @param {Object} [scenario.hints] - Hint settings: { level: 'off'|'cart'|'drawer', delay, penalty }
+ * @param {Object[]} [scenario.stages=[]] - Ordered stages; when present they replace essential/optional
+ * @param {string} [scenario.vitals=''] - Vitals text shown on the trainer HUD at the start
+ * @param {Object[]} [scenario.events=[]] - Timed events: { id, time, banner, vitals, addItems }
  * @param {string[]} [scenario.essential=[]] - Array of item IDs required for completion
  * @param {string[]} [scenario.optional=[]] - Array of item IDs that provide bonus points
  * @param {string} [scenario.successFeedback='Perfect!'] - Message shown when all essential items collected
  * @param {string} [scenario.partialFeedback='Good, but incomplete.'] - Message shown when some essential items collected
  * @param {string} [scenario.failureFeedback='Missing critical items.'] - Message shown when essential items missing
+ * @param {Object|null} [scenario.scoringRules] - Scoring rule override; null uses the project rules
  * @param {HTMLElement} container - The DOM element to render the panel into
  * @returns {void}
  *
@@ -108,6 +122,47 @@ export function buildScenarioInspector(scenario, container) {
     // These are bonus items that improve the score but aren't required
     const optionalHTML = buildItemMultiselect(scenario.optional || [], 'optional');
 
+    // Timing defaults match what the trainer assumes for older scenarios
+    const difficulty = scenario.difficulty || 'intermediate';
+    const timeLimit = scenario.timeLimit !== undefined ? scenario.timeLimit : 300;
+    const hints = scenario.hints || { level: 'off', delay: 30, penalty: 10 };
+
+    // Build stage cards; a staged scenario takes its items from the stages
+    const stages = scenario.stages || [];
+    const stagesHTML = stages.map((stage, index) => buildStageCard(stage, index, stages.length)).join('');
+    const itemsHTML = stages.length > 0
+        ? `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Items</div>
+            <div style="font-size: 11px; color: #666; font-style: italic;">
+                * This scenario uses stages - items are chosen per stage below
+            </div>
+        </div>`
+        : `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Essential Items</div>
+            <div class="item-multiselect" id="essential-items">
+                ${essentialHTML}
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Optional Items</div>
+            <div class="item-multiselect" id="optional-items">
+                ${optionalHTML}
+            </div>
+        </div>`;
+
+    // Build the event timeline
+    const events = scenario.events || [];
+    const eventsHTML = events.map((event, index) => buildEventCard(event, index)).join('');
+
+    // Build scoring override fields (only shown when the scenario has its own rules)
+    const hasScoringOverride = !!scenario.scoringRules;
+    const scoringHTML = hasScoringOverride
+        ? buildScoringRulesFields(scenario.scoringRules, 'updateScenarioScoringRule')
+        : '';
+
     // Build the inspector panel HTML with inline event handlers
     // Note: Event handlers call global functions defined in teacher.js
     container.innerHTML = `
@@ -128,19 +183,48 @@ export function buildScenarioInspector(scenario, container) {
                 <label>Description</label>
                 <textarea onchange="updateScenarioProperty('description', this.value)">${scenario.description}</textarea>
             </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Difficulty</label>
+                    <select onchange="updateScenarioProperty('difficulty', this.value)">
+                        <option value="beginner" ${difficulty === 'beginner' ? 'selected' : ''}>Beginner</option>
+                        <option value="intermediate" ${difficulty === 'intermediate' ? 'selected' : ''}>Intermediate</option>
+                        <option value="advanced" ${difficulty === 'advanced' ? 'selected' : ''}>Advanced</option>
+                    </select>
+                </div>
+                <div class="form-field">
+                    <label>Time Limit (sec)</label>
+                    <input type="number" min="0" step="30" value="${timeLimit}" onchange="updateScenarioProperty('timeLimit', Math.max(0, parseInt(this.value) || 0))">
+                </div>
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Set the time limit to 0 for an untimed scenario
+            </div>
         </div>
 
+        ${itemsHTML}
+
         <div class="inspector-section">
-            <div class="inspector-section-title">Essential Items</div>
-            <div class="item-multiselect" id="essential-items">
-                ${essentialHTML}
+            <div class="inspector-section-title">Stages</div>
+            ${stagesHTML}
+            <button class="btn btn-secondary btn-block" onclick="addScenarioStage()">➕ Add Stage</button>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Stages are revealed one at a time in order. ${stages.length === 0 ? "Adding the first stage moves this scenario's items into it." : 'A stage time limit of 0 means the stage runs until its items are found.'}
             </div>
         </div>
 
         <div class="inspector-section">
-            <div class="inspector-section-title">Optional Items</div>
-            <div class="item-multiselect" id="optional-items">
-                ${optionalHTML}
+            <div class="inspector-section-title">Timed Events</div>
+
+            <div class="form-field">
+                <label>Starting Vitals</label>
+                <input type="text" value="${scenario.vitals || ''}" placeholder="e.g. HR 110 · BP 100/60 · SpO2 94%" onchange="updateScenarioProperty('vitals', this.value)">
+            </div>
+            ${eventsHTML}
+            <button class="btn btn-secondary btn-block" onclick="addScenarioEvent()">➕ Add Event</button>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Events fire at their time after the scenario starts. The trainee has responded once every item the event requires is picked.
             </div>
         </div>
 
@@ -163,9 +247,139 @@ export function buildScenarioInspector(scenario, container) {
             </div>
         </div>
 
+        <div class="inspector-section">
+            <div class="inspector-section-title">Hints</div>
+
+            <div class="form-field">
+                <label>Hint Level</label>
+                <select onchange="updateScenarioHint('level', this.value)">
+                    <option value="off" ${hints.level === 'off' ? 'selected' : ''}>Off</option>
+                    <option value="cart" ${hints.level === 'cart' ? 'selected' : ''}>Cart only</option>
+                    <option value="drawer" ${hints.level === 'drawer' ? 'selected' : ''}>Cart, then drawer</option>
+                </select>
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Delay (sec)</label>
+                    <input type="number" min="5" step="5" value="${hints.delay}" onchange="updateScenarioHint('delay', Math.max(5, parseInt(this.value) || 30))">
+                </div>
+                <div class="form-field">
+                    <label>Penalty per Hint (pts)</label>
+                    <input type="number" min="0" step="5" value="${hints.penalty}" onchange="updateScenarioHint('penalty', Math.max(0, parseInt(this.value) || 0))">
+                </div>
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * After each delay without progress the trainer highlights the cart holding the next missing item, then pulses its drawer
+            </div>
+        </div>
+
+        <div class="inspector-section">
+            <div class="inspector-section-title">Scoring Rules</div>
+
+            <div class="checkbox-field">
+                <input type="checkbox" id="scenario-scoring-override" ${hasScoringOverride ? 'checked' : ''} onchange="toggleScenarioScoringOverride(this.checked)">
+                <label for="scenario-scoring-override">Override project scoring rules</label>
+            </div>
+            ${scoringHTML}
+        </div>
+
         <div class="inspector-section">
             <div class="inspector-section-title">Actions</div>
             <button class="btn btn-danger btn-block" onclick="deleteCurrentEntity()">🗑️ Delete Scenario</button>
         </div>
     `;
 }
+
+/**
+ * Builds the editing card for one scenario stage.
+ *
+ * @function buildStageCard
+ * @param {Object} stage - The stage ({ id, name, narrative, timeLimit, essential, optional })
+ * @param {number} index - Position of the stage in the scenario
+ * @param {number} count - Number of stages in the scenario
+ * @returns {string} HTML string for the stage card
+ */
+function buildStageCard(stage, index, count) {
+    const essentialHTML = buildItemMultiselect(stage.essential, 'essential', `toggleStageItem(${index}, 'essential'`);
+    const optionalHTML = buildItemMultiselect(stage.optional, 'optional', `toggleStageItem(${index}, 'optional'`);
+
+    return `
+        <div style="border: 1px solid #3e3e42; border-radius: 4px; padding: 10px; margin-bottom: 10px;">
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 8px;">
+                <strong style="flex: 1; font-size: 12px;">Stage ${index + 1}</strong>
+                <button class="btn btn-secondary" style="padding: 2px 8px; font-size: 11px;" onclick="moveScenarioStage(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-secondary" style="padding: 2px 8px; font-size: 11px;" onclick="moveScenarioStage(${index}, 1)" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-danger" style="padding: 2px 8px; font-size: 11px;" onclick="removeScenarioStage(${index})">🗑️</button>
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>Name</label>
+                    <input type="text" value="${stage.name}" onchange="updateScenarioStage(${index}, 'name', this.value)">
+                </div>
+                <div class="form-field">
+                    <label>Time Limit (sec)</label>
+                    <input type="number" min="0" step="15" value="${stage.timeLimit || 0}" onchange="updateScenarioStage(${index}, 'timeLimit', Math.max(0, parseInt(this.value) || 0))">
+                </div>
+            </div>
+
+            <div class="form-field">
+                <label>Narrative</label>
+                <textarea onchange="updateScenarioStage(${index}, 'narrative', this.value)">${stage.narrative || ''}</textarea>
+            </div>
+
+            <div class="form-field">
+                <label>Essential Items</label>
+                <div class="item-multiselect">${essentialHTML}</div>
+            </div>
+
+            <div class="form-field">
+                <label>Optional Items</label>
+                <div class="item-multiselect">${optionalHTML}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Builds the editing card for one timed scenario event.
+ *
+ * @function buildEventCard
+ * @param {Object} event - The event ({ id, time, banner, vitals, addItems })
+ * @param {number} index - Position of the event in the scenario
+ * @returns {string} HTML string for the event card
+ */
+function buildEventCard(event, index) {
+    const itemsHTML = buildItemMultiselect(event.addItems, 'essential', `toggleEventItem(${index}`);
+
+    return `
+        <div style="border: 1px solid #3e3e42; border-radius: 4px; padding: 10px; margin-bottom: 10px;">
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 8px;">
+                <strong style="flex: 1; font-size: 12px;">Event ${index + 1}</strong>
+                <button class="btn btn-danger" style="padding: 2px 8px; font-size: 11px;" onclick="removeScenarioEvent(${index})">🗑️</button>
+            </div>
+
+            <div class="form-field-row">
+                <div class="form-field">
+                    <label>At (sec)</label>
+                    <input type="number" min="0" step="15" value="${event.time}" onchange="updateScenarioEvent(${index}, 'time', Math.max(0, parseInt(this.value)))">
+                </div>
+                <div class="form-field">
+                    <label>Vitals</label>
+                    <input type="text" value="${event.vitals || ''}" placeholder="Unchanged" onchange="updateScenarioEvent(${index}, 'vitals', this.value)">
+                </div>
+            </div>
+
+            <div class="form-field">
+                <label>Banner</label>
+                <textarea placeholder="e.g. The patient desaturates - suction now required" onchange="updateScenarioEvent(${index}, 'banner', this.value)">${event.banner || ''}</textarea>
+            </div>
+
+            <div class="form-field">
+                <label>Items Now Required</label>
+                <div class="item-multiselect">${itemsHTML}</div>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Scoring Rules Inspector Panel Module
+ *
+ * This module builds the scoring rules property panel in the inspector. The same
+ * set of fields is used in two places:
+ * - The project-wide "Scoring Rules" panel (selected from the Settings category)
+ * - The optional per-scenario override section in the scenario inspector
+ *
+ * The trainer scores each attempt with these rules and shows a per-item breakdown
+ * on the completion screen.
+ *
+ * @module ui/inspector/scoringRulesInspector
+ * @requires globals - CONFIG
+ *
+ * @author CabinetQuest Teacher
+ * @version 1.0.0
+ */
+
+/**
+ * Builds the HTML for the scoring rule input fields.
+ *
+ * Each field calls the named global update function with the rule name and the
+ * parsed integer value, so the same markup serves both the project panel
+ * (updateScoringRule) and the scenario override (updateScenarioScoringRule).
+ *
+ * @function buildScoringRulesFields
+ * @param {Object} rules - The scoring rules to display
+ * @param {string} updateFn - Name of the global function that saves a rule change
+ * @returns {string} HTML string for the fields
+ *
+ * @example
+ * const html = buildScoringRulesFields(window.CONFIG.scoringRules, 'updateScoringRule');
+ */
+export function buildScoringRulesFields(rules, updateFn) {
+    return `
+        <div class="form-field-row">
+            <div class="form-field">
+                <label>Essential Item (pts)</label>
+                <input type="number" min="0" step="5" value="${rules.essentialPoints}" onchange="${updateFn}('essentialPoints', parseInt(this.value))">
+            </div>
+            <div class="form-field">
+                <label>Optional Item (pts)</label>
+                <input type="number" min="0" step="5" value="${rules.optionalPoints}" onchange="${updateFn}('optionalPoints', parseInt(this.value))">
+            </div>
+        </div>
+
+        <div class="form-field-row">
+            <div class="form-field">
+                <label>Wrong Item Penalty (pts)</label>
+                <input type="number" min="0" step="5" value="${rules.penaltyPoints}" onchange="${updateFn}('penaltyPoints', parseInt(this.value))">
+            </div>
+            <div class="form-field">
+                <label>Perfect Bonus (pts)</label>
+                <input type="number" min="0" step="50" value="${rules.perfectBonus}" onchange="${updateFn}('perfectBonus', parseInt(this.value))">
+            </div>
+        </div>
+
+        <div class="form-field-row">
+            <div class="form-field">
+                <label>Speed Threshold (sec)</label>
+                <input type="number" min="0" step="5" value="${rules.speedThreshold}" onchange="${updateFn}('speedThreshold', parseInt(this.value))">
+            </div>
+            <div class="form-field">
+                <label>Speed Bonus (pts)</label>
+                <input type="number" min="0" step="50" value="${rules.speedBonus}" onchange="${updateFn}('speedBonus', parseInt(this.value))">
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Builds and displays the project-wide scoring rules panel in the inspector.
+ *
+ * @function buildScoringRulesInspector
+ * @param {Object} rules - The project scoring rules (CONFIG.scoringRules)
+ * @param {HTMLElement} container - The DOM element to render the panel into
+ * @returns {void}
+ *
+ * @example
+ * buildScoringRulesInspector(window.CONFIG.scoringRules, document.getElementById('inspector-content'));
+ */
+export function buildScoringRulesInspector(rules, container) {
+    container.innerHTML = `
+        <div class="inspector-section">
+            <div class="inspector-section-title">Scoring Rules</div>
+            ${buildScoringRulesFields(rules, 'updateScoringRule')}
+            <div style="font-size: 11px; color: #666; margin-top: 5px; font-style: italic;">
+                * Applies to every scenario unless the scenario overrides it
+            </div>
+        </div>
+    `;
+}
@@ -57,6 +57,7 @@ export function updateRoomSize() {
     });
 
     window.App.buildAll3DCarts();
+    window.App.buildAll3DFixtures();
 }
 
 /**
@@ -0,0 +1,205 @@
+/**
+ * ==============================================================================
+ * RANDOM DRILL GENERATOR MODULE
+ * ==============================================================================
+ *
+ * This module builds scenarios from item pool rules such as "3 items from
+ * airway carts, 2 from medication carts, 1 from the crash cart". Items are
+ * drawn from CONFIG.items using each item's cart and drawer, and are weighted
+ * toward items a trainee has missed before so drills target weak spots.
+ *
+ * It is shared by the designer ("Generate & Save as Scenario") and the trainer
+ * ("Random Drill" menu entry), so it only depends on the data passed in.
+ *
+ * Functions:
+ * - getMissedItemCounts(): How often each item was missed in attempt history
+ * - isDrillItemReachable(): Whether an item can be found in the room
+ * - matchesDrillRule(): Whether an item belongs to a rule's pool
+ * - describeDrillRule(): Human-readable text for one rule
+ * - generateDrillScenario(): Build a scenario in the designer's format
+ *
+ * @module utils/drillGenerator
+ */
+
+// ===== RULES =====
+
+/**
+ * Counts how often each item was missed across attempt history
+ *
+ * @param {Object[]} history - Attempts ({ missedEssential, missedOptional })
+ * @returns {Map<string, number>} itemId -> times missed
+ *
+ * @example
+ * getMissedItemCounts(profile.history).get('bvm'); // 3
+ */
+export function getMissedItemCounts(history) {
+    const counts = new Map();
+    (history || []).forEach(attempt => {
+        [...(attempt.missedEssential || []), ...(attempt.missedOptional || [])].forEach(itemId => {
+            counts.set(itemId, (counts.get(itemId) || 0) + 1);
+        });
+    });
+    return counts;
+}
+
+/**
+ * Checks whether an item can be found in the room
+ *
+ * Only items in a drawer of a cart that is in the room can be drawn; anything
+ * else would give a drill the trainee can't complete. The inventory cart is
+ * not built in the room, and IV hook bags are only built on carts whose type
+ * has an IV pole. The trainer uses the same rule for its reviews, restocks
+ * and quizzes.
+ *
+ * @param {Object} item - Item from CONFIG.items
+ * @param {Object} config - The configuration (carts, drawers, cartTypes)
+ * @returns {boolean} True when the item's drawer and cart both exist (and an
+ *   IV hook's cart has a pole)
+ *
+ * @example
+ * CONFIG.items.filter(item => isDrillItemReachable(item, CONFIG));
+ */
+export function isDrillItemReachable(item, config) {
+    if (!item.drawer) return false;
+    const drawer = config.drawers.find(d => d.id === item.drawer);
+    const cart = drawer ? config.carts.find(c => c.id === drawer.cart) : null;
+    if (!cart || cart.isInventory) return false;
+    if (drawer.kind !== 'hook') return true;
+    const cartType = (config.cartTypes || []).find(t => t.id === cart.type);
+    return !!(cartType && cartType.hasIVPole);
+}
+
+/**
+ * Checks whether an item belongs to a rule's pool
+ *
+ * @param {Object} item - Item from CONFIG.items
+ * @param {Object} rule - { filter: 'any'|'cartType'|'cart'|'drawer', value }
+ * @param {Object} config - The configuration (for cart types)
+ * @returns {boolean} True when the item can be drawn for the rule
+ *
+ * @example
+ * CONFIG.items.filter(item => matchesDrillRule(item, rule, CONFIG)).length; // pool size
+ */
+export function matchesDrillRule(item, rule, config) {
+    switch (rule.filter) {
+        case 'cartType': {
+            const cart = config.carts.find(c => c.id === item.cart);
+            return !!cart && cart.type === rule.value;
+        }
+        case 'cart':
+            return item.cart === rule.value;
+        case 'drawer':
+            return item.drawer === rule.value;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Describes a rule for scenario descriptions and the designer panel
+ *
+ * @param {Object} rule - { count, filter, value }
+ * @param {Object} config - The configuration (for cart and drawer names)
+ * @returns {string} e.g. "3 from airway carts"
+ *
+ * @example
+ * describeDrillRule({ count: 1, filter: 'cart', value: 'crash-1' }, CONFIG); // "1 from Crash Cart"
+ */
+export function describeDrillRule(rule, config) {
+    let source = 'any cart';
+    if (rule.filter === 'cartType') {
+        source = `${rule.value} carts`;
+    } else if (rule.filter === 'cart') {
+        const cart = config.carts.find(c => c.id === rule.value);
+        source = cart ? cart.name : 'a removed cart';
+    } else if (rule.filter === 'drawer') {
+        const drawer = config.drawers.find(d => d.id === rule.value);
+        source = drawer ? drawer.name : 'a removed drawer';
+    }
+    return `${rule.count} from ${source}`;
+}
+
+// ===== GENERATION =====
+
+/**
+ * Draws up to `count` items from a pool, weighted toward frequently missed items
+ *
+ * @param {Object[]} pool - Candidate items (removed from as they are drawn)
+ * @param {number} count - Items to draw
+ * @param {Map<string, number>} missed - itemId -> times missed
+ * @param {number} missedWeight - Extra weight per miss (0 = uniform)
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object[]} Drawn items
+ */
+function drawWeighted(pool, count, missed, missedWeight, random) {
+    const drawn = [];
+    while (drawn.length < count && pool.length > 0) {
+        const weights = pool.map(item => 1 + missedWeight * (missed.get(item.id) || 0));
+        let target = random() * weights.reduce((sum, w) => sum + w, 0);
+        let index = 0;
+        while (index < pool.length - 1 && target >= weights[index]) {
+            target -= weights[index];
+            index++;
+        }
+        drawn.push(pool.splice(index, 1)[0]);
+    }
+    return drawn;
+}
+
+/**
+ * Builds a random scenario from drill settings
+ *
+ * Each rule draws essential items from its pool; an item is only drawn once.
+ * Optional items come from everything left over. Items that can't be found in
+ * the room are never drawn. When a pool is smaller than its count the drill
+ * simply gets fewer items from it.
+ *
+ * @param {Object} config - The configuration (carts, drawers, items)
+ * @param {Object} settings - { rules: [{ count, filter, value }], optionalCount, missedWeight, timeLimit }
+ * @param {Object[]} [history=[]] - Attempt history used to weight missed items
+ * @param {Function} [random=Math.random] - Random source (for repeatable drills)
+ * @returns {Object|null} Scenario in the designer's format, or null when no item could be drawn
+ *
+ * @example
+ * const scenario = generateDrillScenario(CONFIG, CONFIG.drillSettings, profile.history);
+ */
+export function generateDrillScenario(config, settings, history = [], random = Math.random) {
+    const missed = getMissedItemCounts(history);
+    const missedWeight = settings.missedWeight || 0;
+    const remaining = config.items.filter(item => isDrillItemReachable(item, config));
+
+    // Step 1: Essential items, rule by rule
+    const essential = [];
+    (settings.rules || []).forEach(rule => {
+        const pool = remaining.filter(item => matchesDrillRule(item, rule, config));
+        drawWeighted(pool, rule.count, missed, missedWeight, random).forEach(item => {
+            essential.push(item.id);
+            remaining.splice(remaining.indexOf(item), 1);
+        });
+    });
+
+    // Step 2: Optional items from whatever is left
+    const optional = drawWeighted(remaining, settings.optionalCount || 0, missed, missedWeight, random)
+        .map(item => item.id);
+
+    if (essential.length === 0 && optional.length === 0) return null;
+
+    const ruleText = (settings.rules || []).map(rule => describeDrillRule(rule, config)).join(', ');
+    return {
+        id: `drill_${Date.now()}`,
+        name: 'Random Drill',
+        description: `Random drill: ${ruleText || 'any items'}${optional.length ? ` plus ${optional.length} optional` : ''}.`,
+        essential: essential,
+        optional: optional,
+        difficulty: 'intermediate',
+        timeLimit: settings.timeLimit || 0,
+        hints: { level: 'off', delay: 30, penalty: 10 },
+        stages: [],
+        vitals: '',
+        events: [],
+        successFeedback: 'Perfect!',
+        partialFeedback: 'Good, but incomplete.',
+        failureFeedback: 'Missing critical items.',
+        scoringRules: null
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * ==============================================================================
+ * INVENTORY REPORT MODULE
+ * ==============================================================================
+ *
+ * This module works out the stock status of items from their inventory fields
+ * (quantity, par, unit, lot, expiration): which items are below their par level
+ * and which are expired or about to expire. The report groups those items per
+ * cart and can be turned into CSV for the staff who restock the real carts.
+ *
+ * It only depends on the data passed in, so the item inspector and the
+ * inventory report panel can share it.
+ *
+ * Functions:
+ * - getItemStockStatus(): Below-par and expiry status of one item
+ * - describeStockStatus(): Human-readable text for a status
+ * - buildInventoryReport(): Flagged items grouped per cart
+ * - inventoryReportToCSV(): CSV text for a report
+ *
+ * @module utils/inventoryReport
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== ITEM STATUS =====
+
+/**
+ * Parses a 'YYYY-MM-DD' date as local midnight
+ *
+ * @param {string} value - Date from an <input type="date">
+ * @returns {Date|null} The date, or null when empty or invalid
+ */
+function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Works out whether an item needs restocking or replacing
+ *
+ * Items without a par level (0) are never below par, and items without an
+ * expiration date never expire. Missing fields are treated the same way, so
+ * configs saved before the inventory fields existed report nothing.
+ *
+ * @param {Object} item - Item from CONFIG.items ({ quantity, par, expiration })
+ * @param {number} warningDays - Days before expiration an item counts as expiring
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Object} { belowPar, shortfall, expired, expiringSoon, daysLeft, flagged }
+ *
+ * @example
+ * getItemStockStatus({ quantity: 2, par: 5, expiration: '2020-01-01' }, 30);
+ * // { belowPar: true, shortfall: 3, expired: true, expiringSoon: false, daysLeft: -1234, flagged: true }
+ */
+export function getItemStockStatus(item, warningDays, today = new Date()) {
+    const quantity = Number(item.quantity) || 0;
+    const par = Number(item.par) || 0;
+    const belowPar = par > 0 && quantity < par;
+
+    const expiration = parseDate(item.expiration);
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const daysLeft = expiration ? Math.round((expiration - startOfToday) / DAY_MS) : null;
+    const expired = daysLeft !== null && daysLeft < 0;
+    const expiringSoon = daysLeft !== null && !expired && daysLeft <= warningDays;
+
+    return {
+        belowPar: belowPar,
+        shortfall: belowPar ? par - quantity : 0,
+        expired: expired,
+        expiringSoon: expiringSoon,
+        daysLeft: daysLeft,
+        flagged: belowPar || expired || expiringSoon
+    };
+}
+
+/**
+ * Describes a stock status for the inspector, report and CSV
+ *
+ * @param {Object} status - Result of getItemStockStatus()
+ * @param {string} [unit=''] - Unit for the shortfall (e.g. 'vials')
+ * @returns {string} e.g. "Below par (3 vials short) · Expires in 12 days", or '' when nothing is flagged
+ */
+export function describeStockStatus(status, unit = '') {
+    const parts = [];
+    if (status.belowPar) {
+        parts.push(`Below par (${status.shortfall}${unit ? ` ${unit}` : ''} short)`);
+    }
+    if (status.expired) {
+        parts.push(`Expired ${-status.daysLeft} day${status.daysLeft === -1 ? '' : 's'} ago`);
+    } else if (status.expiringSoon) {
+        parts.push(status.daysLeft === 0 ? 'Expires today' : `Expires in ${status.daysLeft} day${status.daysLeft === 1 ? '' : 's'}`);
+    }
+    return parts.join(' · ');
+}
+
+// ===== REPORT =====
+
+/**
+ * Collects the below-par, expired and expiring items of every cart
+ *
+ * Carts are listed in configuration order (with nothing flagged they have an
+ * empty item list); items that aren't assigned to a cart come last as "Unassigned".
+ *
+ * @param {Object} config - The configuration (carts, drawers, items)
+ * @param {number} warningDays - Days before expiration an item counts as expiring
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Object[]} [{ cartId, cartName, items: [{ id, name, drawerName, quantity, par, unit, lot, expiration, status }] }]
+ *
+ * @example
+ * const report = buildInventoryReport(CONFIG, CONFIG.generalSettings.expiryWarningDays);
+ * report.filter(cart => cart.items.length > 0); // carts that need attention
+ */
+export function buildInventoryReport(config, warningDays, today = new Date()) {
+    const groups = config.carts.map(cart => ({ cartId: cart.id, cartName: cart.name, items: [] }));
+    const unassigned = { cartId: '', cartName: 'Unassigned', items: [] };
+
+    config.items.forEach(item => {
+        const status = getItemStockStatus(item, warningDays, today);
+        if (!status.flagged) return;
+
+        const drawer = config.drawers.find(d => d.id === item.drawer);
+        const group = groups.find(g => g.cartId === item.cart) || unassigned;
+        group.items.push({
+            id: item.id,
+            name: item.name,
+            drawerName: drawer ? drawer.name : '',
+            quantity: Number(item.quantity) || 0,
+            par: Number(item.par) || 0,
+            unit: item.unit || '',
+            lot: item.lot || '',
+            expiration: item.expiration || '',
+            status: status
+        });
+    });
+
+    return unassigned.items.length > 0 ? [...groups, unassigned] : groups;
+}
+
+/**
+ * Quotes a CSV cell when it contains a comma, quote or line break
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe text
+ */
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns a report into CSV, one row per flagged item
+ *
+ * @param {Object[]} report - Result of buildInventoryReport()
+ * @returns {string} CSV text with a header row
+ */
+export function inventoryReportToCSV(report) {
+    const header = ['cart', 'drawer', 'item', 'quantity', 'par', 'shortfall', 'unit', 'lot', 'expiration', 'status'];
+    const rows = report.flatMap(group => group.items.map(item => [
+        group.cartName,
+        item.drawerName,
+        item.name,
+        item.quantity,
+        item.par,
+        item.status.shortfall,
+        item.unit,
+        item.lot,
+        item.expiration,
+        describeStockStatus(item.status, item.unit)
+    ]));
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
@@ -0,0 +1,145 @@
+/**
+ * ==============================================================================
+ * ZIP ARCHIVE UTILITY MODULE
+ * ==============================================================================
+ *
+ * This module writes uncompressed ("stored") ZIP archives in the browser, so
+ * the designer can produce downloadable packages without a third-party library.
+ * Stored entries are accepted by every LMS and unzip tool; the packaged files
+ * are small text files, so compression is not worth the extra code.
+ *
+ * Functions:
+ * - crc32(): CRC-32 checksum of a byte array (required by the ZIP format)
+ * - createZip(): Build a ZIP Blob from a list of files
+ *
+ * @module utils/zip
+ */
+
+// ===== CRC-32 =====
+
+// Lookup table for the standard (IEEE 802.3) CRC-32 polynomial
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculates the CRC-32 checksum of a byte array
+ *
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ *
+ * @example
+ * crc32(new TextEncoder().encode('hello')); // 907060870
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ===== ZIP WRITER =====
+
+/**
+ * Converts a JavaScript Date to MS-DOS time and date words
+ *
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS-encoded time and date
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from a list of files
+ *
+ * Each file is written as a stored (uncompressed) entry with a local header,
+ * followed by the central directory and end-of-central-directory record.
+ * Paths may include folders (e.g. 'src/logic.js'); names are UTF-8 encoded.
+ *
+ * @param {Array<{name: string, content: (string|Uint8Array)}>} files - Files to add
+ * @returns {Blob} ZIP archive with MIME type application/zip
+ *
+ * @example
+ * const blob = createZip([
+ *     { name: 'imsmanifest.xml', content: manifestXml },
+ *     { name: 'trainer.html', content: html }
+ * ]);
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const checksum = crc32(data);
+
+        // Step 1: Local file header + data
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);  // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed to extract (2.0)
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+        local.setUint16(8, 0, true);            // Compression: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        localParts.push(local, nameBytes, data);
+
+        // Step 2: Matching central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint16(30, 0, true);         // Extra field length
+        central.setUint16(32, 0, true);         // Comment length
+        central.setUint16(34, 0, true);         // Disk number
+        central.setUint16(36, 0, true);         // Internal attributes
+        central.setUint32(38, 0, true);         // External attributes
+        central.setUint32(42, offset, true);    // Offset of local header
+        centralParts.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    // Step 3: End of central directory record
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
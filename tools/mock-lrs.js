@@ -0,0 +1,114 @@
+/**
+ * Mock Learning Record Store
+ *
+ * A tiny xAPI endpoint for testing the trainer's statement delivery locally.
+ * It accepts statements, prints a one-line summary of each, and keeps them in
+ * memory so they can be inspected with GET.
+ *
+ * Usage:
+ *   node tools/mock-lrs.js              # listen on http://localhost:8080/xapi/
+ *   PORT=9000 node tools/mock-lrs.js    # custom port
+ *   node tools/mock-lrs.js --fail       # answer 503 to test the offline queue
+ *
+ * Then set the LRS endpoint in the designer (Settings → Learning Record Store)
+ * to http://localhost:8080/xapi/ and enable it.
+ *
+ * Endpoints:
+ *   POST /xapi/statements   Store one statement or an array of statements
+ *   PUT  /xapi/statements   Store a single statement (statementId query param)
+ *   GET  /xapi/statements   Return everything received so far
+ *   POST /toggle-fail       Switch failure mode on/off while running
+ *
+ * No dependencies - uses Node's built-in http module only.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+let failMode = process.argv.includes('--fail');
+const statements = [];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version'
+};
+
+function send(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function summarize(statement) {
+    const actor = statement.actor && (statement.actor.name || statement.actor.account?.name);
+    const verb = statement.verb && (statement.verb.display?.['en-US'] || statement.verb.id);
+    const object = statement.object && (statement.object.definition?.name?.['en-US'] || statement.object.id);
+    const score = statement.result?.score ? ` score=${statement.result.score.raw}` : '';
+    return `${actor} ${verb} ${object}${score}`;
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (url.pathname === '/toggle-fail' && req.method === 'POST') {
+        failMode = !failMode;
+        console.log(`Failure mode ${failMode ? 'ON' : 'OFF'}`);
+        send(res, 200, { failMode });
+        return;
+    }
+
+    if (url.pathname.replace(/\/+$/, '') !== '/xapi/statements') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        send(res, 200, { statements, more: '' });
+        return;
+    }
+
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+        send(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (failMode) {
+            console.log(`✗ Rejected ${req.method} (failure mode)`);
+            send(res, 503, { error: 'Mock LRS unavailable' });
+            return;
+        }
+
+        let received;
+        try {
+            received = JSON.parse(body);
+        } catch (error) {
+            send(res, 400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        const batch = Array.isArray(received) ? received : [received];
+        batch.forEach(statement => {
+            statement.stored = new Date().toISOString();
+            statements.push(statement);
+            console.log(`✓ ${summarize(statement)}`);
+        });
+
+        if (req.method === 'PUT') {
+            send(res, 204);
+        } else {
+            send(res, 200, batch.map(statement => statement.id));
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock LRS listening on http://localhost:${PORT}/xapi/${failMode ? ' (failure mode)' : ''}`);
+});
@@ -9,10 +9,13 @@
 
 let scene, camera, renderer;
 let cartMeshes = new Map(); // Map cartId -> THREE.Group
+let fixtureMeshes = new Map(); // Map fixtureId -> THREE.Group (stretcher, doors, counters...)
 let currentScenario = null;
 let foundItems = new Set(); // Track which items have been found
+let wrongItems = new Set(); // Items picked that the scenario doesn't need
 let startTime = null;
 let timerInterval = null;
+let timeWarningShown = false; // Countdown warning fires once per attempt
 let isPointerLocked = false;
 let controls = null;
 
@@ -29,7 +32,8 @@ const mouseSensitivity = 0.002;
 
 // Raycasting for interaction
 const raycaster = new THREE.Raycaster();
-raycaster.far = 3; // Only detect things within 3 feet
+const INTERACT_REACH = 3; // Only detect things within 3 feet
+raycaster.far = INTERACT_REACH;
 let lookingAtDrawer = null;
 
 // Configuration data
@@ -317,6 +321,7 @@ function switchCameraView(viewId) {
 
     currentCameraView = view;
     isFirstPersonMode = false;
+    resetAimPoint();
 
     // Apply camera view
     playerPosition.set(view.position.x, view.position.y, view.position.z);
@@ -340,6 +345,7 @@ function switchCameraView(viewId) {
 
 function toggleFirstPersonMode() {
     isFirstPersonMode = !isFirstPersonMode;
+    resetAimPoint();
 
     if (isFirstPersonMode) {
         // Reset to first-person mode
@@ -724,6 +730,7 @@ function initTouchLookControls() {
         // Update player rotation
         playerRotation.yaw -= deltaX * mouseSensitivity * 2; // Double sensitivity for touch
         playerRotation.pitch -= deltaY * mouseSensitivity * 2;
+        trackTutorialProgress('look', (Math.abs(deltaX) + Math.abs(deltaY)) * mouseSensitivity * 2);
 
         // Clamp pitch
         playerRotation.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, playerRotation.pitch));
@@ -763,11 +770,15 @@ function initTouchLookControls() {
 // INITIALIZATION
 // ============================================================================
 
-// Load configuration from localStorage or use defaults
+// Load configuration from the package, localStorage or use defaults
 function loadConfiguration() {
     try {
         const saved = localStorage.getItem('traumaRoomConfig');
-        if (saved) {
+        if (window.TRAINER_CONFIG) {
+            // Packaged builds (SCORM export) ship the configuration next to the trainer
+            CONFIG = window.TRAINER_CONFIG;
+            console.log('✓ Configuration loaded from package');
+        } else if (saved) {
             CONFIG = JSON.parse(saved);
             console.log('✓ Configuration loaded from localStorage');
         } else {
@@ -779,6 +790,11 @@ function loadConfiguration() {
         CONFIG = getDefaultConfig();
     }
 
+    // Configurations saved before cart types were editable use the built-in set
+    if (!CONFIG.cartTypes || CONFIG.cartTypes.length === 0) {
+        CONFIG.cartTypes = DEFAULT_CART_TYPES;
+    }
+
     // Update room dimensions from CONFIG
     if (CONFIG.roomSettings) {
         ROOM_WIDTH = CONFIG.roomSettings.width || 30;
@@ -834,6 +850,7 @@ function getDefaultConfig() {
             { id: 'drawer6', name: 'Med Drawer 3', cart: 'cart2', number: 3 }
         ],
         items: [],
+        fixtures: [],
         roomSettings: {
             backgroundColor: '#fafafa',
             width: 30,
@@ -968,41 +985,129 @@ function createWalls() {
     scene.add(rightWall);
 }
 
-// Cart type definitions (matching teacher.js) - dimensions in feet
-const CART_TYPES = {
-    crash: { name: 'Crash Cart', width: 2.0, height: 4.0, depth: 1.5, drawers: 5, drawerHeight: 0.75 },
-    airway: { name: 'Airway Cart', width: 2.0, height: 4.0, depth: 1.5, drawers: 4, drawerHeight: 0.9 },
-    medication: { name: 'Medication Cart', width: 2.0, height: 4.0, depth: 1.5, drawers: 3, drawerHeight: 1.2 },
-    trauma: { name: 'Trauma Cart', width: 2.0, height: 4.0, depth: 1.5, drawers: 4, drawerHeight: 0.9 },
-    iv: { name: 'IV Cart', width: 1.5, height: 5.0, depth: 1.5, drawers: 1, drawerHeight: 0.5, hasIVPole: true },
-    procedure: { name: 'Procedure Table', width: 4.0, height: 3.0, depth: 2.5, drawers: 0 },
-    supply: { name: 'Supply Cart', width: 2.0, height: 4.0, depth: 1.5, drawers: 5, drawerHeight: 0.75 }
+// Built-in cart types (matching DEFAULT_CART_TYPES in the designer) - dimensions in feet.
+// Projects carry their own CONFIG.cartTypes; these are used for configurations
+// saved before cart types were editable.
+const DEFAULT_CART_TYPES = [
+    { id: 'crash', name: 'Crash Cart (Code Cart)', width: 2.0, height: 4.0, depth: 1.5, color: '#F44336', drawerHeights: [0.75, 0.75, 0.75, 0.75, 0.75] },
+    { id: 'airway', name: 'Airway Cart', width: 2.0, height: 4.0, depth: 1.5, color: '#4CAF50', drawerHeights: [0.9, 0.9, 0.9, 0.9] },
+    { id: 'medication', name: 'Medication Cart', width: 2.0, height: 4.0, depth: 1.5, color: '#FF9800', drawerHeights: [1.2, 1.2, 1.2] },
+    { id: 'iv', name: 'IV Cart', width: 1.5, height: 5.0, depth: 1.5, color: '#9C27B0', drawerHeights: [0.5], hasIVPole: true },
+    { id: 'procedure', name: 'Procedure Table', width: 4.0, height: 3.0, depth: 2.5, color: '#757575', drawerHeights: [], hasTopSurface: true },
+    { id: 'trauma', name: 'Trauma Cart', width: 2.0, height: 4.0, depth: 1.5, color: '#E91E63', drawerHeights: [0.9, 0.9, 0.9, 0.9] },
+    { id: 'supply', name: 'Supply Cart', width: 2.0, height: 4.0, depth: 1.5, color: '#2196F3', drawerHeights: [1.2, 1.2, 1.2] }
+];
+const DEFAULT_DRAWER_HEIGHT = 0.5; // 6 inches, for carts without a type
+
+function getCartType(typeId) {
+    return (CONFIG.cartTypes || DEFAULT_CART_TYPES).find(cartType => cartType.id === typeId) || null;
+}
+
+// Drawer heights follow the cart type in drawer-number order; extra drawers reuse the last height
+function getDrawerHeight(cartType, index) {
+    const heights = (cartType && cartType.drawerHeights) || [];
+    return heights[index] ?? heights[heights.length - 1] ?? DEFAULT_DRAWER_HEIGHT;
+}
+
+// Drawers are split into a grid of bins, row 0 at the back; drawers without a layout are one bin
+function getDrawerLayout(drawer) {
+    return (drawer && drawer.layout) || { columns: 1, rows: 1, labels: [''] };
+}
+
+// Same naming as the designer: the bin's label, else "Bin 2" (one row) or "B3" (row letter, column)
+function getBinLabel(drawer, index) {
+    const layout = getDrawerLayout(drawer);
+    if (layout.labels[index]) return layout.labels[index];
+
+    const row = Math.floor(index / layout.columns);
+    const column = index % layout.columns;
+    return layout.rows === 1 ? `Bin ${column + 1}` : `${String.fromCharCode(65 + row)}${column + 1}`;
+}
+
+// Items in a bin the layout still has; anything else is loose in the drawer
+function isItemInBin(item, layout) {
+    return Number.isInteger(item.bin) && item.bin >= 0 && item.bin < layout.columns * layout.rows;
+}
+
+// Storage kinds (matching STORAGE_KINDS in the designer). Drawers, cabinets and shelves
+// share the drawer stack; rail baskets and IV bags hang outside it
+const STORAGE_KINDS = {
+    drawer: { inStack: true, verb: 'open' },
+    door: { inStack: true, verb: 'open' },
+    shelf: { inStack: true, verb: 'check' },
+    rail: { inStack: false, verb: 'check' },
+    hook: { inStack: false, verb: 'check' }
+};
+
+// Sizes in feet (matching STORAGE_PROPERTIES in the designer)
+const STORAGE_PROPERTIES = {
+    doorThickness: 0.06,
+    doorSwing: 1.9,       // radians
+    shellThickness: 0.05, // Cart body walls around cabinets and shelves
+    basketWidth: 0.8,
+    basketHeight: 0.4,
+    basketDepth: 0.45,
+    basketTilt: 0.5,      // radians
+    railRadius: 0.02,
+    bagWidth: 0.35,
+    bagHeight: 0.55,
+    bagDepth: 0.08,
+    bagSwing: 0.6,        // radians
+    bagSpacing: 0.1,      // Between bags sharing a hook
+    hookCount: 4,
+    hookSpacing: 0.25     // Distance from the IV pole to each hook
 };
 
+function getStorageKind(drawer) {
+    return drawer && STORAGE_KINDS[drawer.kind] ? drawer.kind : 'drawer';
+}
+
+// Doors, baskets and bags sit on pivots, so walk up to the storage location's group
+function getStorageGroup(mesh) {
+    let object = mesh;
+    while (object && object.userData.type !== 'drawer') {
+        object = object.parent;
+    }
+    return object;
+}
+
 // Create 3D cart from configuration data
 function create3DCart(cartData) {
     const cartGroup = new THREE.Group();
     cartGroup.userData.cartId = cartData.id;
     cartGroup.userData.type = 'cart';
 
-    const cartType = cartData.type ? CART_TYPES[cartData.type] : null;
+    const cartType = cartData.type ? getCartType(cartData.type) : null;
     const width = cartType ? cartType.width : 2.0;
     const height = cartType ? cartType.height : 4.0;
     const depth = cartType ? cartType.depth : 1.5;
     const color = cartData.color || '#999999';
 
-    // Cart body
-    const bodyGeometry = new THREE.BoxGeometry(width, height, depth);
+    // Storage locations sorted by number (top to bottom); the stack kinds get per-drawer
+    // heights from the cart type
+    const cartDrawers = CONFIG.drawers
+        .filter(d => d.cart === cartData.id)
+        .sort((a, b) => a.number - b.number);
+    const stackDrawers = cartDrawers.filter(drawer => STORAGE_KINDS[getStorageKind(drawer)].inStack);
+    const drawerHeights = stackDrawers.map((drawer, index) => getDrawerHeight(cartType, index));
+    const drawerSpacing = 0.05; // Small gap between drawers
+    const totalDrawerHeight = drawerHeights.reduce((total, drawerHeight) => total + drawerHeight + drawerSpacing, 0);
+    // Drawer 1 is at the top of the stack, which is centered on the body
+    let topY = (height / 2) + (totalDrawerHeight / 2) - drawerSpacing;
+    const slots = stackDrawers.map((drawer, index) => {
+        const slot = { drawer: drawer, y: topY - drawerHeights[index] / 2, height: drawerHeights[index] };
+        topY -= drawerHeights[index] + drawerSpacing;
+        return slot;
+    });
+
+    // Cart body, open at the front where cabinets and shelves sit
     const bodyMaterial = new THREE.MeshStandardMaterial({
         color: color,
         roughness: 0.6,
         metalness: 0.3
     });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = height / 2;
-    body.castShadow = true;
-    body.receiveShadow = true;
-    cartGroup.add(body);
+    const openings = slots.filter(slot => getStorageKind(slot.drawer) !== 'drawer').reverse(); // Bottom first
+    addCartBody(cartGroup, width, height, depth, openings, bodyMaterial);
 
     // Handle
     const handleGeometry = new THREE.CylinderGeometry(0.03, 0.03, width * 0.8, 12);
@@ -1046,9 +1151,10 @@ function create3DCart(cartData) {
         cartGroup.add(wheel);
     });
 
-    // IV Pole (if applicable)
+    // IV Pole (if applicable), rising from the back of the cart
     if (cartType && cartType.hasIVPole) {
         const poleHeight = height * 0.7;
+        const poleZ = -depth / 3;
         const poleGeometry = new THREE.CylinderGeometry(0.04, 0.04, poleHeight, 12);
         const poleMaterial = new THREE.MeshStandardMaterial({
             color: 0xcccccc,
@@ -1056,59 +1162,85 @@ function create3DCart(cartData) {
             metalness: 0.9
         });
         const pole = new THREE.Mesh(poleGeometry, poleMaterial);
-        pole.position.y = height - (poleHeight / 2) + 0.5;
+        pole.position.y = height;
+        pole.position.z = poleZ;
         cartGroup.add(pole);
 
-        // Hooks at top
-        for (let i = 0; i < 4; i++) {
-            const hookGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.15, 8);
+        // Hooks at top, arms spaced evenly around the pole (the first faces the front)
+        const hookY = height + poleHeight / 2 - 0.1;
+        for (let i = 0; i < STORAGE_PROPERTIES.hookCount; i++) {
+            const hookGeometry = new THREE.CylinderGeometry(0.015, 0.015, STORAGE_PROPERTIES.hookSpacing, 8);
             const hook = new THREE.Mesh(hookGeometry, poleMaterial);
-            const angle = (i / 4) * Math.PI * 2;
-            hook.position.x = Math.cos(angle) * 0.1;
-            hook.position.z = Math.sin(angle) * 0.1;
-            hook.position.y = height + poleHeight - 0.5;
-            hook.rotation.z = Math.PI / 2;
+            const angle = getHookAngle(i);
+            hook.position.x = Math.cos(angle) * STORAGE_PROPERTIES.hookSpacing / 2;
+            hook.position.z = poleZ + Math.sin(angle) * STORAGE_PROPERTIES.hookSpacing / 2;
+            hook.position.y = hookY;
+            hook.rotation.set(0, -angle, Math.PI / 2, 'YXZ');
             cartGroup.add(hook);
         }
+
+        // Bags hanging from the hooks, one behind the other when they share a hook
+        const bagsPerHook = new Map();
+        cartDrawers.filter(drawer => getStorageKind(drawer) === 'hook').forEach(drawer => {
+            const hookIndex = getBagHookIndex(drawer);
+            const bagIndex = bagsPerHook.get(hookIndex) || 0;
+            bagsPerHook.set(hookIndex, bagIndex + 1);
+            cartGroup.add(createIVBag(cartData, drawer, hookY, poleZ, bagIndex));
+        });
     }
 
-    // Drawers (get actual drawers from CONFIG, not from cart type)
-    const cartDrawers = CONFIG.drawers.filter(d => d.cart === cartData.id);
-    if (cartDrawers.length > 0) {
-        // Sort drawers by number (top to bottom)
-        cartDrawers.sort((a, b) => a.number - b.number);
-
-        const drawerHeight = 0.5; // 6 inches in feet
-        const drawerSpacing = 0.05; // Small gap between drawers
-        const totalDrawerHeight = cartDrawers.length * (drawerHeight + drawerSpacing);
-        const startY = (height / 2) - (totalDrawerHeight / 2); // Start from top
-
-        cartDrawers.forEach((drawer, index) => {
-            const drawerGroup = createDrawer(cartData, drawer.number, width, drawerHeight, depth);
-            const yPos = startY + index * (drawerHeight + drawerSpacing) + (drawerHeight / 2);
-            drawerGroup.position.y = yPos;
-            drawerGroup.userData.closedZ = 0;
-            drawerGroup.userData.openZ = depth * 0.4;
-            cartGroup.add(drawerGroup);
-
-            // Add black interior back wall behind drawer opening
-            const interiorBackGeometry = new THREE.PlaneGeometry(width * 0.96, drawerHeight);
-            const interiorBackMaterial = new THREE.MeshStandardMaterial({
-                color: 0x000000, // Black
-                roughness: 0.9,
-                metalness: 0.1,
-                side: THREE.DoubleSide
-            });
-            const interiorBack = new THREE.Mesh(interiorBackGeometry, interiorBackMaterial);
-            interiorBack.position.y = yPos;
-            // Position behind where drawer back sits when closed
-            // When drawer opens (slides forward by depth*0.4), this becomes visible
-            // For depth=1.5: panel at -0.6, drawer back when closed at -0.56, drawer back when open at +0.04
-            interiorBack.position.z = -(depth * 0.4);
-            interiorBack.receiveShadow = true;
-            interiorBack.castShadow = true;
-            cartGroup.add(interiorBack);
+    // Procedure work surface (if applicable)
+    if (cartType && cartType.hasTopSurface) {
+        const topGeometry = new THREE.BoxGeometry(width, 0.1, depth);
+        const topMaterial = new THREE.MeshStandardMaterial({
+            color: 0xf0f0f0,
+            roughness: 0.4,
+            metalness: 0.5
+        });
+        const topSurface = new THREE.Mesh(topGeometry, topMaterial);
+        topSurface.position.y = height + 0.05; // Rests on top of the body
+        topSurface.castShadow = true;
+        cartGroup.add(topSurface);
+    }
+
+    // Drawers, cabinets and shelves in their stack slots
+    slots.forEach(slot => {
+        const kind = getStorageKind(slot.drawer);
+        let drawerGroup;
+        if (kind === 'door') {
+            drawerGroup = createCabinet(cartData, slot.drawer, width, slot.height, depth);
+        } else if (kind === 'shelf') {
+            drawerGroup = createShelf(cartData, slot.drawer, width, slot.height, depth);
+        } else {
+            drawerGroup = createDrawer(cartData, slot.drawer, width, slot.height, depth);
+        }
+        drawerGroup.position.y = slot.y;
+        cartGroup.add(drawerGroup);
+        if (kind !== 'drawer') return;
+
+        // Add black interior back wall behind drawer opening
+        const interiorBackGeometry = new THREE.PlaneGeometry(width * 0.96, slot.height);
+        const interiorBackMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000000, // Black
+            roughness: 0.9,
+            metalness: 0.1,
+            side: THREE.DoubleSide
         });
+        const interiorBack = new THREE.Mesh(interiorBackGeometry, interiorBackMaterial);
+        interiorBack.position.y = slot.y;
+        // Position behind where drawer back sits when closed
+        // When drawer opens (slides forward by depth*0.4), this becomes visible
+        // For depth=1.5: panel at -0.6, drawer back when closed at -0.56, drawer back when open at +0.04
+        interiorBack.position.z = -(depth * 0.4);
+        interiorBack.receiveShadow = true;
+        interiorBack.castShadow = true;
+        cartGroup.add(interiorBack);
+    });
+
+    // Rail baskets across the cart front
+    const baskets = cartDrawers.filter(drawer => getStorageKind(drawer) === 'rail');
+    if (baskets.length > 0) {
+        addRailBaskets(cartGroup, cartData, baskets, width, height, depth);
     }
 
     // Position cart in room
@@ -1123,87 +1255,120 @@ function create3DCart(cartData) {
     return cartGroup;
 }
 
-function createDrawer(cartData, drawerNumber, width, height, depth) {
-    const drawerGroup = new THREE.Group();
-    drawerGroup.userData.type = 'drawer';
-    drawerGroup.userData.cartId = cartData.id;
-    drawerGroup.userData.drawerNumber = drawerNumber;
-    drawerGroup.userData.isOpen = false;
+// Drawer color (based on cart type), shared by every storage location on the cart
+function getDrawerColor(cartData) {
+    if (cartData.type === 'crash') return '#F44336';
+    if (cartData.type === 'airway') return '#4CAF50';
+    if (cartData.type === 'medication') return '#2196F3';
+    if (cartData.type === 'trauma') return '#FF9800';
+    if (cartData.type === 'iv') return '#9C27B0';
+    return '#999999';
+}
 
-    // Find drawer data from config
-    const drawerData = CONFIG.drawers.find(d =>
-        d.cart === cartData.id && d.number === drawerNumber
-    );
+// Group for one storage location; everything that finds drawers in the scene relies on this userData
+function createStorageGroup(cartData, drawerData) {
+    const group = new THREE.Group();
+    group.userData.type = 'drawer';
+    group.userData.cartId = cartData.id;
+    group.userData.drawerId = drawerData.id;
+    group.userData.drawerName = drawerData.name;
+    group.userData.kind = getStorageKind(drawerData);
+    group.userData.isOpen = false;
+    group.userData.motion = null; // { object, property, axis, open }; closed is 0
+    return group;
+}
+
+// The part the trainee aims at to open the location
+function setStorageFront(group, mesh) {
+    mesh.userData.interactable = true;
+    group.userData.front = mesh;
+}
+
+// Tray with bin dividers from the location's layout (column dividers run front to back,
+// rows side to side). The tray is centered on y = 0 of parent; item tokens are laid out
+// on its floor when the location opens
+function addStorageTray(group, parent, drawerData, width, height, trayDepth, innerFrontZ, material) {
+    const wallThickness = 0.04;
+    const innerWidth = width - wallThickness * 2;
+    const centerZ = innerFrontZ - trayDepth / 2;
+
+    // Bottom
+    const bottom = new THREE.Mesh(new THREE.BoxGeometry(innerWidth, wallThickness, trayDepth), material);
+    bottom.position.set(0, -height / 2 + wallThickness / 2, centerZ);
+    bottom.receiveShadow = true;
+    parent.add(bottom);
+
+    // Left and right sides
+    const sideGeometry = new THREE.BoxGeometry(wallThickness, height - wallThickness, trayDepth);
+    [-1, 1].forEach(side => {
+        const wall = new THREE.Mesh(sideGeometry, material);
+        wall.position.set(side * (width / 2 - wallThickness / 2), 0, centerZ);
+        wall.castShadow = true;
+        parent.add(wall);
+    });
 
-    if (drawerData) {
-        drawerGroup.userData.drawerId = drawerData.id;
-        drawerGroup.userData.drawerName = drawerData.name;
+    // Back
+    const back = new THREE.Mesh(new THREE.BoxGeometry(innerWidth, height - wallThickness, wallThickness), material);
+    back.position.z = innerFrontZ - trayDepth;
+    back.castShadow = true;
+    parent.add(back);
+
+    const layout = getDrawerLayout(drawerData);
+    const dividerHeight = (height - wallThickness) * 0.7;
+    const dividerY = -height / 2 + wallThickness + dividerHeight / 2;
+    for (let column = 1; column < layout.columns; column++) {
+        const divider = new THREE.Mesh(new THREE.BoxGeometry(wallThickness / 2, dividerHeight, trayDepth), material);
+        divider.position.set(-innerWidth / 2 + (innerWidth * column) / layout.columns, dividerY, centerZ);
+        parent.add(divider);
+    }
+    for (let row = 1; row < layout.rows; row++) {
+        const divider = new THREE.Mesh(new THREE.BoxGeometry(innerWidth, dividerHeight, wallThickness / 2), material);
+        divider.position.set(0, dividerY, innerFrontZ - trayDepth + (trayDepth * row) / layout.rows);
+        parent.add(divider);
     }
 
-    // Drawer color (based on cart type)
-    let drawerColor = '#999999';
-    if (cartData.type === 'crash') drawerColor = '#F44336';
-    else if (cartData.type === 'airway') drawerColor = '#4CAF50';
-    else if (cartData.type === 'medication') drawerColor = '#2196F3';
-    else if (cartData.type === 'trauma') drawerColor = '#FF9800';
-    else if (cartData.type === 'iv') drawerColor = '#9C27B0';
+    group.userData.interior = {
+        object: parent,
+        width: innerWidth,
+        depth: trayDepth,
+        frontZ: innerFrontZ,
+        floorY: -height / 2 + wallThickness
+    };
+}
+
+function createTrayMaterial() {
+    return new THREE.MeshStandardMaterial({
+        color: 0xcccccc, // Light gray interior
+        roughness: 0.8,
+        metalness: 0.1,
+        side: THREE.DoubleSide
+    });
+}
+
+function createDrawer(cartData, drawerData, width, height, depth) {
+    const drawerGroup = createStorageGroup(cartData, drawerData);
 
     const drawerWidth = width * 0.95;
     const drawerDepth = depth * 0.85; // Interior depth
     const wallThickness = 0.04; // Thickness of drawer walls
 
-    // Materials
+    // Drawer front face
     const frontMaterial = new THREE.MeshStandardMaterial({
-        color: drawerColor,
+        color: getDrawerColor(cartData),
         roughness: 0.7,
         metalness: 0.2
     });
-    const interiorMaterial = new THREE.MeshStandardMaterial({
-        color: 0xcccccc, // Light gray interior
-        roughness: 0.8,
-        metalness: 0.1,
-        side: THREE.DoubleSide
-    });
-
-    // Drawer front face
     const frontGeometry = new THREE.BoxGeometry(drawerWidth, height, wallThickness);
     const front = new THREE.Mesh(frontGeometry, frontMaterial);
     // Position slightly in front of cabinet to prevent z-fighting
     front.position.z = depth / 2 + 0.005;
     front.castShadow = true;
-    front.userData.interactable = true;
+    setStorageFront(drawerGroup, front);
     drawerGroup.add(front);
 
-    // Drawer bottom (positioned relative to the new front face position)
-    const bottomGeometry = new THREE.BoxGeometry(drawerWidth - wallThickness * 2, wallThickness, drawerDepth);
-    const bottom = new THREE.Mesh(bottomGeometry, interiorMaterial);
-    bottom.position.y = -height / 2 + wallThickness / 2;
-    // Position from inside surface of front face, extending backward
-    bottom.position.z = (depth / 2 + 0.005 - wallThickness / 2) - wallThickness / 2 - drawerDepth / 2;
-    bottom.receiveShadow = true;
-    drawerGroup.add(bottom);
-
-    // Drawer left side
-    const sideGeometry = new THREE.BoxGeometry(wallThickness, height - wallThickness, drawerDepth);
-    const leftSide = new THREE.Mesh(sideGeometry, interiorMaterial);
-    leftSide.position.x = -drawerWidth / 2 + wallThickness / 2;
-    leftSide.position.z = (depth / 2 + 0.005 - wallThickness / 2) - wallThickness / 2 - drawerDepth / 2;
-    leftSide.castShadow = true;
-    drawerGroup.add(leftSide);
-
-    // Drawer right side
-    const rightSide = new THREE.Mesh(sideGeometry, interiorMaterial);
-    rightSide.position.x = drawerWidth / 2 - wallThickness / 2;
-    rightSide.position.z = (depth / 2 + 0.005 - wallThickness / 2) - wallThickness / 2 - drawerDepth / 2;
-    rightSide.castShadow = true;
-    drawerGroup.add(rightSide);
-
-    // Drawer back
-    const backGeometry = new THREE.BoxGeometry(drawerWidth - wallThickness * 2, height - wallThickness, wallThickness);
-    const back = new THREE.Mesh(backGeometry, interiorMaterial);
-    back.position.z = (depth / 2 + 0.005 - wallThickness / 2) - wallThickness / 2 - drawerDepth;
-    back.castShadow = true;
-    drawerGroup.add(back);
+    // Tray behind the front, starting at the inside surface of the front face
+    const innerFrontZ = depth / 2 + 0.005 - wallThickness;
+    addStorageTray(drawerGroup, drawerGroup, drawerData, drawerWidth, height, drawerDepth, innerFrontZ, createTrayMaterial());
 
     // Drawer handle
     const handleGeometry = new THREE.CylinderGeometry(0.02, 0.02, width * 0.4, 12);
@@ -1218,10 +1383,303 @@ function createDrawer(cartData, drawerNumber, width, height, depth) {
     handle.position.z = depth / 2 + 0.005 + wallThickness / 2 + 0.015;
     drawerGroup.add(handle);
 
+    // Slides out toward the trainee
+    drawerGroup.userData.motion = { object: drawerGroup, property: 'position', axis: 'z', open: depth * 0.4 };
+
     return drawerGroup;
 }
 
-// Build all carts from configuration
+// Cart body: one box, or solid blocks with side and back walls around each cabinet and
+// shelf opening. Every part is highlighted with the cart by hints (they share the material)
+function addCartBody(cartGroup, width, height, depth, openings, material) {
+    const shell = STORAGE_PROPERTIES.shellThickness;
+    const addPart = (sizeX, sizeY, sizeZ, x, y, z) => {
+        if (sizeY <= 0) return;
+        const part = new THREE.Mesh(new THREE.BoxGeometry(sizeX, sizeY, sizeZ), material);
+        part.position.set(x, y, z);
+        part.castShadow = true;
+        part.receiveShadow = true;
+        part.userData.isCartBody = true;
+        cartGroup.add(part);
+    };
+
+    let solidBottom = 0;
+    openings.forEach(opening => {
+        const openingBottom = opening.y - opening.height / 2;
+        addPart(width, openingBottom - solidBottom, depth, 0, (solidBottom + openingBottom) / 2, 0);
+        addPart(shell, opening.height, depth, -width / 2 + shell / 2, opening.y, 0);
+        addPart(shell, opening.height, depth, width / 2 - shell / 2, opening.y, 0);
+        addPart(width - shell * 2, opening.height, shell, 0, opening.y, -depth / 2 + shell / 2);
+        solidBottom = openingBottom + opening.height;
+    });
+    addPart(width, height - solidBottom, depth, 0, (solidBottom + height) / 2, 0);
+}
+
+// Swing-door cabinet: the bins sit on the cabinet floor, the door turns on its hinge side
+function createCabinet(cartData, drawerData, width, height, depth) {
+    const group = createStorageGroup(cartData, drawerData);
+    const shell = STORAGE_PROPERTIES.shellThickness;
+    addStorageTray(group, group, drawerData, width - shell * 2, height, depth - shell - 0.02, depth / 2 - 0.01, createTrayMaterial());
+
+    // Door on a pivot at its hinge edge
+    const doorWidth = width - 0.02;
+    const hingeSide = drawerData.hinge === 'right' ? 1 : -1;
+    const pivot = new THREE.Group();
+    pivot.position.set(hingeSide * doorWidth / 2, 0, depth / 2 + STORAGE_PROPERTIES.doorThickness / 2);
+    group.add(pivot);
+
+    const door = new THREE.Mesh(
+        new THREE.BoxGeometry(doorWidth, height - 0.02, STORAGE_PROPERTIES.doorThickness),
+        new THREE.MeshStandardMaterial({ color: getDrawerColor(cartData), roughness: 0.7, metalness: 0.2 })
+    );
+    door.position.x = -hingeSide * doorWidth / 2;
+    door.castShadow = true;
+    setStorageFront(group, door);
+    pivot.add(door);
+
+    // Vertical pull near the free edge
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.02, 0.02, Math.min(0.6, height * 0.5), 12),
+        new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.3, metalness: 0.8 })
+    );
+    handle.position.set(-hingeSide * (doorWidth - 0.15), 0, STORAGE_PROPERTIES.doorThickness / 2 + 0.03);
+    pivot.add(handle);
+
+    group.userData.motion = { object: pivot, property: 'rotation', axis: 'y', open: hingeSide * STORAGE_PROPERTIES.doorSwing };
+    return group;
+}
+
+// Open shelf: always visible, so it doesn't move; the trainee aims at the lip along its front
+function createShelf(cartData, drawerData, width, height, depth) {
+    const group = createStorageGroup(cartData, drawerData);
+    const shell = STORAGE_PROPERTIES.shellThickness;
+    addStorageTray(group, group, drawerData, width - shell * 2, height, depth - shell - 0.02, depth / 2 - 0.01, createTrayMaterial());
+
+    const lip = new THREE.Mesh(
+        new THREE.BoxGeometry(width - shell * 2, 0.12, 0.04),
+        new THREE.MeshStandardMaterial({ color: getDrawerColor(cartData), roughness: 0.7, metalness: 0.2 })
+    );
+    lip.position.set(0, -height / 2 + 0.06, depth / 2 + 0.01);
+    setStorageFront(group, lip);
+    group.add(lip);
+
+    return group;
+}
+
+// Rails across the cart front, one per elevation, with their baskets spread along them
+// in drawer-number order. Rails above the cart top stand on two posts
+function addRailBaskets(cartGroup, cartData, baskets, width, height, depth) {
+    const railMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc, roughness: 0.2, metalness: 0.9 });
+    const radius = STORAGE_PROPERTIES.railRadius;
+    const railZ = depth / 2 + 0.02 + radius;
+
+    const rails = new Map();
+    baskets.forEach(basket => {
+        const elevation = Math.round((basket.elevation ?? 4.5) * 100) / 100;
+        if (!rails.has(elevation)) rails.set(elevation, []);
+        rails.get(elevation).push(basket);
+    });
+
+    rails.forEach((railBaskets, elevation) => {
+        const rail = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, width, 8), railMaterial);
+        rail.rotation.z = Math.PI / 2;
+        rail.position.set(0, elevation, railZ);
+        cartGroup.add(rail);
+
+        if (elevation > height) {
+            [-1, 1].forEach(side => {
+                const post = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, elevation - height, 8), railMaterial);
+                post.position.set(side * (width / 2 - 0.05), (height + elevation) / 2, railZ);
+                cartGroup.add(post);
+            });
+        }
+
+        const slotWidth = width / railBaskets.length;
+        const basketWidth = Math.min(STORAGE_PROPERTIES.basketWidth, slotWidth * 0.9);
+        railBaskets.forEach((basket, index) => {
+            const x = -width / 2 + (index + 0.5) * slotWidth;
+            cartGroup.add(createRailBasket(cartData, basket, x, elevation, basketWidth, railZ));
+        });
+    });
+}
+
+// A basket hangs just below its rail and tips forward on its bottom front edge to open
+function createRailBasket(cartData, drawerData, x, elevation, basketWidth, railZ) {
+    const group = createStorageGroup(cartData, drawerData);
+    const basketHeight = STORAGE_PROPERTIES.basketHeight;
+    const basketDepth = STORAGE_PROPERTIES.basketDepth;
+
+    const pivot = new THREE.Group();
+    pivot.position.set(x, elevation - 0.05 - basketHeight, railZ + basketDepth);
+    group.add(pivot);
+
+    // Tray centered above the pivot, so the pivot is its bottom front edge
+    const tray = new THREE.Group();
+    tray.position.y = basketHeight / 2;
+    pivot.add(tray);
+    addStorageTray(group, tray, drawerData, basketWidth, basketHeight, basketDepth, 0, createTrayMaterial());
+
+    const front = new THREE.Mesh(
+        new THREE.BoxGeometry(basketWidth, basketHeight * 0.7, 0.04),
+        new THREE.MeshStandardMaterial({ color: getDrawerColor(cartData), roughness: 0.7, metalness: 0.2 })
+    );
+    front.position.set(0, -basketHeight * 0.15, -0.02);
+    setStorageFront(group, front);
+    tray.add(front);
+
+    group.userData.motion = { object: pivot, property: 'rotation', axis: 'x', open: STORAGE_PROPERTIES.basketTilt };
+    return group;
+}
+
+// Direction of an IV pole hook around the pole; the first hook faces the front of the cart
+function getHookAngle(index) {
+    return Math.PI / 2 + (index / STORAGE_PROPERTIES.hookCount) * Math.PI * 2;
+}
+
+// Hook a bag hangs from; hooks past the pole's hook count use the last hook
+function getBagHookIndex(drawerData) {
+    return Math.min(STORAGE_PROPERTIES.hookCount - 1, Math.max(0, drawerData.hook || 0));
+}
+
+// IV bag hanging from its hook, facing away from the pole; it swings out when opened.
+// Bags sharing a hook hang one behind the other (bagIndex 0 is closest to the pole).
+// Bags have no tray, so their items are only listed in the popup
+function createIVBag(cartData, drawerData, hookY, poleZ, bagIndex) {
+    const group = createStorageGroup(cartData, drawerData);
+    const angle = getHookAngle(getBagHookIndex(drawerData));
+
+    // Turn to face away from the pole, then swing about the hook
+    const pivot = new THREE.Group();
+    pivot.position.set(
+        Math.cos(angle) * STORAGE_PROPERTIES.hookSpacing,
+        hookY,
+        poleZ + Math.sin(angle) * STORAGE_PROPERTIES.hookSpacing
+    );
+    pivot.rotation.y = Math.PI / 2 - angle;
+    group.add(pivot);
+
+    const swing = new THREE.Group();
+    swing.position.z = bagIndex * STORAGE_PROPERTIES.bagSpacing;
+    pivot.add(swing);
+
+    const bag = new THREE.Mesh(
+        new THREE.BoxGeometry(STORAGE_PROPERTIES.bagWidth, STORAGE_PROPERTIES.bagHeight, STORAGE_PROPERTIES.bagDepth),
+        new THREE.MeshStandardMaterial({ color: 0xe3f2fd, roughness: 0.2, metalness: 0, transparent: true, opacity: 0.85 })
+    );
+    bag.position.set(0, -0.05 - STORAGE_PROPERTIES.bagHeight / 2, STORAGE_PROPERTIES.bagDepth / 2);
+    setStorageFront(group, bag);
+    swing.add(bag);
+
+    // Printed label in the cart's drawer color
+    const label = new THREE.Mesh(
+        new THREE.BoxGeometry(STORAGE_PROPERTIES.bagWidth * 0.6, STORAGE_PROPERTIES.bagHeight * 0.3, 0.005),
+        new THREE.MeshStandardMaterial({ color: getDrawerColor(cartData), roughness: 0.6, metalness: 0 })
+    );
+    label.position.set(0, -0.05 - STORAGE_PROPERTIES.bagHeight * 0.4, STORAGE_PROPERTIES.bagDepth + 0.003);
+    swing.add(label);
+
+    group.userData.motion = { object: swing, property: 'rotation', axis: 'x', open: -STORAGE_PROPERTIES.bagSwing };
+    return group;
+}
+
+// ============================================================================
+// ROOM FIXTURES
+// ============================================================================
+
+// Fixtures whose underside is below head height block the player (wall monitors don't)
+const FIXTURE_HEAD_CLEARANCE = 6; // feet
+
+function addFixtureBox(group, width, height, depth, x, y, z, color, material = {}) {
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(width, height, depth),
+        new THREE.MeshStandardMaterial({ color: color, roughness: 0.6, metalness: 0.2, ...material })
+    );
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+}
+
+function addFixtureCylinder(group, radius, height, x, y, z, color) {
+    const mesh = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius, radius, height, 16),
+        new THREE.MeshStandardMaterial({ color: color, roughness: 0.3, metalness: 0.7 })
+    );
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    group.add(mesh);
+}
+
+// Create 3D fixture from configuration data (same parts as the designer's fixtureModel.js)
+function create3DFixture(fixtureData) {
+    const group = new THREE.Group();
+    group.userData.fixtureId = fixtureData.id;
+    group.userData.type = 'fixture';
+
+    const width = fixtureData.width || 2;
+    const depth = fixtureData.depth || 2;
+    const height = fixtureData.height || 3;
+    const elevation = fixtureData.elevation || 0;
+    const color = fixtureData.color || '#BCAAA4';
+
+    switch (fixtureData.type) {
+        case 'stretcher': {
+            const frameTop = height - 0.4;
+            addFixtureBox(group, width, 0.25, depth, 0, frameTop - 0.125, 0, color, { metalness: 0.6 });
+            addFixtureBox(group, width - 0.1, 0.4, depth - 0.2, 0, height - 0.2, 0, '#FFFFFF', { roughness: 0.9, metalness: 0 });
+            [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sz]) => {
+                addFixtureCylinder(group, 0.08, frameTop, sx * (width / 2 - 0.2), frameTop / 2, sz * (depth / 2 - 0.3), color);
+            });
+            break;
+        }
+        case 'door': {
+            const leaf = width / 2 - 0.03;
+            [-1, 1].forEach(side => {
+                addFixtureBox(group, leaf, height, depth, side * (leaf / 2 + 0.03), height / 2, 0, color, { roughness: 0.8, metalness: 0 });
+                addFixtureBox(group, 0.08, 0.8, 0.1, side * 0.25, 3.5, depth / 2 + 0.05, '#B0BEC5', { roughness: 0.2, metalness: 0.8 });
+            });
+            break;
+        }
+        case 'sink':
+            addFixtureBox(group, width, height - 0.15, depth - 0.1, 0, (height - 0.15) / 2, -0.05, '#BCAAA4');
+            addFixtureBox(group, width, 0.15, depth, 0, height - 0.075, 0, color, { roughness: 0.2, metalness: 0.8 });
+            addFixtureBox(group, width * 0.6, 0.02, depth * 0.5, 0, height + 0.01, 0.1, '#78909C', { roughness: 0.2, metalness: 0.8 });
+            addFixtureCylinder(group, 0.05, 0.8, 0, height + 0.4, -depth / 2 + 0.2, color);
+            break;
+        case 'boom': {
+            const column = ROOM_HEIGHT - elevation - height;
+            addFixtureBox(group, width, height, depth, 0, height / 2, 0, color);
+            if (column > 0) {
+                addFixtureCylinder(group, 0.25, column, 0, height + column / 2, 0, '#B0BEC5');
+            }
+            break;
+        }
+        case 'monitor':
+            addFixtureBox(group, width, height, depth, 0, height / 2, 0, color);
+            addFixtureBox(group, width - 0.15, height - 0.15, 0.02, 0, height / 2, depth / 2 + 0.01, '#0B3D2E', { emissive: 0x0A3D2A, roughness: 0.1, metalness: 0 });
+            break;
+        default: // Wall counter
+            addFixtureBox(group, width, height - 0.15, depth - 0.1, 0, (height - 0.15) / 2, -0.05, color);
+            addFixtureBox(group, width, 0.15, depth, 0, height - 0.075, 0, '#EEEEEE', { roughness: 0.4 });
+            break;
+    }
+
+    // Position in room (lifted by its elevation)
+    const angle = ((fixtureData.rotation || 0) * Math.PI) / 180;
+    group.position.set((fixtureData.x - 0.5) * ROOM_WIDTH, elevation, (fixtureData.y - 0.5) * ROOM_DEPTH);
+    group.rotation.y = angle;
+
+    // Axis-aligned footprint of the rotated fixture, for collision
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    group.userData.halfWidth = (width * cos + depth * sin) / 2;
+    group.userData.halfDepth = (width * sin + depth * cos) / 2;
+    group.userData.blocksPlayer = elevation < FIXTURE_HEAD_CLEARANCE;
+
+    return group;
+}
+
+// Build all carts and fixtures from configuration
 function buildScene() {
     console.log('Building scene from configuration...');
 
@@ -1231,6 +1689,17 @@ function buildScene() {
     });
     cartMeshes.clear();
 
+    // Fixtures (older configurations have none)
+    fixtureMeshes.forEach(fixtureGroup => {
+        scene.remove(fixtureGroup);
+    });
+    fixtureMeshes.clear();
+    (CONFIG.fixtures || []).forEach(fixtureData => {
+        const fixtureGroup = create3DFixture(fixtureData);
+        scene.add(fixtureGroup);
+        fixtureMeshes.set(fixtureData.id, fixtureGroup);
+    });
+
     // Create carts
     CONFIG.carts.forEach(cartData => {
         if (!cartData.isInventory) {
@@ -1240,7 +1709,7 @@ function buildScene() {
         }
     });
 
-    console.log(`✓ Created ${cartMeshes.size} carts`);
+    console.log(`✓ Created ${cartMeshes.size} carts and ${fixtureMeshes.size} fixtures`);
 }
 
 // ============================================================================
@@ -1269,6 +1738,19 @@ function setupInputHandlers() {
         if (!isPointerLocked) {
             // Show ESC menu hint
             console.log('Pointer unlocked - press ESC for menu');
+            pausePointPrompt(true);
+        } else {
+            resumePointPrompt();
+        }
+    });
+
+    // Hold the point quiz countdown while the tab is in the background
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pausePointPrompt();
+        } else if (isPointerLocked || !pointPausedByUnlock) {
+            // Touch devices never lock the pointer, so coming back is enough there
+            resumePointPrompt();
         }
     });
 
@@ -1298,6 +1780,12 @@ function onKeyDown(event) {
         return;
     }
 
+    // Finish the scenario early
+    if (key === 'enter' && currentScenario && !drawerPopup.classList.contains('visible')) {
+        event.preventDefault();
+        finishScenario();
+    }
+
     // Camera view switching
     if (key === 'c') {
         event.preventDefault();
@@ -1336,12 +1824,16 @@ function onKeyUp(event) {
 function onMouseMove(event) {
     if (!isPointerLocked) return;
 
-    // Only allow mouse look in first-person mode
-    if (!isFirstPersonMode) return;
+    // Only allow mouse look in first-person mode; fixed views move the point quiz's cursor instead
+    if (!isFirstPersonMode) {
+        if (isPointQuizActive()) moveAimPoint(event.movementX, event.movementY);
+        return;
+    }
 
     // Update player rotation based on mouse movement
     playerRotation.yaw -= event.movementX * mouseSensitivity;
     playerRotation.pitch -= event.movementY * mouseSensitivity;
+    trackTutorialProgress('look', (Math.abs(event.movementX) + Math.abs(event.movementY)) * mouseSensitivity);
 
     // Clamp pitch to prevent flipping
     playerRotation.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, playerRotation.pitch));
@@ -1376,15 +1868,25 @@ function animate() {
     // Update performance stats
     updatePerformanceStats(currentTime);
 
-    // Update player movement
-    updatePlayerMovement(deltaTime);
+    // Update player movement (or drive the player from a recorded run)
+    if (replayState) {
+        updateReplay(deltaTime);
+    } else {
+        updatePlayerMovement(deltaTime);
+    }
 
     // Update camera position/rotation
     updateCamera();
 
+    // Sample the player's pose for the session recording
+    recordPoseSample();
+
     // Check what player is looking at
     updateLookingAt();
 
+    // Escalate and animate hint cues
+    updateHints();
+
     // Render
     renderer.render(scene, camera);
 }
@@ -1435,7 +1937,7 @@ function updatePlayerMovement(deltaTime) {
         // Apply movement
         const newPosition = playerPosition.clone().add(movement);
 
-        // Advanced collision detection with carts
+        // Advanced collision detection with carts and fixtures
         if (!checkCartCollision(newPosition)) {
             playerPosition.copy(newPosition);
         } else {
@@ -1450,6 +1952,10 @@ function updatePlayerMovement(deltaTime) {
             }
         }
 
+        // Tutorial: distance walked and time spent sprinting
+        trackTutorialProgress('move', movement.length());
+        if (keys.shift) trackTutorialProgress('sprint', deltaTime);
+
         // Play footstep sounds
         footstepTimer += deltaTime;
         if (footstepTimer >= footstepInterval) {
@@ -1494,6 +2000,19 @@ function checkCartCollision(position) {
         }
     }
 
+    // Fixtures use the footprint worked out when they were built
+    for (let [fixtureId, fixtureGroup] of fixtureMeshes) {
+        const footprint = fixtureGroup.userData;
+        if (!footprint.blocksPlayer) continue;
+
+        const dx = Math.abs(position.x - fixtureGroup.position.x);
+        const dz = Math.abs(position.z - fixtureGroup.position.z);
+
+        if (dx < footprint.halfWidth + playerRadius && dz < footprint.halfDepth + playerRadius) {
+            return true;
+        }
+    }
+
     return false; // No collision
 }
 
@@ -1507,19 +2026,17 @@ function updateCamera() {
 }
 
 function updateLookingAt() {
-    // Raycast from camera center to see what we're looking at
-    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    // Raycast from camera center to see what we're looking at (the point quiz reaches
+    // across the room, and aims with a free cursor in fixed camera views)
+    raycaster.far = isPointQuizActive() ? POINT_QUIZ_REACH : INTERACT_REACH;
+    raycaster.setFromCamera(isFirstPersonMode ? new THREE.Vector2(0, 0) : aimPoint, camera);
 
-    // Get all drawer meshes
+    // Get the front of every drawer and other storage location
     const interactableMeshes = [];
     cartMeshes.forEach(cartGroup => {
         cartGroup.children.forEach(child => {
-            if (child.userData.type === 'drawer') {
-                child.children.forEach(mesh => {
-                    if (mesh.userData.interactable) {
-                        interactableMeshes.push(mesh);
-                    }
-                });
+            if (child.userData.type === 'drawer' && child.userData.front) {
+                interactableMeshes.push(child.userData.front);
             }
         });
     });
@@ -1528,45 +2045,59 @@ function updateLookingAt() {
 
     // Clear previous highlight
     if (lookingAtDrawer) {
-        if (lookingAtDrawer.material) {
-            lookingAtDrawer.material.emissive = new THREE.Color(0x000000);
-            lookingAtDrawer.material.emissiveIntensity = 0;
-        }
+        setMeshHighlight(lookingAtDrawer, 0x000000, 0);
     }
 
     if (intersects.length > 0) {
         const drawerMesh = intersects[0].object;
-        const drawerGroup = drawerMesh.parent;
+        const drawerGroup = getStorageGroup(drawerMesh);
 
         lookingAtDrawer = drawerMesh;
 
-        // Highlight - ensure material properties exist
-        if (drawerMesh.material) {
-            drawerMesh.material.emissive = new THREE.Color(0x0e639c);
-            drawerMesh.material.emissiveIntensity = 0.3;
-        }
+        // Highlight
+        setMeshHighlight(drawerMesh, 0x0e639c, 0.3);
 
         // Show interaction prompt
         const drawerName = drawerGroup.userData.drawerName || 'Drawer';
-        showInteractPrompt(`Press E to open ${drawerName}`);
+        const verb = STORAGE_KINDS[drawerGroup.userData.kind].verb;
+        showInteractPrompt(isPointQuizActive() ? `Click to choose ${drawerName}` : `Press E to ${verb} ${drawerName}`);
     } else {
         lookingAtDrawer = null;
         hideInteractPrompt();
     }
 }
 
+// Emissive glow shared by the look-at highlight and hint cues
+function setMeshHighlight(mesh, color, intensity) {
+    // Ensure material properties exist
+    if (!mesh || !mesh.material) return;
+    mesh.material.emissive = new THREE.Color(color);
+    mesh.material.emissiveIntensity = intensity;
+}
+
 // ============================================================================
 // INTERACTION
 // ============================================================================
 
 function interactWithDrawer(drawerMesh) {
-    const drawerGroup = drawerMesh.parent;
+    // Drawers follow the recording during replay
+    if (replayState) return;
+
+    // The point quiz answers with the drawer instead of opening it
+    if (isPointQuizActive()) {
+        answerPointPrompt(getStorageGroup(drawerMesh).userData.drawerId);
+        return;
+    }
+
+    const drawerGroup = getStorageGroup(drawerMesh);
     const drawerId = drawerGroup.userData.drawerId;
     const drawerName = drawerGroup.userData.drawerName;
 
     // Toggle open/close
     if (!drawerGroup.userData.isOpen) {
         openDrawer(drawerGroup);
+        advanceTutorial('openDrawer');
+        noteReviewDrawerOpened(drawerId);
 
         // Show popup with drawer contents
         showDrawerItemsPopup(drawerId, drawerName);
@@ -1579,7 +2110,9 @@ function openDrawer(drawerGroup) {
     if (drawerGroup.userData.isOpen) return;
 
     drawerGroup.userData.isOpen = true;
-    animateDrawer(drawerGroup, drawerGroup.userData.openZ);
+    addItemTokens(drawerGroup);
+    animateDrawer(drawerGroup, drawerGroup.userData.motion ? drawerGroup.userData.motion.open : 0);
+    recordEvent('o', drawerGroup.userData.drawerId);
 
     // Play sound effect
     playSound('drawerOpen');
@@ -1592,7 +2125,8 @@ function closeDrawer(drawerGroup) {
     if (!drawerGroup.userData.isOpen) return;
 
     drawerGroup.userData.isOpen = false;
-    animateDrawer(drawerGroup, drawerGroup.userData.closedZ);
+    animateDrawer(drawerGroup, 0);
+    recordEvent('c', drawerGroup.userData.drawerId);
 
     // Play sound effect
     playSound('drawerClose');
@@ -1601,17 +2135,23 @@ function closeDrawer(drawerGroup) {
     triggerHapticFeedback('light');
 }
 
-function animateDrawer(drawerGroup, targetZ) {
+// Drawers slide along z; doors, baskets and bags turn (target in feet or radians, closed is 0).
+// Open shelves have no motion
+function animateDrawer(drawerGroup, target) {
+    const motion = drawerGroup.userData.motion;
+    if (!motion) return;
+
+    const value = motion.object[motion.property];
     const animate = () => {
-        const current = drawerGroup.position.z;
-        const diff = targetZ - current;
+        const current = value[motion.axis];
+        const diff = target - current;
 
         if (Math.abs(diff) < 0.01) {
-            drawerGroup.position.z = targetZ;
+            value[motion.axis] = target;
             return;
         }
 
-        drawerGroup.position.z += diff * 0.15;
+        value[motion.axis] += diff * 0.15;
         requestAnimationFrame(animate);
     };
     animate();
@@ -1621,11 +2161,6 @@ function showDrawerItemsPopup(drawerId, drawerName) {
     // Find all items in this drawer from CONFIG (not just scenario items)
     const allItemsInDrawer = CONFIG.items.filter(item => item.drawer === drawerId);
 
-    // Check which items are needed in current scenario (if any)
-    const neededItemIds = currentScenario ? currentScenario.items.map(i => i.itemId) : [];
-    const essentialItemIds = currentScenario ?
-        currentScenario.items.filter(i => i.essential).map(i => i.itemId) : [];
-
     // Populate popup
     const popup = document.getElementById('drawer-items-popup');
     const titleEl = document.getElementById('drawer-popup-title');
@@ -1634,50 +2169,315 @@ function showDrawerItemsPopup(drawerId, drawerName) {
     titleEl.textContent = drawerName || 'Drawer Contents';
     listEl.innerHTML = '';
 
-    if (allItemsInDrawer.length === 0) {
+    sendXapiStatement('experienced', buildXapiActivity('drawers', drawerId, drawerName || 'Drawer',
+        'http://adlnet.gov/expapi/activities/interaction'));
+
+    if (currentScenario && currentScenario.isQuiz) {
+        renderQuizPopup();
+    } else if (currentScenario && currentScenario.isRestock) {
+        renderRestockPopup(drawerId);
+    } else if (isCheckDrawer(drawerId)) {
+        renderCheckPopup(drawerId);
+    } else if (allItemsInDrawer.length === 0) {
         listEl.innerHTML = '<div class="drawer-items-empty">This drawer is empty</div>';
     } else {
-        allItemsInDrawer.forEach(item => {
-            const itemDiv = document.createElement('div');
-            itemDiv.className = 'drawer-item';
+        const drawer = CONFIG.drawers.find(d => d.id === drawerId);
+        const layout = getDrawerLayout(drawer);
+        if (layout.columns * layout.rows > 1) {
+            renderDrawerBins(listEl, drawer, allItemsInDrawer);
+        } else {
+            allItemsInDrawer.forEach(item => listEl.appendChild(createDrawerItemRow(item)));
+        }
+    }
 
-            // Check if this item is essential for the current scenario
-            if (essentialItemIds.includes(item.id)) {
-                itemDiv.classList.add('essential');
-            }
+    // Release the pointer so the trainee can click items
+    document.exitPointerLock();
 
-            itemDiv.innerHTML = `
-                <div class="drawer-item-icon">📦</div>
-                <div class="drawer-item-name">${item.name}</div>
-            `;
-            listEl.appendChild(itemDiv);
+    // Show popup
+    popup.classList.add('visible');
 
-            // Mark items as found if they're needed in the scenario
-            if (neededItemIds.includes(item.id) && !foundItems.has(item.id)) {
-                foundItems.add(item.id);
-                console.log(`✓ Found item: ${item.name}`);
+    // Play drawer open sound
+    playSound('drawerOpen');
+}
 
-                // Sound effect
-                playSound('itemFound');
-            }
+// One popup row for an item, with a pick button during a scenario
+function createDrawerItemRow(item) {
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'drawer-item';
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'drawer-item-name';
+    nameDiv.textContent = item.name;
+    itemDiv.append(createItemIcon(item, '📦'), nameDiv);
+
+    // During a scenario the trainee has to pick each item they think is needed
+    if (currentScenario && !currentScenario.isCheck) {
+        const pickBtn = document.createElement('button');
+        pickBtn.className = 'drawer-item-pick-btn';
+        itemDiv.appendChild(pickBtn);
+        updateDrawerItemState(itemDiv, item.id);
+
+        pickBtn.addEventListener('click', () => {
+            pickItem(item);
+            updateDrawerItemState(itemDiv, item.id);
         });
+    }
 
-        // Update progress after all items are marked
-        if (currentScenario) {
-            updateProgress();
-        }
+    return itemDiv;
+}
+
+// Lay a drawer's items out in its bins as seen from above, back row first
+function renderDrawerBins(listEl, drawer, items) {
+    const layout = getDrawerLayout(drawer);
+
+    const grid = document.createElement('div');
+    grid.className = 'drawer-bins';
+    grid.style.gridTemplateColumns = `repeat(${layout.columns}, 1fr)`;
+
+    for (let index = 0; index < layout.columns * layout.rows; index++) {
+        const binItems = items.filter(item => isItemInBin(item, layout) && item.bin === index);
+
+        const binDiv = document.createElement('div');
+        binDiv.className = 'drawer-bin' + (binItems.length === 0 ? ' empty' : '');
+        binDiv.innerHTML = `<div class="drawer-bin-label">${getBinLabel(drawer, index)}</div>`;
+        binItems.forEach(item => binDiv.appendChild(createDrawerItemRow(item)));
+        grid.appendChild(binDiv);
     }
 
-    // Show popup
-    popup.classList.add('visible');
+    listEl.appendChild(grid);
 
-    // Play drawer open sound
-    playSound('drawerOpen');
+    const caption = document.createElement('div');
+    caption.className = 'drawer-bins-front';
+    caption.textContent = '▼ Front of drawer';
+    listEl.appendChild(caption);
+
+    const looseItems = items.filter(item => !isItemInBin(item, layout));
+    if (looseItems.length > 0) {
+        const looseLabel = document.createElement('div');
+        looseLabel.className = 'drawer-items-section';
+        looseLabel.textContent = 'Loose in drawer';
+        listEl.appendChild(looseLabel);
+        looseItems.forEach(item => listEl.appendChild(createDrawerItemRow(item)));
+    }
+}
+
+// Reflect picked / wrong state on a popup row
+function updateDrawerItemState(itemDiv, itemId) {
+    const pickBtn = itemDiv.querySelector('.drawer-item-pick-btn');
+    const picked = foundItems.has(itemId);
+    const wrong = wrongItems.has(itemId);
+
+    itemDiv.classList.toggle('picked', picked);
+    itemDiv.classList.toggle('wrong', wrong);
+    pickBtn.disabled = picked || wrong;
+    pickBtn.textContent = picked ? '✓ Picked' : wrong ? '✗ Not needed' : 'Pick';
+}
+
+// Trainee picks an item from an open drawer
+function pickItem(item) {
+    if (!currentScenario) return;
+    if (foundItems.has(item.id) || wrongItems.has(item.id)) return;
+
+    const needed = getActiveItems().some(i => i.itemId === item.id);
+    recordEvent('k', item.id, needed ? 1 : 0);
+
+    if (needed) {
+        foundItems.add(item.id);
+        console.log(`✓ Picked item: ${item.name}`);
+        sendXapiStatement('found', buildXapiActivity('items', item.id, item.name,
+            'http://adlnet.gov/expapi/activities/interaction'), { success: true });
+        playSound('itemFound');
+        triggerHapticFeedback('medium');
+        showItemFoundNotification(item.name);
+        noteHintProgress();
+        advanceTutorial('findItem');
+        checkEventResponses();
+        updateProgress();
+    } else {
+        // Record the mistake; it is penalised when the attempt is scored
+        wrongItems.add(item.id);
+        console.log(`✗ Wrong item: ${item.name}`);
+        triggerHapticFeedback('heavy');
+        showNotification(`✗ ${item.name} is not needed for this ${getCurrentStage() ? 'stage' : 'scenario'}`);
+    }
 }
 
 function closeDrawerPopup() {
+    closeItemImageZoom();
     const popup = document.getElementById('drawer-items-popup');
+    if (popup.classList.contains('visible')) advanceTutorial('readContents');
     popup.classList.remove('visible');
+
+    // Resume mouse look if a scenario is still running
+    if (currentScenario && !document.getElementById('completion-screen').classList.contains('visible')) {
+        document.getElementById('three-canvas').requestPointerLock();
+    }
+}
+
+// ============================================================================
+// ITEM IMAGES
+// ============================================================================
+
+const ITEM_TOKEN_MAX_SIZE = 0.35; // feet; tokens shrink to fit a crowded bin
+const itemTextures = new Map();   // itemId -> THREE.Texture (the item's image, or a name card)
+
+// Popup icon for an item: its image (click to zoom) when the designer uploaded one.
+// Names are typed by designers, so they are set as properties rather than markup
+function createItemIcon(item, icon) {
+    if (!item || !item.image) {
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'drawer-item-icon';
+        iconDiv.textContent = icon;
+        return iconDiv;
+    }
+    const img = document.createElement('img');
+    img.className = 'drawer-item-image';
+    img.src = item.image;
+    img.alt = item.name;
+    img.addEventListener('click', () => showItemImageZoom(item.id));
+    return img;
+}
+
+function showItemImageZoom(itemId) {
+    const item = CONFIG.items.find(i => i.id === itemId);
+    if (!item || !item.image) return;
+
+    document.getElementById('item-image-zoom-img').src = item.image;
+    document.getElementById('item-image-zoom-img').alt = item.name;
+    document.getElementById('item-image-zoom-name').textContent = item.name;
+    document.getElementById('item-image-zoom').classList.add('visible');
+}
+
+function closeItemImageZoom() {
+    document.getElementById('item-image-zoom').classList.remove('visible');
+}
+
+// Items without an image get a white card with their name
+function createItemNameCard(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.strokeStyle = '#0e639c';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(3, 3, 122, 122);
+
+    // Wrap the name onto as many lines as fit
+    ctx.fillStyle = '#222222';
+    ctx.font = 'bold 18px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const lines = [];
+    name.split(' ').forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && ctx.measureText(`${last} ${word}`).width <= 110) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+    const shown = lines.slice(0, 5);
+    shown.forEach((line, index) => {
+        ctx.fillText(line, 64, 64 + (index - (shown.length - 1) / 2) * 22, 116);
+    });
+
+    return canvas;
+}
+
+function getItemTexture(item) {
+    if (!itemTextures.has(item.id)) {
+        const texture = item.image
+            ? new THREE.TextureLoader().load(item.image)
+            : new THREE.CanvasTexture(createItemNameCard(item.name));
+        texture.colorSpace = THREE.SRGBColorSpace;
+        itemTextures.set(item.id, texture);
+    }
+    return itemTextures.get(item.id);
+}
+
+// What the trainee would see in the drawer: the quiz hides the contents, restocking
+// shows the stock plus what was put back, and the daily check shows the staged contents
+function getDrawerTokenItems(drawerId) {
+    if (currentScenario && currentScenario.isQuiz) return [];
+
+    if (currentScenario && currentScenario.isRestock) {
+        const toteIds = new Set(currentScenario.items.map(i => i.itemId));
+        const placed = restockPlacements
+            .filter(p => p.drawerId === drawerId)
+            .map(p => CONFIG.items.find(i => i.id === p.itemId))
+            .filter(Boolean)
+            .map(item => ({ ...item, bin: null })); // Put back loose, not in their bins
+        return CONFIG.items.filter(item => item.drawer === drawerId && !toteIds.has(item.id)).concat(placed);
+    }
+
+    if (isCheckDrawer(drawerId)) return getCheckContents(drawerId);
+
+    return CONFIG.items.filter(item => item.drawer === drawerId);
+}
+
+// Lay flat, textured tokens for the drawer's items on the tray floor, each in its bin;
+// loose items are spread over the whole drawer. Rebuilt every time the drawer opens.
+function addItemTokens(drawerGroup) {
+    (drawerGroup.userData.itemTokens || []).forEach(token => {
+        token.removeFromParent();
+        token.geometry.dispose();
+        token.material.dispose(); // Textures are shared through itemTextures
+    });
+    drawerGroup.userData.itemTokens = [];
+
+    const interior = drawerGroup.userData.interior;
+    const drawer = CONFIG.drawers.find(d => d.id === drawerGroup.userData.drawerId);
+    if (!interior || !drawer) return;
+
+    const layout = getDrawerLayout(drawer);
+    const items = getDrawerTokenItems(drawer.id);
+    const backZ = interior.frontZ - interior.depth;
+    const binWidth = interior.width / layout.columns;
+    const binDepth = interior.depth / layout.rows;
+
+    const regions = Array.from({ length: layout.columns * layout.rows }, (_, index) => ({
+        x: -interior.width / 2 + (index % layout.columns) * binWidth,
+        z: backZ + Math.floor(index / layout.columns) * binDepth,
+        width: binWidth,
+        depth: binDepth,
+        items: items.filter(item => isItemInBin(item, layout) && item.bin === index)
+    }));
+    regions.push({
+        x: -interior.width / 2,
+        z: backZ,
+        width: interior.width,
+        depth: interior.depth,
+        items: items.filter(item => !isItemInBin(item, layout))
+    });
+
+    regions.forEach(region => {
+        const count = region.items.length;
+        if (count === 0) return;
+
+        // Grid roughly matching the region's shape
+        const columns = Math.min(count, Math.max(1, Math.round(Math.sqrt(count * region.width / region.depth))));
+        const rows = Math.ceil(count / columns);
+        const size = Math.min(ITEM_TOKEN_MAX_SIZE, region.width / columns, region.depth / rows) * 0.8;
+
+        region.items.forEach((item, index) => {
+            const token = new THREE.Mesh(
+                new THREE.PlaneGeometry(size, size),
+                new THREE.MeshStandardMaterial({ map: getItemTexture(item), roughness: 0.8, metalness: 0 })
+            );
+            token.rotation.x = -Math.PI / 2; // Lie flat, image top toward the back of the drawer
+            token.position.set(
+                region.x + ((index % columns) + 0.5) * (region.width / columns),
+                interior.floorY + 0.005,
+                region.z + (Math.floor(index / columns) + 0.5) * (region.depth / rows)
+            );
+            token.receiveShadow = true;
+            interior.object.add(token);
+            drawerGroup.userData.itemTokens.push(token);
+        });
+    });
 }
 
 // ============================================================================
@@ -1688,45 +2488,7 @@ function loadScenarios() {
     // Load scenarios from the designer's configuration
     if (CONFIG && CONFIG.scenarios && CONFIG.scenarios.length > 0) {
         // Convert designer scenarios to trainer format
-        return CONFIG.scenarios.map(scenario => {
-            // Build items list from essential and optional items
-            const items = [];
-
-            if (scenario.essential) {
-                scenario.essential.forEach(itemId => {
-                    const itemData = CONFIG.items.find(i => i.id === itemId);
-                    if (itemData) {
-                        items.push({
-                            itemId: itemId,
-                            name: itemData.name,
-                            essential: true
-                        });
-                    }
-                });
-            }
-
-            if (scenario.optional) {
-                scenario.optional.forEach(itemId => {
-                    const itemData = CONFIG.items.find(i => i.id === itemId);
-                    if (itemData) {
-                        items.push({
-                            itemId: itemId,
-                            name: itemData.name,
-                            essential: false
-                        });
-                    }
-                });
-            }
-
-            return {
-                id: scenario.id,
-                name: scenario.name,
-                description: scenario.description,
-                items: items,
-                timeLimit: 300, // Default 5 minutes
-                difficulty: 'intermediate'
-            };
-        });
+        return CONFIG.scenarios.map(toTrainerScenario);
     }
 
     // Fallback: Default scenario if no scenarios configured
@@ -1743,17 +2505,200 @@ function loadScenarios() {
     ];
 }
 
+// Convert one designer scenario to the trainer format
+function toTrainerScenario(scenario) {
+    // Staged scenarios list their items per stage; the scenario needs all of them
+    const stages = (scenario.stages || []).map(stage => ({
+        id: stage.id,
+        name: stage.name,
+        narrative: stage.narrative || '',
+        timeLimit: stage.timeLimit || 0,
+        items: buildScenarioItems(stage.essential, stage.optional)
+    }));
+    const items = stages.length > 0
+        ? stages.flatMap(stage => stage.items)
+        : buildScenarioItems(scenario.essential, scenario.optional);
+
+    return {
+        id: scenario.id,
+        name: scenario.name,
+        description: scenario.description,
+        items: items,
+        stages: stages.length > 0 ? stages : null,
+        vitals: scenario.vitals || '',
+        events: (scenario.events || [])
+            .map(event => ({
+                id: event.id,
+                time: event.time || 0,
+                banner: event.banner || '',
+                vitals: event.vitals || '',
+                items: buildScenarioItems(event.addItems, [])
+            }))
+            .sort((a, b) => a.time - b.time),
+        scoringRules: scenario.scoringRules || null, // Per-scenario override (optional)
+        successFeedback: scenario.successFeedback || 'Perfect!',
+        partialFeedback: scenario.partialFeedback || 'Good, but incomplete.',
+        failureFeedback: scenario.failureFeedback || 'Missing critical items.',
+        timeLimit: scenario.timeLimit !== undefined ? scenario.timeLimit : 300, // Seconds, 0 = no limit
+        difficulty: scenario.difficulty || 'intermediate',
+        hints: { ...DEFAULT_HINT_SETTINGS, ...scenario.hints }
+    };
+}
+
+// Build the trainer item list from essential and optional item ids
+function buildScenarioItems(essential, optional) {
+    const items = [];
+
+    [[essential, true], [optional, false]].forEach(([itemIds, isEssential]) => {
+        (itemIds || []).forEach(itemId => {
+            const itemData = CONFIG.items.find(i => i.id === itemId);
+            if (itemData) {
+                items.push({
+                    itemId: itemId,
+                    name: itemData.name,
+                    essential: isEssential
+                });
+            }
+        });
+    });
+
+    return items;
+}
+
 function showScenarioMenu() {
     const scenarios = loadScenarios();
     const scenarioList = document.getElementById('scenario-list');
     scenarioList.innerHTML = '';
 
-    scenarios.forEach(scenario => {
-        const scenarioItem = document.createElement('div');
-        scenarioItem.className = 'scenario-item';
-        scenarioItem.innerHTML = `
-            <div class="scenario-item-title">${scenario.name}</div>
+    // Tutorial first, when the designer has it enabled
+    if (isTutorialEnabled()) {
+        const profile = getActiveProfile();
+        const tutorialItem = document.createElement('div');
+        tutorialItem.className = 'scenario-item tutorial';
+        tutorialItem.innerHTML = `
+            <div class="scenario-item-title">🎓 Tutorial</div>
+            <div class="scenario-item-desc">Learn to look around, move, open drawers and pick items, one step at a time.</div>
+            <div class="scenario-item-meta">
+                <span class="difficulty-badge beginner">beginner</span>
+                <span>${profile && profile.tutorialCompleted ? '✓ Completed' : '★ Recommended for new trainees'}</span>
+            </div>
+        `;
+        tutorialItem.onclick = () => startTutorial();
+        scenarioList.appendChild(tutorialItem);
+    }
+
+    // Spaced repetition of item locations for the active trainee
+    const profile = getActiveProfile();
+    if (profile && getReviewableItems().length > 0) {
+        const { due, fresh } = getDueReviewItems(profile);
+        const reviewItem = document.createElement('div');
+        reviewItem.className = 'scenario-item review';
+        reviewItem.innerHTML = `
+            <div class="scenario-item-title">🧠 Spaced Review</div>
+            <div class="scenario-item-desc">Short rounds of item locations. Items you find quickly come back less often; slow or missed ones come back soon.</div>
+            <div class="scenario-item-meta">
+                <span>${due.length} due</span>
+                <span>${fresh.length} new</span>
+            </div>
+        `;
+        reviewItem.onclick = () => startReview();
+        scenarioList.appendChild(reviewItem);
+    }
+
+    // Put a tote of items back where they belong
+    if (getReviewableItems().length > 0) {
+        const restockItem = document.createElement('div');
+        restockItem.className = 'scenario-item restock';
+        restockItem.innerHTML = `
+            <div class="scenario-item-title">📥 Restock</div>
+            <div class="scenario-item-desc">You are handed a tote of supplies. Put each one into the drawer it belongs in.</div>
+            <div class="scenario-item-meta">
+                <span>${Math.min(RESTOCK_TOTE_SIZE, getReviewableItems().length)} items</span>
+                <span>⏱ No limit</span>
+            </div>
+        `;
+        restockItem.onclick = () => startRestock();
+        scenarioList.appendChild(restockItem);
+    }
+
+    // Rapid-fire: aim at the drawer holding the named item
+    if (getPointItems().length > 0) {
+        const pointItem = document.createElement('div');
+        pointItem.className = 'scenario-item point';
+        pointItem.innerHTML = `
+            <div class="scenario-item-title">🎯 Point to It</div>
+            <div class="scenario-item-desc">An item is named - aim at the drawer that holds it and click within ${POINT_TIME_LIMIT} seconds. Keep the streak going!</div>
+            <div class="scenario-item-meta">
+                <span>${Math.min(POINT_ROUND_SIZE, getPointItems().length)} items</span>
+                <span>⏱ ${POINT_TIME_LIMIT}s each</span>
+            </div>
+        `;
+        pointItem.onclick = () => startPointQuiz();
+        scenarioList.appendChild(pointItem);
+    }
+
+    // Which items belong in this drawer?
+    if (getQuizDrawers().length > 0) {
+        const quizItem = document.createElement('div');
+        quizItem.className = 'scenario-item quiz';
+        quizItem.innerHTML = `
+            <div class="scenario-item-title">❓ Contents Quiz</div>
+            <div class="scenario-item-desc">A drawer opens with its contents hidden. Pick the items that belong in it.</div>
+            <div class="scenario-item-meta">
+                <span>${Math.min(QUIZ_ROUND_SIZE, getQuizDrawers().length)} drawers</span>
+                <span>⏱ No limit</span>
+            </div>
+        `;
+        quizItem.onclick = () => startQuiz();
+        scenarioList.appendChild(quizItem);
+    }
+
+    // Daily check-off of a cart with seeded discrepancies
+    getCheckCarts().forEach(cart => {
+        const checkItem = document.createElement('div');
+        checkItem.className = 'scenario-item check';
+        checkItem.innerHTML = `
+            <div class="scenario-item-title">📋 Daily Check: ${cart.name}</div>
+            <div class="scenario-item-desc">Walk every drawer against the par list and flag what is missing, expired or misplaced - and check the seal.</div>
+            <div class="scenario-item-meta">
+                <span>${getCheckDrawers(cart.id).length} drawers</span>
+                <span>⏱ No limit</span>
+            </div>
+        `;
+        checkItem.onclick = () => startCheck(cart.id);
+        scenarioList.appendChild(checkItem);
+    });
+
+    // A freshly generated drill each time
+    if (isRandomDrillAvailable()) {
+        const drillTime = (CONFIG.drillSettings || DEFAULT_DRILL_SETTINGS).timeLimit;
+        const drillItem = document.createElement('div');
+        drillItem.className = 'scenario-item drill';
+        drillItem.innerHTML = `
+            <div class="scenario-item-title">🎲 Random Drill</div>
+            <div class="scenario-item-desc">A new set of items every time, weighted toward the items you have missed before.</div>
+            <div class="scenario-item-meta">
+                <span class="difficulty-badge intermediate">intermediate</span>
+                <span>${drillTime > 0 ? `⏱ ${formatTime(drillTime)}` : '⏱ No limit'}</span>
+            </div>
+        `;
+        drillItem.onclick = () => startRandomDrill();
+        scenarioList.appendChild(drillItem);
+    }
+
+    scenarios.forEach(scenario => {
+        const scenarioItem = document.createElement('div');
+        scenarioItem.className = 'scenario-item';
+        const timeLabel = scenario.timeLimit > 0 ? `⏱ ${formatTime(scenario.timeLimit)}` : '⏱ No limit';
+        const stageLabel = scenario.stages ? `<span>▤ ${scenario.stages.length} stages</span>` : '';
+        scenarioItem.innerHTML = `
+            <div class="scenario-item-title">${scenario.name}</div>
             <div class="scenario-item-desc">${scenario.description}</div>
+            <div class="scenario-item-meta">
+                <span class="difficulty-badge ${scenario.difficulty}">${scenario.difficulty}</span>
+                <span>${timeLabel}</span>
+                ${stageLabel}
+            </div>
         `;
         scenarioItem.onclick = () => startScenario(scenario);
         scenarioList.appendChild(scenarioItem);
@@ -1761,6 +2706,8 @@ function showScenarioMenu() {
 
     // Update quality buttons to show current selection
     updateQualityUI();
+    updateRecentRunsUI();
+    updateProfileUI();
 
     document.getElementById('menu-screen').classList.remove('hidden');
 }
@@ -1825,149 +2772,2850 @@ function logCameraState(context = '') {
         console.log(`Camera FOV: ${camera.fov}°`);
     }
 
-    if (!isFirstPersonMode && CONFIG.cameraViews && CONFIG.cameraViews.length > 0) {
-        console.log(`Available custom views: ${CONFIG.cameraViews.map(v => v.name).join(', ')}`);
-    }
-    console.log('=========================');
+    if (!isFirstPersonMode && CONFIG.cameraViews && CONFIG.cameraViews.length > 0) {
+        console.log(`Available custom views: ${CONFIG.cameraViews.map(v => v.name).join(', ')}`);
+    }
+    console.log('=========================');
+}
+
+function startScenario(scenario) {
+    console.log(`Starting scenario: ${scenario.name}`);
+
+    currentScenario = scenario;
+    foundItems.clear();
+    wrongItems.clear();
+    resetHints();
+    resetStages();
+    resetScenarioEvents(scenario);
+    reviewWrongDrawers = [];
+    restockPlacements = [];
+    resetQuiz();
+    resetPointQuiz();
+    resetCheck();
+    tutorialState = scenario.isTutorial ? { stepIndex: 0, progress: 0 } : null;
+
+    // Hide menu
+    document.getElementById('menu-screen').classList.add('hidden');
+
+    // Update UI
+    document.getElementById('scenario-title').textContent = scenario.name;
+    document.getElementById('scenario-description').textContent = scenario.description;
+
+    // Update items list (a daily check lists the drawers, not the discrepancies to find)
+    if (scenario.isCheck) renderCheckDrawers();
+    else renderItemsNeeded(scenario.items);
+
+    // Reset player position (5.5 feet eye height, starting at front facing the room)
+    playerPosition.set(0, 5.5, 12);
+    playerRotation.yaw = 0; // Face forward into the room
+    playerRotation.pitch = 0;
+
+    // Log camera state at scenario start
+    logCameraState('AT SCENARIO START');
+
+    // Start timer
+    startTime = Date.now();
+    startTimer();
+
+    // Record the attempt for replay (the tutorial is practice and isn't recorded)
+    if (!scenario.isTutorial) {
+        startRecording(scenario);
+    }
+
+    // xAPI: new registration per attempt
+    xapiRegistration = generateUUID();
+    sendXapiStatement('launched');
+
+    // Staged scenarios reveal their first stage; otherwise show progress on every item
+    if (scenario.stages) {
+        startStage(0);
+    } else {
+        updateProgress();
+    }
+    showTutorialStep();
+
+    // Start ambient hospital sound (looped)
+    if (soundEnabled && SOUNDS.ambient && SOUNDS.ambient.readyState >= 2) {
+        SOUNDS.ambient.loop = true;
+        SOUNDS.ambient.volume = 0.3; // Quieter for background
+        SOUNDS.ambient.play().catch(err => {
+            console.log('Could not play ambient sound');
+        });
+    }
+
+    // Request pointer lock
+    const canvas = document.getElementById('three-canvas');
+    canvas.requestPointerLock();
+
+    // Quiz modes ask straight away (the contents quiz opens a drawer, releasing the pointer again)
+    if (scenario.isPointQuiz) showPointPrompt();
+    if (scenario.isQuiz) showQuizQuestion();
+}
+
+function startTimer() {
+    if (timerInterval) clearInterval(timerInterval);
+
+    const timerEl = document.getElementById('timer');
+    timerEl.classList.remove('warning');
+    timeWarningShown = false;
+    updateTimerDisplay();
+
+    // Scripted clinical events run off the same one-second tick
+    timerInterval = setInterval(() => {
+        updateScenarioEvents();
+        updateTimerDisplay();
+    }, 1000);
+}
+
+// Count up, or down when the scenario or the current stage has a time limit
+function updateTimerDisplay() {
+    if (!currentScenario) return;
+
+    const elapsed = Math.floor((Date.now() - startTime) / 1000);
+    const timeLimit = currentScenario.timeLimit || 0;
+    const stage = getCurrentStage();
+    const stageLimit = stage ? stage.timeLimit : 0;
+    const stageElapsed = Math.floor((Date.now() - stageStartTime) / 1000);
+    const timerEl = document.getElementById('timer');
+
+    if (timeLimit <= 0 && stageLimit <= 0) {
+        timerEl.textContent = formatTime(elapsed);
+        return;
+    }
+
+    // Count down whichever limit runs out first
+    const scenarioRemaining = timeLimit > 0 ? Math.max(0, timeLimit - elapsed) : Infinity;
+    const stageRemaining = stageLimit > 0 ? Math.max(0, stageLimit - stageElapsed) : Infinity;
+    const stageEndsFirst = stageRemaining < scenarioRemaining;
+    const remaining = Math.min(scenarioRemaining, stageRemaining);
+    timerEl.textContent = formatTime(remaining);
+
+    if (stageEndsFirst && remaining === 0) {
+        endStage(true);
+        return;
+    }
+
+    // Warn when the limit approaches (30s, or half the limit for short scenarios)
+    const warnAt = Math.min(30, Math.floor((stageEndsFirst ? stageLimit : timeLimit) / 2));
+    if (remaining <= warnAt && !timeWarningShown) {
+        timeWarningShown = true;
+        timerEl.classList.add('warning');
+        showNotification(`⏰ ${remaining} seconds remaining!`);
+        triggerHapticFeedback('medium');
+    }
+
+    if (remaining === 0) {
+        completeScenario(true);
+    }
+}
+
+function formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function updateProgress() {
+    if (!currentScenario) return;
+    if (currentScenario.isRestock) {
+        updateRestockProgress();
+        return;
+    }
+    if (currentScenario.isQuiz) {
+        updateQuizProgress();
+        return;
+    }
+    if (currentScenario.isPointQuiz) {
+        updatePointProgress();
+        return;
+    }
+    if (currentScenario.isCheck) {
+        updateCheckProgress();
+        return;
+    }
+
+    // Staged scenarios show the progress of the current stage
+    const stage = getCurrentStage();
+    const items = getActiveItems();
+    const total = items.length;
+    const found = items.filter(i => foundItems.has(i.itemId)).length;
+    const percentage = total > 0 ? (found / total) * 100 : 0;
+
+    document.getElementById('progress-fill').style.width = `${percentage}%`;
+    document.getElementById('progress-text').textContent = stage
+        ? `${found} / ${total} items found · Stage ${currentStageIndex + 1}/${currentScenario.stages.length}`
+        : `${found} / ${total} items found`;
+
+    // Update item checkboxes
+    items.forEach(item => {
+        const itemDiv = document.getElementById(`item-${item.itemId}`);
+        if (itemDiv && foundItems.has(item.itemId)) {
+            itemDiv.classList.add('item-found');
+        }
+    });
+
+    // A stage with items moves on once they are found; a narrative-only stage waits for Finish
+    if (stage) {
+        if (total > 0 && found === total) endStage();
+        return;
+    }
+
+    // Check completion (the tutorial waits for its final "finish" step)
+    if (found === total && !currentScenario.isTutorial) {
+        completeScenario();
+    }
+}
+
+// Trainee ends the attempt without finding every item
+function finishScenario() {
+    if (!currentScenario || replayState) return;
+    if (document.getElementById('completion-screen').classList.contains('visible')) return;
+    if (currentScenario.isTutorial && !advanceTutorial('complete')) {
+        showNotification('Complete the current tutorial step first');
+        return;
+    }
+
+    if (getCurrentStage()) {
+        endStage();
+        return;
+    }
+    completeScenario();
+}
+
+function completeScenario(timedOut = false) {
+    console.log(timedOut ? 'Scenario timed out!' : 'Scenario complete!');
+
+    // Play success sound
+    if (!timedOut) playSound('scenarioComplete');
+
+    // Haptic feedback for completion
+    triggerHapticFeedback('heavy');
+
+    // Stop timer
+    if (timerInterval) clearInterval(timerInterval);
+
+    if (currentScenario.isTutorial) {
+        completeTutorial();
+        return;
+    }
+
+    // Close out the recording
+    stopRecording(timedOut ? 'timeout' : 'complete');
+
+    // Hide the drawer popup if the last item was picked from it
+    document.getElementById('drawer-items-popup').classList.remove('visible');
+
+    const elapsed = Math.floor((Date.now() - startTime) / 1000);
+    const timeString = formatTime(elapsed);
+
+    // Items required by fired events are scored as essential items
+    const scoredScenario = { ...currentScenario, items: [...currentScenario.items, ...eventItems] };
+
+    // Calculate score from the designer's scoring rules (per stage for staged scenarios)
+    clearHint();
+    let result;
+    if (currentScenario.stages) {
+        if (getCurrentStage()) stageRuns.push(buildStageRun(timedOut));
+        result = calculateStagedScore(currentScenario, foundItems, stageRuns);
+    } else if (currentScenario.isRestock) {
+        result = calculateRestockScore(currentScenario, restockPlacements, elapsed);
+    } else if (currentScenario.isQuiz) {
+        result = calculateQuizScore(currentScenario, quizAnswers);
+    } else if (currentScenario.isPointQuiz) {
+        clearPointPrompt();
+        result = calculatePointScore(currentScenario, pointResponses);
+    } else if (currentScenario.isCheck) {
+        result = calculateCheckScore(currentScenario, [...checkFlags.values()], checkedDrawers);
+    } else {
+        result = calculateScore(scoredScenario, foundItems, elapsed, [...wrongItems], hintsUsed);
+        result.wrongItemIds = [...wrongItems];
+    }
+    result.timedOut = timedOut;
+    result.events = getEventResults();
+    hideEventBanner();
+
+    const feedback = getScenarioFeedback(scoredScenario, result);
+
+    // Check and unlock achievements (only cleared attempts count as a completion)
+    if (isAchievementAttempt(scoredScenario, result, feedback)) {
+        checkAchievements(currentScenario, elapsed, result);
+    }
+
+    // Reschedule reviewed items, then keep the attempt in the trainee's history
+    if (currentScenario.isReview) applyReviewResults(result);
+    recordAttempt(scoredScenario, result, feedback, elapsed);
+
+    // xAPI / SCORM: outcome and score
+    const passed = !timedOut && feedback.outcome !== 'failure';
+    reportScormResult(result, passed);
+    const xapiScore = { raw: result.total, min: 0 };
+    sendXapiStatement(passed ? 'completed' : 'failed', null, {
+        completion: !timedOut,
+        success: passed,
+        duration: toXapiDuration(elapsed),
+        score: xapiScore
+    });
+    sendXapiStatement('scored', null, { score: xapiScore });
+
+    // Unlock pointer
+    document.exitPointerLock();
+
+    // Stop ambient sound
+    if (SOUNDS.ambient) {
+        SOUNDS.ambient.pause();
+        SOUNDS.ambient.currentTime = 0;
+    }
+
+    // Show completion screen
+    document.getElementById('final-time').textContent = timeString;
+    document.getElementById('final-items').textContent = `${getAttemptItemsFound(scoredScenario, result)}/${getAttemptItemsTotal(scoredScenario, result)}`;
+    document.getElementById('final-score').textContent = result.total;
+    renderStageBreakdown(result);
+    renderScoreBreakdown(result);
+    renderEventResults(result);
+    renderPointHeatList(result);
+    renderScenarioFeedback(feedback);
+
+    document.getElementById('completion-title').textContent = timedOut ? "⏰ Time's Up!" : '✓ Scenario Complete!';
+    document.getElementById('completion-title').classList.toggle('failed', timedOut);
+
+    let achievementText = '';
+    if (timedOut) achievementText = '⏰ Out of time';
+    else if (elapsed < 60) achievementText = '⚡ Lightning Fast!';
+    else if (elapsed < 120) achievementText = '🌟 Excellent Time!';
+    else if (elapsed < 180) achievementText = '👍 Good Job!';
+    else achievementText = '✓ Completed!';
+    document.getElementById('achievement-text').textContent = achievementText;
+
+    document.getElementById('completion-screen').classList.add('visible');
+}
+
+// ============================================================================
+// SCENARIO STAGES
+// ============================================================================
+
+// A staged scenario reveals its stages one at a time. Each stage has its own items,
+// narrative and optional time limit; finding every item (or Finish) moves on, and
+// running out of stage time moves on with that stage marked as timed out.
+let currentStageIndex = -1;  // -1 when the scenario has no stages (or they are over)
+let stageStartTime = null;
+let stageHintStart = 0;      // hintsUsed index where the current stage began
+let stageRuns = [];          // [{ time, timedOut, wrongItems, hints }] per finished stage
+
+function resetStages() {
+    currentStageIndex = -1;
+    stageStartTime = Date.now();
+    stageHintStart = 0;
+    stageRuns = [];
+}
+
+function getCurrentStage() {
+    if (!currentScenario || !currentScenario.stages) return null;
+    return currentScenario.stages[currentStageIndex] || null;
+}
+
+// Items the trainee is looking for right now, including items required by fired events
+function getActiveItems() {
+    const stage = getCurrentStage();
+    const items = stage ? stage.items : currentScenario.items;
+    const fired = eventItems.filter(i => i.stageIndex === currentStageIndex);
+    return fired.length > 0 ? [...items, ...fired] : items;
+}
+
+function renderItemsNeeded(items) {
+    const itemsNeeded = document.getElementById('items-needed');
+    itemsNeeded.innerHTML = '';
+    items.forEach(item => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'item-needed';
+        itemDiv.id = `item-${item.itemId}`;
+        itemDiv.textContent = item.name;
+        if (item.fromEvent) itemDiv.classList.add('event-item');
+        if (foundItems.has(item.itemId)) itemDiv.classList.add('item-found');
+        itemsNeeded.appendChild(itemDiv);
+    });
+}
+
+function startStage(index) {
+    const stages = currentScenario.stages;
+    const stage = stages[index];
+    currentStageIndex = index;
+    stageStartTime = Date.now();
+    stageHintStart = hintsUsed.length;
+
+    // Wrong picks belong to the stage they were made in
+    wrongItems.clear();
+    noteHintProgress();
+    recordEvent('s', index);
+
+    document.getElementById('scenario-title').textContent = `${currentScenario.name} · ${stage.name}`;
+    document.getElementById('scenario-description').textContent = stage.narrative || currentScenario.description;
+    renderItemsNeeded(getActiveItems());
+
+    const finishBtn = document.querySelector('.finish-scenario-btn');
+    if (finishBtn) finishBtn.textContent = index < stages.length - 1 ? '✓ Finish Stage' : '✓ Finish Scenario';
+
+    // Each stage gets its own countdown warning
+    document.getElementById('timer').classList.remove('warning');
+    timeWarningShown = false;
+
+    showNotification(`▤ Stage ${index + 1}/${stages.length}: ${stage.name}`);
+    updateTimerDisplay();
+    updateProgress();
+}
+
+function buildStageRun(timedOut) {
+    return {
+        time: Math.floor((Date.now() - stageStartTime) / 1000),
+        timedOut: timedOut,
+        eventItems: eventItems.filter(i => i.stageIndex === currentStageIndex),
+        wrongItems: [...wrongItems],
+        hints: hintsUsed.slice(stageHintStart)
+    };
+}
+
+// Close the current stage and reveal the next one, or finish on the last stage
+function endStage(timedOut = false) {
+    if (!getCurrentStage()) return;
+
+    const stage = getCurrentStage();
+    stageRuns.push(buildStageRun(timedOut));
+
+    if (currentStageIndex < currentScenario.stages.length - 1) {
+        if (timedOut) {
+            showNotification(`⏰ ${stage.name} is out of time`);
+            triggerHapticFeedback('medium');
+        } else {
+            playSound('itemFound');
+        }
+        startStage(currentStageIndex + 1);
+    } else {
+        currentStageIndex = -1;
+        completeScenario();
+    }
+}
+
+// ============================================================================
+// CLINICAL EVENTS
+// ============================================================================
+
+// Scenarios can script changes in the patient's condition at set times. When an event
+// fires it can show a banner, change the HUD vitals and make more items required.
+// The trainee has responded once every item the event requires has been picked.
+const EVENT_BANNER_DURATION = 8000; // ms
+
+let firedEvents = [];      // [{ event, firedAt, respondedAt }] in firing order
+let eventItems = [];       // Items added by fired events ({ ...item, fromEvent, stageIndex })
+let eventBannerTimer = null;
+
+function resetScenarioEvents(scenario) {
+    firedEvents = [];
+    eventItems = [];
+    hideEventBanner();
+    setHudVitals(scenario.vitals || '', false);
+}
+
+// Called every second from the timer: fire events whose time has come
+function updateScenarioEvents() {
+    if (!currentScenario || !currentScenario.events || replayState) return;
+
+    const elapsed = Math.floor((Date.now() - startTime) / 1000);
+    currentScenario.events.forEach((event, index) => {
+        if (event.time <= elapsed && !firedEvents.some(f => f.event === event)) {
+            fireScenarioEvent(event, index);
+        }
+    });
+}
+
+function fireScenarioEvent(event, index) {
+    const fired = { event: event, firedAt: Math.floor((Date.now() - startTime) / 1000), respondedAt: null };
+    firedEvents.push(fired);
+    recordEvent('v', index);
+
+    // Newly required items join the current stage (or the whole scenario)
+    const activeIds = getActiveItems().map(i => i.itemId);
+    event.items.forEach(item => {
+        if (!activeIds.includes(item.itemId)) {
+            eventItems.push({ ...item, essential: true, fromEvent: true, stageIndex: currentStageIndex });
+        }
+    });
+
+    showScenarioEvent(event);
+    triggerHapticFeedback('heavy');
+    renderItemsNeeded(getActiveItems());
+    checkEventResponses();
+    updateProgress();
+}
+
+// Banner and vitals for an event (also used by replay)
+function showScenarioEvent(event) {
+    if (event.vitals) setHudVitals(event.vitals, true);
+
+    const text = event.banner || (event.items.length > 0 ? `Now required: ${event.items.map(i => i.name).join(', ')}` : '');
+    if (!text) return;
+
+    const banner = document.getElementById('event-banner');
+    banner.textContent = `⚠ ${text}`;
+    banner.classList.add('visible');
+    if (eventBannerTimer) clearTimeout(eventBannerTimer);
+    eventBannerTimer = setTimeout(hideEventBanner, EVENT_BANNER_DURATION);
+}
+
+function hideEventBanner() {
+    if (eventBannerTimer) clearTimeout(eventBannerTimer);
+    eventBannerTimer = null;
+    document.getElementById('event-banner').classList.remove('visible');
+}
+
+function setHudVitals(text, changed) {
+    const vitalsEl = document.getElementById('hud-vitals');
+    vitalsEl.textContent = text ? `♥ ${text}` : '';
+    vitalsEl.classList.toggle('visible', !!text);
+    vitalsEl.classList.toggle('changed', changed);
+}
+
+// Mark events as answered once all of their items have been picked
+function checkEventResponses() {
+    firedEvents.forEach(fired => {
+        if (fired.respondedAt !== null) return;
+        if (!fired.event.items.every(i => foundItems.has(i.itemId))) return;
+
+        fired.respondedAt = Math.floor((Date.now() - startTime) / 1000);
+        if (fired.event.items.length > 0) {
+            showNotification(`✓ Responded in ${fired.respondedAt - fired.firedAt}s`);
+        }
+    });
+}
+
+// One entry per scripted event; events that never fired are listed as not reached
+function getEventResults() {
+    return (currentScenario.events || []).map(event => {
+        const fired = firedEvents.find(f => f.event === event);
+        return {
+            eventId: event.id,
+            time: event.time,
+            banner: event.banner,
+            items: event.items.map(i => i.itemId),
+            fired: !!fired,
+            responded: !!(fired && fired.respondedAt !== null),
+            responseTime: fired && fired.respondedAt !== null ? fired.respondedAt - fired.firedAt : null
+        };
+    });
+}
+
+function renderEventResults(result) {
+    const container = document.getElementById('event-results');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = result.events.length > 0 ? 'block' : 'none';
+    result.events.forEach(event => {
+        const row = document.createElement('div');
+        row.className = 'score-breakdown-row';
+        if (!event.responded) row.classList.add(event.fired ? 'penalty' : 'missed');
+
+        let status = 'Not reached';
+        if (event.fired && event.items.length === 0) status = 'Shown';
+        else if (event.responded) status = `Responded in ${event.responseTime}s`;
+        else if (event.fired) status = 'No response';
+
+        row.innerHTML = `
+            <span class="score-breakdown-label">⚡ ${formatTime(event.time)} ${event.banner || 'Event'}</span>
+            <span class="score-breakdown-detail">${status}</span>
+            <span class="score-breakdown-points">${event.responded ? '✓' : event.fired ? '✗' : '–'}</span>
+        `;
+        container.appendChild(row);
+    });
+}
+
+// ============================================================================
+// HINT SYSTEM
+// ============================================================================
+
+// When the trainee makes no progress for the scenario's hint delay, the cart holding the
+// next missing item is highlighted; after another delay its drawer starts pulsing.
+// Every cue shown is kept with the attempt and costs the scenario's hint penalty.
+const DEFAULT_HINT_SETTINGS = {
+    level: 'off',   // 'off', 'cart' or 'drawer' (strongest cue allowed)
+    delay: 30,      // seconds without progress before each cue
+    penalty: 10     // points per hint
+};
+const HINT_LEVELS = ['cart', 'drawer'];
+const HINT_COLOR = 0xffc107;
+
+let hintsUsed = [];        // [{ itemId, level, time }] for the current attempt
+let hintTarget = null;     // { itemId, cartId, drawerId, level } currently highlighted
+let lastProgressTime = 0;  // Start of the attempt or the last needed item picked
+
+function resetHints() {
+    clearHint();
+    hintsUsed = [];
+    lastProgressTime = Date.now();
+}
+
+// A needed item was picked: drop the cue and restart the delay
+function noteHintProgress() {
+    clearHint();
+    lastProgressTime = Date.now();
+}
+
+// Next item to hint: missing essentials first, then optional items (current stage only)
+function getHintItem(scenario) {
+    const missing = getActiveItems().filter(i => !foundItems.has(i.itemId));
+    const next = missing.find(i => i.essential) || missing[0];
+    return next ? CONFIG.items.find(i => i.id === next.itemId) : null;
+}
+
+// Called from the game loop: escalate when the trainee is stuck, then animate the cue
+function updateHints() {
+    if (currentScenario && !replayState && !document.getElementById('completion-screen').classList.contains('visible')) {
+        const settings = currentScenario.hints || DEFAULT_HINT_SETTINGS;
+        const maxLevel = HINT_LEVELS.indexOf(settings.level);
+        const stuckSeconds = (Date.now() - lastProgressTime) / 1000;
+        const dueLevel = Math.min(maxLevel, Math.floor(stuckSeconds / settings.delay) - 1);
+        const currentLevel = hintTarget ? HINT_LEVELS.indexOf(hintTarget.level) : -1;
+
+        if (dueLevel > currentLevel) {
+            const item = getHintItem(currentScenario);
+            if (item) {
+                const level = HINT_LEVELS[currentLevel + 1];
+                hintsUsed.push({ itemId: item.id, level: level, time: Math.floor((Date.now() - startTime) / 1000) });
+                recordEvent('h', item.id, level);
+                showHint(item.id, level);
+            }
+        }
+    }
+
+    renderHint();
+}
+
+function showHint(itemId, level) {
+    const item = CONFIG.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    clearHint();
+    hintTarget = { itemId: itemId, cartId: item.cart, drawerId: item.drawer, level: level };
+
+    const cart = CONFIG.carts.find(c => c.id === item.cart);
+    const drawer = CONFIG.drawers.find(d => d.id === item.drawer);
+    const cartName = cart ? cart.name : 'cart';
+    if (level === 'drawer' && drawer) {
+        showNotification(`💡 Hint: try the ${drawer.name} of the ${cartName}`);
+    } else {
+        showNotification(`💡 Hint: look in the ${cartName}`);
+    }
+    triggerHapticFeedback('light');
+}
+
+function getHintMeshes() {
+    if (!hintTarget) return {};
+
+    const cartGroup = cartMeshes.get(hintTarget.cartId);
+    const body = cartGroup ? cartGroup.children.find(child => child.userData.isCartBody) : null;
+    const drawerGroup = hintTarget.level === 'drawer' ? findDrawerGroup(hintTarget.drawerId) : null;
+    const front = drawerGroup ? drawerGroup.userData.front : null;
+    return { body, front };
+}
+
+// Steady glow on the cart body; the drawer front pulses
+function renderHint() {
+    if (!hintTarget) return;
+
+    const { body, front } = getHintMeshes();
+    setMeshHighlight(body, HINT_COLOR, 0.25);
+    if (front && front !== lookingAtDrawer) {
+        const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 200);
+        setMeshHighlight(front, HINT_COLOR, 0.15 + pulse * 0.45);
+    }
+}
+
+function clearHint() {
+    if (!hintTarget) return;
+
+    const { body, front } = getHintMeshes();
+    setMeshHighlight(body, 0x000000, 0);
+    if (front !== lookingAtDrawer) setMeshHighlight(front, 0x000000, 0);
+    hintTarget = null;
+}
+
+// ============================================================================
+// TUTORIAL
+// ============================================================================
+
+// Step-by-step onboarding in a practice scenario with one item to find. A step only
+// advances when its action is detected (input handlers, player movement,
+// interactWithDrawer, the drawer popup and finishScenario). Texts come from
+// CONFIG.generalSettings.tutorialSteps; these are the fallbacks.
+const TUTORIAL_STEPS = [
+    { id: 'look', goal: 1.5, text: 'Move the mouse (or drag on the right side of the screen) to look around the room.' }, // radians
+    { id: 'move', goal: 5, text: 'Walk around with W, A, S and D (or the joystick).' },                                      // feet
+    { id: 'sprint', goal: 1, text: 'Hold Shift while walking to move faster.' },                                             // seconds
+    { id: 'openDrawer', text: 'Walk up to a cart, aim at a drawer and press E or click to open it.' },
+    { id: 'readContents', text: "The drawer's contents are listed on screen. Read them, then close the list." },
+    { id: 'findItem', text: 'Find the {item} and press Pick to take it.' },
+    { id: 'complete', text: 'Press Enter or click Finish Scenario to complete the scenario.' }
+];
+
+let tutorialState = null; // { stepIndex, progress } while the tutorial runs
+
+function isTutorialEnabled() {
+    return !CONFIG.generalSettings || CONFIG.generalSettings.enableTutorial !== false;
+}
+
+// Practice scenario: the first item that sits in a drawer of the room
+function buildTutorialScenario() {
+    const item = CONFIG.items.find(i => findDrawerGroup(i.drawer));
+    return {
+        id: 'tutorial',
+        name: '🎓 Tutorial',
+        description: 'Follow the instructions to learn the controls.',
+        items: item ? [{ itemId: item.id, name: item.name, essential: true }] : [],
+        timeLimit: 0,
+        difficulty: 'beginner',
+        hints: { ...DEFAULT_HINT_SETTINGS },
+        isTutorial: true
+    };
+}
+
+function startTutorial() {
+    startScenario(buildTutorialScenario());
+}
+
+function getTutorialText(step) {
+    const texts = (CONFIG.generalSettings && CONFIG.generalSettings.tutorialSteps) || {};
+    const text = texts[step.id] || step.text;
+    if (!text.includes('{item}')) return text;
+
+    // Name the practice item and where it is kept
+    const item = CONFIG.items.find(i => currentScenario.items.some(s => s.itemId === i.id));
+    const cart = item && CONFIG.carts.find(c => c.id === item.cart);
+    const drawer = item && CONFIG.drawers.find(d => d.id === item.drawer);
+    const label = item
+        ? `${item.name}${drawer && cart ? ` in the ${drawer.name} of the ${cart.name}` : ''}`
+        : 'item';
+    return text.replace(/\{item\}/g, label);
+}
+
+// Add progress to the current step; returns true when the step was completed
+function trackTutorialProgress(stepId, amount) {
+    if (!tutorialState) return false;
+
+    const step = TUTORIAL_STEPS[tutorialState.stepIndex];
+    if (!step || step.id !== stepId) return false;
+
+    tutorialState.progress += amount;
+    if (tutorialState.progress < (step.goal || 0)) {
+        updateTutorialProgressBar();
+        return false;
+    }
+
+    tutorialState.stepIndex++;
+    tutorialState.progress = 0;
+    playSound('itemFound');
+    triggerHapticFeedback('light');
+    showTutorialStep();
+    return true;
+}
+
+function advanceTutorial(stepId) {
+    return trackTutorialProgress(stepId, Infinity);
+}
+
+function showTutorialStep() {
+    const panel = document.getElementById('tutorial-panel');
+    if (!tutorialState || tutorialState.stepIndex >= TUTORIAL_STEPS.length) {
+        panel.classList.remove('visible');
+        return;
+    }
+
+    // Skip steps this run can't perform: no sprint key on touch devices, nothing left to pick
+    // (no item in any drawer, or it was already picked while reading the contents)
+    const step = TUTORIAL_STEPS[tutorialState.stepIndex];
+    const nothingToPick = currentScenario.items.every(i => foundItems.has(i.itemId));
+    if ((step.id === 'sprint' && virtualJoystick) || (step.id === 'findItem' && nothingToPick)) {
+        tutorialState.stepIndex++;
+        showTutorialStep();
+        return;
+    }
+
+    document.getElementById('tutorial-step-count').textContent =
+        `Tutorial · Step ${tutorialState.stepIndex + 1} of ${TUTORIAL_STEPS.length}`;
+    document.getElementById('tutorial-step-text').textContent = getTutorialText(step);
+    updateTutorialProgressBar();
+    panel.classList.add('visible');
+}
+
+function updateTutorialProgressBar() {
+    const step = TUTORIAL_STEPS[tutorialState.stepIndex];
+    const fraction = step.goal ? Math.min(1, tutorialState.progress / step.goal) : 0;
+    const bar = document.getElementById('tutorial-progress-fill');
+    bar.parentElement.style.display = step.goal ? 'block' : 'none';
+    bar.style.width = `${fraction * 100}%`;
+}
+
+// Tutorial runs aren't scored or kept in the history; the trainee goes back to the menu
+function completeTutorial() {
+    const profile = getActiveProfile();
+    if (profile) {
+        profile.tutorialCompleted = true;
+        saveProfiles();
+    }
+
+    document.getElementById('drawer-items-popup').classList.remove('visible');
+    document.exitPointerLock();
+    showMenu();
+    showNotification('🎓 Tutorial complete! Choose a scenario to start training.');
+}
+
+// ============================================================================
+// RANDOM DRILLS
+// ============================================================================
+
+// Drills are built from the designer's item pool rules by src/utils/drillGenerator.js,
+// weighted toward the items the active trainee has missed. Every drill shares one
+// scenario id so drill attempts group together in the history.
+const DRILL_SCENARIO_ID = 'random-drill';
+
+// Fallback rules (same as the designer defaults) for configs saved without drillSettings
+const DEFAULT_DRILL_SETTINGS = {
+    rules: [
+        { count: 3, filter: 'cartType', value: 'airway' },
+        { count: 2, filter: 'cartType', value: 'medication' },
+        { count: 1, filter: 'cartType', value: 'crash' }
+    ],
+    optionalCount: 1,
+    missedWeight: 2,
+    timeLimit: 180
+};
+
+function isRandomDrillAvailable() {
+    return typeof window.generateDrillScenario === 'function' && CONFIG && CONFIG.items.length > 0;
+}
+
+// Designer scenarios can be looked up again by id; generated ones can't
+function isConfigScenario(scenario) {
+    return !!(CONFIG && CONFIG.scenarios && CONFIG.scenarios.some(s => s.id === scenario.id));
+}
+
+function startRandomDrill() {
+    const profile = getActiveProfile();
+    const settings = { ...DEFAULT_DRILL_SETTINGS, ...CONFIG.drillSettings };
+    const drill = window.generateDrillScenario(CONFIG, settings, profile ? profile.history : []);
+    if (!drill) {
+        showNotification('No items match the random drill rules');
+        return;
+    }
+
+    startScenario(toTrainerScenario({ ...drill, id: DRILL_SCENARIO_ID }));
+}
+
+// ============================================================================
+// SPACED REVIEW
+// ============================================================================
+
+// Leitner boxes per trainee and item. Each round shows due items one at a time (one stage
+// per item). Finding an item quickly without opening a wrong drawer first moves it up a
+// box; a slow find or wrong drawers keep it in its box; a miss sends it back to box 1.
+// The box sets how many days pass before the item is due again.
+const REVIEW_SCENARIO_ID = 'spaced-review';
+const REVIEW_INTERVALS = [0, 1, 3, 7, 14, 30]; // days, for boxes 1-6
+const REVIEW_ROUND_SIZE = 5;
+const REVIEW_NEW_PER_ROUND = 3;
+const REVIEW_STAGE_LIMIT = 45;   // seconds to find each item
+const REVIEW_FAST_TIME = 15;     // seconds; slower finds don't move the item up
+const REVIEW_GRADE_LABELS = { good: '✓ Good', hard: '~ Hard', again: '✗ Again' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reviewWrongDrawers = []; // Wrong drawers opened per stage of the current round
+
+// itemId -> { box, due, reviews, lapses, lastReviewed, lastTime, lastWrongDrawers }
+function getItemMemory(profile) {
+    if (!profile.itemMemory) profile.itemMemory = {};
+    return profile.itemMemory;
+}
+
+// Only items that live in a drawer of the room can be looked for
+function getReviewableItems() {
+    return CONFIG ? CONFIG.items.filter(isItemInRoom) : [];
+}
+
+// Same rule as random drills (isDrillItemReachable in src/utils/drillGenerator.js)
+function isItemInRoom(item) {
+    return typeof window.isDrillItemReachable === 'function' && window.isDrillItemReachable(item, CONFIG);
+}
+
+function getDueReviewItems(profile) {
+    const memory = getItemMemory(profile);
+    const now = Date.now();
+    const items = getReviewableItems();
+    return {
+        due: items.filter(i => memory[i.id] && memory[i.id].due <= now)
+            .sort((a, b) => memory[a.id].due - memory[b.id].due),
+        fresh: items.filter(i => !memory[i.id])
+    };
+}
+
+// Due items first, then a few new ones; with nothing due, review the soonest items early
+function buildReviewRound(profile) {
+    const memory = getItemMemory(profile);
+    const { due, fresh } = getDueReviewItems(profile);
+    let round = [...due, ...fresh.slice(0, REVIEW_NEW_PER_ROUND)].slice(0, REVIEW_ROUND_SIZE);
+    let ahead = false;
+
+    if (round.length === 0) {
+        round = getReviewableItems()
+            .sort((a, b) => memory[a.id].due - memory[b.id].due)
+            .slice(0, REVIEW_ROUND_SIZE);
+        ahead = true;
+    }
+
+    return {
+        id: REVIEW_SCENARIO_ID,
+        name: 'Spaced Review',
+        description: ahead ? 'Nothing is due - reviewing the items due soonest.' : `${round.length} items to find, one at a time.`,
+        isReview: true,
+        items: round.map(item => ({ itemId: item.id, name: item.name, essential: true })),
+        stages: round.map(item => ({
+            id: `review_${item.id}`,
+            name: item.name,
+            narrative: `Find the ${item.name}.${memory[item.id] ? '' : ' (new item)'}`,
+            timeLimit: REVIEW_STAGE_LIMIT,
+            items: [{ itemId: item.id, name: item.name, essential: true }]
+        })),
+        vitals: '',
+        events: [],
+        scoringRules: null,
+        successFeedback: 'Every item found quickly - well remembered!',
+        partialFeedback: 'Some items took a while. They will come back sooner.',
+        failureFeedback: 'Missed items go back to the first box and come back next round.',
+        timeLimit: 0,
+        difficulty: 'beginner',
+        hints: { ...DEFAULT_HINT_SETTINGS }
+    };
+}
+
+function startReview() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+    startScenario(buildReviewRound(profile));
+}
+
+// Count drawers opened before the current review item was found that don't hold it
+function noteReviewDrawerOpened(drawerId) {
+    const stage = getCurrentStage();
+    if (!stage || !currentScenario.isReview) return;
+
+    const itemId = stage.items[0].itemId;
+    const item = CONFIG.items.find(i => i.id === itemId);
+    if (item && item.drawer !== drawerId && !foundItems.has(itemId)) {
+        reviewWrongDrawers[currentStageIndex] = (reviewWrongDrawers[currentStageIndex] || 0) + 1;
+    }
+}
+
+function gradeReview(found, seconds, wrongDrawers) {
+    if (!found) return 'again';
+    return seconds <= REVIEW_FAST_TIME && wrongDrawers === 0 ? 'good' : 'hard';
+}
+
+// Move an item between boxes and set its next due date. Box 1 (next round) is for
+// items that were hard or missed, so a good find always waits at least a day.
+function scheduleReview(entry, grade, seconds, wrongDrawers) {
+    const previous = entry || { box: 0, reviews: 0, lapses: 0 };
+    let box = previous.box;
+    if (grade === 'good') box = Math.min(Math.max(box + 1, 2), REVIEW_INTERVALS.length);
+    else if (grade === 'hard') box = Math.max(box, 1);
+    else box = 1;
+
+    const now = Date.now();
+    return {
+        box: box,
+        due: now + REVIEW_INTERVALS[box - 1] * DAY_MS,
+        reviews: previous.reviews + 1,
+        lapses: previous.lapses + (grade === 'again' && previous.box > 0 ? 1 : 0),
+        lastReviewed: now,
+        lastTime: seconds,
+        lastWrongDrawers: wrongDrawers
+    };
+}
+
+function formatReviewInterval(days) {
+    if (days === 0) return 'again next round';
+    return days === 1 ? 'again tomorrow' : `again in ${days} days`;
+}
+
+// Grade every stage the trainee reached and save the new schedule
+function applyReviewResults(result) {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    const memory = getItemMemory(profile);
+    currentScenario.stages.forEach((stage, index) => {
+        const run = stageRuns[index];
+        if (!run) return;
+
+        const itemId = stage.items[0].itemId;
+        const wrongDrawers = reviewWrongDrawers[index] || 0;
+        const grade = gradeReview(foundItems.has(itemId), run.time, wrongDrawers);
+        memory[itemId] = scheduleReview(memory[itemId], grade, run.time, wrongDrawers);
+
+        const days = REVIEW_INTERVALS[memory[itemId].box - 1];
+        result.stages[index].note = `${REVIEW_GRADE_LABELS[grade]} · ${formatReviewInterval(days)}`;
+    });
+    saveProfiles();
+}
+
+// ============================================================================
+// RESTOCK MODE
+// ============================================================================
+
+// The inverse of finding: the trainee carries a tote of items and puts each one into a
+// drawer. The tote items are left out of the drawer contents so the list can't give the
+// answer away, and a placement is final. Whether it was right is only revealed at the end.
+const RESTOCK_SCENARIO_ID = 'restock';
+const RESTOCK_TOTE_SIZE = 6;
+
+let restockPlacements = []; // [{ itemId, drawerId, correct, time }] in placement order
+
+// Random items from the room's drawers
+function buildRestockScenario() {
+    const pool = getReviewableItems().filter(item => findDrawerGroup(item.drawer));
+    const tote = [];
+    while (tote.length < RESTOCK_TOTE_SIZE && pool.length > 0) {
+        tote.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+
+    return {
+        id: RESTOCK_SCENARIO_ID,
+        name: 'Restock',
+        description: 'Put every item from the tote into the drawer it belongs in.',
+        isRestock: true,
+        items: tote.map(item => ({ itemId: item.id, name: item.name, essential: true })),
+        stages: null,
+        vitals: '',
+        events: [],
+        scoringRules: null,
+        successFeedback: 'Every item is back where it belongs.',
+        partialFeedback: 'Some items ended up in the wrong drawer - the next person will not find them.',
+        failureFeedback: 'None of the items went into the right drawer.',
+        timeLimit: 0,
+        difficulty: 'intermediate',
+        hints: { ...DEFAULT_HINT_SETTINGS }
+    };
+}
+
+function startRestock() {
+    startScenario(buildRestockScenario());
+}
+
+function getRestockPlacement(itemId) {
+    return restockPlacements.find(p => p.itemId === itemId);
+}
+
+function getDrawerLabel(drawerId) {
+    const drawer = CONFIG.drawers.find(d => d.id === drawerId);
+    const cart = drawer ? CONFIG.carts.find(c => c.id === drawer.cart) : null;
+    if (!drawer) return drawerId || 'no drawer';
+    return cart ? `${cart.name} · ${drawer.name}` : drawer.name;
+}
+
+// Drawer popup in restock mode: the drawer's other contents, then the tote
+function renderRestockPopup(drawerId) {
+    const listEl = document.getElementById('drawer-items-list');
+    const toteIds = new Set(currentScenario.items.map(i => i.itemId));
+    const stock = CONFIG.items.filter(item => item.drawer === drawerId && !toteIds.has(item.id));
+    const placedHere = restockPlacements.filter(p => p.drawerId === drawerId);
+    const remaining = currentScenario.items.filter(i => !getRestockPlacement(i.itemId));
+
+    listEl.innerHTML = '';
+    const addRow = (name, iconEl, className) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = `drawer-item ${className}`;
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'drawer-item-name';
+        nameDiv.textContent = name;
+        itemDiv.append(iconEl, nameDiv);
+        listEl.appendChild(itemDiv);
+        return itemDiv;
+    };
+
+    stock.forEach(item => addRow(item.name, createItemIcon(item, '📦'), ''));
+    placedHere.forEach(placement => {
+        const item = CONFIG.items.find(i => i.id === placement.itemId);
+        addRow(item ? item.name : placement.itemId, createItemIcon(item, '📥'), 'restocked');
+    });
+    if (stock.length === 0 && placedHere.length === 0) {
+        listEl.innerHTML = '<div class="drawer-items-empty">This drawer is empty</div>';
+    }
+
+    const heading = document.createElement('div');
+    heading.className = 'drawer-items-section';
+    heading.textContent = remaining.length > 0 ? '🧺 Restock tote' : '🧺 The tote is empty';
+    listEl.appendChild(heading);
+
+    remaining.forEach(toteItem => {
+        const itemDiv = addRow(toteItem.name, createItemIcon(CONFIG.items.find(i => i.id === toteItem.itemId), '🧺'), 'tote-item');
+        const placeBtn = document.createElement('button');
+        placeBtn.className = 'drawer-item-pick-btn';
+        placeBtn.textContent = 'Place here';
+        placeBtn.addEventListener('click', () => placeRestockItem(toteItem.itemId, drawerId));
+        itemDiv.appendChild(placeBtn);
+    });
+}
+
+// Put a tote item into a drawer (placements are final)
+function placeRestockItem(itemId, drawerId) {
+    if (!currentScenario || !currentScenario.isRestock || getRestockPlacement(itemId)) return;
+
+    const item = CONFIG.items.find(i => i.id === itemId);
+    const correct = !!item && item.drawer === drawerId;
+    restockPlacements.push({
+        itemId: itemId,
+        drawerId: drawerId,
+        correct: correct,
+        time: Math.floor((Date.now() - startTime) / 1000)
+    });
+    recordEvent('r', itemId, drawerId, correct ? 1 : 0);
+
+    // Correct placements count as found so history, feedback and achievements work as usual
+    if (correct) foundItems.add(itemId);
+    else wrongItems.add(itemId);
+
+    playSound('itemFound');
+    triggerHapticFeedback('medium');
+    showNotification(`📥 ${item ? item.name : itemId} placed`);
+
+    const itemDiv = document.getElementById(`item-${itemId}`);
+    if (itemDiv) itemDiv.classList.add('item-placed');
+
+    renderRestockPopup(drawerId);
+    const drawerGroup = findDrawerGroup(drawerId);
+    if (drawerGroup) addItemTokens(drawerGroup);
+    updateProgress();
+}
+
+function updateRestockProgress() {
+    const total = currentScenario.items.length;
+    const placed = restockPlacements.length;
+
+    document.getElementById('progress-fill').style.width = `${total > 0 ? (placed / total) * 100 : 0}%`;
+    document.getElementById('progress-text').textContent = `${placed} / ${total} items placed`;
+
+    if (total > 0 && placed === total) completeScenario();
+}
+
+// Accuracy: points for each item in its own drawer, a penalty for each misplacement.
+// Time: the speed bonus needs every item placed correctly within the threshold.
+function calculateRestockScore(scenario, placements, elapsed) {
+    const rules = getScoringRules(scenario);
+    const breakdown = [];
+    let total = 0;
+
+    scenario.items.forEach(item => {
+        const placement = placements.find(p => p.itemId === item.itemId);
+        const itemData = CONFIG.items.find(i => i.id === item.itemId);
+        if (!placement) {
+            breakdown.push({ label: item.name, detail: 'Not placed', points: 0, missed: true });
+        } else if (placement.correct) {
+            breakdown.push({ label: item.name, detail: getDrawerLabel(placement.drawerId), points: rules.essentialPoints, missed: false });
+            total += rules.essentialPoints;
+        } else {
+            breakdown.push({
+                label: item.name,
+                detail: `In ${getDrawerLabel(placement.drawerId)} · belongs in ${getDrawerLabel(itemData && itemData.drawer)}`,
+                points: -rules.penaltyPoints,
+                missed: false
+            });
+            total -= rules.penaltyPoints;
+        }
+    });
+
+    const misplaced = placements.filter(p => !p.correct).map(p => p.itemId);
+    const isPerfect = placements.length === scenario.items.length && misplaced.length === 0;
+    if (isPerfect && rules.perfectBonus > 0) {
+        breakdown.push({ label: 'Perfect Bonus', detail: 'No misplacements', points: rules.perfectBonus, missed: false });
+        total += rules.perfectBonus;
+    }
+    if (isPerfect && elapsed <= rules.speedThreshold && rules.speedBonus > 0) {
+        breakdown.push({ label: 'Speed Bonus', detail: `Under ${rules.speedThreshold}s`, points: rules.speedBonus, missed: false });
+        total += rules.speedBonus;
+    }
+
+    return {
+        total: Math.max(0, total),
+        maxScore: scenario.items.length * rules.essentialPoints + rules.perfectBonus + rules.speedBonus,
+        breakdown: breakdown,
+        isPerfect: isPerfect,
+        wrongItems: misplaced.length,
+        wrongItemIds: misplaced,
+        hintsUsed: 0,
+        rules: rules,
+        placements: placements.map(p => ({ ...p }))
+    };
+}
+
+// ============================================================================
+// CONTENTS QUIZ
+// ============================================================================
+
+// The trainer opens a random drawer with its contents hidden and the trainee picks which
+// items belong in it. Distractors come from other drawers of the same cart type, so they
+// are plausible. Each drawer is scored on precision (picks that were right) and recall
+// (contents that were picked).
+const QUIZ_SCENARIO_ID = 'contents-quiz';
+const QUIZ_ROUND_SIZE = 3;
+const QUIZ_MIN_DISTRACTORS = 3;
+
+let quizIndex = 0;             // Current question
+let quizSelection = new Set(); // Items ticked for the current question
+let quizQuestionStart = 0;
+let quizAnswers = [];          // [{ selected, correct, time }] per answered question
+
+function resetQuiz() {
+    quizIndex = 0;
+    quizSelection = new Set();
+    quizQuestionStart = Date.now();
+    quizAnswers = [];
+}
+
+// Drawers in the room that hold at least one item
+function getQuizDrawers() {
+    if (!CONFIG) return [];
+    return CONFIG.drawers.filter(drawer =>
+        findDrawerGroup(drawer.id) && CONFIG.items.some(item => item.drawer === drawer.id));
+}
+
+function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// Items from other drawers of carts of the same type; other carts top up a short pool
+function getQuizDistractors(drawer, count) {
+    const cartTypeOf = drawerId => {
+        const d = CONFIG.drawers.find(x => x.id === drawerId);
+        const cart = d ? CONFIG.carts.find(c => c.id === d.cart) : null;
+        return cart ? cart.type : null;
+    };
+    const type = cartTypeOf(drawer.id);
+    const others = CONFIG.items.filter(item => item.drawer && item.drawer !== drawer.id);
+    const sameType = shuffle(others.filter(item => cartTypeOf(item.drawer) === type));
+    const otherTypes = shuffle(others.filter(item => cartTypeOf(item.drawer) !== type));
+    return [...sameType, ...otherTypes].slice(0, count);
+}
+
+function buildQuizScenario() {
+    const drawers = shuffle(getQuizDrawers()).slice(0, QUIZ_ROUND_SIZE);
+    const questions = drawers.map(drawer => {
+        const contents = CONFIG.items.filter(item => item.drawer === drawer.id);
+        const distractors = getQuizDistractors(drawer, Math.max(QUIZ_MIN_DISTRACTORS, contents.length));
+        return {
+            drawerId: drawer.id,
+            label: getDrawerLabel(drawer.id),
+            answer: contents.map(item => item.id),
+            options: shuffle([...contents, ...distractors]).map(item => item.id)
+        };
+    });
+
+    return {
+        id: QUIZ_SCENARIO_ID,
+        name: 'Contents Quiz',
+        description: 'Pick every item that belongs in the open drawer, and nothing else.',
+        isQuiz: true,
+        questions: questions,
+        // The contents of every asked drawer, so history and drills see what was missed
+        items: questions.flatMap(q => q.answer.map(itemId => {
+            const item = CONFIG.items.find(i => i.id === itemId);
+            return { itemId: itemId, name: item.name, essential: true };
+        })),
+        stages: null,
+        vitals: '',
+        events: [],
+        scoringRules: null,
+        successFeedback: 'You know exactly what is in each drawer.',
+        partialFeedback: 'Close - check the drawers you mixed up.',
+        failureFeedback: 'Spend some time opening these drawers and learning their contents.',
+        timeLimit: 0,
+        difficulty: 'intermediate',
+        hints: { ...DEFAULT_HINT_SETTINGS }
+    };
+}
+
+function startQuiz() {
+    startScenario(buildQuizScenario());
+}
+
+function getQuizQuestion() {
+    return currentScenario && currentScenario.isQuiz ? currentScenario.questions[quizIndex] : null;
+}
+
+// Open the question's drawer and list the drawers of the round in the panel
+function showQuizQuestion() {
+    const question = getQuizQuestion();
+    if (!question) return;
+
+    quizSelection = new Set();
+    quizQuestionStart = Date.now();
+
+    const itemsNeeded = document.getElementById('items-needed');
+    itemsNeeded.innerHTML = '';
+    currentScenario.questions.forEach((q, index) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'item-needed';
+        itemDiv.id = `item-quiz-${index}`;
+        itemDiv.textContent = q.label;
+        if (index < quizIndex) itemDiv.classList.add('item-found');
+        itemsNeeded.appendChild(itemDiv);
+    });
+    updateProgress();
+
+    const drawerGroup = findDrawerGroup(question.drawerId);
+    if (drawerGroup) openDrawer(drawerGroup);
+    showDrawerItemsPopup(question.drawerId, question.label);
+}
+
+// Drawer popup in quiz mode: any drawer shows the current question
+function renderQuizPopup() {
+    const question = getQuizQuestion();
+    const listEl = document.getElementById('drawer-items-list');
+    if (!question) return;
+
+    document.getElementById('drawer-popup-title').textContent = `${question.label}: what belongs here?`;
+    listEl.innerHTML = '';
+    question.options.forEach(itemId => {
+        const item = CONFIG.items.find(i => i.id === itemId);
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'drawer-item quiz-option';
+        itemDiv.classList.toggle('selected', quizSelection.has(itemId));
+        itemDiv.innerHTML = `
+            <div class="drawer-item-icon">${quizSelection.has(itemId) ? '☑' : '☐'}</div>
+            <div class="drawer-item-name">${item ? item.name : itemId}</div>
+        `;
+        itemDiv.addEventListener('click', () => {
+            if (quizSelection.has(itemId)) quizSelection.delete(itemId);
+            else quizSelection.add(itemId);
+            renderQuizPopup();
+        });
+        listEl.appendChild(itemDiv);
+    });
+
+    const submitBtn = document.createElement('button');
+    submitBtn.className = 'drawer-items-close-btn quiz-submit-btn';
+    submitBtn.textContent = `Submit (${quizSelection.size} selected)`;
+    submitBtn.addEventListener('click', submitQuizAnswer);
+    listEl.appendChild(submitBtn);
+}
+
+function submitQuizAnswer() {
+    const question = getQuizQuestion();
+    if (!question) return;
+
+    const selected = [...quizSelection];
+    const correct = selected.filter(itemId => question.answer.includes(itemId));
+    quizAnswers.push({ selected: selected, correct: correct, time: Math.floor((Date.now() - quizQuestionStart) / 1000) });
+    correct.forEach(itemId => foundItems.add(itemId));
+    selected.filter(itemId => !question.answer.includes(itemId)).forEach(itemId => wrongItems.add(itemId));
+    recordEvent('q', quizIndex, selected.length, correct.length);
+
+    playSound('itemFound');
+    showNotification(`${correct.length} of ${question.answer.length} items found · ${selected.length - correct.length} wrong`);
+
+    const drawerGroup = findDrawerGroup(question.drawerId);
+    if (drawerGroup) closeDrawer(drawerGroup);
+
+    quizIndex++;
+    if (quizIndex < currentScenario.questions.length) {
+        showQuizQuestion();
+    } else {
+        completeScenario();
+    }
+}
+
+function updateQuizProgress() {
+    const total = currentScenario.questions.length;
+    document.getElementById('progress-fill').style.width = `${total > 0 ? (quizAnswers.length / total) * 100 : 0}%`;
+    document.getElementById('progress-text').textContent = `${quizAnswers.length} / ${total} drawers answered`;
+}
+
+// Each drawer scores essentialPoints per content item, scaled by the F1 score
+// (harmonic mean of precision and recall). Every drawer perfect earns the perfect bonus.
+function calculateQuizScore(scenario, answers) {
+    const rules = getScoringRules(scenario);
+    const breakdown = [];
+    const stages = [];
+    let total = 0;
+
+    scenario.questions.forEach((question, index) => {
+        const answer = answers[index];
+        const maxScore = question.answer.length * rules.essentialPoints;
+        const precision = answer && answer.selected.length > 0 ? answer.correct.length / answer.selected.length : 0;
+        const recall = answer ? answer.correct.length / question.answer.length : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+        const score = Math.round(f1 * maxScore);
+        const percent = value => `${Math.round(value * 100)}%`;
+        total += score;
+
+        breakdown.push({
+            label: question.label,
+            detail: answer ? `Precision ${percent(precision)} · Recall ${percent(recall)}` : 'Not answered',
+            points: score,
+            missed: !answer
+        });
+        if (answer) {
+            question.answer.filter(itemId => !answer.correct.includes(itemId)).forEach(itemId => {
+                const item = CONFIG.items.find(i => i.id === itemId);
+                breakdown.push({ label: item ? item.name : itemId, detail: `${question.label} · Missed`, points: 0, missed: true });
+            });
+            answer.selected.filter(itemId => !answer.correct.includes(itemId)).forEach(itemId => {
+                const item = CONFIG.items.find(i => i.id === itemId);
+                breakdown.push({ label: item ? item.name : itemId, detail: `Not in ${question.label}`, points: 0, missed: false });
+            });
+        }
+
+        stages.push({
+            name: question.label,
+            score: score,
+            maxScore: maxScore,
+            itemsFound: answer ? answer.correct.length : 0,
+            itemsTotal: question.answer.length,
+            time: answer ? answer.time : 0,
+            timedOut: false,
+            reached: !!answer,
+            note: answer ? `Precision ${percent(precision)} · Recall ${percent(recall)}` : '',
+            precision: precision,
+            recall: recall
+        });
+    });
+
+    const wrongItemIds = answers.flatMap(a => a.selected.filter(itemId => !a.correct.includes(itemId)));
+    const isPerfect = answers.length === scenario.questions.length &&
+        stages.every(stage => stage.precision === 1 && stage.recall === 1);
+    if (isPerfect && rules.perfectBonus > 0) {
+        breakdown.push({ label: 'Perfect Bonus', detail: 'Every drawer exactly right', points: rules.perfectBonus, missed: false });
+        total += rules.perfectBonus;
+    }
+
+    return {
+        total: total,
+        maxScore: scenario.items.length * rules.essentialPoints + rules.perfectBonus,
+        breakdown: breakdown,
+        isPerfect: isPerfect,
+        wrongItems: wrongItemIds.length,
+        wrongItemIds: wrongItemIds,
+        hintsUsed: 0,
+        rules: rules,
+        stages: stages
+    };
+}
+
+// ============================================================================
+// POINT TO IT
+// ============================================================================
+
+// Rapid-fire location quiz: the HUD names an item and the trainee has a few seconds to aim
+// at the drawer holding it and click, without opening it. Aiming uses the look-at raycast,
+// with a longer reach; in fixed camera views the mouse moves a cursor instead of the view.
+const POINT_SCENARIO_ID = 'point-quiz';
+const POINT_ROUND_SIZE = 10;
+const POINT_TIME_LIMIT = 5;      // seconds per item
+const POINT_QUIZ_REACH = 100;    // feet
+const POINT_STREAK_BONUS = 10;   // extra points per correct answer in a row
+
+let pointIndex = 0;
+let pointPromptStart = 0;
+let pointStreak = 0;
+let pointResponses = [];    // [{ itemId, drawerId, correct, time, streak }] in order
+let pointTimeout = null;
+let pointPausedAt = 0;      // When the countdown was paused (0 = running)
+let pointPausedByUnlock = false;
+const aimPoint = new THREE.Vector2(); // Cursor in fixed camera views (normalized device coords)
+
+function isPointQuizActive() {
+    return !!(currentScenario && currentScenario.isPointQuiz && !replayState);
+}
+
+function resetPointQuiz() {
+    clearPointPrompt();
+    pointIndex = 0;
+    pointStreak = 0;
+    pointResponses = [];
+}
+
+// Items whose drawer is in the room
+function getPointItems() {
+    return getReviewableItems().filter(item => findDrawerGroup(item.drawer));
+}
+
+function buildPointScenario() {
+    const items = shuffle(getPointItems()).slice(0, POINT_ROUND_SIZE);
+    return {
+        id: POINT_SCENARIO_ID,
+        name: 'Point to It',
+        description: 'Aim at the drawer holding the named item and click. Don\'t open it!',
+        isPointQuiz: true,
+        items: items.map(item => ({ itemId: item.id, name: item.name, essential: true })),
+        stages: null,
+        vitals: '',
+        events: [],
+        scoringRules: null,
+        successFeedback: 'Every drawer right first time!',
+        partialFeedback: 'Check the heat list for the items to practise.',
+        failureFeedback: 'Walk the carts and learn where things live, then try again.',
+        timeLimit: 0,
+        difficulty: 'advanced',
+        hints: { ...DEFAULT_HINT_SETTINGS }
+    };
+}
+
+function startPointQuiz() {
+    startScenario(buildPointScenario());
+}
+
+function moveAimPoint(movementX, movementY) {
+    aimPoint.x = Math.max(-1, Math.min(1, aimPoint.x + (movementX * 2) / window.innerWidth));
+    aimPoint.y = Math.max(-1, Math.min(1, aimPoint.y - (movementY * 2) / window.innerHeight));
+
+    const crosshair = document.querySelector('.crosshair');
+    crosshair.style.left = `${(aimPoint.x + 1) * 50}%`;
+    crosshair.style.top = `${(1 - aimPoint.y) * 50}%`;
+}
+
+function resetAimPoint() {
+    aimPoint.set(0, 0);
+    const crosshair = document.querySelector('.crosshair');
+    if (crosshair) {
+        crosshair.style.left = '';
+        crosshair.style.top = '';
+    }
+}
+
+// Name the next item and start its countdown
+function showPointPrompt() {
+    const prompt = currentScenario.items[pointIndex];
+    if (!prompt) return;
+
+    pointPromptStart = Date.now();
+    document.getElementById('point-prompt-item').textContent = prompt.name;
+    document.getElementById('point-prompt-streak').textContent = pointStreak > 0 ? `🔥 ${pointStreak} in a row` : '';
+    document.getElementById('point-prompt').classList.add('visible');
+
+    // Restart the countdown bar
+    const fill = document.getElementById('point-prompt-fill');
+    fill.style.transition = 'none';
+    fill.style.width = '100%';
+    void fill.offsetWidth;
+    fill.style.transition = `width ${POINT_TIME_LIMIT}s linear`;
+    fill.style.width = '0%';
+
+    if (pointTimeout) clearTimeout(pointTimeout);
+    pointPausedAt = 0;
+    pointTimeout = setTimeout(() => answerPointPrompt(null), POINT_TIME_LIMIT * 1000);
+    updateProgress();
+}
+
+// The countdown stops while the pointer is released or the page is hidden, so the
+// trainee isn't marked wrong while away; it resumes with the time that was left
+function pausePointPrompt(byUnlock = false) {
+    if (byUnlock) pointPausedByUnlock = isPointQuizActive();
+    if (!isPointQuizActive() || !pointTimeout || pointPausedAt) return;
+
+    clearTimeout(pointTimeout);
+    pointTimeout = null;
+    pointPausedAt = Date.now();
+
+    const fill = document.getElementById('point-prompt-fill');
+    fill.style.width = getComputedStyle(fill).width;
+    fill.style.transition = 'none';
+}
+
+function resumePointPrompt() {
+    if (!isPointQuizActive() || !pointPausedAt) return;
+
+    // Answer times leave out the pause
+    pointPromptStart += Date.now() - pointPausedAt;
+    pointPausedAt = 0;
+    pointPausedByUnlock = false;
+    const remaining = Math.max(0, POINT_TIME_LIMIT * 1000 - (Date.now() - pointPromptStart));
+
+    const fill = document.getElementById('point-prompt-fill');
+    void fill.offsetWidth;
+    fill.style.transition = `width ${remaining / 1000}s linear`;
+    fill.style.width = '0%';
+
+    pointTimeout = setTimeout(() => answerPointPrompt(null), remaining);
+}
+
+function clearPointPrompt() {
+    if (pointTimeout) clearTimeout(pointTimeout);
+    pointTimeout = null;
+    pointPausedAt = 0;
+    pointPausedByUnlock = false;
+    document.getElementById('point-prompt').classList.remove('visible');
+    resetAimPoint();
+}
+
+// drawerId is null when the time ran out
+function answerPointPrompt(drawerId) {
+    if (!isPointQuizActive()) return;
+    const prompt = currentScenario.items[pointIndex];
+    if (!prompt) return;
+
+    if (pointTimeout) clearTimeout(pointTimeout);
+    pointTimeout = null;
+    pointPausedAt = 0;
+    pointPausedByUnlock = false;
+    const item = CONFIG.items.find(i => i.id === prompt.itemId);
+    const correct = !!drawerId && !!item && item.drawer === drawerId;
+    const time = Math.round((Date.now() - pointPromptStart) / 100) / 10;
+    pointStreak = correct ? pointStreak + 1 : 0;
+    pointResponses.push({ itemId: prompt.itemId, drawerId: drawerId, correct: correct, time: time, streak: pointStreak });
+    recordEvent('a', prompt.itemId, drawerId || '', correct ? 1 : 0);
+
+    const itemDiv = document.getElementById(`item-${prompt.itemId}`);
+    if (itemDiv) itemDiv.classList.add(correct ? 'item-found' : 'item-misplaced');
+
+    if (correct) {
+        foundItems.add(prompt.itemId);
+        playSound('itemFound');
+        triggerHapticFeedback('light');
+        showNotification(`✓ ${time}s${pointStreak >= 3 ? ` · 🔥 ${pointStreak} in a row` : ''}`);
+    } else {
+        triggerHapticFeedback('heavy');
+        showNotification(`${drawerId ? '✗' : '⏰'} ${prompt.name} is in ${getDrawerLabel(item && item.drawer)}`);
+    }
+
+    pointIndex++;
+    if (pointIndex < currentScenario.items.length) {
+        showPointPrompt();
+    } else {
+        completeScenario();
+    }
+}
+
+function updatePointProgress() {
+    const total = currentScenario.items.length;
+    document.getElementById('progress-fill').style.width = `${total > 0 ? (pointIndex / total) * 100 : 0}%`;
+    document.getElementById('progress-text').textContent = `${pointIndex} / ${total} items · streak ${pointStreak}`;
+}
+
+// Correct answers earn essentialPoints plus a bonus that grows with the streak
+function calculatePointScore(scenario, responses) {
+    const rules = getScoringRules(scenario);
+    const breakdown = [];
+    let total = 0;
+
+    scenario.items.forEach((item, index) => {
+        const response = responses[index];
+        if (!response) {
+            breakdown.push({ label: item.name, detail: 'Not reached', points: 0, missed: true });
+            return;
+        }
+        if (!response.correct) {
+            breakdown.push({
+                label: item.name,
+                detail: response.drawerId ? `Chose ${getDrawerLabel(response.drawerId)}` : 'Too slow',
+                points: 0,
+                missed: false
+            });
+            return;
+        }
+        const points = rules.essentialPoints + POINT_STREAK_BONUS * (response.streak - 1);
+        breakdown.push({
+            label: item.name,
+            detail: `${response.time}s${response.streak > 1 ? ` · streak ${response.streak}` : ''}`,
+            points: points,
+            missed: false
+        });
+        total += points;
+    });
+
+    const correct = responses.filter(r => r.correct);
+    const isPerfect = correct.length === scenario.items.length;
+    if (isPerfect && rules.perfectBonus > 0) {
+        breakdown.push({ label: 'Perfect Bonus', detail: 'Every drawer right', points: rules.perfectBonus, missed: false });
+        total += rules.perfectBonus;
+    }
+
+    const count = scenario.items.length;
+    return {
+        total: total,
+        maxScore: count * rules.essentialPoints + POINT_STREAK_BONUS * (count * (count - 1)) / 2 + rules.perfectBonus,
+        breakdown: breakdown,
+        isPerfect: isPerfect,
+        wrongItems: responses.length - correct.length,
+        wrongItemIds: [],
+        hintsUsed: 0,
+        rules: rules,
+        bestStreak: Math.max(0, ...responses.map(r => r.streak)),
+        averageTime: correct.length > 0 ? Math.round(correct.reduce((sum, r) => sum + r.time, 0) / correct.length * 10) / 10 : null,
+        pointResponses: responses.map(r => ({ ...r }))
+    };
+}
+
+// Accuracy per item over every point quiz the trainee has played, worst first
+function renderPointHeatList(result) {
+    const container = document.getElementById('point-heat-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = result.pointResponses ? 'block' : 'none';
+    if (!result.pointResponses) return;
+
+    const profile = getActiveProfile();
+    const rounds = profile
+        ? profile.history.filter(attempt => attempt.pointResponses).map(attempt => attempt.pointResponses)
+        : [result.pointResponses];
+    const stats = new Map();
+    rounds.flat().forEach(response => {
+        const entry = stats.get(response.itemId) || { attempts: 0, correct: 0, time: 0 };
+        entry.attempts++;
+        if (response.correct) {
+            entry.correct++;
+            entry.time += response.time;
+        }
+        stats.set(response.itemId, entry);
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'score-breakdown-row';
+    summary.innerHTML = `
+        <span class="score-breakdown-label">🎯 Accuracy by item (${rounds.length} round${rounds.length === 1 ? '' : 's'})</span>
+        <span class="score-breakdown-detail">Best streak ${result.bestStreak}${result.averageTime !== null ? ` · avg ${result.averageTime}s` : ''}</span>
+        <span class="score-breakdown-points"></span>
+    `;
+    container.appendChild(summary);
+
+    [...stats.entries()]
+        .map(([itemId, entry]) => ({ itemId, ...entry, accuracy: entry.correct / entry.attempts }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+        .forEach(entry => {
+            const item = CONFIG.items.find(i => i.id === entry.itemId);
+            const row = document.createElement('div');
+            row.className = 'score-breakdown-row';
+            row.style.background = `hsla(${Math.round(entry.accuracy * 120)}, 70%, 40%, 0.35)`;
+            const avg = entry.correct > 0 ? ` · avg ${Math.round(entry.time / entry.correct * 10) / 10}s` : '';
+            row.innerHTML = `
+                <span class="score-breakdown-label">${item ? item.name : entry.itemId}</span>
+                <span class="score-breakdown-detail">${entry.correct}/${entry.attempts}${avg}</span>
+                <span class="score-breakdown-points">${Math.round(entry.accuracy * 100)}%</span>
+            `;
+            container.appendChild(row);
+        });
+}
+
+// ============================================================================
+// DAILY CHECK
+// ============================================================================
+
+// Practice for the daily crash cart check. The designer authors scripts on a cart that seed
+// discrepancies (missing, expired or misplaced items, a broken seal); the trainee opens every
+// drawer, compares it with the par list and flags what is wrong. Nothing is picked, and the
+// check only ends when the trainee presses Finish.
+const CHECK_SCENARIO_PREFIX = 'daily-check-';
+const CHECK_FLAG_LABELS = { missing: 'Missing', expired: 'Expired', misplaced: 'Wrong drawer', seal: 'Broken seal' };
+
+let checkFlags = new Map();     // key -> { type, itemId, drawerId } for every raised flag
+let checkedDrawers = new Set(); // Drawers of the cart opened so far
+
+function resetCheck() {
+    checkFlags = new Map();
+    checkedDrawers = new Set();
+}
+
+function getCheckDrawers(cartId) {
+    return CONFIG.drawers.filter(drawer => drawer.cart === cartId && findDrawerGroup(drawer.id));
+}
+
+// Carts in the room with at least one check script
+function getCheckCarts() {
+    if (!CONFIG) return [];
+    return CONFIG.carts.filter(cart =>
+        (cart.checkScripts || []).length > 0 && getCheckDrawers(cart.id).length > 0);
+}
+
+// Drop discrepancies whose item was removed or moved to another cart since the script was written
+function isValidDiscrepancy(discrepancy, cart) {
+    if (discrepancy.type === 'seal') return true;
+    const item = CONFIG.items.find(i => i.id === discrepancy.itemId);
+    if (!item || item.cart !== cart.id || !item.drawer) return false;
+    if (discrepancy.type !== 'misplaced') return true;
+    const drawer = CONFIG.drawers.find(d => d.id === discrepancy.drawerId);
+    return !!drawer && drawer.cart === cart.id && drawer.id !== item.drawer;
+}
+
+function describeDiscrepancy(discrepancy) {
+    const item = CONFIG.items.find(i => i.id === discrepancy.itemId);
+    const name = item ? item.name : discrepancy.itemId;
+    switch (discrepancy.type) {
+        case 'missing': return `Missing: ${name}`;
+        case 'expired': return `Expired: ${name}`;
+        case 'misplaced': return `Misplaced: ${name} in ${getDrawerLabel(discrepancy.drawerId)}`;
+        default: return 'Broken seal';
+    }
+}
+
+// 'YYYY-MM-DD' for a number of days from today
+function formatCheckDate(offsetDays) {
+    const date = new Date(Date.now() + offsetDays * DAY_MS);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Expiration dates come from the cart's inventory. Items already past their date are
+// expired discrepancies of every script; a scripted expiry on an item still in date
+// shows yesterday's date.
+function buildCheckScenario(cart) {
+    const script = cart.checkScripts[Math.floor(Math.random() * cart.checkScripts.length)];
+    const discrepancies = script.discrepancies.filter(d => isValidDiscrepancy(d, cart));
+    const today = formatCheckDate(0);
+    const cartItems = CONFIG.items.filter(item => item.cart === cart.id && item.drawer);
+
+    cartItems.filter(item => item.expiration && item.expiration < today).forEach(item => {
+        const scripted = discrepancies.some(d => d.itemId === item.id && (d.type === 'expired' || d.type === 'missing'));
+        if (!scripted) discrepancies.push({ id: `expired-${item.id}`, type: 'expired', itemId: item.id, drawerId: '' });
+    });
+
+    const expiry = {};
+    cartItems.forEach(item => {
+        expiry[item.id] = item.expiration || '';
+    });
+    discrepancies.filter(d => d.type === 'expired' && !(expiry[d.itemId] < today)).forEach(d => {
+        expiry[d.itemId] = formatCheckDate(-1);
+    });
+
+    return {
+        id: `${CHECK_SCENARIO_PREFIX}${cart.id}`,
+        name: `Daily Check: ${cart.name}`,
+        description: 'Open every drawer and compare it with the par list. Flag anything missing, expired or in the wrong drawer, and a broken seal, then press Finish.',
+        isCheck: true,
+        cartId: cart.id,
+        scriptName: script.name,
+        discrepancies: discrepancies.map(d => ({ ...d })),
+        sealNumber: String(100000 + Math.floor(Math.random() * 900000)),
+        expiry: expiry,
+        // Nothing is picked; discrepancies are scored and recorded on their own
+        items: [],
+        stages: null,
+        vitals: '',
+        events: [],
+        scoringRules: null,
+        successFeedback: 'Cart checked - every discrepancy was caught.',
+        partialFeedback: 'Some discrepancies slipped through - this cart would not be ready for a code.',
+        failureFeedback: 'None of the discrepancies were caught.',
+        timeLimit: 0,
+        difficulty: 'intermediate',
+        hints: { ...DEFAULT_HINT_SETTINGS }
+    };
+}
+
+function startCheck(cartId) {
+    const cart = CONFIG.carts.find(c => c.id === cartId);
+    if (cart) startScenario(buildCheckScenario(cart));
+}
+
+// The panel lists the drawers to check rather than the discrepancies
+function renderCheckDrawers() {
+    const itemsNeeded = document.getElementById('items-needed');
+    itemsNeeded.innerHTML = '';
+    getCheckDrawers(currentScenario.cartId).forEach(drawer => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'item-needed';
+        itemDiv.id = `item-check-${drawer.id}`;
+        itemDiv.textContent = drawer.name;
+        if (checkedDrawers.has(drawer.id)) itemDiv.classList.add('item-found');
+        itemsNeeded.appendChild(itemDiv);
+    });
+}
+
+function isCheckDrawer(drawerId) {
+    const drawer = CONFIG.drawers.find(d => d.id === drawerId);
+    return !!(currentScenario && currentScenario.isCheck && drawer && drawer.cart === currentScenario.cartId);
+}
+
+// What is actually in a drawer: its par contents without the missing and moved-out items,
+// plus anything misplaced into it
+function getCheckContents(drawerId) {
+    const discrepancies = currentScenario.discrepancies;
+    const gone = new Set(discrepancies
+        .filter(d => d.type === 'missing' || d.type === 'misplaced')
+        .map(d => d.itemId));
+    const movedIn = discrepancies
+        .filter(d => d.type === 'misplaced' && d.drawerId === drawerId)
+        .map(d => CONFIG.items.find(i => i.id === d.itemId));
+    return [
+        ...CONFIG.items.filter(item => item.drawer === drawerId && !gone.has(item.id)),
+        ...movedIn
+    ];
+}
+
+function getCheckFlagKey(type, itemId, drawerId) {
+    return type === 'misplaced' ? `${type}:${itemId}:${drawerId}` : type === 'seal' ? type : `${type}:${itemId}`;
+}
+
+// Drawer popup in check mode: the seal, what is in the drawer, then the par list
+function renderCheckPopup(drawerId) {
+    const listEl = document.getElementById('drawer-items-list');
+    const sealBroken = currentScenario.discrepancies.some(d => d.type === 'seal');
+
+    listEl.innerHTML = '';
+    const addRow = (icon, name, detail, flags) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'drawer-item check-item';
+        itemDiv.innerHTML = `
+            <div class="drawer-item-icon">${icon}</div>
+            <div class="drawer-item-name">${name}${detail ? `<div class="drawer-item-detail">${detail}</div>` : ''}</div>
+        `;
+        flags.forEach(([type, itemId]) => {
+            const key = getCheckFlagKey(type, itemId, drawerId);
+            const flagBtn = document.createElement('button');
+            flagBtn.className = 'drawer-item-pick-btn check-flag-btn';
+            flagBtn.classList.toggle('flagged', checkFlags.has(key));
+            flagBtn.textContent = `${checkFlags.has(key) ? '🚩 ' : ''}${CHECK_FLAG_LABELS[type]}`;
+            flagBtn.addEventListener('click', () => toggleCheckFlag(type, itemId, drawerId));
+            itemDiv.appendChild(flagBtn);
+        });
+        listEl.appendChild(itemDiv);
+    };
+    const addHeading = text => {
+        const heading = document.createElement('div');
+        heading.className = 'drawer-items-section';
+        heading.textContent = text;
+        listEl.appendChild(heading);
+    };
+
+    addRow(sealBroken ? '🔓' : '🔒', `Cart seal #${currentScenario.sealNumber}`,
+        sealBroken ? 'Snapped - the tag is hanging loose' : 'Intact', [['seal', '']]);
+
+    addHeading('📦 In the drawer');
+    const contents = getCheckContents(drawerId);
+    if (contents.length === 0) {
+        listEl.insertAdjacentHTML('beforeend', '<div class="drawer-items-empty">This drawer is empty</div>');
+    }
+    contents.forEach(item => {
+        addRow('📦', item.name, `Exp ${currentScenario.expiry[item.id] || '-'}`, [['expired', item.id], ['misplaced', item.id]]);
+    });
+
+    addHeading('📋 Par list');
+    CONFIG.items.filter(item => item.drawer === drawerId).forEach(item => {
+        addRow('📋', item.name, `Par ${Math.max(1, Number(item.par) || 0)} ${item.unit || 'each'}`, [['missing', item.id]]);
+    });
+
+    if (!checkedDrawers.has(drawerId)) {
+        checkedDrawers.add(drawerId);
+        const chip = document.getElementById(`item-check-${drawerId}`);
+        if (chip) chip.classList.add('item-found');
+        updateProgress();
+    }
+}
+
+function toggleCheckFlag(type, itemId, drawerId) {
+    if (!currentScenario || !currentScenario.isCheck) return;
+
+    const key = getCheckFlagKey(type, itemId, drawerId);
+    const flagged = !checkFlags.has(key);
+    if (flagged) {
+        checkFlags.set(key, { type: type, itemId: itemId, drawerId: type === 'misplaced' ? drawerId : '' });
+    } else {
+        checkFlags.delete(key);
+    }
+    recordEvent('f', type, itemId, drawerId, flagged ? 1 : 0);
+
+    triggerHapticFeedback('light');
+    renderCheckPopup(drawerId);
+    updateProgress();
+}
+
+// A misplaced item is caught by flagging it in the wrong drawer or as missing from its own.
+// Flags that match no discrepancy are false alarms.
+function matchCheckFlags(scenario, flags) {
+    const detected = new Set();
+    const used = new Set();
+    scenario.discrepancies.forEach(d => {
+        const matches = flags.filter(flag => {
+            if (d.type === 'seal') return flag.type === 'seal';
+            if (flag.itemId !== d.itemId) return false;
+            if (d.type === 'misplaced') {
+                return flag.type === 'missing' || (flag.type === 'misplaced' && flag.drawerId === d.drawerId);
+            }
+            return flag.type === d.type;
+        });
+        if (matches.length > 0) detected.add(d.id);
+        matches.forEach(flag => used.add(flag));
+    });
+    return { detected: detected, falseAlarms: flags.filter(flag => !used.has(flag)) };
+}
+
+function describeCheckFlag(flag) {
+    if (flag.type === 'seal') return CHECK_FLAG_LABELS.seal;
+    const item = CONFIG.items.find(i => i.id === flag.itemId);
+    return `${CHECK_FLAG_LABELS[flag.type]}: ${item ? item.name : flag.itemId}`;
+}
+
+function updateCheckProgress() {
+    const total = getCheckDrawers(currentScenario.cartId).length;
+    document.getElementById('progress-fill').style.width = `${total > 0 ? (checkedDrawers.size / total) * 100 : 0}%`;
+    document.getElementById('progress-text').textContent =
+        `${checkedDrawers.size} / ${total} drawers checked · ${checkFlags.size} flagged`;
+}
+
+// Points for each detected discrepancy, a penalty for each false alarm. The perfect bonus
+// needs every drawer checked, every discrepancy caught and no false alarms.
+function calculateCheckScore(scenario, flags, drawersChecked) {
+    const rules = getScoringRules(scenario);
+    const { detected, falseAlarms } = matchCheckFlags(scenario, flags);
+    const unchecked = getCheckDrawers(scenario.cartId).filter(drawer => !drawersChecked.has(drawer.id));
+    const breakdown = [];
+    let total = 0;
+
+    scenario.discrepancies.forEach(d => {
+        const found = detected.has(d.id);
+        breakdown.push({ label: describeDiscrepancy(d), detail: found ? 'Flagged' : 'Not flagged', points: found ? rules.essentialPoints : 0, missed: !found });
+        if (found) total += rules.essentialPoints;
+    });
+    falseAlarms.forEach(flag => {
+        breakdown.push({ label: describeCheckFlag(flag), detail: 'False alarm', points: -rules.penaltyPoints, missed: false });
+        total -= rules.penaltyPoints;
+    });
+    unchecked.forEach(drawer => {
+        breakdown.push({ label: drawer.name, detail: 'Drawer not checked', points: 0, missed: true });
+    });
+
+    const isPerfect = detected.size === scenario.discrepancies.length && falseAlarms.length === 0 && unchecked.length === 0;
+    if (isPerfect && rules.perfectBonus > 0) {
+        breakdown.push({ label: 'Perfect Bonus', detail: 'Every discrepancy caught, no false alarms', points: rules.perfectBonus, missed: false });
+        total += rules.perfectBonus;
+    }
+
+    return {
+        total: Math.max(0, total),
+        maxScore: scenario.discrepancies.length * rules.essentialPoints + rules.perfectBonus,
+        breakdown: breakdown,
+        isPerfect: isPerfect,
+        wrongItems: falseAlarms.length,
+        wrongItemIds: falseAlarms.map(flag => flag.itemId).filter(Boolean),
+        hintsUsed: 0,
+        rules: rules,
+        discrepancies: scenario.discrepancies.map(d => ({ id: d.id, type: d.type, itemId: d.itemId, drawerId: d.drawerId, detected: detected.has(d.id) })),
+        falseAlarms: falseAlarms.map(flag => ({ ...flag }))
+    };
+}
+
+// ============================================================================
+// SCORING SYSTEM
+// ============================================================================
+
+// Fallback rules (same as the designer defaults) for configs saved without scoringRules
+const DEFAULT_SCORING_RULES = {
+    essentialPoints: 60,
+    optionalPoints: 20,
+    penaltyPoints: 5,
+    perfectBonus: 500,
+    speedThreshold: 60, // seconds
+    speedBonus: 300
+};
+
+// Resolve the rules for a scenario: project rules, overridden by the scenario's own rules
+function getScoringRules(scenario) {
+    const projectRules = (CONFIG && CONFIG.scoringRules) || {};
+    const scenarioRules = (scenario && scenario.scoringRules) || {};
+    return { ...DEFAULT_SCORING_RULES, ...projectRules, ...scenarioRules };
+}
+
+// Perfect and speed bonuses for a whole attempt; adds their breakdown lines and returns the points
+function addScoreBonuses(breakdown, rules, isPerfect, allEssentialFound, elapsed) {
+    let points = 0;
+
+    // Perfect bonus: every essential item found with no mistakes
+    if (isPerfect && rules.perfectBonus > 0) {
+        breakdown.push({ label: 'Perfect Bonus', detail: 'No mistakes', points: rules.perfectBonus, missed: false });
+        points += rules.perfectBonus;
+    }
+
+    // Speed bonus: essentials gathered within the threshold
+    if (allEssentialFound && elapsed <= rules.speedThreshold && rules.speedBonus > 0) {
+        breakdown.push({ label: 'Speed Bonus', detail: `Under ${rules.speedThreshold}s`, points: rules.speedBonus, missed: false });
+        points += rules.speedBonus;
+    }
+
+    return points;
+}
+
+// Score an attempt. Returns the total plus one breakdown line per item and bonus/penalty.
+// Stages of a staged scenario are scored without bonuses; the run earns them once.
+function calculateScore(scenario, found, elapsed, wrongItemIds = [], hints = [], includeBonuses = true) {
+    const rules = getScoringRules(scenario);
+    const breakdown = [];
+    let total = 0;
+
+    // Per-item points
+    scenario.items.forEach(item => {
+        const wasFound = found.has(item.itemId);
+        const points = wasFound ? (item.essential ? rules.essentialPoints : rules.optionalPoints) : 0;
+        breakdown.push({
+            label: item.name,
+            detail: item.essential ? 'Essential' : 'Optional',
+            points: points,
+            missed: !wasFound
+        });
+        total += points;
+    });
+
+    // Wrong item penalties
+    wrongItemIds.forEach(itemId => {
+        const itemData = CONFIG.items.find(i => i.id === itemId);
+        breakdown.push({
+            label: itemData ? itemData.name : itemId,
+            detail: 'Not needed',
+            points: -rules.penaltyPoints,
+            missed: false
+        });
+        total -= rules.penaltyPoints;
+    });
+
+    // Hint penalty
+    const hintPenalty = (scenario.hints || DEFAULT_HINT_SETTINGS).penalty;
+    if (hints.length > 0 && hintPenalty > 0) {
+        breakdown.push({
+            label: 'Hints',
+            detail: `${hints.length} used`,
+            points: -hints.length * hintPenalty,
+            missed: false
+        });
+        total -= hints.length * hintPenalty;
+    }
+
+    const allEssentialFound = scenario.items
+        .filter(i => i.essential)
+        .every(i => found.has(i.itemId));
+    const isPerfect = allEssentialFound && wrongItemIds.length === 0;
+    if (includeBonuses) {
+        total += addScoreBonuses(breakdown, rules, isPerfect, allEssentialFound, elapsed);
+    }
+
+    // Best possible score: every item plus both bonuses
+    const maxScore = scenario.items.reduce((sum, item) =>
+        sum + (item.essential ? rules.essentialPoints : rules.optionalPoints), 0) +
+        (includeBonuses ? rules.perfectBonus + rules.speedBonus : 0);
+
+    return {
+        total: Math.max(0, total),
+        maxScore: maxScore,
+        breakdown: breakdown,
+        isPerfect: isPerfect,
+        wrongItems: wrongItemIds.length,
+        hintsUsed: hints.length,
+        rules: rules
+    };
+}
+
+// Staged scenarios: each stage is scored on its own items, time, wrong picks and hints,
+// then the stages are added up. Stages the trainee never reached score nothing. The
+// perfect and speed bonuses are earned once, for the whole run.
+function calculateStagedScore(scenario, found, runs) {
+    const combined = {
+        total: 0,
+        maxScore: 0,
+        breakdown: [],
+        isPerfect: true,
+        wrongItems: 0,
+        wrongItemIds: [],
+        hintsUsed: 0,
+        rules: getScoringRules(scenario),
+        stages: []
+    };
+
+    scenario.stages.forEach((stage, index) => {
+        const run = runs[index];
+        const stageScenario = { ...scenario, items: run ? [...stage.items, ...run.eventItems] : stage.items };
+        const result = run
+            ? calculateScore(stageScenario, found, run.time, run.wrongItems, run.hints, false)
+            : calculateScore(stageScenario, new Set(), 0, [], [], false);
+        if (!run) {
+            result.total = 0;
+            result.isPerfect = false;
+            result.breakdown = result.breakdown.filter(line => line.missed);
+        }
+
+        combined.total += result.total;
+        combined.maxScore += result.maxScore;
+        combined.isPerfect = combined.isPerfect && result.isPerfect;
+        combined.wrongItems += result.wrongItems;
+        combined.hintsUsed += result.hintsUsed;
+        if (run) combined.wrongItemIds.push(...run.wrongItems);
+        result.breakdown.forEach(line => {
+            combined.breakdown.push({ ...line, detail: `${stage.name} · ${line.detail}` });
+        });
+        combined.stages.push({
+            name: stage.name,
+            score: result.total,
+            maxScore: result.maxScore,
+            itemsFound: stageScenario.items.filter(i => found.has(i.itemId)).length,
+            itemsTotal: stageScenario.items.length,
+            time: run ? run.time : 0,
+            timedOut: !!(run && run.timedOut),
+            reached: !!run
+        });
+    });
+
+    // Bonuses over the whole run: every stage reached, total time across the stages
+    const allReached = scenario.stages.every((stage, index) => runs[index]);
+    const allEssentialFound = allReached && scenario.stages.every((stage, index) =>
+        [...stage.items, ...runs[index].eventItems]
+            .filter(i => i.essential)
+            .every(i => found.has(i.itemId)));
+    const elapsed = runs.reduce((sum, run) => sum + (run ? run.time : 0), 0);
+    combined.isPerfect = allEssentialFound && combined.wrongItems === 0;
+    combined.total += addScoreBonuses(combined.breakdown, combined.rules, combined.isPerfect, allEssentialFound, elapsed);
+    combined.maxScore += combined.rules.perfectBonus + combined.rules.speedBonus;
+
+    return combined;
+}
+
+// Pick the designer's feedback message for the outcome of an attempt
+function getScenarioFeedback(scenario, result) {
+    // A daily check is judged on the discrepancies it caught
+    const essentials = scenario.isCheck ? result.discrepancies : scenario.items.filter(i => i.essential);
+    const essentialFound = scenario.isCheck
+        ? essentials.filter(d => d.detected).length
+        : essentials.filter(i => foundItems.has(i.itemId)).length;
+
+    if (result.timedOut) {
+        return { outcome: 'failure', message: scenario.failureFeedback || 'Missing critical items.' };
+    }
+    if (result.isPerfect) {
+        return { outcome: 'success', message: scenario.successFeedback || 'Perfect!' };
+    }
+    if (essentialFound > 0 || essentials.length === 0) {
+        return { outcome: 'partial', message: scenario.partialFeedback || 'Good, but incomplete.' };
+    }
+    return { outcome: 'failure', message: scenario.failureFeedback || 'Missing critical items.' };
+}
+
+function renderScenarioFeedback(feedback) {
+    const el = document.getElementById('scenario-feedback');
+    if (!el) return;
+
+    el.className = `scenario-feedback ${feedback.outcome}`;
+    el.textContent = feedback.message;
+}
+
+// One card per stage on the completion screen (hidden for unstaged scenarios)
+function renderStageBreakdown(result) {
+    const container = document.getElementById('stage-breakdown');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = result.stages ? 'flex' : 'none';
+    (result.stages || []).forEach(stage => {
+        const card = document.createElement('div');
+        card.className = 'stage-card';
+        card.classList.toggle('timed-out', stage.timedOut);
+        card.classList.toggle('not-reached', !stage.reached);
+
+        const status = !stage.reached ? 'Not reached' : stage.timedOut ? `⏰ ${formatTime(stage.time)}` : formatTime(stage.time);
+        card.innerHTML = `
+            <div class="stage-card-name">${stage.name}</div>
+            <div class="stage-card-score">${stage.score}</div>
+            <div>${stage.itemsFound}/${stage.itemsTotal} items · ${status}</div>
+            ${stage.note ? `<div class="stage-card-note">${stage.note}</div>` : ''}
+        `;
+        container.appendChild(card);
+    });
+}
+
+// Show the per-item score breakdown on the completion screen
+function renderScoreBreakdown(result) {
+    const container = document.getElementById('score-breakdown');
+    if (!container) return;
+
+    container.innerHTML = '';
+    result.breakdown.forEach(line => {
+        const row = document.createElement('div');
+        row.className = 'score-breakdown-row';
+        if (line.missed) row.classList.add('missed');
+        if (line.points < 0) row.classList.add('penalty');
+
+        const sign = line.points > 0 ? '+' : '';
+        row.innerHTML = `
+            <span class="score-breakdown-label">${line.label}</span>
+            <span class="score-breakdown-detail">${line.missed ? 'Missed' : line.detail}</span>
+            <span class="score-breakdown-points">${sign}${line.points}</span>
+        `;
+        container.appendChild(row);
+    });
+}
+
+// ============================================================================
+// TRAINEE PROFILES
+// ============================================================================
+
+// Profiles live in one localStorage entry: { activeId, profiles: [...] }
+// Each profile keeps its own achievements, trigger counters and attempt history
+let profileStore = { activeId: null, profiles: [] };
+
+function createProfile(name) {
+    return {
+        id: `profile_${Date.now()}`,
+        name: name,
+        createdAt: new Date().toISOString(),
+        achievements: [],
+        stats: { scenariosCompleted: 0, clearedScenarios: [] },
+        history: [],
+        itemMemory: {}
+    };
+}
+
+function loadProfiles() {
+    try {
+        const saved = localStorage.getItem('traumaTrainerProfiles');
+        if (saved) {
+            profileStore = JSON.parse(saved);
+        }
+    } catch (error) {
+        console.warn('Could not load trainee profiles');
+    }
+
+    // First run: start a default profile, carrying over progress saved before profiles existed
+    if (profileStore.profiles.length === 0) {
+        const profile = createProfile('Trainee');
+        try {
+            const legacyAchievements = localStorage.getItem('traumaTrainerAchievements');
+            const legacyStats = localStorage.getItem('traumaTrainerStats');
+            if (legacyAchievements) profile.achievements = JSON.parse(legacyAchievements);
+            if (legacyStats) profile.stats = { ...profile.stats, ...JSON.parse(legacyStats) };
+        } catch (error) {
+            console.warn('Could not migrate saved achievements');
+        }
+        profileStore.profiles.push(profile);
+        profileStore.activeId = profile.id;
+        saveProfiles();
+    }
+
+    if (!getActiveProfile()) {
+        profileStore.activeId = profileStore.profiles[0].id;
+    }
+}
+
+function saveProfiles() {
+    try {
+        localStorage.setItem('traumaTrainerProfiles', JSON.stringify(profileStore));
+    } catch (error) {
+        console.warn('Could not save trainee profiles');
+    }
+}
+
+function getActiveProfile() {
+    return profileStore.profiles.find(p => p.id === profileStore.activeId) || null;
+}
+
+function switchProfile(profileId) {
+    if (!activateProfile(profileId)) return;
+
+    showScenarioMenu();
+    showNotification(`Trainee: ${getActiveProfile().name}`);
+}
+
+// Make a profile the active one without touching the UI (also used during start-up)
+function activateProfile(profileId) {
+    if (!profileStore.profiles.some(p => p.id === profileId)) return false;
+
+    profileStore.activeId = profileId;
+    saveProfiles();
+
+    // Achievements, counters and tutorial status are per trainee
+    loadUnlockedAchievements();
+    loadAchievementStats();
+    return true;
+}
+
+function createNewProfile() {
+    const name = (prompt('Trainee name:') || '').trim();
+    if (!name) return;
+
+    if (profileStore.profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        showNotification(`A profile named "${name}" already exists`);
+        return;
+    }
+
+    const profile = createProfile(name);
+    profileStore.profiles.push(profile);
+    switchProfile(profile.id);
+}
+
+function deleteActiveProfile() {
+    const profile = getActiveProfile();
+    if (!profile || profileStore.profiles.length <= 1) {
+        showNotification('At least one profile is required');
+        return;
+    }
+    if (!confirm(`Delete ${profile.name} and their attempt history?`)) return;
+
+    profileStore.profiles = profileStore.profiles.filter(p => p.id !== profile.id);
+    switchProfile(profileStore.profiles[0].id);
+}
+
+// Found / total counts of an attempt; a daily check counts the discrepancies it caught
+function getAttemptItemsFound(scenario, result) {
+    if (scenario.isCheck) return result.discrepancies.filter(d => d.detected).length;
+    return scenario.items.filter(i => foundItems.has(i.itemId)).length;
+}
+
+function getAttemptItemsTotal(scenario, result) {
+    return scenario.isCheck ? result.discrepancies.length : scenario.items.length;
+}
+
+// Store one attempt in the active profile's history. missedEssential and missedOptional
+// only ever hold item ids; a daily check keeps its discrepancies in their own field.
+function recordAttempt(scenario, result, feedback, elapsed) {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    const missed = scenario.items.filter(i => !foundItems.has(i.itemId));
+    profile.history.push({
+        scenarioId: scenario.id,
+        scenarioName: scenario.name,
+        date: new Date().toISOString(),
+        time: elapsed,
+        itemsFound: getAttemptItemsFound(scenario, result),
+        itemsTotal: getAttemptItemsTotal(scenario, result),
+        errors: result.wrongItems,
+        wrongItems: [...result.wrongItemIds],
+        missedEssential: missed.filter(i => i.essential).map(i => i.itemId),
+        missedOptional: missed.filter(i => !i.essential).map(i => i.itemId),
+        score: result.total,
+        outcome: feedback.outcome,
+        timedOut: !!result.timedOut,
+        hints: hintsUsed.map(hint => ({ ...hint })),
+        stages: result.stages || null,
+        events: result.events,
+        placements: result.placements || null,
+        pointResponses: result.pointResponses || null,
+        discrepancies: result.discrepancies || null
+    });
+    saveProfiles();
+}
+
+function updateProfileUI() {
+    const select = document.getElementById('profile-select');
+    const summary = document.getElementById('profile-summary');
+    if (!select) return;
+
+    // Names are typed by trainees, so they go in as text rather than markup
+    select.replaceChildren(...profileStore.profiles.map(p =>
+        new Option(p.name, p.id, false, p.id === profileStore.activeId)
+    ));
+
+    const profile = getActiveProfile();
+    if (summary && profile) {
+        const attempts = profile.history.length;
+        const best = attempts ? Math.max(...profile.history.map(a => a.score)) : 0;
+        summary.textContent = `${attempts} attempt${attempts === 1 ? '' : 's'} · best score ${best} · ${profile.achievements.length} achievement${profile.achievements.length === 1 ? '' : 's'}`;
+    }
+}
+
+// ---- History export ----
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function getExportFilename(profile, extension) {
+    const safeName = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `trainee-history-${safeName}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+function exportHistoryJSON() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    const data = {
+        trainee: profile.name,
+        profileId: profile.id,
+        exportedAt: new Date().toISOString(),
+        achievements: profile.achievements,
+        itemMemory: getItemMemory(profile),
+        history: profile.history
+    };
+    downloadFile(getExportFilename(profile, 'json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+function exportHistoryCSV() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    const columns = ['trainee', 'date', 'scenarioId', 'scenarioName', 'time', 'itemsFound', 'itemsTotal',
+        'errors', 'score', 'outcome', 'timedOut', 'wrongItems', 'missedEssential', 'missedOptional', 'hints', 'events',
+        'discrepancies'];
+    const escape = value => {
+        // Hints are written as itemId:level, events as eventId:1 (responded) or eventId:0,
+        // check discrepancies as id:1 (detected) or id:0
+        const format = v => v.eventId ? `${v.eventId}:${v.responded ? 1 : 0}`
+            : v.type ? `${v.id}:${v.detected ? 1 : 0}`
+            : `${v.itemId}:${v.level}`;
+        const list = Array.isArray(value) ? value.map(v => typeof v === 'object' ? format(v) : v) : null;
+        const text = list ? list.join(';') : String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = profile.history.map(attempt =>
+        columns.map(column => escape(column === 'trainee' ? profile.name : attempt[column])).join(',')
+    );
+    downloadFile(getExportFilename(profile, 'csv'), [columns.join(','), ...rows].join('\n'), 'text/csv');
+}
+
+// ============================================================================
+// XAPI STATEMENTS
+// ============================================================================
+
+// Statements are queued in localStorage first, then flushed to the LRS configured in
+// the designer (CONFIG.lrsSettings). Failed deliveries stay queued and are retried
+// with exponential backoff, and again whenever the browser comes back online.
+const XAPI_VERBS = {
+    launched: 'http://adlnet.gov/expapi/verbs/launched',
+    experienced: 'http://adlnet.gov/expapi/verbs/experienced',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+    failed: 'http://adlnet.gov/expapi/verbs/failed',
+    scored: 'http://adlnet.gov/expapi/verbs/scored'
+};
+const XAPI_RETRY_MIN = 5000;     // ms
+const XAPI_RETRY_MAX = 300000;   // ms
+const XAPI_QUEUE_LIMIT = 500;    // Oldest statements are dropped beyond this
+const XAPI_REJECTED_LIMIT = 200; // Statements the LRS refused, kept for inspection
+
+let xapiRegistration = null; // One registration UUID per attempt
+let xapiRetryDelay = XAPI_RETRY_MIN;
+let xapiRetryTimer = null;
+let xapiSending = false;
+let xapiRejectionShown = false; // The trainee is told about refused statements once per session
+
+function getLrsSettings() {
+    const settings = CONFIG && CONFIG.lrsSettings;
+    return settings && settings.enabled && settings.endpoint ? settings : null;
+}
+
+function generateUUID() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+function getActivityIri(type, id) {
+    const base = (CONFIG.lrsSettings.activityBaseId || '').replace(/\/+$/, '');
+    return `${base}/${type}/${encodeURIComponent(id)}`;
+}
+
+function buildXapiActivity(type, id, name, activityType) {
+    return {
+        objectType: 'Activity',
+        id: getActivityIri(type, id),
+        definition: {
+            name: { 'en-US': name },
+            type: activityType
+        }
+    };
+}
+
+// Queue a statement for the current attempt (no-op when the LRS is not configured)
+function sendXapiStatement(verb, object, result) {
+    const settings = getLrsSettings();
+    if (!settings || !currentScenario || currentScenario.isTutorial || replayState) return;
+
+    const profile = getActiveProfile();
+    const scenarioActivity = buildXapiActivity('scenarios', currentScenario.id, currentScenario.name,
+        'http://adlnet.gov/expapi/activities/simulation');
+    const verbId = XAPI_VERBS[verb] || getActivityIri('verbs', verb);
+
+    const statement = {
+        id: generateUUID(),
+        actor: {
+            objectType: 'Agent',
+            name: profile ? profile.name : 'Trainee',
+            account: {
+                homePage: settings.activityBaseId,
+                name: profile ? profile.id : 'anonymous'
+            }
+        },
+        verb: { id: verbId, display: { 'en-US': verb.replace(/-/g, ' ') } },
+        object: object || scenarioActivity,
+        context: {
+            registration: xapiRegistration || undefined,
+            contextActivities: object ? { parent: [{ id: scenarioActivity.id }] } : undefined
+        },
+        timestamp: new Date().toISOString()
+    };
+    if (result) statement.result = result;
+
+    const queue = loadXapiQueue();
+    queue.push(statement);
+    saveXapiQueue(queue.slice(-XAPI_QUEUE_LIMIT));
+    flushXapiQueue();
+}
+
+function loadXapiQueue() {
+    try {
+        const saved = localStorage.getItem('traumaTrainerXapiQueue');
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        console.warn('Could not load xAPI queue');
+        return [];
+    }
+}
+
+function saveXapiQueue(queue) {
+    try {
+        localStorage.setItem('traumaTrainerXapiQueue', JSON.stringify(queue));
+    } catch (error) {
+        console.warn('Could not save xAPI queue');
+    }
+}
+
+// Only network errors, rate limiting and server errors are worth retrying; any other
+// 4xx (bad statement, bad credentials) would fail the same way forever
+function isRetryableLrsStatus(status) {
+    return status === 429 || status >= 500;
 }
 
-function startScenario(scenario) {
-    console.log(`Starting scenario: ${scenario.name}`);
+// Move a refused batch out of the queue so the statements behind it can go out
+function parkRejectedXapiBatch(batch, status) {
+    const batchIds = new Set(batch.map(st => st.id));
+    saveXapiQueue(loadXapiQueue().filter(st => !batchIds.has(st.id)));
 
-    currentScenario = scenario;
-    foundItems.clear();
+    try {
+        const saved = localStorage.getItem('traumaTrainerXapiRejected');
+        const rejected = (saved ? JSON.parse(saved) : []).concat(batch);
+        localStorage.setItem('traumaTrainerXapiRejected', JSON.stringify(rejected.slice(-XAPI_REJECTED_LIMIT)));
+    } catch (error) {
+        console.warn('Could not save rejected xAPI statements');
+    }
 
-    // Hide menu
-    document.getElementById('menu-screen').classList.add('hidden');
+    console.error(`LRS rejected ${batch.length} xAPI statement(s) with status ${status}; they were set aside`);
+    if (!xapiRejectionShown) {
+        xapiRejectionShown = true;
+        showNotification(`⚠️ The LRS refused learning records (${status}). Check the LRS settings.`);
+    }
+}
 
-    // Update UI
-    document.getElementById('scenario-title').textContent = scenario.name;
-    document.getElementById('scenario-description').textContent = scenario.description;
+// POST everything queued; keep it queued on network or server failure and retry later
+async function flushXapiQueue() {
+    const settings = getLrsSettings();
+    if (!settings || xapiSending) return;
 
-    // Update items list
-    const itemsNeeded = document.getElementById('items-needed');
-    itemsNeeded.innerHTML = '';
-    scenario.items.forEach(item => {
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'item-needed';
-        itemDiv.id = `item-${item.itemId}`;
-        itemDiv.textContent = item.name;
-        itemsNeeded.appendChild(itemDiv);
-    });
+    const queue = loadXapiQueue();
+    if (queue.length === 0) return;
 
-    // Reset player position (5.5 feet eye height, starting at front facing the room)
-    playerPosition.set(0, 5.5, 12);
-    playerRotation.yaw = 0; // Face forward into the room
-    playerRotation.pitch = 0;
+    xapiSending = true;
+    const batch = queue.slice(0, 50);
+    const url = settings.endpoint.replace(/\/+$/, '') + '/statements';
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Experience-API-Version': '1.0.3'
+    };
+    if (settings.username || settings.password) {
+        headers.Authorization = 'Basic ' + btoa(`${settings.username}:${settings.password}`);
+    }
 
-    // Log camera state at scenario start
-    logCameraState('AT SCENARIO START');
+    try {
+        const response = await fetch(url, { method: 'POST', headers: headers, body: JSON.stringify(batch) });
+        if (!response.ok && isRetryableLrsStatus(response.status)) throw new Error(`LRS responded ${response.status}`);
+        if (!response.ok) {
+            parkRejectedXapiBatch(batch, response.status);
+        } else {
+            // Drop only what was sent; more may have been queued meanwhile
+            const sentIds = new Set(batch.map(st => st.id));
+            saveXapiQueue(loadXapiQueue().filter(st => !sentIds.has(st.id)));
+            console.log(`✓ Sent ${batch.length} xAPI statement(s)`);
+        }
+        xapiRetryDelay = XAPI_RETRY_MIN;
+    } catch (error) {
+        console.warn(`xAPI delivery failed, retrying in ${xapiRetryDelay / 1000}s:`, error.message);
+        scheduleXapiRetry();
+        return;
+    } finally {
+        xapiSending = false;
+    }
 
-    // Start timer
-    startTime = Date.now();
-    startTimer();
+    // Keep going if the queue was larger than one batch (or a refused batch was set aside)
+    if (loadXapiQueue().length > 0) flushXapiQueue();
+}
 
-    // Update progress
-    updateProgress();
+function scheduleXapiRetry() {
+    if (xapiRetryTimer) clearTimeout(xapiRetryTimer);
+    xapiRetryTimer = setTimeout(() => {
+        xapiRetryTimer = null;
+        flushXapiQueue();
+    }, xapiRetryDelay);
+    xapiRetryDelay = Math.min(xapiRetryDelay * 2, XAPI_RETRY_MAX);
+}
 
-    // Start ambient hospital sound (looped)
-    if (soundEnabled && SOUNDS.ambient && SOUNDS.ambient.readyState >= 2) {
-        SOUNDS.ambient.loop = true;
-        SOUNDS.ambient.volume = 0.3; // Quieter for background
-        SOUNDS.ambient.play().catch(err => {
-            console.log('Could not play ambient sound');
-        });
-    }
+function initXapi() {
+    window.addEventListener('online', () => {
+        xapiRetryDelay = XAPI_RETRY_MIN;
+        flushXapiQueue();
+    });
 
-    // Request pointer lock
-    const canvas = document.getElementById('three-canvas');
-    canvas.requestPointerLock();
+    // Deliver anything left over from an earlier session
+    flushXapiQueue();
 }
 
-function startTimer() {
-    if (timerInterval) clearInterval(timerInterval);
+// ISO 8601 duration for result.duration
+function toXapiDuration(seconds) {
+    return `PT${seconds}S`;
+}
 
-    timerInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        const minutes = Math.floor(elapsed / 60);
-        const seconds = elapsed % 60;
-        const timeString = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-        document.getElementById('timer').textContent = timeString;
-    }, 1000);
+// ============================================================================
+// SCORM / LMS INTEGRATION
+// ============================================================================
+
+// When the trainer runs inside an LMS, the SCORM API adapter lives on a parent
+// frame (or the window that opened us): API_1484_11 for SCORM 2004, API for 1.2
+let scormApi = null;
+let scormVersion = null; // '1.2' | '2004'
+let scormSessionStart = null;
+let scormBestScore = -1;
+
+function findScormApi(win) {
+    for (let depth = 0; win && depth < 10; depth++) {
+        if (win.API_1484_11) return { api: win.API_1484_11, version: '2004' };
+        if (win.API) return { api: win.API, version: '1.2' };
+        if (win.parent === win) break;
+        win = win.parent;
+    }
+    return null;
 }
 
-function updateProgress() {
-    if (!currentScenario) return;
+function initScorm() {
+    let found = null;
+    try {
+        found = findScormApi(window) || (window.opener ? findScormApi(window.opener) : null);
+    } catch (error) {
+        console.warn('Could not search for an LMS API adapter (cross-origin frame)');
+    }
+    if (!found) return;
 
-    const total = currentScenario.items.length;
-    const found = foundItems.size;
-    const percentage = (found / total) * 100;
+    const initialized = found.version === '2004' ? found.api.Initialize('') : found.api.LMSInitialize('');
+    if (String(initialized) !== 'true') {
+        console.warn('LMS API adapter found but initialization failed');
+        return;
+    }
 
-    document.getElementById('progress-fill').style.width = `${percentage}%`;
-    document.getElementById('progress-text').textContent = `${found} / ${total} items found`;
+    scormApi = found.api;
+    scormVersion = found.version;
+    scormSessionStart = Date.now();
+    console.log(`✓ Connected to LMS (SCORM ${scormVersion})`);
 
-    // Update item checkboxes
-    currentScenario.items.forEach(item => {
-        const itemDiv = document.getElementById(`item-${item.itemId}`);
-        if (itemDiv && foundItems.has(item.itemId)) {
-            itemDiv.classList.add('item-found');
+    // Mark the attempt as started
+    if (scormVersion === '2004') {
+        const status = scormGet('cmi.completion_status');
+        if (status === 'not attempted' || status === 'unknown' || !status) {
+            scormSet('cmi.completion_status', 'incomplete');
+        }
+    } else if (scormGet('cmi.core.lesson_status') === 'not attempted') {
+        scormSet('cmi.core.lesson_status', 'incomplete');
+    }
+    scormCommit();
+
+    // Track the LMS learner in their own trainee profile. This runs before the scene
+    // exists, so the menu is left for init() to show
+    const learnerName = scormGet(scormVersion === '2004' ? 'cmi.learner_name' : 'cmi.core.student_name');
+    if (learnerName) {
+        const existing = profileStore.profiles.find(p => p.name === learnerName);
+        if (existing) {
+            activateProfile(existing.id);
+        } else {
+            const profile = createProfile(learnerName);
+            profileStore.profiles.push(profile);
+            activateProfile(profile.id);
         }
-    });
-
-    // Check completion
-    if (found === total) {
-        completeScenario();
     }
-}
 
-function completeScenario() {
-    console.log('Scenario complete!');
+    window.addEventListener('pagehide', finishScorm);
+}
 
-    // Play success sound
-    playSound('scenarioComplete');
+function scormGet(element) {
+    if (!scormApi) return '';
+    return String(scormVersion === '2004' ? scormApi.GetValue(element) : scormApi.LMSGetValue(element));
+}
 
-    // Haptic feedback for completion
-    triggerHapticFeedback('heavy');
+function scormSet(element, value) {
+    if (!scormApi) return;
+    if (scormVersion === '2004') {
+        scormApi.SetValue(element, String(value));
+    } else {
+        scormApi.LMSSetValue(element, String(value));
+    }
+}
 
-    // Stop timer
-    if (timerInterval) clearInterval(timerInterval);
+function scormCommit() {
+    if (!scormApi) return;
+    if (scormVersion === '2004') {
+        scormApi.Commit('');
+    } else {
+        scormApi.LMSCommit('');
+    }
+}
 
-    const elapsed = Math.floor((Date.now() - startTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
-    const timeString = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+// Session time: "PT1H2M3S" for 2004, "HH:MM:SS.SS" for 1.2
+function formatScormSessionTime(ms) {
+    const total = Math.round(ms / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = total % 60;
 
-    // Calculate score (based on time)
-    let score = 1000;
-    if (elapsed < 60) score += 500; // Speed bonus
-    else if (elapsed < 120) score += 300;
-    else if (elapsed < 180) score += 100;
+    if (scormVersion === '2004') {
+        return `PT${hours}H${minutes}M${seconds}S`;
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.00`;
+}
 
-    // Check and unlock achievements
-    checkAchievements(currentScenario, elapsed);
+// Report the attempt's outcome; the best attempt of the session is what the LMS keeps
+function reportScormResult(result, passed) {
+    if (!scormApi || result.total < scormBestScore) return;
+    scormBestScore = result.total;
 
-    // Unlock pointer
-    document.exitPointerLock();
+    const scaled = result.maxScore > 0 ? Math.min(1, result.total / result.maxScore) : 0;
 
-    // Stop ambient sound
-    if (SOUNDS.ambient) {
-        SOUNDS.ambient.pause();
-        SOUNDS.ambient.currentTime = 0;
+    if (scormVersion === '2004') {
+        scormSet('cmi.score.raw', result.total);
+        scormSet('cmi.score.min', 0);
+        scormSet('cmi.score.max', result.maxScore);
+        scormSet('cmi.score.scaled', scaled.toFixed(2));
+        scormSet('cmi.completion_status', 'completed');
+        scormSet('cmi.success_status', passed ? 'passed' : 'failed');
+    } else {
+        // SCORM 1.2 scores are conventionally 0-100
+        scormSet('cmi.core.score.raw', Math.round(scaled * 100));
+        scormSet('cmi.core.score.min', 0);
+        scormSet('cmi.core.score.max', 100);
+        scormSet('cmi.core.lesson_status', passed ? 'passed' : 'failed');
     }
+    scormSet(scormVersion === '2004' ? 'cmi.session_time' : 'cmi.core.session_time',
+        formatScormSessionTime(Date.now() - scormSessionStart));
+    scormCommit();
+}
 
-    // Show completion screen
-    document.getElementById('final-time').textContent = timeString;
-    document.getElementById('final-items').textContent = `${foundItems.size}/${currentScenario.items.length}`;
-    document.getElementById('final-score').textContent = score;
+function finishScorm() {
+    if (!scormApi) return;
 
-    let achievementText = '';
-    if (elapsed < 60) achievementText = '⚡ Lightning Fast!';
-    else if (elapsed < 120) achievementText = '🌟 Excellent Time!';
-    else if (elapsed < 180) achievementText = '👍 Good Job!';
-    else achievementText = '✓ Completed!';
-    document.getElementById('achievement-text').textContent = achievementText;
+    scormSet(scormVersion === '2004' ? 'cmi.session_time' : 'cmi.core.session_time',
+        formatScormSessionTime(Date.now() - scormSessionStart));
+    scormCommit();
 
-    document.getElementById('completion-screen').classList.add('visible');
+    if (scormVersion === '2004') {
+        scormApi.Terminate('');
+    } else {
+        scormApi.LMSFinish('');
+    }
+    scormApi = null;
 }
 
 // ============================================================================
@@ -1976,23 +5624,18 @@ function completeScenario() {
 
 let unlockedAchievements = new Set();
 
+// Achievements belong to the active trainee profile
 function loadUnlockedAchievements() {
-    try {
-        const saved = localStorage.getItem('traumaTrainerAchievements');
-        if (saved) {
-            unlockedAchievements = new Set(JSON.parse(saved));
-        }
-    } catch (error) {
-        console.warn('Could not load achievements');
-    }
+    const profile = getActiveProfile();
+    unlockedAchievements = new Set(profile ? profile.achievements : []);
 }
 
 function saveUnlockedAchievements() {
-    try {
-        localStorage.setItem('traumaTrainerAchievements', JSON.stringify([...unlockedAchievements]));
-    } catch (error) {
-        console.warn('Could not save achievements');
-    }
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    profile.achievements = [...unlockedAchievements];
+    saveProfiles();
 }
 
 function unlockAchievement(achievementId, name, description) {
@@ -2048,41 +5691,442 @@ function showAchievementNotification(name, description) {
     console.log(`🏆 Achievement unlocked: ${name}`);
 }
 
-function checkAchievements(scenario, timeElapsed) {
+// Cross-session progress counters used by count/all/first-scenario triggers
+let achievementStats = { scenariosCompleted: 0, clearedScenarios: [] };
+
+function loadAchievementStats() {
+    const profile = getActiveProfile();
+    achievementStats = { scenariosCompleted: 0, clearedScenarios: [], ...(profile ? profile.stats : {}) };
+}
+
+function saveAchievementStats() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    profile.stats = { ...achievementStats };
+    saveProfiles();
+}
+
+// Achievements only count cleared item-finding attempts: in time, not a failure, and with
+// every essential item found. Practice modes (quizzes, check-off, restock) never count
+function isAchievementAttempt(scenario, result, feedback) {
+    if (scenario.isRestock || scenario.isQuiz || scenario.isPointQuiz || scenario.isCheck) return false;
+    if (result.timedOut || feedback.outcome === 'failure' || foundItems.size === 0) return false;
+    return scenario.items.filter(i => i.essential).every(i => foundItems.has(i.itemId));
+}
+
+// Count a completed attempt and remember which scenario was cleared
+function recordScenarioCompletion(scenario) {
+    achievementStats.scenariosCompleted++;
+    if (!achievementStats.clearedScenarios.includes(scenario.id)) {
+        achievementStats.clearedScenarios.push(scenario.id);
+    }
+    saveAchievementStats();
+}
+
+// Decide whether a designer-defined trigger is met by this attempt
+function evaluateAchievementTrigger(achievement, context) {
+    const value = Number(achievement.value) || 0;
+    const { scenario, timeElapsed, result } = context;
+
+    switch (achievement.trigger) {
+        case 'first-scenario':
+            return achievementStats.scenariosCompleted >= 1;
+
+        case 'perfect-score':
+            // Value is an optional minimum total score on top of a perfect run
+            return result.isPerfect && result.total >= value;
+
+        case 'speed':
+            // Value is the maximum time in seconds (falls back to the scoring speed threshold)
+            return timeElapsed <= (value > 0 ? value : result.rules.speedThreshold);
+
+        case 'efficient': {
+            // Every essential item, and no more than `value` extra items picked
+            const allEssentialFound = scenario.items
+                .filter(i => i.essential)
+                .every(i => foundItems.has(i.itemId));
+            const extras = scenario.items.filter(i => !i.essential && foundItems.has(i.itemId)).length
+                + result.wrongItems;
+            return allEssentialFound && extras <= value;
+        }
+
+        case 'count':
+            return achievementStats.scenariosCompleted >= Math.max(1, value);
+
+        case 'all': {
+            // Every configured scenario cleared at least once (value optionally caps the requirement)
+            const scenarioIds = loadScenarios().map(s => s.id);
+            const cleared = scenarioIds.filter(id => achievementStats.clearedScenarios.includes(id)).length;
+            const required = value > 0 ? Math.min(value, scenarioIds.length) : scenarioIds.length;
+            return required > 0 && cleared >= required;
+        }
+
+        default:
+            console.warn(`Unknown achievement trigger: ${achievement.trigger}`);
+            return false;
+    }
+}
+
+function checkAchievements(scenario, timeElapsed, result) {
+    // Completions are counted even without achievements, so ones added later see them
+    recordScenarioCompletion(scenario);
     if (!CONFIG || !CONFIG.achievements) return;
 
-    // Speed achievements
-    if (timeElapsed < 60) {
-        unlockAchievement('speed_demon', 'Speed Demon', 'Complete a scenario in under 60 seconds');
-    } else if (timeElapsed < 120) {
-        unlockAchievement('quick_thinker', 'Quick Thinker', 'Complete a scenario in under 2 minutes');
+    const context = { scenario, timeElapsed, result };
+    CONFIG.achievements.forEach(achievement => {
+        if (unlockedAchievements.has(achievement.id)) return;
+
+        if (evaluateAchievementTrigger(achievement, context)) {
+            const title = `${achievement.icon || '🏆'} ${achievement.title || achievement.name || achievement.id}`;
+            unlockAchievement(achievement.id, title, achievement.description || '');
+        }
+    });
+}
+
+// ============================================================================
+// SESSION RECORDING & REPLAY
+// ============================================================================
+
+// Each attempt is stored as a compact event stream of [ms since start, type, ...data]:
+//   'p' pose sample    x, y, z, yaw, pitch
+//   'o' drawer opened  drawerId
+//   'c' drawer closed  drawerId
+//   'k' item picked    itemId, 1 = needed / 0 = wrong
+//   'h' hint shown     itemId, 'cart' | 'drawer'
+//   's' stage started  stage index
+//   'v' clinical event event index
+//   'r' item restocked itemId, drawerId, 1 = correct drawer / 0 = wrong
+//   'q' quiz answered  question index, items selected, of them correct
+//   'a' drawer pointed itemId, drawerId ('' = too slow), 1 = correct / 0 = wrong
+//   'f' check flag     'missing' | 'expired' | 'misplaced' | 'seal', itemId, drawerId, 1 = raised / 0 = cleared
+//   'e' attempt ended  'complete' | 'timeout'
+const RECORDING_SAMPLE_INTERVAL = 100; // ms between pose samples
+const MAX_SAVED_RECORDINGS = 5;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+let sessionRecording = null;
+let lastPoseSample = null;
+let lastPoseSampleTime = 0;
+let replayState = null;
+
+function startRecording(scenario) {
+    sessionRecording = {
+        scenarioId: scenario.id,
+        scenarioName: scenario.name,
+        scenario: isConfigScenario(scenario) ? undefined : scenario,
+        recordedAt: new Date().toISOString(),
+        events: []
+    };
+    lastPoseSample = null;
+    lastPoseSampleTime = 0;
+    recordPoseSample(true);
+}
+
+function recordEvent(type, ...data) {
+    if (!sessionRecording || replayState) return;
+    sessionRecording.events.push([Date.now() - startTime, type, ...data]);
+}
+
+// Called from the game loop after updatePlayerMovement/updateCamera
+function recordPoseSample(force = false) {
+    if (!sessionRecording || replayState) return;
+
+    const now = Date.now();
+    if (!force && now - lastPoseSampleTime < RECORDING_SAMPLE_INTERVAL) return;
+
+    const round = v => Math.round(v * 100) / 100;
+    const pose = [
+        round(playerPosition.x), round(playerPosition.y), round(playerPosition.z),
+        round(playerRotation.yaw), round(playerRotation.pitch)
+    ];
+
+    // Skip samples while standing still, but anchor the old pose before moving again
+    // so replay doesn't spread the movement across the idle period
+    const last = lastPoseSample;
+    if (!force && last && pose.every((v, i) => v === last.pose[i])) return;
+    if (last && now - last.time > RECORDING_SAMPLE_INTERVAL * 2) {
+        sessionRecording.events.push([now - RECORDING_SAMPLE_INTERVAL - startTime, 'p', ...last.pose]);
     }
 
-    // Perfect completion
-    if (foundItems.size === scenario.items.length) {
-        unlockAchievement('perfectionist', 'Perfectionist', 'Find all items in a scenario');
+    sessionRecording.events.push([now - startTime, 'p', ...pose]);
+    lastPoseSample = { time: now, pose: pose };
+    lastPoseSampleTime = now;
+}
+
+// Finish the stream and keep it with the most recent runs
+function stopRecording(outcome) {
+    if (!sessionRecording) return null;
+
+    recordPoseSample(true);
+    recordEvent('e', outcome);
+    sessionRecording.duration = Date.now() - startTime;
+
+    const recording = sessionRecording;
+    sessionRecording = null;
+
+    const recordings = loadRecordings();
+    recordings.unshift(recording);
+    saveRecordings(recordings.slice(0, MAX_SAVED_RECORDINGS));
+
+    return recording;
+}
+
+function loadRecordings() {
+    try {
+        const saved = localStorage.getItem('traumaTrainerRecordings');
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        console.warn('Could not load recordings');
+        return [];
     }
+}
 
-    // Scenario-specific achievements
-    if (scenario.id === 'scenario1' && !unlockedAchievements.has('first_scenario')) {
-        unlockAchievement('first_scenario', 'Getting Started', 'Complete your first scenario');
+function saveRecordings(recordings) {
+    try {
+        localStorage.setItem('traumaTrainerRecordings', JSON.stringify(recordings));
+    } catch (error) {
+        console.warn('Could not save recordings');
     }
+}
 
-    // Check for achievements defined in CONFIG
-    CONFIG.achievements.forEach(achievement => {
-        // Check if this achievement should be unlocked based on custom conditions
-        if (achievement.condition && typeof achievement.condition === 'function') {
-            try {
-                if (achievement.condition({ scenario, timeElapsed, foundItems })) {
-                    unlockAchievement(achievement.id, achievement.name, achievement.description);
-                }
-            } catch (error) {
-                console.warn(`Achievement ${achievement.id} condition error:`, error);
+// Find a drawer group in the scene by its config id
+function findDrawerGroup(drawerId) {
+    let found = null;
+    cartMeshes.forEach(cartGroup => {
+        cartGroup.children.forEach(child => {
+            if (child.userData.type === 'drawer' && child.userData.drawerId === drawerId) {
+                found = child;
+            }
+        });
+    });
+    return found;
+}
+
+function closeAllDrawers() {
+    cartMeshes.forEach(cartGroup => {
+        cartGroup.children.forEach(child => {
+            if (child.userData.type === 'drawer' && child.userData.isOpen) {
+                closeDrawer(child);
             }
+        });
+    });
+}
+
+function startReplay(recording) {
+    if (!recording || !recording.events.length) {
+        showNotification('No recording available');
+        return;
+    }
+
+    // Generated drills and reviews aren't in the config, so their recordings carry the scenario
+    const scenario = recording.scenario || loadScenarios().find(s => s.id === recording.scenarioId);
+
+    replayState = {
+        recording: recording,
+        poses: recording.events.filter(e => e[1] === 'p'),
+        time: 0,
+        speed: 1,
+        paused: false,
+        eventIndex: 0,
+        poseIndex: 0
+    };
+
+    // Show the scenario the run was recorded in, with nothing picked yet
+    document.getElementById('menu-screen').classList.add('hidden');
+    document.getElementById('completion-screen').classList.remove('visible');
+    document.getElementById('scenario-title').textContent = `▶ Replay: ${recording.scenarioName}`;
+    replayState.scenario = scenario;
+    foundItems.clear();
+    eventItems = [];
+    hideEventBanner();
+    setHudVitals(scenario ? scenario.vitals : '', false);
+    renderItemsNeeded(scenario ? scenario.items : []);
+
+    closeDrawerPopup();
+    closeAllDrawers();
+    clearHint();
+    isFirstPersonMode = true;
+    currentCameraView = null;
+    camera.fov = 75;
+    camera.updateProjectionMatrix();
+
+    document.getElementById('replay-controls').classList.add('visible');
+    updateReplayControls();
+}
+
+// Advance the replay clock (called from the game loop instead of player movement)
+function updateReplay(deltaTime) {
+    if (!replayState || replayState.paused) return;
+
+    const state = replayState;
+    const events = state.recording.events;
+    state.time = Math.min(state.time + deltaTime * 1000 * state.speed, state.recording.duration || 0);
+
+    // Fire discrete events that are now in the past
+    while (state.eventIndex < events.length && events[state.eventIndex][0] <= state.time) {
+        applyReplayEvent(events[state.eventIndex]);
+        state.eventIndex++;
+    }
+
+    // Interpolate between the surrounding pose samples
+    const poses = state.poses;
+    while (state.poseIndex < poses.length - 2 && poses[state.poseIndex + 1][0] <= state.time) {
+        state.poseIndex++;
+    }
+    const a = poses[state.poseIndex];
+    const b = poses[Math.min(state.poseIndex + 1, poses.length - 1)];
+    if (a) {
+        const span = b[0] - a[0];
+        const t = span > 0 ? Math.max(0, Math.min(1, (state.time - a[0]) / span)) : 0;
+        const lerp = i => a[i] + (b[i] - a[i]) * t;
+        playerPosition.set(lerp(2), lerp(3), lerp(4));
+        playerRotation.yaw = lerp(5);
+        playerRotation.pitch = lerp(6);
+    }
+
+    updateReplayControls();
+
+    if (state.eventIndex >= events.length && state.time >= (state.recording.duration || 0)) {
+        state.paused = true;
+        showNotification('Replay finished');
+        updateReplayControls();
+    }
+}
+
+function applyReplayEvent(event) {
+    const [, type, ...data] = event;
+
+    if (type === 'o' || type === 'c') {
+        const drawerGroup = findDrawerGroup(data[0]);
+        if (drawerGroup) {
+            type === 'o' ? openDrawer(drawerGroup) : closeDrawer(drawerGroup);
+        }
+    } else if (type === 'k') {
+        const itemData = CONFIG.items.find(i => i.id === data[0]);
+        const name = itemData ? itemData.name : data[0];
+        if (data[1]) {
+            foundItems.add(data[0]);
+            const itemDiv = document.getElementById(`item-${data[0]}`);
+            if (itemDiv) itemDiv.classList.add('item-found');
+            clearHint();
+            showNotification(`✓ Picked ${name}`);
+        } else {
+            showNotification(`✗ Wrong item: ${name}`);
+        }
+    } else if (type === 'r') {
+        const itemData = CONFIG.items.find(i => i.id === data[0]);
+        const drawerGroup = findDrawerGroup(data[1]);
+        const itemDiv = document.getElementById(`item-${data[0]}`);
+        if (itemDiv) itemDiv.classList.add(data[2] ? 'item-found' : 'item-misplaced');
+        showNotification(`${data[2] ? '✓' : '✗'} Placed ${itemData ? itemData.name : data[0]} in ${drawerGroup ? drawerGroup.userData.drawerName : data[1]}`);
+    } else if (type === 'a') {
+        const itemDiv = document.getElementById(`item-${data[0]}`);
+        if (itemDiv) itemDiv.classList.add(data[2] ? 'item-found' : 'item-misplaced');
+        const drawerGroup = findDrawerGroup(data[1]);
+        showNotification(data[1] ? `${data[2] ? '✓' : '✗'} Pointed at ${drawerGroup ? drawerGroup.userData.drawerName : data[1]}` : '⏰ Too slow');
+    } else if (type === 'f') {
+        showNotification(`${data[3] ? '🚩 Flagged' : '↩ Cleared'} ${describeCheckFlag({ type: data[0], itemId: data[1] })}`);
+    } else if (type === 'q') {
+        showNotification(`❓ Drawer ${data[0] + 1}: ${data[2]} of ${data[1]} picks correct`);
+    } else if (type === 'h') {
+        showHint(data[0], data[1]);
+    } else if (type === 'v') {
+        const event = replayState.scenario && replayState.scenario.events ? replayState.scenario.events[data[0]] : null;
+        if (event) showScenarioEvent(event);
+    } else if (type === 's') {
+        const stage = replayState.scenario && replayState.scenario.stages ? replayState.scenario.stages[data[0]] : null;
+        if (stage) {
+            renderItemsNeeded(stage.items);
+            showNotification(`▤ Stage ${data[0] + 1}: ${stage.name}`);
         }
+    } else if (type === 'e') {
+        clearHint();
+        showNotification(data[0] === 'timeout' ? "⏰ Time's up" : '✓ Scenario finished');
+    }
+}
+
+function toggleReplayPause() {
+    if (!replayState) return;
+
+    // Restart from the beginning when paused at the end
+    if (replayState.paused && replayState.time >= (replayState.recording.duration || 0)) {
+        startReplay(replayState.recording);
+        return;
+    }
+    replayState.paused = !replayState.paused;
+    updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+    if (!replayState) return;
+    replayState.speed = speed;
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    if (!replayState) return;
+
+    const duration = replayState.recording.duration || 0;
+    const percentage = duration > 0 ? (replayState.time / duration) * 100 : 100;
+    document.getElementById('replay-progress-fill').style.width = `${percentage}%`;
+    document.getElementById('replay-time').textContent =
+        `${formatTime(Math.floor(replayState.time / 1000))} / ${formatTime(Math.floor(duration / 1000))}`;
+    document.getElementById('replay-pause-btn').textContent = replayState.paused ? '▶' : '⏸';
+
+    REPLAY_SPEEDS.forEach(speed => {
+        const button = document.getElementById(`replay-speed-${speed}`);
+        if (button) button.classList.toggle('active', speed === replayState.speed);
     });
 }
 
+function stopReplay() {
+    if (!replayState) return;
+
+    replayState = null;
+    document.getElementById('replay-controls').classList.remove('visible');
+    closeAllDrawers();
+    clearHint();
+}
+
+// Leave replay and go back to the completion screen (or the menu for saved runs)
+function exitReplay() {
+    stopReplay();
+    if (currentScenario) {
+        document.getElementById('completion-screen').classList.add('visible');
+    } else {
+        showMenu();
+    }
+}
+
+function replayLastRun() {
+    startReplay(loadRecordings()[0]);
+}
+
+// Menu list of recent runs
+function updateRecentRunsUI() {
+    const container = document.getElementById('recent-runs');
+    const select = document.getElementById('recent-runs-select');
+    if (!container || !select) return;
+
+    const recordings = loadRecordings();
+    container.style.display = recordings.length ? 'block' : 'none';
+    // Scenario names come from the designer, so they go in as text rather than markup
+    select.replaceChildren(...recordings.map((recording, index) => {
+        const when = new Date(recording.recordedAt).toLocaleString();
+        const length = formatTime(Math.floor((recording.duration || 0) / 1000));
+        return new Option(`${recording.scenarioName} — ${when} (${length})`, String(index));
+    }));
+}
+
+function replaySelectedRun() {
+    const select = document.getElementById('recent-runs-select');
+    const recording = loadRecordings()[parseInt(select.value)];
+    if (recording) {
+        startReplay(recording);
+    }
+}
+
 // ============================================================================
 // UI HELPERS
 // ============================================================================
@@ -2182,7 +6226,14 @@ function triggerHapticFeedback(intensity = 'light') {
 }
 
 function showMenu() {
+    stopReplay();
+    sessionRecording = null; // Abandoned attempts aren't kept
     currentScenario = null;
+    resetHints();
+    hideEventBanner();
+    clearPointPrompt();
+    tutorialState = null;
+    showTutorialStep();
     if (timerInterval) clearInterval(timerInterval);
 
     // Stop ambient sound
@@ -2196,6 +6247,7 @@ function showMenu() {
 }
 
 function restartScenario() {
+    stopReplay();
     document.getElementById('completion-screen').classList.remove('visible');
     if (currentScenario) {
         startScenario(currentScenario);
@@ -2214,7 +6266,11 @@ function init() {
 
     // Load configuration
     loadConfiguration();
+    loadProfiles();
     loadUnlockedAchievements();
+    loadAchievementStats();
+    initXapi();
+    initScorm();
     updateLoadingProgress('Building 3D scene...', 30);
 
     // Initialize 3D
@@ -2252,6 +6308,11 @@ function init() {
         }, 800);
     }, 500);
 
+    // Packaged builds have no designer to go back to
+    if (window.TRAINER_CONFIG) {
+        document.getElementById('back-to-designer-btn').style.display = 'none';
+    }
+
     // Show scenario menu
     showScenarioMenu();
 